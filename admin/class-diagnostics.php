@@ -33,154 +33,246 @@ class Diagnostics {
     }
     
     /**
-     * Get comprehensive system diagnostics
+     * Get comprehensive system diagnostics as legacy plain-text lines
+     *
+     * Kept for backward compatibility with consumers that expect an array of
+     * strings; the lines are rendered from get_structured_diagnostics().
      *
      * @return array Diagnostic information
      */
     public function get_full_diagnostics() {
+        $report = $this->get_structured_diagnostics();
         $diagnostics = [];
-        
-        // System information
         $diagnostics[] = "=== Ace Redis Cache Diagnostics ===";
-        $diagnostics[] = "Plugin Version: " . $this->get_plugin_version();
-        $diagnostics[] = "WordPress Version: " . get_bloginfo('version');
-        $diagnostics[] = "PHP Version: " . PHP_VERSION;
-        $diagnostics[] = "Server: " . ($_SERVER['SERVER_SOFTWARE'] ?? 'Unknown');
-        $diagnostics[] = "";
-        
+
+        foreach ($report['sections'] as $section) {
+            if ($section['id'] !== 'system') {
+                $diagnostics[] = "=== " . $section['title'] . " ===";
+            }
+            foreach ($section['checks'] as $check) {
+                $diagnostics[] = $check['label'] === '' ? $check['value'] : $check['label'] . ": " . $check['value'];
+            }
+            $diagnostics[] = "";
+        }
+
+        return $diagnostics;
+    }
+
+    /**
+     * Get system diagnostics grouped into sections of individual checks
+     *
+     * Each check carries a status of pass, warn, fail or info; a section's
+     * status is the worst status among its checks.
+     *
+     * @return array { generated_at: string, summary: array, sections: array }
+     */
+    public function get_structured_diagnostics() {
+        $sections = [];
+
+        // System information
+        $sections[] = $this->make_section('system', 'System', [
+            $this->make_check('Plugin Version', $this->get_plugin_version()),
+            $this->make_check('WordPress Version', get_bloginfo('version')),
+            $this->make_check('PHP Version', PHP_VERSION, version_compare(PHP_VERSION, '7.4', '<') ? 'fail' : 'pass'),
+            $this->make_check('Server', $_SERVER['SERVER_SOFTWARE'] ?? 'Unknown'),
+        ]);
+
         // Redis information
-        $diagnostics[] = "=== Redis Configuration ===";
-        $diagnostics[] = "Redis Class Available: " . (class_exists('Redis') ? 'YES' : 'NO');
-        $diagnostics[] = "Host: " . $this->settings['host'];
-        $diagnostics[] = "Port: " . $this->settings['port'];
-        $diagnostics[] = "Password: " . (empty($this->settings['password']) ? 'No' : 'Yes (hidden)');
-        $diagnostics[] = "TLS Enabled: " . ($this->settings['enable_tls'] ? 'YES' : 'NO');
-        $diagnostics[] = "";
-        
+        $sections[] = $this->make_section('redis_config', 'Redis Configuration', [
+            $this->make_check('Redis Class Available', class_exists('Redis') ? 'YES' : 'NO', class_exists('Redis') ? 'pass' : 'fail'),
+            $this->make_check('Host', $this->settings['host']),
+            $this->make_check('Port', $this->settings['port']),
+            $this->make_check('Password', empty($this->settings['password']) ? 'No' : 'Yes (hidden)'),
+            $this->make_check('TLS Enabled', !empty($this->settings['enable_tls']) ? 'YES' : 'NO'),
+        ]);
+
         // Connection status
         $connection_status = $this->redis_connection->get_status();
-        $diagnostics[] = "=== Connection Status ===";
-        $diagnostics[] = "Connected: " . ($connection_status['connected'] ? 'YES' : 'NO');
-        $diagnostics[] = "Status: " . $connection_status['status'];
-        
+        $checks = [
+            $this->make_check('Connected', $connection_status['connected'] ? 'YES' : 'NO', $connection_status['connected'] ? 'pass' : 'fail'),
+            $this->make_check('Status', $connection_status['status']),
+        ];
         if ($connection_status['connected']) {
-            $diagnostics[] = "Redis Version: " . ($connection_status['version'] ?? 'Unknown');
-            $diagnostics[] = "Memory Usage: " . ($connection_status['memory_usage'] ?? 'N/A');
-            $diagnostics[] = "Connected Clients: " . ($connection_status['connected_clients'] ?? 'N/A');
-            $diagnostics[] = "Uptime: " . $this->format_uptime($connection_status['uptime'] ?? 0);
+            $checks[] = $this->make_check('Redis Version', $connection_status['version'] ?? 'Unknown');
+            $checks[] = $this->make_check('Memory Usage', $connection_status['memory_usage'] ?? 'N/A');
+            $checks[] = $this->make_check('Connected Clients', $connection_status['connected_clients'] ?? 'N/A');
+            $checks[] = $this->make_check('Uptime', $this->format_uptime($connection_status['uptime'] ?? 0));
         } else {
-            $diagnostics[] = "Error: " . ($connection_status['error'] ?? 'Unknown connection error');
+            $checks[] = $this->make_check('Error', $connection_status['error'] ?? 'Unknown connection error', 'fail');
         }
-        $diagnostics[] = "";
-        
+        $sections[] = $this->make_section('connection', 'Connection Status', $checks);
+
         // Plugin settings
-        $diagnostics[] = "=== Plugin Settings ===";
-        $diagnostics[] = "Cache Enabled: " . ($this->settings['enabled'] ? 'YES' : 'NO');
-    $diagnostics[] = "Cache Mode: " . strtoupper($this->settings['mode']);
-    // Dual-cache display
-    $diagnostics[] = "Page Cache: " . (!empty($this->settings['enable_page_cache']) ? 'ENABLED' : 'DISABLED') . ", TTL: " . (int)($this->settings['ttl_page'] ?? ($this->settings['ttl'] ?? 3600)) . "s";
-    $diagnostics[] = "Object Cache: " . (!empty($this->settings['enable_object_cache']) ? 'ENABLED' : 'DISABLED') . ", TTL: " . (int)($this->settings['ttl_object'] ?? ($this->settings['ttl'] ?? 3600)) . "s";
-        $diagnostics[] = "Block Caching: " . ($this->settings['enable_block_caching'] ? 'YES' : 'NO');
-        $diagnostics[] = "Minification: " . ($this->settings['enable_minification'] ? 'YES' : 'NO');
-        $diagnostics[] = "";
-        
+        $sections[] = $this->make_section('settings', 'Plugin Settings', [
+            $this->make_check('Cache Enabled', $this->settings['enabled'] ? 'YES' : 'NO', $this->settings['enabled'] ? 'pass' : 'warn'),
+            $this->make_check('Cache Mode', strtoupper($this->settings['mode'])),
+            $this->make_check('Page Cache', (!empty($this->settings['enable_page_cache']) ? 'ENABLED' : 'DISABLED') . ", TTL: " . (int)($this->settings['ttl_page'] ?? ($this->settings['ttl'] ?? 3600)) . "s"),
+            $this->make_check('Object Cache', (!empty($this->settings['enable_object_cache']) ? 'ENABLED' : 'DISABLED') . ", TTL: " . (int)($this->settings['ttl_object'] ?? ($this->settings['ttl'] ?? 3600)) . "s"),
+            $this->make_check('Block Caching', !empty($this->settings['enable_block_caching']) ? 'YES' : 'NO'),
+            $this->make_check('Minification', !empty($this->settings['enable_minification']) ? 'YES' : 'NO'),
+        ]);
+
         // Cache statistics
         if ($connection_status['connected']) {
             $cache_stats = $this->cache_manager->get_cache_stats();
-            $diagnostics[] = "=== Cache Statistics ===";
-            $diagnostics[] = "Total Keys: " . $cache_stats['total_keys'];
-            $diagnostics[] = "Cache Keys: " . $cache_stats['cache_keys'];
-            $diagnostics[] = "Memory Usage: " . $cache_stats['memory_usage_human'];
+            $sections[] = $this->make_section('cache_stats', 'Cache Statistics', [
+                $this->make_check('Total Keys', $cache_stats['total_keys']),
+                $this->make_check('Cache Keys', $cache_stats['cache_keys']),
+                $this->make_check('Memory Usage', $cache_stats['memory_usage_human']),
+            ]);
         }
-        $diagnostics[] = "";
 
         // Compression info
-        $diagnostics[] = "=== Compression Levels ===";
         $comp = method_exists($this->cache_manager, 'get_compression_info') ? $this->cache_manager->get_compression_info() : null;
         if ($comp) {
-            $diagnostics[] = "Enabled: " . (!empty($comp['enabled']) ? 'YES' : 'NO');
-            $diagnostics[] = "Active Codec: " . strtoupper($comp['codec']);
-            $diagnostics[] = sprintf(
-                'Object Levels — br:%s, gz:%s',
-                $comp['levels']['object']['brotli'] ?? '-',
-                $comp['levels']['object']['gzip'] ?? '-'
-            );
-            $diagnostics[] = sprintf(
-                'Page Levels — br:%s, gz:%s',
-                $comp['levels']['page']['brotli'] ?? '-',
-                $comp['levels']['page']['gzip'] ?? '-'
-            );
-            $diagnostics[] = 'Min Size: ' . ($comp['min_size'] ?? 512) . ' bytes';
-            $diagnostics[] = sprintf(
-                'Functions — brotli:%s, gzip:%s',
-                !empty($comp['functions']['brotli']) ? 'YES' : 'NO',
-                !empty($comp['functions']['gzip']) ? 'YES' : 'NO'
-            );
+            $codec_missing = !empty($comp['enabled']) && empty($comp['functions']['brotli']) && empty($comp['functions']['gzip']);
+            $checks = [
+                $this->make_check('Enabled', !empty($comp['enabled']) ? 'YES' : 'NO'),
+                $this->make_check('Active Codec', strtoupper($comp['codec']), $codec_missing ? 'warn' : 'info'),
+                $this->make_check('', sprintf(
+                    'Object Levels — br:%s, gz:%s',
+                    $comp['levels']['object']['brotli'] ?? '-',
+                    $comp['levels']['object']['gzip'] ?? '-'
+                )),
+                $this->make_check('', sprintf(
+                    'Page Levels — br:%s, gz:%s',
+                    $comp['levels']['page']['brotli'] ?? '-',
+                    $comp['levels']['page']['gzip'] ?? '-'
+                )),
+                $this->make_check('Min Size', ($comp['min_size'] ?? 512) . ' bytes'),
+                $this->make_check('', sprintf(
+                    'Functions — brotli:%s, gzip:%s',
+                    !empty($comp['functions']['brotli']) ? 'YES' : 'NO',
+                    !empty($comp['functions']['gzip']) ? 'YES' : 'NO'
+                ), $codec_missing ? 'warn' : 'info'),
+            ];
         } else {
-            $diagnostics[] = 'Compression info not available';
+            $checks = [ $this->make_check('', 'Compression info not available') ];
         }
-        $diagnostics[] = "";
-        
+        $sections[] = $this->make_section('compression', 'Compression Levels', $checks);
+
         // Exclusion rules (summary only to avoid huge diagnostics payloads)
-        $diagnostics[] = "=== Exclusion Rules (Summary) ===";
         $cache_exclusions = $this->cache_manager->get_cache_exclusions();
-        $diagnostics[] = "Cache Exclusions: " . count($cache_exclusions) . " patterns" . (count($cache_exclusions) > 0 ? " (use REST API for details)" : "");
-        
         $transient_exclusions = $this->cache_manager->get_transient_exclusions();
-        $diagnostics[] = "Transient Exclusions: " . count($transient_exclusions) . " patterns" . (count($transient_exclusions) > 0 ? " (use REST API for details)" : "");
-        
         $content_exclusions = $this->cache_manager->get_content_exclusions();
-        $diagnostics[] = "Content Exclusions: " . count($content_exclusions) . " patterns" . (count($content_exclusions) > 0 ? " (use REST API for details)" : "");
-        $diagnostics[] = "";
-        
+        $sections[] = $this->make_section('exclusions', 'Exclusion Rules (Summary)', [
+            $this->make_check('Cache Exclusions', count($cache_exclusions) . " patterns" . (count($cache_exclusions) > 0 ? " (use REST API for details)" : "")),
+            $this->make_check('Transient Exclusions', count($transient_exclusions) . " patterns" . (count($transient_exclusions) > 0 ? " (use REST API for details)" : "")),
+            $this->make_check('Content Exclusions', count($content_exclusions) . " patterns" . (count($content_exclusions) > 0 ? " (use REST API for details)" : "")),
+        ]);
+
         // Performance diagnostics
-        $diagnostics[] = "=== Performance Information ===";
-        $diagnostics[] = "PHP Memory Limit: " . ini_get('memory_limit');
-        $diagnostics[] = "PHP Memory Usage: " . round(memory_get_usage(true) / 1024 / 1024, 2) . " MB";
-        $diagnostics[] = "PHP Max Execution Time: " . ini_get('max_execution_time') . "s";
-        
+        $memory_usage = memory_get_usage(true);
+        $memory_limit = ini_get('memory_limit');
+        $memory_status = 'info';
+        if ($memory_limit && $memory_limit !== '-1') {
+            $memory_limit_bytes = $this->parse_memory_limit($memory_limit);
+            if ($memory_limit_bytes > 0 && $memory_usage / $memory_limit_bytes > 0.9) {
+                $memory_status = 'warn';
+            }
+        }
+        $checks = [
+            $this->make_check('PHP Memory Limit', $memory_limit),
+            $this->make_check('PHP Memory Usage', round($memory_usage / 1024 / 1024, 2) . " MB", $memory_status),
+            $this->make_check('PHP Max Execution Time', ini_get('max_execution_time') . "s"),
+        ];
         if (function_exists('sys_getloadavg')) {
             $load = sys_getloadavg();
             if ($load) {
-                $diagnostics[] = "System Load: " . implode(', ', array_slice($load, 0, 3));
+                $checks[] = $this->make_check('System Load', implode(', ', array_slice($load, 0, 3)), $load[0] > 5.0 ? 'warn' : 'info');
             }
         }
-        $diagnostics[] = "";
-        
+        $sections[] = $this->make_section('performance', 'Performance Information', $checks);
+
         // WordPress information
-        $diagnostics[] = "=== WordPress Configuration ===";
-        $diagnostics[] = "WP_DEBUG: " . (defined('WP_DEBUG') && WP_DEBUG ? 'YES' : 'NO');
-        $diagnostics[] = "WP_CACHE: " . (defined('WP_CACHE') && WP_CACHE ? 'YES' : 'NO');
-        $diagnostics[] = "DOING_AJAX: " . (wp_doing_ajax() ? 'YES' : 'NO');
-        $diagnostics[] = "Is Admin: " . (is_admin() ? 'YES' : 'NO');
-        $diagnostics[] = "Active Plugins: " . count(get_option('active_plugins', []));
-        $diagnostics[] = "";
-        
+        $wp_cache = defined('WP_CACHE') && WP_CACHE;
+        $sections[] = $this->make_section('wordpress', 'WordPress Configuration', [
+            $this->make_check('WP_DEBUG', defined('WP_DEBUG') && WP_DEBUG ? 'YES' : 'NO'),
+            $this->make_check('WP_CACHE', $wp_cache ? 'YES' : 'NO', $wp_cache ? 'pass' : 'warn'),
+            $this->make_check('DOING_AJAX', wp_doing_ajax() ? 'YES' : 'NO'),
+            $this->make_check('Is Admin', is_admin() ? 'YES' : 'NO'),
+            $this->make_check('Active Plugins', count(get_option('active_plugins', []))),
+        ]);
+
         // Recent issues
         $recent_issues = get_transient('ace_redis_recent_issues');
         if ($recent_issues && is_array($recent_issues)) {
-            $diagnostics[] = "=== Recent Issues ===";
-            $diagnostics[] = "Issue Count (last 10 minutes): " . count($recent_issues);
+            $checks = [
+                $this->make_check('Issue Count (last 10 minutes)', count($recent_issues), count($recent_issues) > 5 ? 'fail' : 'warn'),
+            ];
             foreach (array_slice($recent_issues, -5) as $issue_time) {
-                $diagnostics[] = "  - Issue at " . date('Y-m-d H:i:s', $issue_time);
+                $checks[] = $this->make_check('', "  - Issue at " . date('Y-m-d H:i:s', $issue_time), 'warn');
             }
-            $diagnostics[] = "";
+            $sections[] = $this->make_section('recent_issues', 'Recent Issues', $checks);
         }
-        
+
         // Test operations
-        $diagnostics[] = "=== Connection Test ===";
         $test_result = $this->redis_connection->test_operations();
         if ($test_result['success']) {
-            $diagnostics[] = "Write Test: " . $test_result['write'];
-            $diagnostics[] = "Read Test: " . $test_result['read'];
-            $diagnostics[] = "Test Value: " . $test_result['value'];
+            $checks = [
+                $this->make_check('Write Test', $test_result['write'], 'pass'),
+                $this->make_check('Read Test', $test_result['read'], 'pass'),
+                $this->make_check('Test Value', $test_result['value']),
+            ];
         } else {
-            $diagnostics[] = "Test Failed: " . $test_result['error'];
+            $checks = [ $this->make_check('Test Failed', $test_result['error'], 'fail') ];
         }
-        
-        return $diagnostics;
+        $sections[] = $this->make_section('connection_test', 'Connection Test', $checks);
+
+        $summary = ['pass' => 0, 'warn' => 0, 'fail' => 0, 'info' => 0];
+        foreach ($sections as $section) {
+            foreach ($section['checks'] as $check) {
+                $summary[$check['status']]++;
+            }
+        }
+
+        return [
+            'generated_at' => gmdate('c'),
+            'summary' => $summary,
+            'sections' => $sections,
+        ];
     }
-    
+
+    /**
+     * Build a single diagnostics check row
+     *
+     * @param string $label Check label ('' for free-form lines)
+     * @param mixed $value Display value
+     * @param string $status pass|warn|fail|info
+     * @return array
+     */
+    private function make_check($label, $value, $status = 'info') {
+        return [
+            'label' => (string) $label,
+            'value' => is_scalar($value) ? (string) $value : wp_json_encode($value),
+            'status' => $status,
+        ];
+    }
+
+    /**
+     * Build a diagnostics section whose status is the worst of its checks
+     *
+     * @param string $id Stable section identifier
+     * @param string $title Human-readable title
+     * @param array $checks Checks built with make_check()
+     * @return array
+     */
+    private function make_section($id, $title, array $checks) {
+        $rank = ['info' => 0, 'pass' => 1, 'warn' => 2, 'fail' => 3];
+        $status = 'info';
+        foreach ($checks as $check) {
+            if ($rank[$check['status']] > $rank[$status]) {
+                $status = $check['status'];
+            }
+        }
+        return [
+            'id' => $id,
+            'title' => $title,
+            'status' => $status,
+            'checks' => $checks,
+        ];
+    }
+
     /**
      * Get plugin version
      *
@@ -182,6 +182,8 @@ $ace_rc_object_dropin_bootstrap = ace_rc_dropin_status_bootstrap('object', $sett
         .ace-redis-sidebar .nav-tab[href="#caching"]::before { content: "\f226"; }
         .ace-redis-sidebar .nav-tab[href="#exclusions"]::before { content: "\f536"; }
         .ace-redis-sidebar .nav-tab[href="#woocommerce"]::before { content: "\f174"; }
+        .ace-redis-sidebar .nav-tab[href="#warmup"]::before { content: "\f311"; }
+        .ace-redis-sidebar .nav-tab[href="#keys"]::before { content: "\f163"; }
         .ace-redis-sidebar .nav-tab[href="#diagnostics"]::before { content: "\f239"; }
         .ace-redis-sidebar .nav-tab.nav-tab-active { font-weight: 900; }
         .ace-redis-sidebar .nav-tab.nav-tab-active::before { opacity: 1; }
@@ -273,6 +275,8 @@ $ace_rc_object_dropin_bootstrap = ace_rc_dropin_status_bootstrap('object', $sett
                 <?php if (class_exists('WooCommerce')) : ?>
                 <a href="#woocommerce" class="nav-tab"><span class="ace-rc-tab-icon"></span><span>WooCommerce</span></a>
                 <?php endif; ?>
+                <a href="#warmup" class="nav-tab"><span class="ace-rc-tab-icon"></span><span>Warm-up</span></a>
+                <a href="#keys" class="nav-tab"><span class="ace-rc-tab-icon"></span><span>Keys</span></a>
                 <a href="#diagnostics" class="nav-tab"><span class="ace-rc-tab-icon"></span><span>Diagnostics</span></a>
             </nav>
             
@@ -284,8 +288,32 @@ $ace_rc_object_dropin_bootstrap = ace_rc_dropin_status_bootstrap('object', $sett
                         <span class="dashicons dashicons-admin-generic"></span>
                         Clear All Cache
                     </button>
+                    <button type="button" id="ace-redis-cache-purge-btn" class="button button-secondary cache-action-btn">
+                        <span class="dashicons dashicons-filter"></span>
+                        Selective Purge
+                    </button>
                 </div>
             </div>
+
+            <!-- Settings Import/Export -->
+            <div class="cache-actions-panel settings-transfer-panel">
+                <h4>Settings Transfer</h4>
+                <div class="settings-transfer-buttons">
+                    <button type="button" id="ace-redis-export-settings" class="button button-secondary">
+                        <span class="dashicons dashicons-download"></span>
+                        Export
+                    </button>
+                    <button type="button" id="ace-redis-import-settings" class="button button-secondary">
+                        <span class="dashicons dashicons-upload"></span>
+                        Import
+                    </button>
+                </div>
+                <label class="settings-transfer-option">
+                    <input type="checkbox" id="ace-redis-export-include-password" />
+                    Include Redis password in export
+                </label>
+                <input type="file" id="ace-redis-import-file" accept="application/json,.json" hidden />
+            </div>
         </div>
         
         <!-- Main Content Area -->
@@ -360,6 +388,36 @@ $ace_rc_object_dropin_bootstrap = ace_rc_dropin_status_bootstrap('object', $sett
                         </div>
                     </div>
                 </div>
+
+                <h3>Test &amp; Profiles</h3>
+                <div class="ace-connection-profiles" id="ace-connection-profiles">
+                    <p class="description">Changed connection fields are tested before they are saved. If the test fails the save is blocked, unless you save manually and choose to keep them anyway.</p>
+                    <div class="connection-test-row">
+                        <button type="button" id="connection-test-unsaved" class="button">Test These Settings</button>
+                        <span class="connection-test-result" aria-live="polite"></span>
+                    </div>
+
+                    <h4>Connection Profiles</h4>
+                    <p class="connection-profiles-empty description">No profiles yet. Save the fields above as a profile to switch between servers (for example local, staging and a managed provider).</p>
+                    <table class="widefat striped connection-profiles-table" hidden>
+                        <thead>
+                            <tr>
+                                <th scope="col">Profile</th>
+                                <th scope="col">Server</th>
+                                <th scope="col">TLS</th>
+                                <th scope="col">Test result</th>
+                                <th scope="col"><span class="screen-reader-text">Actions</span></th>
+                            </tr>
+                        </thead>
+                        <tbody></tbody>
+                    </table>
+                    <div class="connection-profile-actions">
+                        <label for="connection-profile-name">Save the fields above as</label>
+                        <input type="text" id="connection-profile-name" class="regular-text" placeholder="e.g. Staging" maxlength="60" autocomplete="off" />
+                        <button type="button" id="connection-profile-save" class="button">Save Profile</button>
+                        <button type="button" id="connection-profiles-test-all" class="button" disabled>Test All Profiles</button>
+                    </div>
+                </div>
             </div>
             <script>
             (function(){
@@ -815,7 +873,7 @@ location ~* \.(css|js|png|jpg|jpeg|gif|webp|avif|svg|ico|woff|woff2|ttf|eot|otf|
                             <textarea name="ace_redis_cache_settings[custom_transient_exclusions]" id="custom_transient_exclusions" rows="6" class="large-text code"><?php echo esc_textarea($settings['custom_transient_exclusions'] ?? ''); ?></textarea>
                             <p class="description">
                                 Exclude WordPress transients from caching.<br>
-                                Example: <code>wc_session_*</code>, <code>_transient_feed_*</code>
+                                Example: <code>wc_session_*</code>, <code>feed_*</code>
                             </p>
                         </div>
                     </div>
@@ -856,6 +914,22 @@ location ~* \.(css|js|png|jpg|jpeg|gif|webp|avif|svg|ico|woff|woff2|ttf|eot|otf|
                     </div>
                 </div>
                 
+                <div class="exclusion-tester" id="ace-exclusion-tester">
+                    <h4>🧪 Test Exclusion Rules</h4>
+                    <p class="description">Check a sample against the rules above, including edits you have not saved yet.</p>
+                    <fieldset class="exclusion-tester-modes">
+                        <legend class="screen-reader-text">Sample type</legend>
+                        <label><input type="radio" name="ace-exclusion-tester-mode" value="url" checked /> URL</label>
+                        <label><input type="radio" name="ace-exclusion-tester-mode" value="transient" /> Transient name</label>
+                        <label><input type="radio" name="ace-exclusion-tester-mode" value="content" /> HTML snippet</label>
+                    </fieldset>
+                    <label for="exclusion-tester-sample-input" class="screen-reader-text">URL</label>
+                    <input type="text" id="exclusion-tester-sample-input" class="large-text code exclusion-tester-sample" autocomplete="off" spellcheck="false" />
+                    <label for="exclusion-tester-sample-html" class="screen-reader-text">HTML snippet</label>
+                    <textarea id="exclusion-tester-sample-html" class="large-text code exclusion-tester-sample" rows="4" spellcheck="false" hidden></textarea>
+                    <div class="exclusion-tester-results" aria-live="polite"></div>
+                </div>
+
                 <div class="exclusion-help">
                     <h4>📋 Exclusion Pattern Guidelines:</h4>
                     <ul>
@@ -1000,7 +1074,195 @@ location ~* \.(css|js|png|jpg|jpeg|gif|webp|avif|svg|ico|woff|woff2|ttf|eot|otf|
             </div>
             <?php endif; ?>
             
+            <!-- Warm-up Tab -->
+            <div id="warmup" class="tab-content">
+                <h2>Cache Warm-up</h2>
+                <p class="description">Preload pages into the cache so visitors don't pay for the first, uncached request. The crawler fetches each URL like an anonymous desktop visitor and reports whether it was already cached.</p>
+
+                <div class="settings-form">
+                    <div class="setting-row">
+                        <div class="setting-label">
+                            <label>URL Sources</label>
+                        </div>
+                        <div class="setting-field warmup-sources">
+                            <label><input type="checkbox" name="ace_redis_cache_settings[warmup_source_sitemap]" id="warmup_source_sitemap" value="1" <?php checked(1, $settings['warmup_source_sitemap'] ?? 1); ?> /> Sitemap</label>
+                            <label><input type="checkbox" name="ace_redis_cache_settings[warmup_source_recent]" id="warmup_source_recent" value="1" <?php checked(1, $settings['warmup_source_recent'] ?? 1); ?> /> Home page and recent posts</label>
+                            <?php if (class_exists('WooCommerce')) : ?>
+                            <label><input type="checkbox" name="ace_redis_cache_settings[warmup_source_woocommerce]" id="warmup_source_woocommerce" value="1" <?php checked(1, $settings['warmup_source_woocommerce'] ?? 0); ?> /> WooCommerce shop, top categories and best sellers</label>
+                            <?php endif; ?>
+                            <label><input type="checkbox" name="ace_redis_cache_settings[warmup_source_custom]" id="warmup_source_custom" value="1" <?php checked(1, $settings['warmup_source_custom'] ?? 0); ?> /> Custom URLs</label>
+                            <p class="description">The sitemap is read from <code>/wp-sitemap.xml</code>, <code>/sitemap_index.xml</code> or <code>/sitemap.xml</code>, whichever exists. Only URLs on this site are fetched, at most 500 per run.</p>
+                        </div>
+                    </div>
+
+                    <div class="setting-row">
+                        <div class="setting-label">
+                            <label for="warmup_recent_count">Recent Posts / Products</label>
+                        </div>
+                        <div class="setting-field">
+                            <input type="number" min="1" max="200" step="1" name="ace_redis_cache_settings[warmup_recent_count]" id="warmup_recent_count" value="<?php echo esc_attr($settings['warmup_recent_count'] ?? 20); ?>" class="small-text" />
+                            <p class="description">How many of the newest posts (and best-selling products, with WooCommerce) to warm.</p>
+                        </div>
+                    </div>
+
+                    <div class="setting-row">
+                        <div class="setting-label">
+                            <label for="warmup_custom_urls">Custom URLs</label>
+                        </div>
+                        <div class="setting-field">
+                            <textarea name="ace_redis_cache_settings[warmup_custom_urls]" id="warmup_custom_urls" rows="4" class="large-text code" placeholder="<?php echo esc_attr(home_url('/landing-page/')); ?>&#10;/shop/" spellcheck="false"><?php echo esc_textarea($settings['warmup_custom_urls'] ?? ''); ?></textarea>
+                            <p class="description">One URL or path per line.</p>
+                        </div>
+                    </div>
+
+                    <div class="setting-row">
+                        <div class="setting-label">
+                            <label for="warmup_concurrency">Concurrency</label>
+                        </div>
+                        <div class="setting-field">
+                            <input type="number" min="1" max="10" step="1" name="ace_redis_cache_settings[warmup_concurrency]" id="warmup_concurrency" value="<?php echo esc_attr($settings['warmup_concurrency'] ?? 3); ?>" class="small-text" />
+                            <p class="description">Requests fetched in parallel. Each uncached page costs a full WordPress render, so keep this low on small servers.</p>
+                        </div>
+                    </div>
+
+                    <div class="setting-row">
+                        <div class="setting-label">
+                            <label for="warmup_rate">Rate Limit</label>
+                        </div>
+                        <div class="setting-field">
+                            <input type="number" min="1" max="50" step="1" name="ace_redis_cache_settings[warmup_rate]" id="warmup_rate" value="<?php echo esc_attr($settings['warmup_rate'] ?? 5); ?>" class="small-text" /> requests per second
+                        </div>
+                    </div>
+
+                    <div class="setting-row">
+                        <div class="setting-label">
+                            <label for="warmup_after_flush">Warm After Full Flush</label>
+                        </div>
+                        <div class="setting-field">
+                            <label class="ace-switch">
+                                <input type="checkbox" name="ace_redis_cache_settings[warmup_after_flush]" id="warmup_after_flush" value="1" <?php checked(1, $settings['warmup_after_flush'] ?? 0); ?> />
+                                <span class="ace-slider"></span>
+                            </label>
+                            <p class="description">Start a warm-up with the saved options above in the background whenever the whole cache is cleared.</p>
+                        </div>
+                    </div>
+                </div>
+
+                <h3>Run Warm-up</h3>
+                <div class="ace-warmup-panel" id="ace-warmup-panel">
+                    <div class="warmup-actions">
+                        <button type="button" id="warmup-start" class="button button-primary" <?php echo empty($settings['enabled']) || empty($settings['enable_page_cache']) ? 'disabled' : ''; ?>>Start Warm-up</button>
+                        <span class="description">Uses the options above, including unsaved changes.</span>
+                    </div>
+                    <p class="warmup-summary" aria-live="polite" hidden></p>
+                    <div class="warmup-results-scroll">
+                    <table class="widefat striped warmup-results" hidden>
+                        <thead>
+                            <tr>
+                                <th scope="col">URL</th>
+                                <th scope="col">Cache</th>
+                                <th scope="col">HTTP</th>
+                                <th scope="col">Time</th>
+                            </tr>
+                        </thead>
+                        <tbody></tbody>
+                    </table>
+                    </div>
+                </div>
+            </div>
+
             <!-- Diagnostics Tab -->
+            <div id="keys" class="tab-content">
+                <h2>Cache Keys</h2>
+                <p class="description">Browse the keys this plugin stores for this site. Keys are listed with SCAN, so large caches load a page at a time without blocking Redis.</p>
+
+                <h3>Selective Purge</h3>
+                <p class="description">Clear part of the cache instead of everything. Preview how many keys match, then purge them.</p>
+                <div class="ace-purge-panel" id="ace-purge-panel">
+                    <fieldset class="purge-targets">
+                        <legend class="screen-reader-text">Purge by</legend>
+                        <label><input type="radio" name="ace-purge-target" value="urls" checked /> URLs</label>
+                        <label><input type="radio" name="ace-purge-target" value="posts" /> Posts</label>
+                        <label><input type="radio" name="ace-purge-target" value="group" /> Cache group</label>
+                        <label><input type="radio" name="ace-purge-target" value="object_group" /> Object group</label>
+                        <label><input type="radio" name="ace-purge-target" value="pattern" /> Key pattern</label>
+                    </fieldset>
+
+                    <div class="purge-target-fields" data-target="urls">
+                        <label for="purge-urls">URLs or paths, one per line</label>
+                        <textarea id="purge-urls" rows="4" class="large-text code" placeholder="<?php echo esc_attr(home_url('/landing-page/')); ?>&#10;/shop/" spellcheck="false"></textarea>
+                        <p class="description">Covers the page with and without a trailing slash, every query-string variant (unless you give one), both schemes and devices, and its minified copy.</p>
+                    </div>
+                    <div class="purge-target-fields" data-target="posts" hidden>
+                        <label for="purge-post-search">Find posts by title or slug, or enter an ID</label>
+                        <input type="search" id="purge-post-search" class="regular-text" autocomplete="off" />
+                        <ul class="purge-post-results" aria-live="polite"></ul>
+                        <ul class="purge-post-list" aria-label="Posts to purge"></ul>
+                    </div>
+                    <div class="purge-target-fields" data-target="group" hidden>
+                        <span class="purge-field-label">Cache groups</span>
+                        <label class="purge-group-option"><input type="checkbox" class="purge-group" value="page" /> Pages</label>
+                        <label class="purge-group-option"><input type="checkbox" class="purge-group" value="minified" /> Minified pages</label>
+                        <label class="purge-group-option"><input type="checkbox" class="purge-group" value="blocks" /> Blocks</label>
+                        <label class="purge-group-option"><input type="checkbox" class="purge-group" value="transients" /> Transients</label>
+                    </div>
+                    <div class="purge-target-fields" data-target="object_group" hidden>
+                        <label for="purge-object-groups">Object cache groups, one per line</label>
+                        <textarea id="purge-object-groups" rows="3" class="large-text code" placeholder="posts&#10;terms" spellcheck="false"></textarea>
+                        <p class="description">Needs the object-cache drop-in.</p>
+                    </div>
+                    <div class="purge-target-fields" data-target="pattern" hidden>
+                        <label for="purge-patterns">Key patterns, one per line</label>
+                        <textarea id="purge-patterns" rows="3" class="large-text code" placeholder="page_cache:/blog/*&#10;transient:feed_*" spellcheck="false"></textarea>
+                        <p class="description">Use * and ? wildcards. Only keys this plugin manages for this site are purged.</p>
+                    </div>
+
+                    <div class="purge-actions">
+                        <button type="button" id="purge-preview" class="button">Preview</button>
+                        <button type="button" id="purge-run" class="button button-primary" disabled>Purge</button>
+                        <button type="button" id="purge-stop" class="button-link" hidden>Stop</button>
+                    </div>
+                    <div class="purge-progress" hidden>
+                        <progress max="1" value="0"></progress>
+                    </div>
+                    <p class="purge-status description" aria-live="polite"></p>
+                    <ul class="purge-sample" hidden></ul>
+                </div>
+
+                <h3>Browse Keys</h3>
+
+                <div class="ace-key-browser" id="ace-key-browser">
+                    <div class="key-browser-toolbar">
+                        <label for="key-browser-type" class="screen-reader-text">Key type</label>
+                        <select id="key-browser-type">
+                            <option value="all">All types</option>
+                            <option value="page">Pages</option>
+                            <option value="minified">Minified pages</option>
+                            <option value="blocks">Blocks</option>
+                            <option value="transients">Transients</option>
+                        </select>
+                        <label for="key-browser-search" class="screen-reader-text">Key prefix</label>
+                        <input type="search" id="key-browser-search" class="regular-text code" placeholder="Key prefix, e.g. /shop/ or wc_session_" autocomplete="off" spellcheck="false" />
+                        <button type="button" id="key-browser-refresh" class="button">Search</button>
+                    </div>
+                    <table class="widefat striped key-browser-table">
+                        <thead>
+                            <tr>
+                                <th scope="col">Key</th>
+                                <th scope="col">Type</th>
+                                <th scope="col">TTL</th>
+                                <th scope="col">Size</th>
+                                <th scope="col">Compression</th>
+                                <th scope="col"><span class="screen-reader-text">Actions</span></th>
+                            </tr>
+                        </thead>
+                        <tbody></tbody>
+                    </table>
+                    <p class="key-browser-status description" aria-live="polite"></p>
+                    <button type="button" id="key-browser-more" class="button" hidden>Load more</button>
+                </div>
+            </div>
+
             <div id="diagnostics" class="tab-content">
                 <h2>System Diagnostics</h2>
                 
@@ -1019,7 +1281,71 @@ location ~* \.(css|js|png|jpg|jpeg|gif|webp|avif|svg|ico|woff|woff2|ttf|eot|otf|
                         </div>
                     </div>
                 </div>
-                
+
+                <h3>Redis Server</h3>
+                <p class="description">INFO sections and the memory, eviction and persistence settings of the Redis server this site uses, with risky values highlighted.</p>
+                <div class="ace-server-info-panel" id="ace-server-info-panel">
+                    <div class="server-info-toolbar">
+                        <button type="button" id="server-info-load" class="button" <?php echo empty($settings['enabled']) ? 'disabled' : ''; ?>>Load Server Details</button>
+                        <span class="server-info-status" aria-live="polite"></span>
+                    </div>
+                    <div class="server-info-body" hidden>
+                        <dl class="server-info-summary"></dl>
+                        <h4>Checks</h4>
+                        <ul class="server-info-checks"></ul>
+                        <h4>Configuration</h4>
+                        <div class="server-info-config"></div>
+                        <h4>INFO Sections</h4>
+                        <div class="server-info-sections"></div>
+                    </div>
+                </div>
+
+                <h3>Cache Status Check</h3>
+                <p class="description">Fetch a page and see whether it is served from the page cache, and if not, why.</p>
+                <div class="ace-cache-status-check" id="ace-cache-status-check">
+                    <div class="cache-status-row">
+                        <label for="cache-status-url" class="screen-reader-text">URL or path</label>
+                        <input type="text" id="cache-status-url" class="large-text code" placeholder="<?php echo esc_attr(home_url('/')); ?>" autocomplete="off" spellcheck="false" />
+                        <button type="button" id="cache-status-run" class="button button-primary">Check</button>
+                    </div>
+                    <fieldset class="cache-status-as">
+                        <legend class="screen-reader-text">Fetch as</legend>
+                        <label><input type="radio" name="ace-cache-status-as" value="guest" checked /> Guest</label>
+                        <label><input type="radio" name="ace-cache-status-as" value="logged_in" /> Logged in as you</label>
+                    </fieldset>
+                    <details class="cache-status-extra">
+                        <summary>Cookies and query string</summary>
+                        <label for="cache-status-cookies">Cookies</label>
+                        <input type="text" id="cache-status-cookies" class="large-text code" placeholder="woocommerce_items_in_cart=1; my_cookie=value" autocomplete="off" spellcheck="false" />
+                        <label for="cache-status-query">Query string</label>
+                        <input type="text" id="cache-status-query" class="large-text code" placeholder="utm_source=newsletter&amp;ref=42" autocomplete="off" spellcheck="false" />
+                    </details>
+                    <div class="cache-status-result" aria-live="polite"></div>
+                </div>
+
+                <h3>Slow Operations</h3>
+                <p class="description">Object cache operations that took 100ms or longer, with the request that triggered them. Define <code>ACE_OC_SLOW_MS</code> in wp-config.php to change the threshold (0 turns the log off).</p>
+                <div class="ace-slow-log" id="ace-slow-log">
+                    <div class="slow-log-toolbar">
+                        <button type="button" id="slow-log-load" class="button" <?php echo empty($settings['enabled']) ? 'disabled' : ''; ?>>Load Slow Log</button>
+                        <label for="slow-log-filter" class="screen-reader-text">Filter</label>
+                        <input type="search" id="slow-log-filter" class="regular-text" placeholder="Filter by key, group, command or URL" autocomplete="off" spellcheck="false" />
+                        <label for="slow-log-view" class="screen-reader-text">View</label>
+                        <select id="slow-log-view">
+                            <option value="entries" selected>Each operation</option>
+                            <option value="pattern">Grouped by key pattern</option>
+                            <option value="group">Grouped by cache group</option>
+                        </select>
+                        <button type="button" id="slow-log-export" class="button" disabled>Export CSV</button>
+                        <button type="button" id="slow-log-reset" class="button button-link-delete" disabled>Clear Log</button>
+                        <span class="slow-log-status" aria-live="polite"></span>
+                    </div>
+                    <table class="widefat striped slow-log-table" hidden>
+                        <thead></thead>
+                        <tbody></tbody>
+                    </table>
+                </div>
+
                 <h3>System Diagnostics</h3>
                 <div class="diagnostics-panel">
                     <button type="button" id="ace-redis-cache-diagnostics-btn" class="button button-primary">Run Diagnostics</button>
@@ -1042,14 +1368,19 @@ location ~* \.(css|js|png|jpg|jpeg|gif|webp|avif|svg|ico|woff|woff2|ttf|eot|otf|
                         <option value="60">Auto-refresh 1min</option>
                     </select>
                     <span id="refresh-timer" style="margin-left: 10px; color: #666; font-size: 12px;"></span>
+                    <select id="metrics-history-window" class="button-small" style="margin-left: 10px; height: 28px;" aria-label="Trend window">
+                        <option value="300" selected>Trend: last 5 min</option>
+                        <option value="1800">Trend: last 30 min</option>
+                        <option value="0">Trend: this session</option>
+                    </select>
                 </h3>
                 <div id="performance-metrics" class="metrics-grid">
-                    <div class="metric-card">
+                    <div class="metric-card" data-metric="cache_hit_rate">
                         <h4>Cache Hit Rate</h4>
                         <div class="metric-value">--</div>
                         <div class="metric-description">Percentage of cache requests that were hits</div>
                     </div>
-                    <div class="metric-card">
+                    <div class="metric-card" data-metric="total_keys">
                         <h4>Total Keys</h4>
                         <div class="metric-value">--</div>
                         <div class="metric-description">Number of keys stored in Redis</div>
@@ -1069,7 +1400,7 @@ location ~* \.(css|js|png|jpg|jpeg|gif|webp|avif|svg|ico|woff|woff2|ttf|eot|otf|
                             <div class="metric-breakdown small text-muted"></div>
                             <div class="metric-note text-muted small"></div>
                     </div>
-                    <div class="metric-card">
+                    <div class="metric-card" data-metric="response_time">
                         <h4>Response Time</h4>
                         <div class="metric-value">--</div>
                         <div class="metric-description">Redis query response time</div>
@@ -1084,7 +1415,7 @@ location ~* \.(css|js|png|jpg|jpeg|gif|webp|avif|svg|ico|woff|woff2|ttf|eot|otf|
                         <div class="metric-value">--</div>
                         <div class="metric-description">Active connections to Redis <span class="metric-note" style="display:none;"></span></div>
                     </div>
-                    <div class="metric-card">
+                    <div class="metric-card" data-metric="ops_per_sec">
                         <h4>Operations/sec</h4>
                         <div class="metric-value">--</div>
                         <div class="metric-description">Redis operations per second</div>
@@ -1137,21 +1468,21 @@ location ~* \.(css|js|png|jpg|jpeg|gif|webp|avif|svg|ico|woff|woff2|ttf|eot|otf|
         });
     });
 
-    // Clear cache fallback
+    // Clear cache fallback, for when the admin bundle loaded but did not bind the button
     var flushBtn = document.getElementById('ace-redis-cache-flush-btn');
-    if (flushBtn && typeof jQuery === 'undefined') {
-        flushBtn.addEventListener('click', function(){
-            if (!window.fetch) { alert('Fetch API not available'); return; }
-            var restBase = (window.ace_redis_admin && ace_redis_admin.rest_url) ? ace_redis_admin.rest_url : (window.location.origin + '/wp-json/');
-            var url = restBase.replace(/\/$/, '') + '/ace-redis-cache/v1/flush-cache';
-            fetch(url, { method:'POST', credentials:'same-origin', headers:{'Content-Type':'application/x-www-form-urlencoded','X-WP-Nonce': (window.ace_redis_admin? ace_redis_admin.rest_nonce : '')}, body:'nonce='+(window.ace_redis_admin? encodeURIComponent(ace_redis_admin.nonce):'') })
-                .then(r=>r.json()).then(function(json){
-                    if (json && json.success) {
-                        flushBtn.disabled = false;
-                        flushBtn.blur();
-                        alert('Cache cleared');
-                    } else { alert('Failed to clear cache'); }
-                }).catch(function(){ alert('Error clearing cache'); });
+    if (flushBtn) {
+        flushBtn.addEventListener('click', function(e){
+            // Checked once every handler has run: the admin bundle's own handler prevents the default
+            setTimeout(function(){
+                var api = window.AceRedisCacheApi;
+                var toast = window.AceRedisCacheToast;
+                if (e.defaultPrevented || !api || !toast) return;
+                api.flushCache().then(function(){
+                    flushBtn.disabled = false;
+                    flushBtn.blur();
+                    toast.success('Cache cleared');
+                }).catch(function(error){ toast.error(error.message || 'Failed to clear cache'); });
+            }, 0);
         });
     }
 
@@ -1209,6 +1540,8 @@ location ~* \.(css|js|png|jpg|jpeg|gif|webp|avif|svg|ico|woff|woff2|ttf|eot|otf|
             current.classList.remove('active', 'is-leaving');
             next.classList.add('active');
             animating = false;
+            // The admin bundle loads and refreshes the shown tab's script
+            document.dispatchEvent(new CustomEvent('ace-redis-tab-shown', { detail: { target: target } }));
         }, 170);
     }
 
@@ -1235,23 +1568,14 @@ location ~* \.(css|js|png|jpg|jpeg|gif|webp|avif|svg|ico|woff|woff2|ttf|eot|otf|
 (function($){
     if (!$ || typeof ace_redis_admin === 'undefined') return;
 
-    function restGet(path) {
-        return $.ajax({
-            url: ace_redis_admin.rest_url + path,
-            type: 'GET',
-            timeout: 5000,
-            beforeSend: function(xhr){ xhr.setRequestHeader('X-WP-Nonce', ace_redis_admin.rest_nonce); }
-        });
+    // Shared REST client from the admin bundle (loaded in the footer, so looked up on use)
+    function api() {
+        return window.AceRedisCacheApi || null;
     }
 
-    function restPost(path, data) {
-        return $.ajax({
-            url: ace_redis_admin.rest_url + path,
-            type: 'POST',
-            data: data,
-            timeout: 8000,
-            beforeSend: function(xhr){ xhr.setRequestHeader('X-WP-Nonce', ace_redis_admin.rest_nonce); }
-        });
+    // The admin page's toast stack, set up by the admin bundle once the DOM is ready
+    function notify(message, type) {
+        if (window.AceRedisCacheToast) window.AceRedisCacheToast.show(message, type);
     }
 
     function describeStatus(d) {
@@ -1282,15 +1606,17 @@ location ~* \.(css|js|png|jpg|jpeg|gif|webp|avif|svg|ico|woff|woff2|ttf|eot|otf|
     }
 
     function refreshDropinStatus() {
-        restGet('ace-redis-cache/v1/dropins-status').done(function(resp){
-            if (!resp || !resp.success || !resp.data) return;
+        if (!api()) return;
+        api().dropinsStatus().then(function(resp){
+            if (!resp || !resp.data) return;
             renderDropinBox('advanced', resp.data.advanced || null);
             renderDropinBox('object', resp.data.object || null);
-        }).fail(function(xhr, textStatus){
+        }).catch(function(error){
+            if (error.aborted) return;
             var meta = 'Drop-in status request failed.';
-            if (xhr && xhr.status === 401) {
+            if (error.status === 401 || error.status === 403) {
                 meta = 'Permission or nonce error while checking drop-in status. Refresh the page and try again.';
-            } else if (textStatus === 'timeout') {
+            } else if (error.timedOut) {
                 meta = 'Drop-in status check timed out. You can still save settings or retry.';
             }
 
@@ -1307,29 +1633,18 @@ location ~* \.(css|js|png|jpg|jpeg|gif|webp|avif|svg|ico|woff|woff2|ttf|eot|otf|
     $(document).on('click', '.ace-rc-dropin-update', function(){
         var type = $(this).data('dropin');
         var $btn = $(this);
-        if (!type) return;
+        if (!type || !api()) return;
         if (!window.confirm('Update this active drop-in to the latest plugin version?')) return;
 
         var original = $btn.text();
         $btn.prop('disabled', true).text('Updating...');
 
-        restPost('ace-redis-cache/v1/dropins-update', {
-            nonce: ace_redis_admin.nonce,
-            type: type
-        }).done(function(resp){
-            if (resp && resp.success) {
-                alert((resp.data && resp.data.message) || 'Drop-in update completed.');
-            } else {
-                // Show the specific reason (e.g. "... is not writable: /path") instead of a generic failure.
-                alert((resp && resp.data && resp.data.message) || 'Drop-in update failed.');
-            }
-        }).fail(function(xhr){
-            var msg = 'Drop-in update request failed.';
-            if (xhr && xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message) {
-                msg = xhr.responseJSON.data.message;
-            }
-            alert(msg);
-        }).always(function(){
+        api().updateDropin(type).then(function(resp){
+            notify((resp && resp.data && resp.data.message) || 'Drop-in update completed.', 'success');
+        }).catch(function(error){
+            // Show the specific reason (e.g. "... is not writable: /path") instead of a generic failure.
+            notify((error.data && error.data.message) || error.message || 'Drop-in update request failed.', 'error');
+        }).finally(function(){
             $btn.prop('disabled', false).text(original);
             refreshDropinStatus();
         });
@@ -1473,14 +1788,15 @@ location ~* \.(css|js|png|jpg|jpeg|gif|webp|avif|svg|ico|woff|woff2|ttf|eot|otf|
     }
 
     function refreshTransientHealthOverride() {
-        $.ajax({
-            url: ace_redis_admin.rest_url + 'ace-redis-cache/v1/health',
-            type: 'GET',
-            beforeSend: function(xhr){ xhr.setRequestHeader('X-WP-Nonce', ace_redis_admin.rest_nonce); }
-        }).done(function(resp){
-            if (resp && resp.success && resp.data) {
+        // Shared REST client from the admin bundle (loaded in the footer, so looked up on use)
+        var api = window.AceRedisCacheApi;
+        if (!api) return;
+        api.health().then(function(resp){
+            if (resp && resp.data) {
                 renderTransientHealth(resp.data);
             }
+        }).catch(function(){
+            // Superseded or failed: the badge keeps its last state
         });
     }
 
@@ -123,6 +123,13 @@ if (!class_exists('WP_Object_Cache')) {
         // deploy, corruption) as a cache MISS instead of returning a corrupt type.
         private const WIRE_VERSION = 2;
 
+        // Slow log: operations at or above ACE_OC_SLOW_MS (default 100ms) are kept
+        // per request and pushed to one capped Redis list at shutdown, so the admin
+        // Diagnostics tab can show what was slow and which URL triggered it.
+        private const SLOW_LOG_MAX = 500;
+        private const SLOW_LOG_PER_REQUEST = 20;
+        private const SLOW_LOG_TTL = 604800; // 7 days after the last slow op
+
         // Backstop TTL (seconds) for writes that pass no explicit expiry. WP's object
         // cache normally stores with no TTL, so keys live forever in Redis/ElastiCache
         // and accumulate across deploys (the stale-key build-up behind the foreign-format
@@ -173,6 +180,8 @@ if (!class_exists('WP_Object_Cache')) {
         protected $runtime    = [];      // in-request store
         protected $bypass     = false;   // request-scoped fail-open
         protected $slow_threshold_ms = 50; // Reduced from 100ms to 50ms
+        protected $slow_log_ms = 100;      // slow log threshold (ACE_OC_SLOW_MS, 0 turns it off)
+        protected $slow_ops = [];          // this request's slow ops, written at shutdown
 
         // Write-through groups even when bypassing (for guest freshness)
         protected $write_through_groups = [
@@ -217,6 +226,8 @@ if (!class_exists('WP_Object_Cache')) {
                 || (isset($_GET['ace_oc_bypass']) && $_GET['ace_oc_bypass'] == '1');
             if ($emergency_bypass) { $this->bypass = true; }
 
+            if (defined('ACE_OC_SLOW_MS')) { $this->slow_log_ms = max(0, (int) ACE_OC_SLOW_MS); }
+
             // Auto-bypass for admin/editor/REST/logged-in - improved early detection
             $logged_in_cookie = defined('LOGGED_IN_COOKIE') ? LOGGED_IN_COOKIE : 'wordpress_logged_in_';
             $is_logged_in_cookie = false;
@@ -696,6 +707,67 @@ if (!class_exists('WP_Object_Cache')) {
             error_log(sprintf('%s %s %.1fms%s', $type, $key, $ms, $extra));
         }
 
+        /**
+         * Remember a slow Redis operation for the slow log.
+         *
+         * @param string $cmd Redis command, e.g. GET
+         * @param string $group Cache group
+         * @param string $key Cache key (without namespace)
+         * @param float $ms Duration in milliseconds
+         * @param mixed $data Value read or written, for its serialized size (null when none)
+         */
+        protected function record_slow_op($cmd, $group, $key, $ms, $data = null) {
+            if ($this->slow_log_ms <= 0 || $ms < $this->slow_log_ms) { return; }
+            if (count($this->slow_ops) >= self::SLOW_LOG_PER_REQUEST) { return; }
+            if (!$this->slow_ops && function_exists('add_action')) {
+                add_action('shutdown', [$this, 'flush_slow_ops']);
+            }
+
+            $bytes = null;
+            if ($data !== null) {
+                // Same bytes phpredis' PHP serializer sends; only paid for slow ops
+                $payload = @serialize($this->encode_for_store($data));
+                $bytes = is_string($payload) ? strlen($payload) : null;
+            }
+            $url = (defined('WP_CLI') && WP_CLI) ? 'cli' : (string) ($_SERVER['REQUEST_URI'] ?? '');
+
+            $this->slow_ops[] = [
+                't' => time(),
+                'cmd' => $cmd,
+                'group' => (string) $group,
+                'key' => substr((string) $key, 0, 200),
+                'ms' => round($ms, 1),
+                'bytes' => $bytes,
+                'url' => substr($url, 0, 300),
+            ];
+        }
+
+        /**
+         * Redis list holding this site's slow log, newest first. Kept outside the
+         * namespace so object cache flushes do not wipe it.
+         *
+         * @return string
+         */
+        public function slow_log_key() {
+            return 'ace_slowlog:' . rtrim($this->namespace . $this->blog_prefix, ':');
+        }
+
+        /**
+         * Write this request's slow ops to the slow log (shutdown hook).
+         * rawCommand skips the phpredis serializer so entries stay plain JSON.
+         */
+        public function flush_slow_ops() {
+            if (!$this->slow_ops || !$this->is_connected()) { return; }
+            $entries = array_map('json_encode', array_reverse($this->slow_ops));
+            $this->slow_ops = [];
+            $key = $this->slow_log_key();
+            try {
+                $this->redis->rawCommand('LPUSH', $key, ...$entries);
+                $this->redis->rawCommand('LTRIM', $key, 0, self::SLOW_LOG_MAX - 1);
+                $this->redis->rawCommand('EXPIRE', $key, self::SLOW_LOG_TTL);
+            } catch (\Throwable $t) {}
+        }
+
         protected function runtime_get($group, $key, &$found) {
             if (isset($this->runtime[$group]) && array_key_exists($key, $this->runtime[$group])) {
                 $found = true; return $this->runtime[$group][$key];
@@ -846,7 +918,9 @@ if (!class_exists('WP_Object_Cache')) {
             $k = $this->k($key, $group);
             $payload = $this->encode_for_store($data);
             try {
+                $redis_start = microtime(true);
                 $ok = (bool)$this->redis->set($k, $payload, ['nx','ex'=>$this->effective_ttl($expire)]);
+                $this->record_slow_op('SET NX', $group, $key, (microtime(true) - $redis_start) * 1000, $data);
                 if ($ok) {
                     $this->runtime_set($group, $key, $data);
                     $this->stat_inc('persist_writes');
@@ -907,6 +981,7 @@ if (!class_exists('WP_Object_Cache')) {
                 }
                 
                 $this->prof_log('REDIS_SET', $group . ':' . $key, $total_time, sprintf(' redis=%.1fms exp=%d', $redis_time, $expire));
+                $this->record_slow_op('SETEX', $group, $key, $total_time, $data);
                 return $result;
             } catch (\Throwable $e) { 
                 $this->bypass = true; 
@@ -1027,6 +1102,7 @@ if (!class_exists('WP_Object_Cache')) {
                     $found = false; 
                     $this->stat_inc('redis_misses');
                     $this->prof_log('REDIS_MISS', $group . ':' . $key, (microtime(true) - $start_time) * 1000, sprintf(' redis=%.1fms', $redis_time));
+                    $this->record_slow_op('GET', $group, $key, (microtime(true) - $start_time) * 1000);
                     return false; 
                 }
                 
@@ -1060,6 +1136,7 @@ if (!class_exists('WP_Object_Cache')) {
                 $found = true; 
                 $this->stat_inc('redis_hits');
                 $this->prof_log('REDIS_HIT', $group . ':' . $key, (microtime(true) - $start_time) * 1000, sprintf(' redis=%.1fms', $redis_time));
+                $this->record_slow_op('GET', $group, $key, (microtime(true) - $start_time) * 1000, $out);
                 return $out;
             } catch (\Throwable $e) { 
                 $this->bypass = true; 
@@ -1145,7 +1222,9 @@ if (!class_exists('WP_Object_Cache')) {
             if (!$this->can_persist_to_redis($group, $key)) return true;
             $k = $this->k($key, $group);
             try {
+                $redis_start = microtime(true);
                 $deleted = (bool)$this->redis->del($k);
+                $this->record_slow_op('DEL', $group, $key, (microtime(true) - $redis_start) * 1000);
                 if ($deleted) {
                     $this->stat_inc('persist_deletes');
                 }
@@ -1239,10 +1318,23 @@ if (!class_exists('WP_Object_Cache')) {
                     } while ($it > 0);
                 }
             } catch (\Throwable $e) { $this->bypass = true; }
-            
+
             return true;
         }
 
+        /**
+         * Literal Redis key prefix of a group (global or this blog's scope), as used by k().
+         * Lets the admin purge panel count and delete a group over its own connection,
+         * even on admin requests where this drop-in bypasses Redis.
+         *
+         * @param string $group Cache group
+         * @return string
+         */
+        public function group_key_prefix($group) {
+            $group = $group ?: 'default';
+            return $this->namespace . ($this->is_global_group($group) ? 'g:' : $this->blog_prefix) . $group . ':';
+        }
+
         /**
          * Get multiple values from cache
          * 
@@ -0,0 +1,316 @@
+/**
+ * ApiClient for Ace Redis Cache
+ *
+ * The one place admin code talks to the REST API: builds route URLs, sends
+ * the REST and plugin nonces, applies a timeout, normalises every failure
+ * (HTTP errors, WP_Error bodies and `{success:false}` bodies) into an
+ * ApiError, cancels superseded requests that share a key, and refreshes
+ * expired nonces once before retrying a 403.
+ *
+ * Requests go through jQuery.ajax, so document-level ajaxSuccess and
+ * ajaxComplete handlers keep seeing them.
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+const $ = window.jQuery;
+
+const NAMESPACE = 'ace-redis-cache/v1';
+
+// 403 codes that mean "nonce expired" rather than "not allowed" (rest_forbidden is a missing capability)
+export const NONCE_ERRORS = ['rest_cookie_invalid_nonce', 'ace_rc_invalid_nonce'];
+
+/**
+ * A failed request. Same fields as SaveBar's failure objects.
+ *
+ * status is 0 for network errors, timeouts and aborts. message is the
+ * server's message, or empty when it did not send one.
+ */
+export class ApiError extends Error {
+    constructor({ status = 0, code = '', message = '', data = null, aborted = false, timedOut = false } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.ok = false;
+        this.status = status;
+        this.code = code;
+        this.data = data;
+        this.aborted = aborted;
+        this.timedOut = timedOut;
+    }
+
+    /**
+     * From a failed jqXHR, or a 2xx response whose body says success: false.
+     *
+     * @param {Object|null} xhr jqXHR
+     * @param {string} textStatus jQuery's textStatus ('error', 'timeout', 'abort', ...)
+     * @param {Object|null} body Parsed response body, when already known
+     * @return {ApiError}
+     */
+    static from(xhr, textStatus = 'error', body = null) {
+        if (textStatus === 'abort') {
+            return new ApiError({ code: 'request_aborted', aborted: true });
+        }
+        if (textStatus === 'timeout') {
+            return new ApiError({ code: 'request_timeout', timedOut: true });
+        }
+        const json = body || (xhr && xhr.responseJSON) || {};
+        const status = xhr ? (xhr.status || 0) : 0;
+        return new ApiError({
+            status,
+            // Plugin routes send `error` (and sometimes `code`); WP_Error bodies send `code`
+            code: json.code || json.error || (status === 0 ? 'network_error' : ''),
+            message: typeof json.message === 'string' ? json.message : '',
+            data: json.data !== undefined ? json.data : null
+        });
+    }
+}
+
+/**
+ * Text for a failed request: the server's message, else the fallback with
+ * the reason when it was a timeout or a network error.
+ *
+ * @param {ApiError|*} error
+ * @param {string} fallback
+ * @return {string}
+ */
+export const errorMessage = (error, fallback = 'The request failed.') => {
+    if (!error) return fallback;
+    if (error.timedOut) return `${fallback} The server took too long to respond.`;
+    if (error.message) return error.message;
+    if (error.status === 0 && !error.aborted) return `${fallback} The server could not be reached.`;
+    return fallback;
+};
+
+class ApiClient {
+    constructor(options = {}) {
+        this.options = {
+            timeout: 30000,
+            ...options
+        };
+
+        // key => handle of the request that currently owns it
+        this.inflight = new Map();
+        this.nonceRefresh = null;
+    }
+
+    config() {
+        return window.ace_redis_admin || {};
+    }
+
+    url(path, namespace = NAMESPACE) {
+        return `${this.config().rest_url || ''}${namespace ? `${namespace}/` : ''}${path}`;
+    }
+
+    /**
+     * Send a request.
+     *
+     * Resolves with the response body. Rejects with an ApiError; superseded
+     * and aborted requests reject with `aborted: true`, which callers usually
+     * ignore.
+     *
+     * @param {string} method GET or POST
+     * @param {string} path Route below the namespace, e.g. "keys/inspect"
+     * @param {Object|null} data Query args (GET) or body fields (POST; the plugin nonce is added)
+     * @param {Object} options
+     * @param {string} [options.key] A newer request with the same key aborts this one
+     * @param {number} [options.timeout] Milliseconds; 0 for none
+     * @param {string} [options.namespace] REST namespace, '' for core routes under another prefix
+     * @param {boolean} [options.json] Send the body as JSON (POST)
+     * @return {Promise<Object>} With abort()
+     */
+    request(method, path, data = null, options = {}) {
+        const opts = {
+            key: null,
+            timeout: this.options.timeout,
+            namespace: NAMESPACE,
+            ...options
+        };
+        if (opts.key && this.inflight.has(opts.key)) {
+            this.inflight.get(opts.key).abort();
+        }
+
+        const handle = { xhr: null, aborted: false };
+        handle.abort = () => {
+            handle.aborted = true;
+            if (handle.xhr) handle.xhr.abort();
+        };
+        if (opts.key) this.inflight.set(opts.key, handle);
+
+        const send = () => {
+            const config = this.config();
+            const payload = method === 'GET' ? (data || undefined) : { ...(data || {}), nonce: config.nonce };
+            const json = opts.json && method !== 'GET';
+            handle.xhr = $.ajax({
+                url: this.url(path, opts.namespace),
+                method,
+                // JSON keeps types, empty lists and nesting that form encoding loses
+                ...(json ? { data: JSON.stringify(payload), contentType: 'application/json' } : { data: payload }),
+                timeout: opts.timeout,
+                beforeSend: (xhr) => {
+                    if (config.rest_nonce) xhr.setRequestHeader('X-WP-Nonce', config.rest_nonce);
+                }
+            });
+            return handle.xhr;
+        };
+
+        const promise = new Promise((resolve, reject) => {
+            const attempt = (retried) => {
+                send().done((body, _textStatus, xhr) => {
+                    if (body && typeof body === 'object' && body.success === false) {
+                        reject(ApiError.from(xhr, 'error', body));
+                        return;
+                    }
+                    resolve(body);
+                }).fail((xhr, textStatus) => {
+                    const error = ApiError.from(xhr, handle.aborted ? 'abort' : textStatus);
+                    if (retried || error.status !== 403 || !NONCE_ERRORS.includes(error.code)) {
+                        reject(error);
+                        return;
+                    }
+                    this.refreshNonces().then(() => {
+                        if (handle.aborted) {
+                            reject(ApiError.from(null, 'abort'));
+                            return;
+                        }
+                        attempt(true);
+                    }, () => reject(error));
+                });
+            };
+            attempt(false);
+        }).finally(() => {
+            if (opts.key && this.inflight.get(opts.key) === handle) this.inflight.delete(opts.key);
+        });
+        promise.abort = handle.abort;
+        return promise;
+    }
+
+    /**
+     * Call an admin-ajax action (for the few endpoints that are not REST
+     * routes). The plugin nonce is added; failures reject with an ApiError
+     * as REST requests do.
+     *
+     * @param {string} action wp_ajax_* action name
+     * @param {Object} data Extra POST fields
+     * @return {Promise<Object>}
+     */
+    ajax(action, data = {}) {
+        const config = this.config();
+        return new Promise((resolve, reject) => {
+            if (!config.ajax_url) {
+                reject(new ApiError({ code: 'ajax_unavailable' }));
+                return;
+            }
+            $.ajax({
+                url: config.ajax_url,
+                method: 'POST',
+                data: { ...data, action, nonce: config.nonce },
+                timeout: this.options.timeout
+            }).done((body, _textStatus, xhr) => {
+                if (body && typeof body === 'object' && body.success === false) {
+                    reject(ApiError.from(xhr, 'error', body));
+                    return;
+                }
+                resolve(body);
+            }).fail((xhr, textStatus) => reject(ApiError.from(xhr, textStatus)));
+        });
+    }
+
+    get(path, params = null, options = {}) {
+        return this.request('GET', path, params, options);
+    }
+
+    post(path, data = null, options = {}) {
+        return this.request('POST', path, data, options);
+    }
+
+    /**
+     * Fetch fresh nonces via admin-ajax (works on cookie auth alone) and
+     * store them in the shared config, so every later request uses them.
+     * Concurrent callers share one refresh.
+     *
+     * @return {Promise<void>}
+     */
+    refreshNonces() {
+        if (this.nonceRefresh) return this.nonceRefresh;
+
+        const config = this.config();
+        this.nonceRefresh = new Promise((resolve, reject) => {
+            if (!config.ajax_url) {
+                reject(new ApiError({ status: 403, code: 'session_expired' }));
+                return;
+            }
+            $.ajax({
+                url: config.ajax_url,
+                method: 'POST',
+                data: { action: 'ace_redis_refresh_nonces' },
+                timeout: this.options.timeout
+            }).done((json) => {
+                if (!json || !json.success || !json.data) {
+                    reject(new ApiError({ status: 403, code: 'session_expired' }));
+                    return;
+                }
+                config.nonce = json.data.nonce;
+                config.rest_nonce = json.data.rest_nonce;
+                resolve();
+            }).fail((xhr, textStatus) => reject(ApiError.from(xhr, textStatus)));
+        }).finally(() => {
+            this.nonceRefresh = null;
+        });
+        return this.nonceRefresh;
+    }
+
+    // Settings
+    getSettings() { return this.get('settings'); }
+    saveSettings(settings, revision) { return this.post('settings', { settings, revision }, { json: true }); }
+    saveAutoSavePreference(enabled) { return this.ajax('ace_redis_toggle_autosave', { enabled: enabled ? 1 : 0 }); }
+
+    // Connection
+    testConnection(connection = null) { return this.post('test-connection', connection ? { connection } : {}); }
+    testWriteRead() { return this.post('test-write-read'); }
+    connectionProfiles() { return this.get('connection-profiles'); }
+    saveConnectionProfile(name, connection) { return this.post('connection-profiles', { name, connection }); }
+    deleteConnectionProfile(id) { return this.post('connection-profiles/delete', { id }); }
+
+    // Status, metrics and diagnostics
+    status() { return this.get('status'); }
+    health() { return this.get('health', null, { key: 'health' }); }
+    metrics(scope = 'basic') { return this.get('metrics', { scope }, { key: `metrics-${scope}` }); }
+    pluginMemory() { return this.get('plugin-memory', null, { key: 'plugin-memory', timeout: 60000 }); }
+    diagnostics(format = 'structured') { return this.post('diagnostics', { format }, { timeout: 60000 }); }
+    cacheStatus(params) { return this.post('cache-status', params, { key: 'cache-status' }); }
+    slowLog() { return this.get('slow-log', null, { key: 'slow-log' }); }
+    resetSlowLog() { return this.post('slow-log/reset'); }
+
+    // Keys and purges
+    flushCache() { return this.post('flush-cache', null, { timeout: 60000 }); }
+    keys(params) { return this.get('keys', params, { key: 'keys' }); }
+    inspectKey(key) { return this.get('keys/inspect', { key }, { key: 'keys-inspect' }); }
+    deleteKey(key) { return this.post('keys/delete', { key }); }
+    previewPurge(target, values) { return this.post('purge/preview', { target, values }, { key: 'purge-preview' }); }
+    purge(target, values, cursor = '0') { return this.post('purge', { target, values, cursor }, { timeout: 60000 }); }
+
+    // Background jobs
+    jobs() { return this.get('jobs'); }
+    startJob(type, params = {}) { return this.post('jobs', { ...params, type }); }
+    job(id, since = 0) { return this.get(`jobs/${id}`, { since }, { key: `job-${id}`, timeout: 60000 }); }
+    cancelJob(id) { return this.post(`jobs/${id}/cancel`); }
+
+    // OPcache
+    opcacheReset() { return this.post('opcache-reset'); }
+    opcacheStatus() { return this.get('opcache-status', null, { key: 'opcache-status' }); }
+
+    // Drop-ins
+    dropinsStatus() { return this.get('dropins-status', null, { key: 'dropins-status', timeout: 5000 }); }
+    updateDropin(type) { return this.post('dropins-update', { type }); }
+
+    // Core routes
+    searchContent(search, params = {}) { return this.get('search', { search, ...params }, { namespace: 'wp/v2', key: 'wp-search' }); }
+    blockTypes() { return this.get('block-types', { context: 'view', _fields: 'name,title' }, { namespace: 'wp/v2' }); }
+}
+
+// Shared instance: in-flight keys and nonce refreshes are per page, not per component
+export const api = new ApiClient();
+
+// Export the ApiClient class as default for ES6 modules
+export default ApiClient;
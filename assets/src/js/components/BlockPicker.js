@@ -0,0 +1,307 @@
+/**
+ * BlockPicker Component for Ace Redis Cache
+ *
+ * Autocomplete picker for the `excluded_blocks` textarea. Registered block
+ * types come from `wp.blocks` when the editor scripts are loaded, otherwise
+ * from the core `wp/v2/block-types` REST route. Entries are written back to
+ * the textarea (one per line, comments kept) and an input event is fired so
+ * form serialisation, SaveBar change tracking and validation stay in sync.
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+import { api } from './ApiClient.js';
+import { fnmatch } from './ExclusionTester.js';
+import { checkBlock } from './FormValidator.js';
+
+const $ = window.jQuery;
+
+// Suggestions shown per namespace before the list is truncated
+const MAX_PER_NAMESPACE = 8;
+
+let nextId = 1;
+
+const isEntry = (line) => line !== '' && !line.startsWith('#');
+
+class BlockPicker {
+    constructor(options = {}) {
+        this.options = {
+            textareaSelector: '#excluded_blocks',
+            ...options
+        };
+
+        this.$textarea = $(this.options.textareaSelector);
+        if (!this.$textarea.length) return;
+
+        this.blockTypes = null;
+        this.loading = null;
+        this.suggestions = [];
+        this.activeIndex = -1;
+        this.id = `ace-block-picker-${nextId++}`;
+
+        this.render();
+        this.setupEventListeners();
+        this.renderChips();
+    }
+
+    render() {
+        this.$root = $(`
+            <div class="ace-block-picker">
+                <ul class="ace-block-picker-chips" aria-label="Excluded blocks"></ul>
+                <div class="ace-block-picker-combobox">
+                    <input type="text" class="regular-text ace-block-picker-input" role="combobox"
+                        aria-autocomplete="list" aria-expanded="false" autocomplete="off" spellcheck="false"
+                        placeholder="Search blocks, or type a pattern like woocommerce/*" />
+                    <ul class="ace-block-picker-list" role="listbox" hidden></ul>
+                </div>
+                <p class="ace-block-picker-status description" aria-live="polite"></p>
+            </div>
+        `);
+        this.$input = this.$root.find('.ace-block-picker-input')
+            .attr({ 'aria-controls': `${this.id}-list`, 'aria-label': 'Add a block to exclude' });
+        this.$list = this.$root.find('.ace-block-picker-list').attr('id', `${this.id}-list`);
+        this.$chips = this.$root.find('.ace-block-picker-chips');
+        this.$status = this.$root.find('.ace-block-picker-status');
+        this.$textarea.before(this.$root);
+    }
+
+    setupEventListeners() {
+        this.$input.on('focus', () => {
+            this.loadBlockTypes().then(() => this.updateSuggestions());
+        });
+        this.$input.on('input', () => this.updateSuggestions());
+        this.$input.on('keydown', (e) => this.handleKeydown(e));
+        this.$input.on('blur', () => {
+            // Let a click on a suggestion land before the list closes
+            setTimeout(() => this.closeList(), 150);
+        });
+
+        this.$list.on('mousedown', '[role="option"]', (e) => {
+            e.preventDefault();
+            this.add($(e.currentTarget).data('value'));
+        });
+        this.$chips.on('click', '.ace-block-picker-remove', (e) => {
+            e.preventDefault();
+            this.remove($(e.currentTarget).data('value'));
+        });
+
+        // Manual edits (and SaveBar restores) update the chips
+        this.$textarea.on('input change', () => this.renderChips());
+    }
+
+    /**
+     * Registered block types as `[{ name, title }]`, loaded once.
+     *
+     * @return {Promise<Array>}
+     */
+    loadBlockTypes() {
+        if (this.blockTypes) return Promise.resolve(this.blockTypes);
+        if (this.loading) return this.loading;
+
+        const blocks = window.wp && window.wp.blocks && typeof window.wp.blocks.getBlockTypes === 'function'
+            ? window.wp.blocks.getBlockTypes()
+            : [];
+        if (blocks.length) {
+            this.blockTypes = blocks.map((block) => ({ name: block.name, title: block.title || block.name }));
+            return Promise.resolve(this.blockTypes);
+        }
+
+        this.$status.text('Loading registered blocks…');
+        this.loading = api.blockTypes().then((response) => {
+            this.blockTypes = (Array.isArray(response) ? response : [])
+                .map((block) => ({ name: block.name, title: block.title || block.name }));
+            this.$status.text('');
+        }).catch(() => {
+            // Still usable for typed names and wildcards
+            this.blockTypes = [];
+            this.$status.text('Could not load the registered blocks. You can still type block names and patterns.');
+        }).then(() => {
+            this.loading = null;
+            this.renderChips();
+            return this.blockTypes;
+        });
+        return this.loading;
+    }
+
+    // Current entries, in textarea order
+    entries() {
+        return String(this.$textarea.val() || '').split('\n').map((line) => line.trim()).filter(isEntry);
+    }
+
+    writeValue(value) {
+        this.$textarea.val(value).trigger('input').trigger('change');
+    }
+
+    add(value) {
+        const entry = String(value || '').trim();
+        if (!entry) return;
+        if (this.entries().includes(entry)) {
+            this.$status.text(`${entry} is already excluded.`);
+        } else {
+            const current = String(this.$textarea.val() || '').replace(/\s+$/, '');
+            this.writeValue(current ? `${current}\n${entry}` : entry);
+            this.$status.text(`Added ${entry}.`);
+        }
+        this.$input.val('');
+        this.updateSuggestions();
+    }
+
+    remove(value) {
+        const lines = String(this.$textarea.val() || '').split('\n').filter((line) => line.trim() !== value);
+        this.writeValue(lines.join('\n'));
+        this.$status.text(`Removed ${value}.`);
+        this.$input.trigger('focus');
+    }
+
+    renderChips() {
+        this.$chips.empty();
+        this.entries().forEach((entry) => {
+            const $chip = $('<li class="ace-block-picker-chip"></li>');
+            $chip.append($('<code></code>').text(entry));
+
+            let title = entry;
+            if (/[*?[]/.test(entry)) {
+                $chip.addClass('is-pattern');
+                if (this.blockTypes && this.blockTypes.length) {
+                    const count = this.blockTypes.filter((block) => fnmatch(entry, block.name)).length;
+                    $chip.append($('<span class="ace-block-picker-count"></span>').text(count));
+                    title = `${entry} matches ${count} registered block${count === 1 ? '' : 's'}`;
+                }
+            } else if (this.blockTypes && this.blockTypes.length) {
+                const block = this.blockTypes.find((type) => type.name === entry);
+                if (block) {
+                    title = `${block.title} (${entry})`;
+                } else {
+                    $chip.addClass('is-unknown');
+                    title = `${entry} is not a registered block on this site`;
+                }
+            }
+            $chip.attr('title', title);
+            $chip.append(
+                $('<button type="button" class="ace-block-picker-remove"><span aria-hidden="true">×</span></button>')
+                    .attr('aria-label', `Remove ${entry}`)
+                    .data('value', entry)
+            );
+            this.$chips.append($chip);
+        });
+    }
+
+    /**
+     * Build the suggestion list for the typed query: namespace wildcards
+     * first, then matching blocks grouped by namespace.
+     */
+    updateSuggestions() {
+        const query = String(this.$input.val() || '').trim().toLowerCase();
+        const existing = this.entries();
+        const groups = {};
+
+        (this.blockTypes || []).forEach((block) => {
+            if (existing.includes(block.name)) return;
+            if (query && !block.name.includes(query) && !block.title.toLowerCase().includes(query)) return;
+            const namespace = block.name.split('/')[0];
+            (groups[namespace] = groups[namespace] || []).push(block);
+        });
+
+        this.suggestions = [];
+        // A typed pattern or unregistered name can be added as-is once it has valid syntax
+        if (query && !checkBlock(query) && !existing.includes(query) && !(this.blockTypes || []).some((block) => block.name === query)) {
+            this.suggestions.push({ value: query, label: `Add "${query}"`, group: null });
+        }
+        Object.keys(groups).sort().forEach((namespace) => {
+            const wildcard = `${namespace}/*`;
+            if (!existing.includes(wildcard)) {
+                this.suggestions.push({ value: wildcard, label: `All ${namespace} blocks`, group: namespace });
+            }
+            groups[namespace].sort((a, b) => a.name.localeCompare(b.name)).slice(0, MAX_PER_NAMESPACE).forEach((block) => {
+                this.suggestions.push({ value: block.name, label: block.title, group: namespace });
+            });
+        });
+
+        this.activeIndex = this.suggestions.length ? 0 : -1;
+        this.renderList();
+    }
+
+    renderList() {
+        this.$list.empty();
+        if (!this.suggestions.length || !this.$input.is(':focus')) {
+            this.closeList();
+            return;
+        }
+
+        let currentGroup;
+        this.suggestions.forEach((suggestion, index) => {
+            if (suggestion.group !== currentGroup) {
+                currentGroup = suggestion.group;
+                if (currentGroup) {
+                    this.$list.append($('<li class="ace-block-picker-group" role="presentation"></li>').text(currentGroup));
+                }
+            }
+            const $option = $('<li role="option"></li>')
+                .attr('id', `${this.id}-option-${index}`)
+                .attr('aria-selected', index === this.activeIndex ? 'true' : 'false')
+                .toggleClass('is-active', index === this.activeIndex)
+                .data('value', suggestion.value);
+            $option.append($('<span class="ace-block-picker-label"></span>').text(suggestion.label));
+            $option.append($('<code></code>').text(suggestion.value));
+            this.$list.append($option);
+        });
+
+        this.$list.prop('hidden', false);
+        this.$input.attr('aria-expanded', 'true');
+        this.updateActiveDescendant();
+    }
+
+    closeList() {
+        this.$list.prop('hidden', true);
+        this.$input.attr('aria-expanded', 'false').removeAttr('aria-activedescendant');
+    }
+
+    updateActiveDescendant() {
+        this.$list.find('[role="option"]').each((index, option) => {
+            const active = index === this.activeIndex;
+            $(option).toggleClass('is-active', active).attr('aria-selected', active ? 'true' : 'false');
+            if (active) option.scrollIntoView({ block: 'nearest' });
+        });
+        if (this.activeIndex >= 0) {
+            this.$input.attr('aria-activedescendant', `${this.id}-option-${this.activeIndex}`);
+        } else {
+            this.$input.removeAttr('aria-activedescendant');
+        }
+    }
+
+    handleKeydown(e) {
+        const count = this.suggestions.length;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (this.$list.prop('hidden')) {
+                this.renderList();
+                return;
+            }
+            if (!count) return;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.activeIndex = (this.activeIndex + step + count) % count;
+            this.updateActiveDescendant();
+        } else if (e.key === 'Enter') {
+            // The picker lives inside the settings form; never submit it from here
+            e.preventDefault();
+            if (this.activeIndex >= 0 && !this.$list.prop('hidden')) {
+                this.add(this.suggestions[this.activeIndex].value);
+            } else {
+                const typed = String(this.$input.val() || '').trim().toLowerCase();
+                const problem = typed ? checkBlock(typed) : null;
+                if (problem) {
+                    this.$status.text(`"${typed}" ${problem}.`);
+                } else {
+                    this.add(typed);
+                }
+            }
+        } else if (e.key === 'Escape' && !this.$list.prop('hidden')) {
+            e.preventDefault();
+            this.closeList();
+        }
+    }
+}
+
+// Export the BlockPicker class as default for ES6 modules
+export default BlockPicker;
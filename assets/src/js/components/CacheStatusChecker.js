@@ -0,0 +1,128 @@
+/**
+ * CacheStatusChecker Component for Ace Redis Cache
+ *
+ * "Cache Status Check" on the Diagnostics tab: fetches one URL through the
+ * server (as a guest or logged in, with optional cookies and query string)
+ * and shows HIT/MISS/BYPASS, the reason or matching rule, TTL remaining,
+ * age, compression, timing and the raw cache headers.
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+import { api, errorMessage } from './ApiClient.js';
+import { formatTtl } from './KeyBrowser.js';
+
+const $ = window.jQuery;
+
+const STATUS_CLASSES = {
+    HIT: 'is-hit',
+    MISS: 'is-miss',
+    BYPASS: 'is-bypass',
+    UNKNOWN: 'is-unknown'
+};
+
+class CacheStatusChecker {
+    constructor(options = {}) {
+        this.options = {
+            panelSelector: '#ace-cache-status-check',
+            ...options
+        };
+
+        this.$panel = $(this.options.panelSelector);
+        this.request = null;
+
+        if (this.$panel.length) {
+            this.setupEventListeners();
+        }
+    }
+
+    setupEventListeners() {
+        this.$panel.on('click', '#cache-status-run', (e) => {
+            e.preventDefault();
+            this.check();
+        });
+        this.$panel.on('keydown', 'input[type="text"]', (e) => {
+            // The panel sits inside the settings form; Enter checks instead of submitting
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.check();
+            }
+        });
+    }
+
+    check() {
+        const url = String(this.$panel.find('#cache-status-url').val() || '').trim();
+        const $result = this.$panel.find('.cache-status-result');
+        if (!url) {
+            $result.empty().append($('<p class="description"></p>').text('Enter a URL or a path such as /shop/.'));
+            return;
+        }
+
+        if (this.request) this.request.abort();
+        const $button = this.$panel.find('#cache-status-run').prop('disabled', true);
+        $result.empty().append($('<p class="description"></p>').text('Fetching…'));
+
+        const request = api.cacheStatus({
+            url,
+            as: this.$panel.find('input[name="ace-cache-status-as"]:checked').val() || 'guest',
+            cookies: String(this.$panel.find('#cache-status-cookies').val() || ''),
+            query: String(this.$panel.find('#cache-status-query').val() || '')
+        });
+        this.request = request;
+        request.then((response) => {
+            $result.empty().append(this.renderReport((response && response.data) || {}));
+        }).catch((error) => {
+            if (error.aborted) return;
+            $result.empty().append($('<p class="cache-status-error"></p>').text(errorMessage(error, 'The check failed.')));
+        }).finally(() => {
+            // A newer check owns the button and the request slot
+            if (this.request !== request) return;
+            this.request = null;
+            $button.prop('disabled', false);
+        });
+    }
+
+    renderReport(report) {
+        const $report = $('<div class="cache-status-report"></div>');
+
+        const $verdict = $('<p class="cache-status-verdict"></p>');
+        $verdict.append($('<span class="cache-status-badge"></span>').addClass(STATUS_CLASSES[report.status] || '').text(report.status));
+        $verdict.append(' ', $('<span></span>').text(report.reason_text));
+        $report.append($verdict);
+        if (report.detail) {
+            const label = report.reason === 'redirect' ? 'Redirects to' : 'Matched';
+            $report.append($('<p class="cache-status-detail"></p>').text(`${label}: `).append($('<code></code>').text(report.detail)));
+        }
+
+        const facts = [
+            ['URL', report.url],
+            ['Fetched as', report.as === 'logged_in' ? 'Logged-in user' : 'Guest'],
+            ['HTTP status', report.code],
+            ['Response time', `${report.time_ms} ms`]
+        ];
+        if (report.age !== null) facts.push(['Age', formatTtl(report.age)]);
+        if (report.ttl_remaining !== null) facts.push(['TTL remaining', formatTtl(report.ttl_remaining)]);
+        if (report.orig_ttl !== null) facts.push(['Page TTL', formatTtl(report.orig_ttl)]);
+        if (report.compression) facts.push(['Stored compression', report.compression]);
+        facts.push(['Response encoding', report.content_encoding || 'none']);
+        if (report.cache_key) facts.push(['Cache key', report.cache_key]);
+
+        const $facts = $('<dl class="cache-status-facts"></dl>');
+        facts.forEach(([label, value]) => {
+            $facts.append($('<dt></dt>').text(label), $('<dd></dd>').text(String(value)));
+        });
+        $report.append($facts);
+
+        const headers = Object.entries(report.headers || {});
+        if (headers.length) {
+            const $details = $('<details class="cache-status-headers"></details>').append($('<summary></summary>').text('Response headers'));
+            $details.append($('<pre></pre>').text(headers.map(([name, value]) => `${name}: ${value}`).join('\n')));
+            $report.append($details);
+        }
+        return $report;
+    }
+}
+
+// Export the CacheStatusChecker class as default for ES6 modules
+export default CacheStatusChecker;
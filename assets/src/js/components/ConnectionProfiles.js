@@ -0,0 +1,350 @@
+/**
+ * ConnectionProfiles Component for Ace Redis Cache
+ *
+ * Connection tab helpers: tests the unsaved host/port/password/TLS fields,
+ * guards saves so connection changes that fail a test are not saved unless
+ * the user overrides, and manages named connection profiles that can be
+ * loaded into the form or tested side by side.
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+import { api, errorMessage } from './ApiClient.js';
+import Modal from './Modal.js';
+import SaveBar from './SaveBar.js';
+
+const $ = window.jQuery;
+
+const FIELDS = {
+    host: '#redis_host',
+    port: '#redis_port',
+    password: '#redis_password',
+    enable_tls: '#enable_tls'
+};
+
+class ConnectionProfiles {
+    constructor(options = {}) {
+        this.options = {
+            panelSelector: '#ace-connection-profiles',
+            // (message, type) => void
+            notify: null,
+            // Saved settings (host, port, password, enable_tls); defaults to the fields as they are now
+            saved: null,
+            ...options
+        };
+
+        this.$panel = $(this.options.panelSelector);
+        this.profiles = [];
+        this.active = null;
+        this.results = {};
+        // Last test of the form fields, so repeated auto-saves do not re-test unchanged values
+        this.lastTest = null;
+        this.saved = this.options.saved ? ConnectionProfiles.fromSettings(this.options.saved) : this.formConnection();
+        this.modal = new Modal({ title: 'Connection test failed', className: 'ace-connection-dialog' });
+
+        if (this.$panel.length) {
+            this.setupEventListeners();
+            this.load();
+        }
+    }
+
+    setupEventListeners() {
+        this.$panel.on('click', '#connection-test-unsaved', (e) => {
+            e.preventDefault();
+            this.testForm();
+        });
+        this.$panel.on('click', '#connection-profile-save', (e) => {
+            e.preventDefault();
+            this.saveProfile();
+        });
+        this.$panel.on('keydown', '#connection-profile-name', (e) => {
+            // The panel sits inside the settings form; Enter saves the profile instead of submitting
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.saveProfile();
+            }
+        });
+        this.$panel.on('click', '#connection-profiles-test-all', (e) => {
+            e.preventDefault();
+            this.testAll();
+        });
+        this.$panel.on('click', '.connection-profile-load', (e) => {
+            e.preventDefault();
+            this.loadProfile(String($(e.currentTarget).data('id')));
+        });
+        this.$panel.on('click', '.connection-profile-test', (e) => {
+            e.preventDefault();
+            this.testProfile(String($(e.currentTarget).data('id')));
+        });
+        this.$panel.on('click', '.connection-profile-delete', (e) => {
+            e.preventDefault();
+            this.deleteProfile(String($(e.currentTarget).data('id')));
+        });
+    }
+
+    notify(message, type = 'info') {
+        if (typeof this.options.notify === 'function') {
+            this.options.notify(message, type);
+        }
+    }
+
+    /**
+     * Connection fields as currently entered in the form.
+     *
+     * @return {Object} host, port, password, enable_tls
+     */
+    formConnection() {
+        return {
+            host: String($(FIELDS.host).val() || '').trim(),
+            port: parseInt($(FIELDS.port).val(), 10) || 6379,
+            password: String($(FIELDS.password).val() || ''),
+            enable_tls: $(FIELDS.enable_tls).is(':checked') ? 1 : 0
+        };
+    }
+
+    /**
+     * Connection fields from a settings object, in formConnection()'s shape.
+     *
+     * @param {Object} settings host, port, password, enable_tls as sent to /settings
+     * @return {Object}
+     */
+    static fromSettings(settings) {
+        return {
+            host: String(settings.host || '').trim(),
+            port: parseInt(settings.port, 10) || 6379,
+            password: String(settings.password || ''),
+            enable_tls: settings.enable_tls === true || String(settings.enable_tls) === '1' ? 1 : 0
+        };
+    }
+
+    static connectionKey(connection) {
+        return JSON.stringify([connection.host.toLowerCase(), connection.port, connection.password, connection.enable_tls]);
+    }
+
+    hasUnsavedChanges() {
+        return ConnectionProfiles.connectionKey(this.formConnection()) !== ConnectionProfiles.connectionKey(this.saved);
+    }
+
+    // The form's connection fields are now the saved ones
+    markSaved() {
+        const changed = this.hasUnsavedChanges();
+        this.saved = this.formConnection();
+        if (changed && this.$panel.length) this.load();
+    }
+
+    /**
+     * Test connection values without saving them.
+     *
+     * @param {Object} connection host, port, password, enable_tls
+     * @return {Promise<Object>} Probe result; rejects with an ApiError when the request itself fails
+     */
+    async test(connection) {
+        const response = await api.testConnection(connection);
+        return (response && response.data) || { connected: false, error: 'Empty response' };
+    }
+
+    async testForm() {
+        const connection = this.formConnection();
+        const $button = this.$panel.find('#connection-test-unsaved').prop('disabled', true);
+        this.renderResult(this.$panel.find('.connection-test-result'), 'testing');
+        try {
+            const result = await this.test(connection);
+            this.lastTest = { key: ConnectionProfiles.connectionKey(connection), result };
+            this.renderResult(this.$panel.find('.connection-test-result'), result);
+        } catch (error) {
+            this.renderResult(this.$panel.find('.connection-test-result'), { connected: false, error: errorMessage(error, 'The test request failed') });
+        } finally {
+            $button.prop('disabled', false);
+        }
+    }
+
+    /**
+     * Check changed connection fields before a save.
+     *
+     * Resolves true when the save may go ahead: the fields are unchanged,
+     * they pass a test, or (manual saves only) the user chose to save anyway.
+     * Otherwise resolves a SaveBar failure object so the save is reported as
+     * blocked rather than retried.
+     *
+     * @param {string} source 'manual', 'auto', 'undo', ...
+     * @return {Promise<true|Object>}
+     */
+    async guardSave(source = 'manual') {
+        if (!this.hasUnsavedChanges()) return true;
+
+        const connection = this.formConnection();
+        const key = ConnectionProfiles.connectionKey(connection);
+        let result;
+        if (source === 'auto' && this.lastTest && this.lastTest.key === key) {
+            result = this.lastTest.result;
+        } else {
+            try {
+                result = await this.test(connection);
+            } catch (error) {
+                // Expired session, offline, ...: let SaveBar's retry handling deal with it
+                return SaveBar.describeFailure(error);
+            }
+            this.lastTest = { key, result };
+        }
+        this.renderResult(this.$panel.find('.connection-test-result'), result);
+        if (result.connected) return true;
+
+        const reason = result.error || result.status || 'connection failed';
+        if (source !== 'auto' && await this.confirmOverride(connection, reason)) return true;
+
+        return {
+            ok: false,
+            status: 400,
+            code: 'CONNECTION_TEST_FAILED',
+            message: source === 'auto'
+                ? `the new connection settings failed a test (${reason}). Save manually to keep them anyway.`
+                : `the new connection settings failed a test (${reason}).`
+        };
+    }
+
+    async confirmOverride(connection, reason) {
+        const $body = $('<div></div>');
+        $body.append($('<p></p>').text(`Redis did not accept the new connection settings (${connection.host}:${connection.port}${connection.enable_tls ? ', TLS' : ''}):`));
+        $body.append($('<p></p>').append($('<code></code>').text(reason)));
+        $body.append($('<p></p>').text('Saving them now will take this site off Redis until the connection works. Caching falls back to the database in the meantime.'));
+        const choice = await this.modal.open($body, [
+            { label: 'Keep Editing', value: false, primary: true },
+            { label: 'Save Anyway', value: true }
+        ]);
+        return choice === true;
+    }
+
+    load() {
+        api.connectionProfiles().then((response) => {
+            const data = (response && response.data) || {};
+            this.profiles = data.profiles || [];
+            this.active = data.active || null;
+            this.renderProfiles();
+        }).catch((error) => {
+            this.notify(errorMessage(error, 'Could not load connection profiles.'), 'error');
+        });
+    }
+
+    find(id) {
+        return this.profiles.find((profile) => profile.id === id) || null;
+    }
+
+    saveProfile() {
+        const $name = this.$panel.find('#connection-profile-name');
+        const name = String($name.val() || '').trim();
+        if (!name) {
+            this.notify('Enter a name for the profile.', 'warning');
+            $name.trigger('focus');
+            return;
+        }
+
+        const $button = this.$panel.find('#connection-profile-save').prop('disabled', true);
+        api.saveConnectionProfile(name, this.formConnection()).then((response) => {
+            const data = (response && response.data) || {};
+            this.profiles = data.profiles || [];
+            this.active = data.active || null;
+            $name.val('');
+            this.renderProfiles();
+            this.notify(response.message || 'Profile saved.', 'success');
+        }).catch((error) => {
+            this.notify(errorMessage(error, 'Could not save the profile.'), 'error');
+        }).finally(() => {
+            $button.prop('disabled', false);
+        });
+    }
+
+    deleteProfile(id) {
+        const profile = this.find(id);
+        if (!profile || !window.confirm(`Delete the connection profile "${profile.name}"?\n\nThe current connection settings are not changed.`)) return;
+
+        api.deleteConnectionProfile(id).then((response) => {
+            const data = (response && response.data) || {};
+            this.profiles = data.profiles || [];
+            this.active = data.active || null;
+            delete this.results[id];
+            this.renderProfiles();
+        }).catch((error) => {
+            this.notify(errorMessage(error, 'Could not delete the profile.'), 'error');
+        });
+    }
+
+    // Put a profile's values in the connection fields; saving them goes through guardSave()
+    loadProfile(id) {
+        const profile = this.find(id);
+        if (!profile) return;
+
+        $(FIELDS.host).val(profile.host).trigger('input');
+        $(FIELDS.port).val(profile.port).trigger('input');
+        $(FIELDS.password).val(profile.password).trigger('input');
+        $(FIELDS.enable_tls).prop('checked', !!Number(profile.enable_tls)).trigger('change');
+        this.notify(`Loaded "${profile.name}" into the connection fields. Save to switch to it.`, 'info');
+    }
+
+    async testProfile(id) {
+        const profile = this.find(id);
+        if (!profile) return;
+
+        this.results[id] = 'testing';
+        this.renderProfiles();
+        try {
+            this.results[id] = await this.test(profile);
+        } catch (error) {
+            this.results[id] = { connected: false, error: errorMessage(error, 'The test request failed') };
+        }
+        this.renderProfiles();
+    }
+
+    async testAll() {
+        const $button = this.$panel.find('#connection-profiles-test-all').prop('disabled', true);
+        await Promise.all(this.profiles.map((profile) => this.testProfile(profile.id)));
+        $button.prop('disabled', !this.profiles.length);
+    }
+
+    renderProfiles() {
+        const $table = this.$panel.find('.connection-profiles-table');
+        const $tbody = $table.find('tbody').empty();
+        this.profiles.forEach((profile) => {
+            const $name = $('<td></td>').append($('<strong></strong>').text(profile.name));
+            if (profile.id === this.active) {
+                $name.append(' ', $('<span class="connection-profile-active"></span>').text('In use'));
+            }
+            const $result = $('<td></td>');
+            this.renderResult($result, this.results[profile.id]);
+            const $actions = $('<td class="connection-profile-actions-cell"></td>');
+            [['load', 'Load'], ['test', 'Test'], ['delete', 'Delete']].forEach(([action, label]) => {
+                $actions.append($(`<button type="button" class="button-link connection-profile-${action}"></button>`).attr('data-id', profile.id).text(label));
+            });
+
+            $tbody.append($('<tr></tr>').append(
+                $name,
+                $('<td></td>').append($('<code></code>').text(`${profile.host}:${profile.port}`)),
+                $('<td></td>').text(Number(profile.enable_tls) ? 'Yes' : 'No'),
+                $result,
+                $actions
+            ));
+        });
+        $table.prop('hidden', !this.profiles.length);
+        this.$panel.find('.connection-profiles-empty').prop('hidden', !!this.profiles.length);
+        this.$panel.find('#connection-profiles-test-all').prop('disabled', !this.profiles.length);
+    }
+
+    renderResult($target, result) {
+        $target.empty().removeClass('is-ok is-failed');
+        if (!result) return;
+        if (result === 'testing') {
+            $target.text('Testing…');
+            return;
+        }
+        if (result.connected) {
+            const parts = ['Connected', result.response_time];
+            if (result.redis_version) parts.push(`v${result.redis_version}`);
+            $target.addClass('is-ok').text(parts.filter(Boolean).join(' · '));
+        } else {
+            $target.addClass('is-failed').text(`Failed: ${result.error || result.status || 'unknown error'}`);
+        }
+    }
+}
+
+// Export the ConnectionProfiles class as default for ES6 modules
+export default ConnectionProfiles;
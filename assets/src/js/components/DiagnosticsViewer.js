@@ -0,0 +1,255 @@
+/**
+ * DiagnosticsViewer Component for Ace Redis Cache
+ *
+ * Renders the structured /diagnostics report as collapsible sections with
+ * pass/warn/fail badges, a filter box, per-section copy and full-report
+ * downloads (JSON or Markdown) for attaching to support tickets. Legacy
+ * string-array responses fall back to the original plain-text rendering.
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+import Toast from './Toast.js';
+
+const $ = window.jQuery;
+
+const STATUS_LABELS = {
+    pass: 'Pass',
+    warn: 'Warning',
+    fail: 'Fail',
+    info: 'Info'
+};
+
+class DiagnosticsViewer {
+    constructor(options = {}) {
+        this.options = {
+            containerSelector: '#diagnostics-results',
+            // Optional notifier: (message, type) => void
+            notify: null,
+            ...options
+        };
+
+        this.report = null;
+        this.$container = $(this.options.containerSelector);
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.$container.on('input', '.diag-filter', (e) => {
+            this.applyFilter($(e.currentTarget).val());
+        });
+
+        this.$container.on('click', '.diag-expand-all', (e) => {
+            e.preventDefault();
+            this.$container.find('details.diag-section:not(.is-hidden)').prop('open', true);
+        });
+
+        this.$container.on('click', '.diag-collapse-all', (e) => {
+            e.preventDefault();
+            this.$container.find('details.diag-section').prop('open', false);
+        });
+
+        this.$container.on('click', '.diag-copy-section', async(e) => {
+            // Button lives inside <summary>; don't toggle the section
+            e.preventDefault();
+            e.stopPropagation();
+            const section = this.findSection($(e.currentTarget).closest('details').data('section-id'));
+            if (!section) return;
+            const ok = await Toast.copyToClipboard(DiagnosticsViewer.sectionToText(section));
+            this.notify(ok ? `Copied "${section.title}" to clipboard` : 'Copy failed', ok ? 'success' : 'error');
+        });
+
+        this.$container.on('click', '.diag-copy-all', async(e) => {
+            e.preventDefault();
+            const ok = await Toast.copyToClipboard(this.toMarkdown());
+            this.notify(ok ? 'Full report copied as Markdown' : 'Copy failed', ok ? 'success' : 'error');
+        });
+
+        this.$container.on('click', '.diag-download', (e) => {
+            e.preventDefault();
+            this.download($(e.currentTarget).data('format'));
+        });
+    }
+
+    notify(message, type = 'info') {
+        if (typeof this.options.notify === 'function') {
+            this.options.notify(message, type);
+        }
+    }
+
+    /**
+     * Render a /diagnostics payload: a structured report or legacy lines.
+     *
+     * @param {Object|Array|string} data Response `data`
+     */
+    render(data) {
+        if (DiagnosticsViewer.isStructured(data)) {
+            this.report = data;
+            this.renderReport();
+            return;
+        }
+
+        // Legacy fallback: array of strings or a single string
+        this.report = null;
+        const text = Array.isArray(data) ? data.join('\n') : String(data ?? '');
+        const $pre = $('<pre></pre>').text(text);
+        this.$container.removeClass('has-report').empty().append($pre);
+    }
+
+    static isStructured(data) {
+        return !!data && typeof data === 'object' && !Array.isArray(data) && Array.isArray(data.sections);
+    }
+
+    renderReport() {
+        const { summary = {}, sections = [] } = this.report;
+
+        const $toolbar = $(`
+            <div class="diag-toolbar">
+                <input type="search" class="diag-filter regular-text" placeholder="Filter checks…" aria-label="Filter diagnostics checks" />
+                <div class="diag-summary" aria-label="Summary"></div>
+                <div class="diag-actions">
+                    <button type="button" class="button button-small diag-expand-all">Expand all</button>
+                    <button type="button" class="button button-small diag-collapse-all">Collapse all</button>
+                    <button type="button" class="button button-small diag-copy-all">Copy report</button>
+                    <button type="button" class="button button-small diag-download" data-format="json">Download JSON</button>
+                    <button type="button" class="button button-small diag-download" data-format="md">Download Markdown</button>
+                </div>
+            </div>
+        `);
+
+        ['fail', 'warn', 'pass'].forEach((status) => {
+            if (summary[status]) {
+                $toolbar.find('.diag-summary').append(
+                    $('<span></span>').addClass(`diag-badge ${status}`).text(`${summary[status]} ${STATUS_LABELS[status].toLowerCase()}`)
+                );
+            }
+        });
+
+        const $sections = $('<div class="diag-sections"></div>');
+        sections.forEach((section) => {
+            const $details = $('<details class="diag-section"></details>')
+                .addClass(section.status)
+                .attr('data-section-id', section.id)
+                // Open anything that needs attention by default
+                .prop('open', section.status === 'fail' || section.status === 'warn');
+
+            const $summary = $('<summary></summary>');
+            $summary.append($('<span class="diag-section-title"></span>').text(section.title));
+            $summary.append($('<span></span>').addClass(`diag-badge ${section.status}`).text(STATUS_LABELS[section.status] || section.status));
+            $summary.append('<button type="button" class="button-link diag-copy-section">Copy section</button>');
+            $details.append($summary);
+
+            const $table = $('<table class="widefat striped diag-checks"><tbody></tbody></table>');
+            (section.checks || []).forEach((check) => {
+                const $row = $('<tr class="diag-check"></tr>').addClass(check.status);
+                $row.append($('<th scope="row"></th>').text(check.label));
+                $row.append($('<td class="diag-value"></td>').text(check.value));
+                $row.append($('<td class="diag-status"></td>').append(
+                    $('<span></span>').addClass(`diag-badge ${check.status}`).text(STATUS_LABELS[check.status] || check.status)
+                ));
+                $table.find('tbody').append($row);
+            });
+            $details.append($table);
+            $sections.append($details);
+        });
+
+        const $empty = $('<p class="diag-no-matches" hidden>No checks match the filter.</p>');
+        this.$container.addClass('has-report').empty().append($toolbar, $sections, $empty);
+    }
+
+    applyFilter(query) {
+        const needle = String(query || '').trim().toLowerCase();
+        let anyVisible = false;
+
+        this.$container.find('details.diag-section').each((_, el) => {
+            const $section = $(el);
+            const titleMatch = !needle || $section.find('.diag-section-title').text().toLowerCase().includes(needle);
+            let rowsVisible = 0;
+            $section.find('tr.diag-check').each((__, row) => {
+                const $row = $(row);
+                const match = titleMatch || $row.text().toLowerCase().includes(needle);
+                $row.toggle(match);
+                if (match) rowsVisible++;
+            });
+            const visible = rowsVisible > 0;
+            $section.toggleClass('is-hidden', !visible).toggle(visible);
+            if (needle && visible) $section.prop('open', true);
+            anyVisible = anyVisible || visible;
+        });
+
+        this.$container.find('.diag-no-matches').prop('hidden', anyVisible);
+    }
+
+    findSection(id) {
+        if (!this.report) return null;
+        return this.report.sections.find((s) => s.id === id) || null;
+    }
+
+    static sectionToText(section) {
+        const lines = [`=== ${section.title} (${STATUS_LABELS[section.status] || section.status}) ===`];
+        (section.checks || []).forEach((check) => {
+            const text = check.label ? `${check.label}: ${check.value}` : check.value;
+            lines.push(check.status === 'info' ? text : `${text} [${check.status.toUpperCase()}]`);
+        });
+        return lines.join('\n');
+    }
+
+    // Markdown table cells cannot contain raw pipes or newlines
+    static mdCell(value) {
+        return String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+    }
+
+    toMarkdown() {
+        if (!this.report) {
+            return this.$container.find('pre').text();
+        }
+        const { summary = {}, sections = [], generated_at: generatedAt } = this.report;
+        const out = [
+            '# Ace Redis Cache Diagnostics',
+            '',
+            `- Site: ${window.location.host}`,
+            `- Generated: ${generatedAt || new Date().toISOString()}`,
+            `- Summary: ${summary.fail || 0} fail, ${summary.warn || 0} warning, ${summary.pass || 0} pass`,
+            ''
+        ];
+        sections.forEach((section) => {
+            out.push(`## ${section.title} — ${STATUS_LABELS[section.status] || section.status}`, '');
+            out.push('| Check | Value | Status |', '| --- | --- | --- |');
+            (section.checks || []).forEach((check) => {
+                out.push(`| ${DiagnosticsViewer.mdCell(check.label)} | ${DiagnosticsViewer.mdCell(check.value)} | ${STATUS_LABELS[check.status] || check.status} |`);
+            });
+            out.push('');
+        });
+        return out.join('\n');
+    }
+
+    download(format) {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        let content;
+        let type;
+        let ext;
+        if (format === 'json') {
+            content = JSON.stringify({ site: window.location.host, ...(this.report || { lines: this.$container.find('pre').text().split('\n') }) }, null, 2);
+            type = 'application/json';
+            ext = 'json';
+        } else {
+            content = this.toMarkdown();
+            type = 'text/markdown';
+            ext = 'md';
+        }
+
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `ace-redis-diagnostics-${stamp}.${ext}`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Export the DiagnosticsViewer class as default for ES6 modules
+export default DiagnosticsViewer;
@@ -0,0 +1,371 @@
+/**
+ * ExclusionTester Component for Ace Redis Cache
+ *
+ * Live tester on the Exclusions tab: evaluates a sample URL, transient name
+ * or HTML snippet against the (unsaved) exclusion rules in the form and
+ * shows which lines match, which one wins and the resulting cache decision.
+ * Matching mirrors the PHP side: fnmatch() for cache key and transient
+ * rules, case-sensitive substrings for minification and content rules.
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+import { patternLines, checkGlob, checkContent } from './FormValidator.js';
+import { findField } from './SettingsDiff.js';
+
+const $ = window.jQuery;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+/**
+ * Translate an fnmatch() pattern (no flags) into a RegExp.
+ *
+ * `*` and `?` also match `/`, `[...]`/`[!...]` are character classes and
+ * `\` escapes the next character, as in PHP.
+ *
+ * @param {string} pattern
+ * @return {RegExp|null} null when the pattern cannot be compiled
+ */
+export const globToRegExp = (pattern) => {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '\\' && i + 1 < pattern.length) {
+            source += escapeRegExp(pattern[++i]);
+        } else if (char === '*') {
+            source += '.*';
+        } else if (char === '?') {
+            source += '.';
+        } else if (char === '[') {
+            let j = i + 1;
+            const negate = pattern[j] === '!' || pattern[j] === '^';
+            if (negate) j++;
+            // A "]" straight after the opening bracket is literal
+            const close = pattern.indexOf(']', pattern[j] === ']' ? j + 1 : j);
+            if (close === -1) {
+                source += '\\[';
+                continue;
+            }
+            const body = pattern.slice(j, close).replace(/\\/g, '\\\\').replace(/]/g, '\\]').replace(/^\^/, '\\^');
+            source += `[${negate ? '^' : ''}${body}]`;
+            i = close;
+        } else {
+            source += escapeRegExp(char);
+        }
+    }
+    try {
+        return new RegExp(`^${source}$`, 's');
+    } catch (e) {
+        return null;
+    }
+};
+
+export const fnmatch = (pattern, subject) => {
+    const regex = globToRegExp(pattern);
+    return regex ? regex.test(subject) : false;
+};
+
+// Samples used to spot rules so broad they exclude everything
+const BROAD_PROBES = {
+    glob: ['a', 'Z', 'transient:feed_1', 'wp_options:alloptions', 'post_meta:42'],
+    url: ['/', '/sample-page/', '/?p=1', '/category/news/page/2/'],
+    content: ['<!DOCTYPE html><html lang="en"><head><title>x</title></head><body><p>x</p></body></html>']
+};
+
+const substring = (pattern, subject) => subject.includes(pattern);
+
+/**
+ * Evaluate each non-comment line of a rules textarea against a subject.
+ *
+ * @param {string} text Textarea value
+ * @param {string} subject Value the server would match against
+ * @param {Object} kind { match, check, probes } matcher, syntax check and broadness probes
+ * @return {Array<{number, pattern, matched, winner, warnings}>}
+ */
+const evaluateLines = (text, subject, kind) => {
+    let won = false;
+    return patternLines(text).map(({ line, number }) => {
+        const warnings = [];
+        const problem = kind.check(line);
+        if (problem) warnings.push(`Syntax: ${problem}.`);
+        if (kind.probes.every((probe) => kind.match(line, probe))) {
+            warnings.push('Matches everything; this rule disables the feature entirely.');
+        }
+        const matched = kind.match(line, subject);
+        const winner = matched && !won;
+        if (winner) won = true;
+        return { number, pattern: line, matched, winner, warnings };
+    });
+};
+
+const GLOB = { match: fnmatch, check: checkGlob, probes: BROAD_PROBES.glob };
+const URL_SUBSTRING = { match: substring, check: () => null, probes: BROAD_PROBES.url };
+const CONTENT = { match: substring, check: checkContent, probes: BROAD_PROBES.content };
+
+// Built-in page cache rules, in the order Ace_Redis_Cache::should_cache_request() applies them
+const BUILT_IN_URL_RULES = [
+    {
+        label: 'WordPress login, admin, XML-RPC and cron',
+        test: (uri) => /\/(wp-login\.php|wp-admin(?:\/|$)|xmlrpc\.php|wp-cron\.php)/i.test(uri)
+    },
+    {
+        label: 'WooCommerce cart, checkout and account pages',
+        test: (uri, path) => /(^|\/)(cart|checkout|my-account|register|lost-password|customer-logout|order-pay|order-received|view-order|edit-account|add-payment-method|payment-methods|set-default-payment-method|delete-payment-method)(\/|$)/i.test(path)
+    },
+    {
+        label: 'WooCommerce Store API cart and checkout',
+        test: (uri, path, params) => /\/(?:wp-json\/)?wc\/store\/v1\/(cart|checkout)(?:\/|$)/i.test(path) ||
+            /^\/wc\/store\/v1\/(cart|checkout)(?:\/|$)/i.test(params.get('rest_route') || '')
+    },
+    {
+        label: 'WooCommerce cart and account actions (wc-ajax, add-to-cart, password reset…)',
+        test: (uri, path, params) => ['wc-ajax', 'add-to-cart', 'remove_item', 'undo_item', 'password-reset', 'key'].some((name) => params.has(name)) ||
+            ['register', 'lostpassword', 'resetpass', 'logout'].includes(params.get('action'))
+    }
+];
+
+// URLs added through the ace_redis_cache_excluded_urls filter when the WooCommerce switch is on
+const WC_URL_EXCLUSIONS = ['/cart', '/checkout', '/my-account', '?wc-ajax=', '?add-to-cart='];
+
+// CacheManager::should_exclude_from_minification() defaults
+const MINIFY_DEFAULT_EXCLUSIONS = ['/wp-admin/', '/wp-login.php', '/wp-cron.php', '/xmlrpc.php'];
+
+// Turn a pasted URL or path into the REQUEST_URI the server would see
+export const toRequestUri = (sample) => {
+    const text = String(sample || '').trim();
+    if (/^https?:\/\//i.test(text)) {
+        try {
+            const url = new URL(text);
+            return url.pathname + url.search;
+        } catch (e) {
+            return text;
+        }
+    }
+    return text.startsWith('/') ? text : `/${text}`;
+};
+
+/**
+ * Evaluate a sample against the current rules.
+ *
+ * @param {string} mode url|transient|content
+ * @param {string} sample URL, transient name or HTML
+ * @param {Object} settings Flat form values
+ * @return {{verdict: {cached: boolean, text: string}, groups: Array, notes: Array<string>}}
+ */
+export const evaluateSample = (mode, sample, settings) => {
+    const on = (key) => settings[key] === '1' || settings[key] === 1 || settings[key] === true;
+    const groups = [];
+    const notes = [];
+
+    if (mode === 'transient') {
+        const name = String(sample || '').trim();
+        if (/^_(site_)?transient_/.test(name)) {
+            notes.push('Transient rules see the name passed to set_transient(), without the _transient_ option prefix.');
+        }
+        const transientLines = evaluateLines(settings.custom_transient_exclusions, name, GLOB);
+        transientLines.filter((line) => /^_(site_)?transient_/.test(line.pattern)).forEach((line) => {
+            line.warnings.push('Transient names never include the _transient_ prefix, so this rule cannot match.');
+        });
+        const keyLines = evaluateLines(settings.custom_cache_exclusions, `transient:${name}`, GLOB);
+        groups.push({ key: 'custom_transient_exclusions', subject: name, lines: transientLines });
+        groups.push({ key: 'custom_cache_exclusions', subject: `transient:${name}`, lines: keyLines });
+
+        const winner = [...transientLines, ...keyLines].find((line) => line.winner);
+        let text = 'Stored in Redis';
+        if (!on('enable_transient_cache')) {
+            text = 'Transient caching is off; WordPress stores it in the database';
+        } else if (winner) {
+            text = `Bypasses Redis (line ${winner.number}: ${winner.pattern}); WordPress stores it in the database`;
+        }
+        notes.push('Patterns added in code through the ace_redis_cache_transient_exclusions filter are not included.');
+        return { verdict: { cached: on('enable_transient_cache') && !winner, text }, groups, notes };
+    }
+
+    if (mode === 'content') {
+        const html = String(sample || '');
+        const lines = evaluateLines(settings.custom_content_exclusions, html, CONTENT);
+        groups.push({ key: 'custom_content_exclusions', subject: null, lines });
+        const winner = lines.find((line) => line.winner);
+        let text = 'Page is minified';
+        if (!on('enable_minification')) {
+            text = 'Minification is off';
+        } else if (winner) {
+            text = `Page is cached without minification (line ${winner.number}: ${winner.pattern})`;
+        }
+        notes.push('Content rules only affect minification; the page is still cached.');
+        return { verdict: { cached: true, text }, groups, notes };
+    }
+
+    const uri = toRequestUri(sample);
+    const [path, query = ''] = uri.split('?');
+    const params = new URLSearchParams(query);
+
+    const builtIn = BUILT_IN_URL_RULES.map((rule, index) => ({
+        number: index + 1,
+        pattern: rule.label,
+        matched: rule.test(uri, path, params),
+        warnings: []
+    }));
+    if (on('exclude_sitemaps')) {
+        builtIn.push({
+            number: builtIn.length + 1,
+            pattern: 'Sitemaps (Exclude Sitemaps)',
+            matched: params.has('sitemap') || params.has('sitemap-stylesheet') || uri.includes('sitemap'),
+            warnings: []
+        });
+    }
+    if ('wc_cache_url_exclusions' in settings && on('wc_cache_url_exclusions')) {
+        WC_URL_EXCLUSIONS.forEach((pattern) => {
+            builtIn.push({
+                number: builtIn.length + 1,
+                pattern: `${pattern} (WooCommerce URL Exclusions)`,
+                matched: uri.toLowerCase().includes(pattern.toLowerCase()),
+                warnings: []
+            });
+        });
+    }
+    const pageWinner = builtIn.find((line) => line.matched);
+    if (pageWinner) pageWinner.winner = true;
+    groups.push({ key: null, label: 'Built-in page cache rules', subject: uri, lines: builtIn });
+
+    const minifyLines = evaluateLines(settings.custom_cache_exclusions, uri, URL_SUBSTRING);
+    groups.push({ key: 'custom_cache_exclusions', subject: uri, lines: minifyLines, note: 'Matched as plain text against the URL to skip minification.' });
+    const minifyWinner = minifyLines.find((line) => line.winner);
+
+    let text;
+    if (!on('enable_page_cache')) {
+        text = 'Page cache is off';
+    } else if (pageWinner) {
+        text = `Not cached: ${pageWinner.pattern}`;
+    } else {
+        text = 'Cached for anonymous GET requests';
+        if (on('enable_minification')) {
+            if (minifyWinner) {
+                text += `, without minification (line ${minifyWinner.number}: ${minifyWinner.pattern})`;
+            } else if (MINIFY_DEFAULT_EXCLUSIONS.some((pattern) => uri.includes(pattern))) {
+                text += ', without minification';
+            }
+        }
+    }
+    notes.push('Logged-in users, POST requests and visitors with a WooCommerce cart session are never served from cache.');
+    notes.push('URLs added in code through the ace_redis_cache_excluded_urls filter are not included.');
+    return { verdict: { cached: on('enable_page_cache') && !pageWinner, text }, groups, notes };
+};
+
+const MODES = {
+    url: { label: 'URL', placeholder: '/shop/?add-to-cart=42' },
+    transient: { label: 'Transient name', placeholder: 'wc_session_123' },
+    content: { label: 'HTML snippet', placeholder: '<div data-no-minify>…</div>' }
+};
+
+class ExclusionTester {
+    constructor(options = {}) {
+        this.options = {
+            containerSelector: '#ace-redis-settings-form',
+            panelSelector: '#ace-exclusion-tester',
+            // () => flat settings object from the form
+            getFormData: null,
+            ...options
+        };
+
+        this.$panel = $(this.options.panelSelector);
+        this.mode = 'url';
+        this.renderTimer = null;
+
+        if (this.$panel.length) {
+            this.setupEventListeners();
+            this.updateModeUi();
+        }
+    }
+
+    setupEventListeners() {
+        this.$panel.on('change', 'input[name="ace-exclusion-tester-mode"]', (e) => {
+            this.mode = $(e.currentTarget).val();
+            this.updateModeUi();
+            this.scheduleRender();
+        });
+        this.$panel.on('input', '.exclusion-tester-sample', () => this.scheduleRender());
+        // The panel sits inside the settings form; Enter must not submit it
+        this.$panel.on('keydown', 'input.exclusion-tester-sample', (e) => {
+            if (e.key === 'Enter') e.preventDefault();
+        });
+
+        // Re-run when the rules themselves are edited
+        const rules = ['custom_cache_exclusions', 'custom_transient_exclusions', 'custom_content_exclusions', 'exclude_sitemaps', 'wc_cache_url_exclusions']
+            .map((key) => `[name="ace_redis_cache_settings[${key}]"]`).join(', ');
+        $(this.options.containerSelector).on('input change', rules, () => this.scheduleRender());
+    }
+
+    updateModeUi() {
+        const mode = MODES[this.mode];
+        const isContent = this.mode === 'content';
+        this.$panel.find('#exclusion-tester-sample-input').attr('placeholder', mode.placeholder).prop('hidden', isContent);
+        this.$panel.find('#exclusion-tester-sample-html').attr('placeholder', mode.placeholder).prop('hidden', !isContent);
+        this.$panel.find('label[for="exclusion-tester-sample-input"]').text(mode.label);
+    }
+
+    sample() {
+        const selector = this.mode === 'content' ? '#exclusion-tester-sample-html' : '#exclusion-tester-sample-input';
+        return String(this.$panel.find(selector).val() || '');
+    }
+
+    scheduleRender() {
+        clearTimeout(this.renderTimer);
+        this.renderTimer = setTimeout(() => this.render(), 150);
+    }
+
+    render() {
+        const $results = this.$panel.find('.exclusion-tester-results');
+        const sample = this.sample();
+        if (!sample.trim()) {
+            $results.empty();
+            return;
+        }
+
+        const settings = typeof this.options.getFormData === 'function' ? this.options.getFormData() : {};
+        const result = evaluateSample(this.mode, sample, settings);
+        const $form = $(this.options.containerSelector);
+
+        $results.empty();
+        $results.append(
+            $('<p class="exclusion-tester-verdict"></p>')
+                .addClass(result.verdict.cached ? 'is-cached' : 'is-excluded')
+                .text(result.verdict.text)
+        );
+
+        result.groups.forEach((group) => {
+            const label = group.label || $form.find(`label[for="${findField(group.key, $form).attr('id')}"]`).text() || group.key;
+            const $group = $('<div class="exclusion-tester-group"></div>');
+            $group.append($('<h5></h5>').text(group.subject ? `${label} — tested against ${group.subject}` : label));
+            if (group.note) $group.append($('<p class="description"></p>').text(group.note));
+
+            if (!group.lines.length) {
+                $group.append('<p class="exclusion-tester-empty">No rules.</p>');
+            } else {
+                const $list = $('<ol class="exclusion-tester-lines"></ol>');
+                group.lines.forEach((line) => {
+                    const $item = $('<li></li>')
+                        .toggleClass('is-match', line.matched)
+                        .toggleClass('is-winner', !!line.winner);
+                    $item.append($('<span class="exclusion-tester-line-number"></span>').text(group.key ? `Line ${line.number}` : ''));
+                    $item.append($('<code></code>').text(line.pattern));
+                    let state = line.matched ? 'matches' : 'no match';
+                    if (line.winner) state = 'matches — applied';
+                    $item.append($('<span class="exclusion-tester-state"></span>').text(state));
+                    line.warnings.forEach((warning) => {
+                        $item.append($('<span class="exclusion-tester-warning"></span>').text(warning));
+                    });
+                    $list.append($item);
+                });
+                $group.append($list);
+            }
+            $results.append($group);
+        });
+
+        result.notes.forEach((note) => $results.append($('<p class="description exclusion-tester-note"></p>').text(note)));
+    }
+}
+
+// Export the ExclusionTester class as default for ES6 modules
+export default ExclusionTester;
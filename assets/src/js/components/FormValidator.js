@@ -0,0 +1,256 @@
+/**
+ * FormValidator Component for Ace Redis Cache
+ *
+ * Declarative, per-setting validation for the settings form. Rules are keyed
+ * by the `ace_redis_cache_settings[...]` name (not element id) and mirror the
+ * server-side sanitisation ranges, so values are flagged inline before the
+ * server silently clamps them. SaveBar consults `isValid()` before saving.
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+import { findField, fieldLabel } from './SettingsDiff.js';
+
+const $ = window.jQuery;
+
+// Lines of the exclusion textareas, skipping blanks and `#` comments like the PHP readers do
+export const patternLines = (value) => String(value ?? '').split('\n')
+    .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+    .filter(({ line }) => line !== '' && !line.startsWith('#'));
+
+// fnmatch() wildcard syntax as used by CacheManager::should_exclude_*()
+export const checkGlob = (pattern) => {
+    if (/\s/.test(pattern)) {
+        return 'must not contain spaces';
+    }
+    if (/^\^|\$$|\.[*+]/.test(pattern)) {
+        return 'looks like a regular expression; use * and ? wildcards instead';
+    }
+    if (/\\$/.test(pattern)) {
+        return 'ends with an unfinished escape (\\)';
+    }
+    let depth = 0;
+    for (let i = 0; i < pattern.length; i++) {
+        if (pattern[i] === '\\') { i++; continue; }
+        if (pattern[i] === '[') depth++;
+        if (pattern[i] === ']' && depth > 0) depth--;
+    }
+    return depth > 0 ? 'has an unclosed [ character class' : null;
+};
+
+// Block names are "namespace/name"; either part may use * or ? wildcards
+const BLOCK_NAME = /^[a-z0-9*?][a-z0-9_*?-]*\/[a-z0-9*?][a-z0-9_*?-]*$/;
+export const checkBlock = (pattern) => {
+    if (BLOCK_NAME.test(pattern)) return null;
+    if (!pattern.includes('/')) return 'must be a block name like core/html or custom/*';
+    if (pattern !== pattern.toLowerCase()) return 'block names are lowercase';
+    return 'may only use lowercase letters, digits, -, _ and the * or ? wildcards';
+};
+
+// Content exclusions are plain substrings, but sanitize_textarea_field() strips tags on save
+export const checkContent = (pattern) => {
+    if (/<\/?[a-z][^>]*>/i.test(pattern)) {
+        return 'HTML tags are stripped when saving; match an attribute or text instead (e.g. data-no-minify)';
+    }
+    return pattern.length > 500 ? 'is longer than 500 characters' : null;
+};
+
+const LINE_CHECKS = { glob: checkGlob, block: checkBlock, content: checkContent };
+
+/**
+ * Validation schema keyed by setting name.
+ *
+ * `integer` + `min`/`max` ranges follow the form inputs and
+ * sanitize_settings(); `lines` validates each non-comment line.
+ */
+export const SCHEMA = {
+    host: { required: true, host: true },
+    port: { required: true, integer: true, min: 1, max: 65535 },
+    ttl_page: { required: true, integer: true, min: 60, max: 604800, unit: 'second' },
+    ttl_object: { required: true, integer: true, min: 60, max: 604800, unit: 'second' },
+    browser_cache_max_age: { required: true, integer: true, min: 60, max: 604800, unit: 'second' },
+    static_asset_cache_ttl: { required: true, integer: true, min: 86400, max: 31536000, unit: 'second' },
+    dynamic_microcache_ttl: { required: true, integer: true, min: 1, max: 60, unit: 'second' },
+    wc_variation_threshold: { required: true, integer: true, min: 1, max: 100 },
+    wc_action_scheduler_time_limit: { required: true, integer: true, min: 5, max: 120, unit: 'second' },
+    wc_action_scheduler_batch_size: { required: true, integer: true, min: 1, max: 100 },
+    // Ranges match WarmupCrawler::normalize_params
+    warmup_recent_count: { required: true, integer: true, min: 1, max: 200 },
+    warmup_concurrency: { required: true, integer: true, min: 1, max: 10 },
+    warmup_rate: { required: true, integer: true, min: 1, max: 50 },
+    custom_cache_exclusions: { lines: 'glob' },
+    custom_transient_exclusions: { lines: 'glob' },
+    custom_content_exclusions: { lines: 'content' },
+    excluded_blocks: { lines: 'block' }
+};
+
+/**
+ * Check one value against its rule.
+ *
+ * @param {Object} rule Schema entry
+ * @param {*} value Field value
+ * @return {string|null} Error message, or null when valid
+ */
+export const validateValue = (rule, value) => {
+    const text = String(value ?? '').trim();
+
+    if (text === '') {
+        return rule.required ? 'This field is required.' : null;
+    }
+
+    if (rule.host) {
+        if (/\s/.test(text)) return 'Host must not contain spaces.';
+        if (/^[a-z]+:\/\//i.test(text)) return 'Enter the host name only, without a scheme (use the TLS switch for tls://).';
+    }
+
+    if (rule.integer) {
+        if (!/^-?\d+$/.test(text)) return 'Enter a whole number.';
+        const number = parseInt(text, 10);
+        const unit = (n) => (rule.unit ? ` ${rule.unit}${n === 1 ? '' : 's'}` : '');
+        if (typeof rule.min === 'number' && number < rule.min) return `Must be at least ${rule.min}${unit(rule.min)}.`;
+        if (typeof rule.max === 'number' && number > rule.max) return `Must be at most ${rule.max}${unit(rule.max)}.`;
+    }
+
+    if (rule.lines) {
+        const check = LINE_CHECKS[rule.lines];
+        const problems = [];
+        patternLines(text).forEach(({ line, number }) => {
+            const problem = check(line);
+            if (problem) problems.push(`Line ${number} (${line}) ${problem}.`);
+        });
+        if (problems.length) {
+            return problems.length > 3
+                ? `${problems.slice(0, 3).join('\n')}\n…and ${problems.length - 3} more.`
+                : problems.join('\n');
+        }
+    }
+
+    return null;
+};
+
+class FormValidator {
+    constructor(options = {}) {
+        this.options = {
+            containerSelector: '#ace-redis-settings-form',
+            schema: SCHEMA,
+            // (isValid) => void, fired when overall validity flips
+            onValidityChange: null,
+            ...options
+        };
+
+        this.errors = {};
+        this.valid = true;
+        this.$form = $(this.options.containerSelector);
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        Object.keys(this.options.schema).forEach((key) => {
+            const selector = `[name="ace_redis_cache_settings[${key}]"]`;
+            // Validate on blur/change; while invalid, re-check on every keystroke so the error clears promptly
+            this.$form.on('change blur', selector, () => this.validateField(key));
+            this.$form.on('input', selector, () => {
+                if (this.errors[key]) this.validateField(key);
+            });
+        });
+    }
+
+    /**
+     * Validate a single setting and update its inline error.
+     *
+     * @param {string} key Setting name
+     * @return {boolean}
+     */
+    validateField(key) {
+        const rule = this.options.schema[key];
+        const $field = findField(key, this.$form).first();
+        if (!rule || !$field.length) return true;
+
+        const message = validateValue(rule, $field.val());
+        if (message) {
+            this.errors[key] = message;
+        } else {
+            delete this.errors[key];
+        }
+        this.renderError(key, $field, message);
+        this.updateValidity();
+        return !message;
+    }
+
+    /**
+     * Validate every field in the schema.
+     *
+     * @return {{valid: boolean, errors: Array<{key, label, message}>}}
+     */
+    validateAll() {
+        Object.keys(this.options.schema).forEach((key) => this.validateField(key));
+        return {
+            valid: this.valid,
+            errors: Object.entries(this.errors).map(([key, message]) => ({
+                key,
+                label: fieldLabel(key, this.$form),
+                message
+            }))
+        };
+    }
+
+    isValid() {
+        return this.valid;
+    }
+
+    // Move focus to the first invalid field, switching tabs if needed
+    focusFirstError() {
+        const key = Object.keys(this.options.schema).find((k) => this.errors[k]);
+        if (!key) return;
+        const $field = findField(key, this.$form).first();
+        const tabId = $field.closest('.tab-content').attr('id');
+        if (tabId && !$field.is(':visible')) {
+            // A native click: the sidebar script switches tabs, jQuery's trigger() does not reach it
+            $(`.nav-tab[href="#${tabId}"]`).get(0)?.click();
+            // Wait for the tab to fade in before focusing
+            setTimeout(() => $field.trigger('focus'), 200);
+            return;
+        }
+        $field.trigger('focus');
+    }
+
+    renderError(key, $field, message) {
+        const id = `${$field.attr('id') || `ace-setting-${key}`}-error`;
+        let $error = $(`#${id}`);
+        const describedBy = ($field.attr('aria-describedby') || '').split(' ').filter((t) => t && t !== id);
+
+        if (!message) {
+            $error.remove();
+            $field.removeClass('ace-field-invalid').removeAttr('aria-invalid');
+            if (describedBy.length) {
+                $field.attr('aria-describedby', describedBy.join(' '));
+            } else {
+                $field.removeAttr('aria-describedby');
+            }
+            return;
+        }
+
+        if (!$error.length) {
+            $error = $('<p class="ace-field-error" role="alert"></p>').attr('id', id);
+            $field.after($error);
+        }
+        $error.text(message);
+        $field.addClass('ace-field-invalid').attr('aria-invalid', 'true')
+            .attr('aria-describedby', [...describedBy, id].join(' '));
+    }
+
+    updateValidity() {
+        const valid = Object.keys(this.errors).length === 0;
+        if (valid !== this.valid) {
+            this.valid = valid;
+            if (typeof this.options.onValidityChange === 'function') {
+                this.options.onValidityChange(valid);
+            }
+        }
+    }
+}
+
+// Export the FormValidator class as default for ES6 modules
+export default FormValidator;
@@ -0,0 +1,258 @@
+/**
+ * JobMonitor Component for Ace Redis Cache
+ *
+ * Runs long actions (full flush, OPcache prime, warm-up) as server-side jobs: starts
+ * them, polls their status with a progress bar and Cancel link, and on page
+ * load picks up jobs that are still running or that finished while the page
+ * was closed, so their result is still reported.
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+import { api, errorMessage } from './ApiClient.js';
+
+const $ = window.jQuery;
+
+// Jobs started from this browser whose outcome has not been shown yet
+const STORAGE_KEY = 'aceRedisCacheJobs';
+
+// Consecutive failed polls before giving up until the next page load
+const MAX_POLL_ERRORS = 5;
+
+class JobMonitor {
+    constructor(options = {}) {
+        this.options = {
+            pollInterval: 1000,
+            // (message, type) => void
+            notify: null,
+            // type => { name, button, container, label, busyText, onUpdate(job), onDone(job) }
+            jobs: {},
+            ...options
+        };
+
+        // type => { id, $ui, timer, errors, buttonHtml, received }
+        this.active = {};
+    }
+
+    notify(message, type = 'info') {
+        if (typeof this.options.notify === 'function') {
+            this.options.notify(message, type);
+        }
+    }
+
+    pending() {
+        try {
+            const ids = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+            return Array.isArray(ids) ? ids : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    setPending(ids) {
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify(ids));
+        } catch (e) {
+            // Storage unavailable: jobs still run, only the away-result report is lost
+        }
+    }
+
+    remember(id) {
+        const ids = this.pending();
+        if (!ids.includes(id)) this.setPending([...ids, id].slice(-10));
+    }
+
+    forget(id) {
+        this.setPending(this.pending().filter((pendingId) => pendingId !== id));
+    }
+
+    /**
+     * Reconcile with the server: resume running jobs and report ones that
+     * finished while this page was closed.
+     */
+    resume() {
+        api.jobs().then((response) => {
+            const jobs = (response && response.data) || [];
+            const pending = this.pending();
+            jobs.forEach((job) => {
+                if (!this.options.jobs[job.type]) return;
+                if (job.status === 'running') {
+                    this.track(job);
+                } else if (pending.includes(job.id)) {
+                    this.report(job, true);
+                }
+            });
+            // Keep only ids of jobs still being watched
+            this.setPending(this.pending().filter((id) => jobs.some((job) => job.id === id && job.status === 'running')));
+        }).catch(() => {
+            // Pending ids stay stored; the next page load tries again
+        });
+    }
+
+    /**
+     * Start a job; a job of the same type already running is picked up instead.
+     *
+     * @param {string} type   flush|opcache_prime|warmup
+     * @param {Object} params Extra job options (warm-up sources and limits)
+     */
+    start(type, params = {}) {
+        if (this.active[type]) return;
+        const settings = this.options.jobs[type] || {};
+        const $button = $(settings.button).prop('disabled', true);
+
+        api.startJob(type, params).then((response) => {
+            const job = response && response.data;
+            if (job) this.track(job);
+        }).catch((error) => {
+            $button.prop('disabled', false);
+            this.notify(`❌ ${errorMessage(error, 'Could not start the job.')}`, 'error');
+        });
+    }
+
+    cancel(type) {
+        const active = this.active[type];
+        if (!active) return;
+        active.$ui.find('.ace-job-cancel').prop('disabled', true).text('Cancelling…');
+        api.cancelJob(active.id).then((response) => {
+            if (response && response.data) this.update(response.data);
+        }).catch((error) => {
+            active.$ui.find('.ace-job-cancel').prop('disabled', false).text('Cancel');
+            this.notify(`❌ ${errorMessage(error, 'Could not cancel the job.')}`, 'error');
+        });
+    }
+
+    track(job) {
+        const settings = this.options.jobs[job.type] || {};
+        this.remember(job.id);
+
+        if (!this.active[job.type]) {
+            const $button = $(settings.button);
+            this.active[job.type] = {
+                id: job.id,
+                $ui: this.renderUi(job.type, settings),
+                timer: null,
+                errors: 0,
+                buttonHtml: $button.html(),
+                // Warm-up results received so far; polls only fetch newer ones
+                received: 0
+            };
+            $button.prop('disabled', true);
+            if (settings.busyText) $button.text(settings.busyText);
+        }
+        this.update(job);
+    }
+
+    renderUi(type, settings) {
+        const $ui = $(`
+            <div class="ace-job-progress" role="status">
+                <div class="ace-job-progress-head">
+                    <span class="ace-job-label"></span>
+                    <button type="button" class="button-link ace-job-cancel">Cancel</button>
+                </div>
+                <progress max="1"></progress>
+                <span class="ace-job-detail"></span>
+            </div>
+        `);
+        $ui.find('.ace-job-label').text(settings.label || 'Working…');
+        $ui.find('.ace-job-cancel').on('click', (e) => {
+            e.preventDefault();
+            this.cancel(type);
+        });
+        $(settings.container || settings.button).first().after($ui);
+        return $ui;
+    }
+
+    describe(job) {
+        return typeof job.total === 'number'
+            ? `${job.processed} of ${job.total} ${job.unit}`
+            : `${job.processed} ${job.unit} so far`;
+    }
+
+    update(job) {
+        const active = this.active[job.type];
+        if (!active || active.id !== job.id) return;
+
+        const $progress = active.$ui.find('progress');
+        if (job.progress > 0) {
+            $progress.attr('value', job.progress);
+        } else {
+            // Indeterminate until the first step reports back
+            $progress.removeAttr('value');
+        }
+        active.$ui.find('.ace-job-detail').text(this.describe(job));
+        if (Array.isArray(job.results)) {
+            active.received = (job.results_from || 0) + job.results.length;
+        }
+        const settings = this.options.jobs[job.type] || {};
+        if (typeof settings.onUpdate === 'function') settings.onUpdate(job);
+
+        clearTimeout(active.timer);
+        if (job.status === 'running') {
+            active.timer = setTimeout(() => this.poll(job.type), this.options.pollInterval);
+        } else {
+            this.finish(job);
+        }
+    }
+
+    poll(type) {
+        const active = this.active[type];
+        if (!active) return;
+
+        api.job(active.id, active.received).then((response) => {
+            active.errors = 0;
+            if (response && response.data) this.update(response.data);
+        }).catch((error) => {
+            // Stopped (or superseded) while the poll was out
+            if (error.aborted || this.active[type] !== active) return;
+            if (error.status === 404) {
+                this.stop(type);
+                this.notify(`❌ ${errorMessage(error, 'The job was not found.')}`, 'error');
+                return;
+            }
+            active.errors += 1;
+            if (active.errors >= MAX_POLL_ERRORS) {
+                // Keep the id pending: the job carries on server-side and is reported on the next visit
+                this.stop(type, false);
+                this.notify('Lost contact with the server. The job keeps running in the background; reload this page later to see the result.', 'warning');
+                return;
+            }
+            active.timer = setTimeout(() => this.poll(type), this.options.pollInterval * (2 ** active.errors));
+        });
+    }
+
+    finish(job) {
+        this.stop(job.type);
+        this.report(job, false);
+        const settings = this.options.jobs[job.type] || {};
+        if (typeof settings.onDone === 'function') settings.onDone(job);
+    }
+
+    stop(type, forget = true) {
+        const active = this.active[type];
+        if (!active) return;
+        clearTimeout(active.timer);
+        active.$ui.remove();
+        const settings = this.options.jobs[type] || {};
+        $(settings.button).prop('disabled', false).html(active.buttonHtml);
+        if (forget) this.forget(active.id);
+        delete this.active[type];
+    }
+
+    report(job, away) {
+        const settings = this.options.jobs[job.type] || {};
+        const name = settings.name || job.type;
+        const prefix = away ? `${name}, while you were away: ` : '';
+        this.forget(job.id);
+        if (job.status === 'done') {
+            this.notify(`✅ ${prefix}${job.message}`, 'success');
+        } else if (job.status === 'cancelled') {
+            this.notify(`${prefix}${job.message}.`, 'warning');
+        } else {
+            this.notify(`❌ ${prefix || `${name} failed: `}${job.message}`, 'error');
+        }
+    }
+}
+
+// Export the JobMonitor class as default for ES6 modules
+export default JobMonitor;
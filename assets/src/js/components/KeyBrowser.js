@@ -0,0 +1,223 @@
+/**
+ * KeyBrowser Component for Ace Redis Cache
+ *
+ * "Keys" tab: pages through plugin-managed Redis keys (SCAN-backed on the
+ * server), filtered by type and key prefix, with TTL, size and compression
+ * per key, a decoded value preview and a per-key delete.
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+import { api, errorMessage } from './ApiClient.js';
+import Modal from './Modal.js';
+
+const $ = window.jQuery;
+
+const TYPE_LABELS = {
+    page: 'Page',
+    minified: 'Minified',
+    blocks: 'Block',
+    transients: 'Transient'
+};
+
+// "3h 20m" style TTL; -1 means no expiry
+export const formatTtl = (ttl) => {
+    if (ttl === null || typeof ttl === 'undefined' || ttl === -2) return '—';
+    if (ttl === -1) return 'No expiry';
+    if (ttl < 60) return `${ttl}s`;
+    const units = [['d', 86400], ['h', 3600], ['m', 60]];
+    const parts = [];
+    let rest = ttl;
+    units.forEach(([suffix, seconds]) => {
+        if (parts.length < 2 && rest >= seconds) {
+            parts.push(`${Math.floor(rest / seconds)}${suffix}`);
+            rest %= seconds;
+        }
+    });
+    return parts.join(' ');
+};
+
+const formatCompression = (item) => {
+    if (item.compression === 'none') return 'None';
+    if (item.compression === 'raw') return 'Uncompressed';
+    const name = item.compression === 'brotli' ? 'Brotli' : 'Gzip';
+    return item.compression_level !== null ? `${name} (level ${item.compression_level})` : name;
+};
+
+class KeyBrowser {
+    constructor(options = {}) {
+        this.options = {
+            panelSelector: '#ace-key-browser',
+            perPage: 50,
+            // (message, type) => void
+            notify: null,
+            ...options
+        };
+
+        this.$panel = $(this.options.panelSelector);
+        this.cursor = null;
+        this.request = null;
+        this.loaded = false;
+        this.modal = new Modal({ title: 'Cache key', className: 'ace-key-dialog' });
+
+        if (this.$panel.length) {
+            this.setupEventListeners();
+        }
+    }
+
+    setupEventListeners() {
+        this.$panel.on('change', '#key-browser-type', () => this.load());
+        this.$panel.on('click', '#key-browser-refresh', (e) => {
+            e.preventDefault();
+            this.load();
+        });
+        this.$panel.on('keydown', '#key-browser-search', (e) => {
+            // The panel sits inside the settings form; Enter searches instead of submitting
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.load();
+            }
+        });
+        this.$panel.on('click', '#key-browser-more', (e) => {
+            e.preventDefault();
+            this.load({ append: true });
+        });
+        this.$panel.on('click', '.key-browser-inspect', (e) => {
+            e.preventDefault();
+            this.inspect($(e.currentTarget).closest('tr').data('key'));
+        });
+        this.$panel.on('click', '.key-browser-delete', (e) => {
+            e.preventDefault();
+            this.deleteKey($(e.currentTarget).closest('tr').data('key'));
+        });
+    }
+
+    // Load the first page the first time the tab is shown
+    activate() {
+        if (!this.loaded) this.load();
+    }
+
+    notify(message, type = 'info') {
+        if (typeof this.options.notify === 'function') {
+            this.options.notify(message, type);
+        }
+    }
+
+    /**
+     * Fetch a page of keys.
+     *
+     * @param {Object} options { append: continue from the current cursor }
+     */
+    load(options = {}) {
+        if (this.request) this.request.abort();
+        const append = !!options.append && this.cursor;
+        const $tbody = this.$panel.find('.key-browser-table tbody');
+        const $status = this.$panel.find('.key-browser-status');
+        const $more = this.$panel.find('#key-browser-more');
+
+        if (!append) {
+            $tbody.empty();
+            this.cursor = null;
+        }
+        $more.prop('hidden', true);
+        $status.text('Scanning…');
+        this.loaded = true;
+
+        const request = api.keys({
+            type: this.$panel.find('#key-browser-type').val() || 'all',
+            search: String(this.$panel.find('#key-browser-search').val() || '').trim(),
+            cursor: append ? this.cursor : '0',
+            per_page: this.options.perPage
+        });
+        this.request = request;
+        request.then((response) => {
+            const data = (response && response.data) || {};
+            (data.keys || []).forEach((item) => $tbody.append(this.renderRow(item)));
+            this.cursor = data.cursor || null;
+            $more.prop('hidden', !this.cursor);
+
+            const shown = $tbody.children().length;
+            if (!shown) {
+                $status.text(this.cursor ? 'No keys in this batch yet; load more to keep scanning.' : 'No matching keys.');
+            } else {
+                $status.text(`${shown} key${shown === 1 ? '' : 's'} shown${this.cursor ? '; more available' : ''}.`);
+            }
+        }).catch((error) => {
+            if (error.aborted) return;
+            $status.text(errorMessage(error, 'Could not list keys.'));
+        }).finally(() => {
+            if (this.request === request) this.request = null;
+        });
+    }
+
+    renderRow(item) {
+        const $row = $('<tr></tr>').data('key', item.key);
+        $row.append($('<td class="key-browser-key"></td>').append($('<code></code>').text(item.key)));
+        $row.append($('<td></td>').text(TYPE_LABELS[item.type] || item.type));
+        $row.append($('<td></td>').text(formatTtl(item.ttl)));
+        $row.append($('<td></td>').text(`${item.size_estimated ? '≈ ' : ''}${item.size_human}`));
+        $row.append($('<td></td>').text(formatCompression(item)));
+        const $actions = $('<td class="key-browser-actions"></td>');
+        $actions.append($('<button type="button" class="button-link key-browser-inspect">View</button>').attr('aria-label', `View ${item.key}`));
+        $actions.append($('<button type="button" class="button-link button-link-delete key-browser-delete">Delete</button>').attr('aria-label', `Delete ${item.key}`));
+        $row.append($actions);
+        return $row;
+    }
+
+    findRow(key) {
+        return this.$panel.find('.key-browser-table tbody tr').filter((index, row) => $(row).data('key') === key);
+    }
+
+    inspect(key) {
+        api.inspectKey(key).then((response) => {
+            const item = (response && response.data) || {};
+            const $body = $('<div></div>');
+            $body.append($('<p class="ace-modal-intro"></p>').append($('<code class="key-browser-dialog-key"></code>').text(item.key)));
+
+            const facts = [
+                ['Type', TYPE_LABELS[item.type] || item.type],
+                ['TTL', formatTtl(item.ttl)],
+                ['Size in Redis', `${item.size_estimated ? '≈ ' : ''}${item.size_human}`],
+                ['Compression', formatCompression(item)],
+                ['Decoded length', `${item.length} bytes (${item.format})`]
+            ];
+            const $facts = $('<dl class="key-browser-facts"></dl>');
+            facts.forEach(([label, value]) => {
+                $facts.append($('<dt></dt>').text(label), $('<dd></dd>').text(value));
+            });
+            $body.append($facts);
+
+            $body.append($('<pre class="key-browser-preview"></pre>').text(item.preview));
+            if (item.truncated) {
+                $body.append($('<p class="description"></p>').text('Preview truncated.'));
+            }
+
+            this.modal.open($body, [
+                { label: 'Delete key', link: true, value: 'delete' },
+                { spacer: true },
+                { label: 'Close', primary: true, value: null }
+            ]).then((choice) => {
+                if (choice === 'delete') this.deleteKey(key);
+            });
+        }).catch((error) => {
+            if (error.aborted) return;
+            this.notify(errorMessage(error, 'Could not read that key.'), 'error');
+            if (error.status === 404) this.findRow(key).remove();
+        });
+    }
+
+    deleteKey(key) {
+        if (!window.confirm(`Delete this key?\n\n${key}\n\nIt is rebuilt on the next request that needs it.`)) return;
+
+        api.deleteKey(key).then((response) => {
+            this.findRow(key).remove();
+            this.notify((response && response.message) || 'Key deleted.', 'success');
+        }).catch((error) => {
+            this.notify(errorMessage(error, 'Could not delete that key.'), 'error');
+        });
+    }
+}
+
+// Export the KeyBrowser class as default for ES6 modules
+export default KeyBrowser;
@@ -0,0 +1,95 @@
+/**
+ * MergeDialog Component for Ace Redis Cache
+ *
+ * Modal shown when a save is rejected because another administrator saved
+ * in the meantime. Lists every field both sides changed with the base,
+ * "mine" and "theirs" values and lets the user pick a side per field.
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+import Modal from './Modal.js';
+import { fieldLabel, formatValue } from './SettingsDiff.js';
+
+const $ = window.jQuery;
+
+class MergeDialog {
+    constructor(options = {}) {
+        this.options = {
+            containerSelector: '#ace-redis-settings-form',
+            ...options
+        };
+
+        this.modal = new Modal({ title: 'Settings changed by someone else', className: 'ace-merge-dialog' });
+    }
+
+    /**
+     * Ask the user to resolve conflicting fields.
+     *
+     * @param {Array<{key, base, mine, theirs}>} conflicts
+     * @param {Object} context { theirsApplied: keys merged from the other side automatically }
+     * @return {Promise<Object|null>} key => chosen value, or null when cancelled
+     */
+    open(conflicts, context = {}) {
+        const $form = $(this.options.containerSelector);
+        const applied = (context.theirsApplied || []).length;
+
+        let intro = `${conflicts.length} setting${conflicts.length === 1 ? ' was' : 's were'} changed both here and by another administrator. Choose which value to keep.`;
+        if (applied) {
+            intro += ` ${applied} other change${applied === 1 ? '' : 's'} they made will be kept.`;
+        }
+
+        const $body = $('<div></div>');
+        $body.append($('<p class="ace-modal-intro"></p>').text(intro));
+        const $table = $(`
+            <table class="widefat ace-merge-table">
+                <thead>
+                    <tr>
+                        <th scope="col">Setting</th>
+                        <th scope="col">Before</th>
+                        <th scope="col">Mine</th>
+                        <th scope="col">Theirs</th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+        `);
+        conflicts.forEach((conflict, index) => {
+            const name = `ace-merge-${index}`;
+            const $row = $('<tr></tr>').attr('data-key', conflict.key);
+            $row.append($('<th scope="row"></th>').text(fieldLabel(conflict.key, $form)));
+            $row.append($('<td class="ace-merge-base"></td>').text(formatValue(conflict.key, conflict.base, $form)));
+            ['mine', 'theirs'].forEach((side) => {
+                const $label = $('<label></label>');
+                $label.append($('<input type="radio">').attr({ name, value: side }).prop('checked', side === 'mine'));
+                $label.append($('<span></span>').text(formatValue(conflict.key, conflict[side], $form)));
+                $row.append($('<td></td>').addClass(`ace-merge-${side}`).append($label));
+            });
+            $table.find('tbody').append($row);
+        });
+        $body.append($table);
+
+        const pickAll = (side) => () => $table.find(`input[type="radio"][value="${side}"]`).prop('checked', true);
+        return this.modal.open($body, [
+            { label: 'Keep all mine', link: true, keepOpen: true, onClick: pickAll('mine') },
+            { label: 'Take all theirs', link: true, keepOpen: true, onClick: pickAll('theirs') },
+            { spacer: true },
+            { label: 'Cancel', value: null },
+            { label: 'Apply and save', primary: true, onClick: () => this.collectChoices($table, conflicts) }
+        ]);
+    }
+
+    collectChoices($table, conflicts) {
+        const choices = {};
+        $table.find('tbody tr').each((index, row) => {
+            const conflict = conflicts[index];
+            const side = $(row).find('input[type="radio"]:checked').val() || 'mine';
+            choices[conflict.key] = conflict[side];
+        });
+        return choices;
+    }
+}
+
+// Export the MergeDialog class as default for ES6 modules
+export default MergeDialog;
@@ -0,0 +1,265 @@
+/**
+ * MetricsHistory Component for Ace Redis Cache
+ *
+ * Keeps a rolling client-side time series for the Diagnostics metric cards
+ * and renders an inline SVG sparkline (with hover tooltip and trend arrow)
+ * inside each card. The series lives in sessionStorage so it survives tab
+ * switches and page reloads within the same browser session.
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+const $ = window.jQuery;
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const SPARK_WIDTH = 120;
+const SPARK_HEIGHT = 28;
+
+// Parse Redis-style human sizes ("1.05M", "512K", "2.3GB") into bytes
+const parseBytes = (value) => {
+    if (typeof value === 'number') return value;
+    const match = String(value ?? '').trim().match(/^([\d.]+)\s*([KMGT]?)i?B?$/i);
+    if (!match) return null;
+    const units = { '': 1, K: 1024, M: 1024 ** 2, G: 1024 ** 3, T: 1024 ** 4 };
+    return parseFloat(match[1]) * units[match[2].toUpperCase()];
+};
+
+const parseNumber = (value) => {
+    if (typeof value === 'number') return isFinite(value) ? value : null;
+    const num = parseFloat(String(value ?? '').replace(/[^\d.-]/g, ''));
+    return isNaN(num) ? null : num;
+};
+
+const formatBytes = (bytes) => {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let i = 0;
+    let v = bytes;
+    while (v >= 1024 && i < units.length - 1) { v /= 1024; i++; }
+    return (v >= 10 ? Math.round(v) : v.toFixed(1)) + units[i];
+};
+
+// Tracked metrics: payload key -> parser/formatter
+const METRICS = {
+    cache_hit_rate: { parse: parseNumber, format: (v) => `${v.toFixed(1)}%` },
+    total_keys: { parse: parseNumber, format: (v) => Math.round(v).toLocaleString() },
+    memory_usage: { parse: parseBytes, format: formatBytes },
+    ops_per_sec: { parse: parseNumber, format: (v) => String(Math.round(v)) },
+    connected_clients: { parse: parseNumber, format: (v) => String(Math.round(v)) },
+    response_time: { parse: parseNumber, format: (v) => `${v.toFixed(2)}ms` }
+};
+
+class MetricsHistory {
+    constructor(options = {}) {
+        this.options = {
+            containerSelector: '#performance-metrics',
+            windowSelector: '#metrics-history-window',
+            storageKey: 'ace_redis_metrics_history',
+            windowStorageKey: 'ace_redis_metrics_history_window',
+            // Hard cap so a long-lived session does not grow sessionStorage unbounded
+            maxPoints: 1500,
+            ...options
+        };
+
+        this.points = [];
+        this.windowSeconds = 300;
+
+        this.init();
+    }
+
+    init() {
+        this.load();
+        this.setupEventListeners();
+    }
+
+    static get metricKeys() {
+        return Object.keys(METRICS);
+    }
+
+    load() {
+        try {
+            const raw = sessionStorage.getItem(this.options.storageKey);
+            const parsed = raw ? JSON.parse(raw) : [];
+            this.points = Array.isArray(parsed) ? parsed.filter((p) => p && typeof p.t === 'number' && p.v) : [];
+            const storedWindow = sessionStorage.getItem(this.options.windowStorageKey);
+            if (storedWindow !== null) {
+                this.windowSeconds = parseInt(storedWindow, 10) || 0;
+            }
+        } catch (e) {
+            this.points = [];
+        }
+        $(this.options.windowSelector).val(String(this.windowSeconds));
+    }
+
+    persist() {
+        try {
+            sessionStorage.setItem(this.options.storageKey, JSON.stringify(this.points));
+        } catch (e) {
+            // Quota exceeded: keep the most recent half and retry once
+            this.points = this.points.slice(Math.floor(this.points.length / 2));
+            try {
+                sessionStorage.setItem(this.options.storageKey, JSON.stringify(this.points));
+            } catch (err) { /* ignore */ }
+        }
+    }
+
+    setupEventListeners() {
+        $(document).on('change', this.options.windowSelector, (e) => {
+            this.windowSeconds = parseInt($(e.currentTarget).val(), 10) || 0;
+            try {
+                sessionStorage.setItem(this.options.windowStorageKey, String(this.windowSeconds));
+            } catch (err) { /* ignore */ }
+            this.render();
+        });
+
+        $(this.options.containerSelector).on('mousemove', '.metric-sparkline svg', (e) => {
+            this.showTooltip($(e.currentTarget).closest('.metric-card'), e);
+        });
+        $(this.options.containerSelector).on('mouseleave', '.metric-sparkline svg', (e) => {
+            this.hideTooltip($(e.currentTarget).closest('.metric-card'));
+        });
+    }
+
+    /**
+     * Append a sample taken from a /metrics payload.
+     *
+     * @param {Object} metrics Raw metrics payload
+     */
+    record(metrics) {
+        if (!metrics || typeof metrics !== 'object') return;
+
+        const values = {};
+        let hasValue = false;
+        Object.entries(METRICS).forEach(([key, def]) => {
+            const parsed = def.parse(metrics[key]);
+            if (parsed !== null) {
+                values[key] = parsed;
+                hasValue = true;
+            }
+        });
+        if (!hasValue) return;
+
+        this.points.push({ t: Date.now(), v: values });
+        if (this.points.length > this.options.maxPoints) {
+            this.points.splice(0, this.points.length - this.options.maxPoints);
+        }
+        this.persist();
+        this.render();
+    }
+
+    clear() {
+        this.points = [];
+        this.persist();
+        this.render();
+    }
+
+    // Points for a metric inside the currently selected window
+    series(key) {
+        const since = this.windowSeconds > 0 ? Date.now() - (this.windowSeconds * 1000) : 0;
+        return this.points
+            .filter((p) => p.t >= since && typeof p.v[key] === 'number')
+            .map((p) => ({ t: p.t, value: p.v[key] }));
+    }
+
+    render() {
+        $(this.options.containerSelector).find('.metric-card[data-metric]').each((_, el) => {
+            const $card = $(el);
+            const key = $card.data('metric');
+            if (!METRICS[key]) return;
+            this.renderCard($card, key, this.series(key));
+        });
+    }
+
+    renderCard($card, key, points) {
+        let $spark = $card.find('.metric-sparkline');
+        if (!$spark.length) {
+            $spark = $('<div class="metric-sparkline"><span class="metric-trend" aria-hidden="true"></span><div class="metric-sparkline-tooltip" role="tooltip" hidden></div></div>');
+            $card.find('.metric-value').after($spark);
+        }
+        $spark.find('svg').remove();
+
+        if (points.length < 2) {
+            $spark.addClass('is-empty').attr('title', 'Collecting samples…');
+            $spark.find('.metric-trend').text('');
+            return;
+        }
+        $spark.removeClass('is-empty').removeAttr('title');
+
+        const values = points.map((p) => p.value);
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const range = max - min || 1;
+        const t0 = points[0].t;
+        const span = (points[points.length - 1].t - t0) || 1;
+        const coords = points.map((p) => [
+            ((p.t - t0) / span) * SPARK_WIDTH,
+            SPARK_HEIGHT - 2 - (((p.value - min) / range) * (SPARK_HEIGHT - 4))
+        ]);
+
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${SPARK_WIDTH} ${SPARK_HEIGHT}`);
+        svg.setAttribute('preserveAspectRatio', 'none');
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', `${key.replace(/_/g, ' ')} trend, ${points.length} samples, min ${METRICS[key].format(min)}, max ${METRICS[key].format(max)}`);
+
+        const line = coords.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ');
+        const area = document.createElementNS(SVG_NS, 'polygon');
+        area.setAttribute('class', 'sparkline-area');
+        area.setAttribute('points', `0,${SPARK_HEIGHT} ${line} ${SPARK_WIDTH},${SPARK_HEIGHT}`);
+        const polyline = document.createElementNS(SVG_NS, 'polyline');
+        polyline.setAttribute('class', 'sparkline-line');
+        polyline.setAttribute('points', line);
+        const marker = document.createElementNS(SVG_NS, 'circle');
+        marker.setAttribute('class', 'sparkline-marker');
+        marker.setAttribute('r', '2');
+        marker.setAttribute('visibility', 'hidden');
+        svg.append(area, polyline, marker);
+        $spark.prepend(svg);
+
+        // Trend compares the latest sample against the first one in the window
+        const delta = values[values.length - 1] - values[0];
+        const threshold = Math.abs(values[0]) * 0.02;
+        let trend = '→';
+        if (delta > threshold) trend = '▲';
+        else if (delta < -threshold) trend = '▼';
+        $spark.find('.metric-trend').text(trend);
+
+        $spark.data('points', points).data('coords', coords);
+    }
+
+    showTooltip($card, event) {
+        const $spark = $card.find('.metric-sparkline');
+        const points = $spark.data('points');
+        const coords = $spark.data('coords');
+        if (!points || !coords) return;
+
+        const rect = event.currentTarget.getBoundingClientRect();
+        const x = ((event.clientX - rect.left) / rect.width) * SPARK_WIDTH;
+        let idx = 0;
+        coords.forEach(([cx], i) => {
+            if (Math.abs(cx - x) < Math.abs(coords[idx][0] - x)) idx = i;
+        });
+
+        const key = $card.data('metric');
+        const point = points[idx];
+        const marker = $spark.find('.sparkline-marker')[0];
+        marker.setAttribute('cx', coords[idx][0]);
+        marker.setAttribute('cy', coords[idx][1]);
+        marker.setAttribute('visibility', 'visible');
+
+        const left = (coords[idx][0] / SPARK_WIDTH) * rect.width;
+        $spark.find('.metric-sparkline-tooltip')
+            .text(`${new Date(point.t).toLocaleTimeString()} · ${METRICS[key].format(point.value)}`)
+            .css('left', `${left}px`)
+            .prop('hidden', false);
+    }
+
+    hideTooltip($card) {
+        const $spark = $card.find('.metric-sparkline');
+        $spark.find('.metric-sparkline-tooltip').prop('hidden', true);
+        $spark.find('.sparkline-marker').attr('visibility', 'hidden');
+    }
+}
+
+// Export the MetricsHistory class as default for ES6 modules
+export default MetricsHistory;
@@ -0,0 +1,211 @@
+/**
+ * MetricsTransport Component for Ace Redis Cache
+ *
+ * Keeps the Diagnostics light metrics up to date for the auto-refresh
+ * dropdown. When the server offers a metrics stream (`metrics_stream_url`),
+ * the polling leader listens to it instead of polling. Otherwise the
+ * metrics are polled at an interval that adapts: it starts at the selected
+ * one, stretches while the numbers stay the same, snaps back as soon as
+ * they change, and backs off exponentially while requests fail. Nothing is
+ * requested while the browser tab is hidden.
+ *
+ * The countdown element shows what the transport is really doing: live
+ * stream, next poll, retry after a failure, or paused.
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+const $ = window.jQuery;
+
+// Change on every sample without meaning anything changed (same list as MetricsStream)
+const VOLATILE_FIELDS = ['response_time', 'uptime'];
+
+const fingerprint = (data) => {
+    if (!data || typeof data !== 'object') return '';
+    return JSON.stringify(Object.keys(data)
+        .filter((key) => !VOLATILE_FIELDS.includes(key))
+        .sort()
+        .map((key) => [key, data[key]]));
+};
+
+class MetricsTransport {
+    constructor(options = {}) {
+        this.options = {
+            // PollCoordinator shared with the other pollers
+            polls: null,
+            topic: 'metrics:basic',
+            // () => Promise resolving with a /metrics body
+            fetch: null,
+            streamUrl: (window.ace_redis_admin && window.ace_redis_admin.metrics_stream_url) || '',
+            timerSelector: '#refresh-timer',
+            // Each unchanged result stretches the interval by this factor, up to maxSlowdown times the selected one
+            slowdown: 1.5,
+            maxSlowdown: 4,
+            // Each failed request doubles the interval, up to this many ms
+            maxBackoff: 300000,
+            ...options
+        };
+
+        this.polls = this.options.polls;
+        this.topic = this.options.topic;
+        // Selected in the dropdown, in seconds; 0 is off
+        this.seconds = 0;
+        // Whether the Diagnostics tab is shown
+        this.active = false;
+        // Current polling interval in ms
+        this.interval = 0;
+        this.failures = 0;
+        this.unchanged = 0;
+        this.lastFingerprint = null;
+        this.lastAt = 0;
+        this.ticker = null;
+
+        this.init();
+    }
+
+    init() {
+        const streams = !!this.options.streamUrl && typeof window.EventSource === 'function';
+        this.polls.register(this.topic, this.options.fetch, streams
+            ? { stream: (onData, onError, interval) => this.openStream(onData, onError, interval) }
+            : {});
+        this.polls.subscribe(this.topic, (result, meta) => this.adapt(result, meta));
+
+        this.onVisibilityChange = () => {
+            this.update();
+            // Back from another browser tab: catch up if the numbers went stale meanwhile
+            if (!document.hidden && this.wanted()) {
+                this.polls.refresh(this.topic, { maxAge: this.interval });
+            }
+        };
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+    }
+
+    /**
+     * Use the interval picked in the dropdown, starting over from it.
+     *
+     * @param {number} seconds 0 turns auto-refresh off
+     */
+    select(seconds) {
+        this.seconds = seconds > 0 ? seconds : 0;
+        this.failures = 0;
+        this.unchanged = 0;
+        this.interval = this.seconds * 1000;
+        this.update();
+    }
+
+    /**
+     * Start or stop refreshing with the Diagnostics tab.
+     *
+     * @param {boolean} active
+     */
+    setActive(active) {
+        this.active = !!active;
+        this.update();
+    }
+
+    wanted() {
+        return this.seconds > 0 && this.active && !document.hidden;
+    }
+
+    update() {
+        this.polls.poll(this.topic, this.wanted() ? this.interval : 0);
+
+        const showing = this.seconds > 0 && this.active;
+        if (showing && !this.ticker) {
+            this.ticker = setInterval(() => this.render(), 1000);
+        } else if (!showing && this.ticker) {
+            clearInterval(this.ticker);
+            this.ticker = null;
+        }
+        this.render();
+    }
+
+    // Work out the next interval from a result, whichever tab fetched it
+    adapt(result, meta = {}) {
+        // Results re-delivered from the cache say nothing new
+        if (!meta.at || meta.at <= this.lastAt) return;
+        this.lastAt = meta.at;
+
+        const base = this.seconds * 1000;
+        if (result.ok) {
+            const print = fingerprint(result.body && result.body.data);
+            this.unchanged = print === this.lastFingerprint ? this.unchanged + 1 : 0;
+            this.lastFingerprint = print;
+            this.failures = 0;
+        } else {
+            this.failures++;
+        }
+        if (!base) return;
+
+        if (this.polls.status(this.topic).mode === 'stream') {
+            // The stream only sends changes; keep its sampling at the selected interval
+            this.interval = base;
+        } else if (this.failures) {
+            this.interval = Math.min(base * 2 ** this.failures, Math.max(base, this.options.maxBackoff));
+        } else {
+            this.interval = Math.round(Math.min(base * this.options.slowdown ** this.unchanged, base * this.options.maxSlowdown));
+        }
+        this.update();
+    }
+
+    render() {
+        const $timer = $(this.options.timerSelector);
+        if (!this.seconds || !this.active) {
+            $timer.text('');
+            return;
+        }
+        if (document.hidden) {
+            $timer.text('Paused while this tab is hidden');
+            return;
+        }
+
+        const status = this.polls.status(this.topic);
+        const wait = Math.max(0, Math.ceil((status.due - Date.now()) / 1000));
+        let text = '';
+        if (status.mode === 'stream') {
+            text = this.lastAt ? `Live, updated ${Math.round((Date.now() - this.lastAt) / 1000)}s ago` : 'Live';
+        } else if (status.mode === 'fetching' || (status.mode === 'poll' && wait === 0)) {
+            text = 'Refreshing…';
+        } else if (status.mode === 'poll' && this.failures) {
+            text = `Request failed, retrying in ${wait}s`;
+        } else if (status.mode === 'poll') {
+            text = this.interval > this.seconds * 1000
+                ? `Next refresh in ${wait}s (no recent changes)`
+                : `Next refresh in ${wait}s`;
+        }
+        $timer.text(text);
+    }
+
+    // Stream opener for the coordinator; the REST nonce goes in the URL since EventSource cannot send headers
+    openStream(onData, onError, interval) {
+        const config = window.ace_redis_admin || {};
+        const url = new URL(this.options.streamUrl, window.location.href);
+        url.searchParams.set('interval', String(Math.max(1, Math.round(interval / 1000))));
+        if (config.rest_nonce) url.searchParams.set('_wpnonce', config.rest_nonce);
+
+        const source = new window.EventSource(url.toString());
+        source.addEventListener('metrics', (event) => {
+            let body = null;
+            try {
+                body = JSON.parse(event.data);
+            } catch (error) {
+                return;
+            }
+            if (body && body.success !== false) onData(body);
+        });
+        // The browser reconnects by itself after the server ends a stream; CLOSED means it gave up
+        source.onerror = () => {
+            if (source.readyState === window.EventSource.CLOSED) onError();
+        };
+        return () => source.close();
+    }
+
+    destroy() {
+        this.select(0);
+        document.removeEventListener('visibilitychange', this.onVisibilityChange);
+    }
+}
+
+// Export the MetricsTransport class as default for ES6 modules
+export default MetricsTransport;
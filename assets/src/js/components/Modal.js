@@ -0,0 +1,131 @@
+/**
+ * Modal Component for Ace Redis Cache
+ *
+ * Minimal promise-based dialog used by the settings merge and import
+ * previews: focus is moved into the dialog and trapped there, Escape
+ * cancels, and focus returns to the triggering element on close.
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+const $ = window.jQuery;
+
+let nextId = 1;
+
+class Modal {
+    constructor(options = {}) {
+        this.options = {
+            title: '',
+            className: '',
+            ...options
+        };
+
+        this.$overlay = null;
+        this.resolve = null;
+        this.returnFocus = null;
+    }
+
+    /**
+     * Show the dialog.
+     *
+     * Each action is `{ label, value, primary, link, keepOpen, onClick }`.
+     * Clicking an action resolves with `onClick()` (or `value`) unless
+     * `keepOpen` is set, in which case only `onClick` runs.
+     *
+     * @param {jQuery|string} body Dialog content
+     * @param {Array<Object>} actions Footer buttons, in display order
+     * @return {Promise<*>} Resolved value; null when dismissed
+     */
+    open(body, actions = []) {
+        this.close(null);
+        this.returnFocus = document.activeElement;
+
+        const titleId = `ace-modal-title-${nextId++}`;
+        this.$overlay = $(`
+            <div class="ace-modal-overlay">
+                <div class="ace-modal" role="dialog" aria-modal="true" tabindex="-1">
+                    <h2 class="ace-modal-title"></h2>
+                    <div class="ace-modal-body"></div>
+                    <div class="ace-modal-actions"></div>
+                </div>
+            </div>
+        `);
+        const $dialog = this.$overlay.find('.ace-modal').addClass(this.options.className).attr('aria-labelledby', titleId);
+        $dialog.find('.ace-modal-title').attr('id', titleId).text(this.options.title);
+        $dialog.find('.ace-modal-body').append(body);
+
+        const $actions = $dialog.find('.ace-modal-actions');
+        actions.forEach((action) => {
+            if (action.spacer) {
+                $actions.append('<span class="ace-modal-spacer"></span>');
+                return;
+            }
+            let classes = 'button';
+            if (action.link) classes = 'button-link';
+            else if (action.primary) classes = 'button button-primary';
+            const $button = $('<button type="button"></button>').addClass(classes).text(action.label);
+            $button.on('click', (e) => {
+                e.preventDefault();
+                const result = typeof action.onClick === 'function' ? action.onClick() : action.value;
+                if (!action.keepOpen) {
+                    this.close(typeof result === 'undefined' ? null : result);
+                }
+            });
+            $actions.append($button);
+        });
+
+        this.$overlay.on('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.close(null);
+            } else if (e.key === 'Tab') {
+                this.trapFocus(e);
+            }
+        });
+
+        return new Promise((resolve) => {
+            this.resolve = resolve;
+            $('body').append(this.$overlay);
+            $dialog.trigger('focus');
+        });
+    }
+
+    // Content container of the open dialog, for callers that read inputs back
+    get $body() {
+        return this.$overlay ? this.$overlay.find('.ace-modal-body') : $();
+    }
+
+    trapFocus(e) {
+        const focusable = this.$overlay.find('button, input, select, textarea, a[href]').filter(':visible').toArray();
+        if (!focusable.length) return;
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    close(result) {
+        if (this.$overlay) {
+            this.$overlay.remove();
+            this.$overlay = null;
+        }
+        if (this.resolve) {
+            const resolve = this.resolve;
+            this.resolve = null;
+            resolve(result);
+        }
+        if (this.returnFocus && typeof this.returnFocus.focus === 'function') {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+    }
+}
+
+// Export the Modal class as default for ES6 modules
+export default Modal;
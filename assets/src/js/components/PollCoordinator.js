@@ -0,0 +1,487 @@
+/**
+ * PollCoordinator Component for Ace Redis Cache
+ *
+ * Shares the Diagnostics pollers (metrics, cache health) between open
+ * settings tabs. Each tab says which topics it wants polled and how often;
+ * the tabs elect one visible leader over the settings BroadcastChannel, and
+ * only the leader fetches, at the shortest interval any tab asked for, then
+ * broadcasts each result so every tab renders the same numbers. Leadership
+ * moves to another visible tab when the leader is hidden, closed or stops
+ * sending heartbeats.
+ *
+ * A topic can also come with a stream opener (e.g. an EventSource): while
+ * it is wanted, the leader keeps the stream open instead of polling, and
+ * polls for a while when the stream fails. The leader's heartbeats carry
+ * each topic's transport state, so every tab can show what is really
+ * happening (see status()).
+ *
+ * Without BroadcastChannel every tab is its own leader, as before.
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+// Same channel SaveBar syncs saved settings on; messages here use poll_* types
+const CHANNEL_NAME = 'ace_redis_settings';
+
+// A failed fetch as a result; null for superseded requests, which are not shared
+const failure = (error) => {
+    if (error && error.aborted) return null;
+    return {
+        ok: false,
+        // Plain fields only: results cross the channel by structured clone
+        error: {
+            status: (error && error.status) || 0,
+            code: (error && error.code) || '',
+            message: (error && error.message) || '',
+            data: error && error.data !== undefined ? error.data : null,
+            timedOut: !!(error && error.timedOut)
+        }
+    };
+};
+
+class PollCoordinator {
+    constructor(options = {}) {
+        this.options = {
+            // Leader heartbeats and follower interest updates
+            heartbeatInterval: 2000,
+            // Silent this long: the leader is gone, or the tab no longer wants its topics
+            leaderTimeout: 5000,
+            // Competing claims get this long to arrive before a claim is settled
+            claimWindow: 250,
+            // After a stream fails, poll this long before opening it again
+            streamRetry: 60000,
+            ...options
+        };
+
+        this.id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        this.channel = null;
+        this.leader = false;
+        this.leaderId = null;
+        this.lastHeartbeat = 0;
+        this.claimTimer = null;
+        this.timer = null;
+
+        // topic => () => Promise resolving with the response body
+        this.fetchers = {};
+        // topic => [handler]
+        this.handlers = {};
+        // topic => { result, at }
+        this.latest = {};
+        // topic => Promise of the fetch this tab has out
+        this.inflight = {};
+        // topic => interval this tab asked for
+        this.own = {};
+        // tab id => { topics: { topic: interval }, seen }
+        this.interests = {};
+        // topic => { timer, due } (leader only)
+        this.scheduled = {};
+        // topic => { open, close, interval, failedAt }; close is set while the stream is open (leader only)
+        this.streams = {};
+        // topic => { mode, due } as last heard from the leader
+        this.remoteStatus = {};
+        this.publishedStatus = '';
+
+        this.init();
+    }
+
+    init() {
+        try {
+            this.channel = new BroadcastChannel(CHANNEL_NAME);
+        } catch (error) {
+            this.channel = null;
+        }
+        if (!this.channel) {
+            this.leader = true;
+            return;
+        }
+
+        this.channel.onmessage = (event) => this.receive(event?.data);
+        this.onVisibilityChange = () => {
+            if (document.hidden) {
+                this.resign();
+            } else if (!this.hasLeader()) {
+                this.claim();
+            }
+        };
+        // Pages kept in the back/forward cache come back through visibilitychange
+        this.onPageHide = () => this.resign();
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+        window.addEventListener('pagehide', this.onPageHide);
+
+        this.timer = setInterval(() => this.tick(), this.options.heartbeatInterval);
+
+        // A running leader answers with a heartbeat; otherwise the claim goes through
+        this.post({ type: 'poll_query' });
+        if (!document.hidden) this.claim();
+    }
+
+    /**
+     * Register how a topic is fetched. Every tab registers the same topics,
+     * since any of them may become the leader.
+     *
+     * @param {string} topic
+     * @param {Function} fetcher () => Promise resolving with the response body
+     * @param {Object} options
+     * @param {Function} [options.stream] (onData(body), onError(), interval) => close function; used instead of polling
+     */
+    register(topic, fetcher, options = {}) {
+        this.fetchers[topic] = fetcher;
+        if (options.stream) {
+            this.streams[topic] = { open: options.stream, close: null, interval: 0, failedAt: 0 };
+        }
+    }
+
+    /**
+     * Receive a topic's results, fetched here or broadcast by another tab.
+     *
+     * @param {string} topic
+     * @param {Function} handler ({ ok, body, error }, { at, remote }) => void
+     */
+    subscribe(topic, handler) {
+        (this.handlers[topic] = this.handlers[topic] || []).push(handler);
+    }
+
+    /**
+     * Ask for a topic to be polled every `interval` ms (0 to stop asking).
+     * Results arrive through subscribe(), whichever tab fetched them.
+     *
+     * @param {string} topic
+     * @param {number} interval
+     */
+    poll(topic, interval) {
+        const wanted = interval > 0 ? interval : 0;
+        if ((this.own[topic] || 0) === wanted) return;
+        if (wanted) {
+            this.own[topic] = wanted;
+        } else {
+            delete this.own[topic];
+        }
+        this.announce();
+        this.reschedule();
+    }
+
+    isLeader() {
+        return this.leader;
+    }
+
+    hasLeader() {
+        return this.leader || (!!this.leaderId && Date.now() - this.lastHeartbeat < this.options.leaderTimeout);
+    }
+
+    /**
+     * How a topic is being kept up to date, by whichever tab is the leader.
+     *
+     * @param {string} topic
+     * @return {Object} { mode: 'stream'|'poll'|'fetching'|'idle', due: ms timestamp of the next poll or 0 }
+     */
+    status(topic) {
+        if (this.leader) {
+            if (this.streams[topic] && this.streams[topic].close) return { mode: 'stream', due: 0 };
+            if (this.inflight[topic]) return { mode: 'fetching', due: 0 };
+            if (this.scheduled[topic]) return { mode: 'poll', due: this.scheduled[topic].due };
+            return { mode: 'idle', due: 0 };
+        }
+        return (this.hasLeader() && this.remoteStatus[topic]) || { mode: 'idle', due: 0 };
+    }
+
+    /**
+     * Fetch a topic in this tab now and share the result with every tab.
+     * Subscribers get the result either way, also when a recent one is reused.
+     *
+     * @param {string} topic
+     * @param {Object} options { maxAge: reuse a result younger than this many ms instead }
+     * @return {Promise<Object|null>} The result, or null when the fetch was superseded
+     */
+    refresh(topic, options = {}) {
+        const latest = this.latest[topic];
+        if (options.maxAge && latest && Date.now() - latest.at < options.maxAge) {
+            this.deliver(topic, latest.result, latest.at, false);
+            return Promise.resolve(latest.result);
+        }
+        if (this.inflight[topic]) return this.inflight[topic];
+        const fetcher = this.fetchers[topic];
+        if (!fetcher) return Promise.resolve(null);
+
+        this.inflight[topic] = Promise.resolve()
+            .then(fetcher)
+            .then((body) => ({ ok: true, body }), failure)
+            .then((result) => {
+                delete this.inflight[topic];
+                if (result) {
+                    const at = Date.now();
+                    this.deliver(topic, result, at, false);
+                    this.post({ type: 'poll_result', topic, result, at });
+                }
+                this.reschedule();
+                return result;
+            });
+        this.publishStatus();
+        return this.inflight[topic];
+    }
+
+    deliver(topic, result, at, remote) {
+        const latest = this.latest[topic];
+        // Out-of-order broadcasts must not replace newer numbers
+        if (latest && latest.at > at) return;
+        this.latest[topic] = { result, at };
+        (this.handlers[topic] || []).forEach((handler) => {
+            try {
+                handler(result, { at, remote });
+            } catch (error) {
+                // One broken handler must not stop the others
+            }
+        });
+        if (remote) this.reschedule();
+    }
+
+    // Shortest interval any live tab asked for, 0 when none did
+    intervalFor(topic) {
+        const cutoff = Date.now() - this.options.leaderTimeout;
+        let interval = this.own[topic] || 0;
+        Object.values(this.interests).forEach((entry) => {
+            const wanted = entry.seen >= cutoff ? entry.topics[topic] : 0;
+            if (wanted > 0 && (!interval || wanted < interval)) interval = wanted;
+        });
+        return interval;
+    }
+
+    // Leader: keep each wanted topic's stream open, or one timer due one interval after its latest result
+    reschedule() {
+        const topics = new Set([...Object.keys(this.scheduled), ...Object.keys(this.own), ...Object.keys(this.streams)]);
+        Object.values(this.interests).forEach((entry) => Object.keys(entry.topics).forEach((topic) => topics.add(topic)));
+
+        topics.forEach((topic) => {
+            const wanted = this.leader ? this.intervalFor(topic) : 0;
+            const current = this.scheduled[topic];
+            if (wanted && this.openStream(topic, wanted)) {
+                if (current) clearTimeout(current.timer);
+                delete this.scheduled[topic];
+                return;
+            }
+            this.closeStream(topic);
+
+            const interval = this.inflight[topic] ? 0 : wanted;
+            if (!interval) {
+                if (current) clearTimeout(current.timer);
+                delete this.scheduled[topic];
+                return;
+            }
+            const due = ((this.latest[topic] && this.latest[topic].at) || 0) + interval;
+            if (current && current.due === due) return;
+            if (current) clearTimeout(current.timer);
+            this.scheduled[topic] = {
+                due,
+                timer: setTimeout(() => {
+                    delete this.scheduled[topic];
+                    this.refresh(topic);
+                }, Math.max(0, due - Date.now()))
+            };
+        });
+        this.publishStatus();
+    }
+
+    // Leader: open a topic's stream unless it failed recently, reopening it when the interval changes; true while it is open
+    openStream(topic, interval) {
+        const stream = this.streams[topic];
+        if (!stream) return false;
+        if (stream.close && stream.interval === interval) return true;
+        this.closeStream(topic);
+        if (stream.failedAt && Date.now() - stream.failedAt < this.options.streamRetry) return false;
+
+        let close = null;
+        const onData = (body) => {
+            if (stream.close !== close) return;
+            const result = { ok: true, body };
+            const at = Date.now();
+            this.deliver(topic, result, at, false);
+            this.post({ type: 'poll_result', topic, result, at });
+        };
+        const onError = () => {
+            if (stream.close !== close) return;
+            this.closeStream(topic);
+            stream.failedAt = Date.now();
+            this.reschedule();
+        };
+        try {
+            close = stream.open(onData, onError, interval);
+        } catch (error) {
+            close = null;
+        }
+        if (typeof close !== 'function') {
+            stream.failedAt = Date.now();
+            return false;
+        }
+        stream.close = close;
+        stream.interval = interval;
+        return true;
+    }
+
+    closeStream(topic) {
+        const stream = this.streams[topic];
+        if (!stream || !stream.close) return;
+        const close = stream.close;
+        stream.close = null;
+        try {
+            close();
+        } catch (error) {
+            // ignore
+        }
+    }
+
+    // Leader: tell the other tabs straight away when a topic's transport changes
+    publishStatus() {
+        if (!this.leader || !this.channel) return;
+        if (JSON.stringify(this.statuses()) !== this.publishedStatus) this.heartbeat();
+    }
+
+    statuses() {
+        const statuses = {};
+        new Set([...Object.keys(this.scheduled), ...Object.keys(this.inflight), ...Object.keys(this.streams)])
+            .forEach((topic) => {
+                statuses[topic] = this.status(topic);
+            });
+        return statuses;
+    }
+
+    tick() {
+        if (this.leader) {
+            this.heartbeat();
+        } else if (!document.hidden && !this.hasLeader()) {
+            this.claim();
+        }
+        if (Object.keys(this.own).length) this.announce();
+
+        const cutoff = Date.now() - this.options.leaderTimeout;
+        Object.keys(this.interests).forEach((id) => {
+            if (this.interests[id].seen < cutoff) delete this.interests[id];
+        });
+        this.reschedule();
+    }
+
+    announce() {
+        this.post({ type: 'poll_interest', topics: { ...this.own } });
+    }
+
+    post(message) {
+        if (!this.channel) return;
+        try {
+            this.channel.postMessage({ ...message, from: this.id });
+        } catch (error) {
+            // Ignore BroadcastChannel failures.
+        }
+    }
+
+    receive(message) {
+        if (!message || typeof message.type !== 'string' || !message.from || message.from === this.id) return;
+
+        switch (message.type) {
+        case 'poll_heartbeat':
+            if (this.leader) {
+                // Two leaders after a split: the lower id keeps the job
+                if (message.from > this.id) {
+                    this.heartbeat();
+                    return;
+                }
+                this.stepDown();
+            }
+            this.cancelClaim();
+            this.leaderId = message.from;
+            this.lastHeartbeat = Date.now();
+            this.remoteStatus = message.status || {};
+            break;
+        case 'poll_query':
+            if (this.leader) this.heartbeat();
+            // The new tab may become leader and needs to know what the others want polled
+            if (Object.keys(this.own).length) this.announce();
+            break;
+        case 'poll_claim':
+            if (this.leader) {
+                this.heartbeat();
+            } else if (this.claimTimer && message.from < this.id) {
+                this.cancelClaim();
+            }
+            break;
+        case 'poll_resign':
+            if (this.leaderId === message.from) {
+                this.leaderId = null;
+                this.lastHeartbeat = 0;
+                this.remoteStatus = {};
+                if (!document.hidden) this.claim();
+            }
+            break;
+        case 'poll_interest':
+            this.interests[message.from] = { topics: message.topics || {}, seen: Date.now() };
+            this.reschedule();
+            break;
+        case 'poll_result':
+            if (message.topic && message.result) this.deliver(message.topic, message.result, message.at || Date.now(), true);
+            break;
+        default:
+            break;
+        }
+    }
+
+    claim() {
+        if (this.leader || this.claimTimer || !this.channel) return;
+        this.post({ type: 'poll_claim' });
+        this.claimTimer = setTimeout(() => {
+            this.claimTimer = null;
+            if (!document.hidden && !this.hasLeader()) this.becomeLeader();
+        }, this.options.claimWindow);
+    }
+
+    cancelClaim() {
+        clearTimeout(this.claimTimer);
+        this.claimTimer = null;
+    }
+
+    becomeLeader() {
+        this.leader = true;
+        this.leaderId = this.id;
+        this.heartbeat();
+        this.reschedule();
+    }
+
+    heartbeat() {
+        const status = this.statuses();
+        this.publishedStatus = JSON.stringify(status);
+        this.post({ type: 'poll_heartbeat', status });
+    }
+
+    stepDown() {
+        this.leader = false;
+        this.leaderId = null;
+        this.remoteStatus = {};
+        this.reschedule();
+    }
+
+    // Hand over straight away instead of letting the others wait out the timeout
+    resign() {
+        this.cancelClaim();
+        if (!this.leader || !this.channel) return;
+        this.stepDown();
+        this.post({ type: 'poll_resign' });
+    }
+
+    destroy() {
+        if (!this.channel) return;
+        this.resign();
+        clearInterval(this.timer);
+        document.removeEventListener('visibilitychange', this.onVisibilityChange);
+        window.removeEventListener('pagehide', this.onPageHide);
+        try {
+            this.channel.close();
+        } catch (error) {
+            // ignore
+        }
+        this.channel = null;
+        // On its own from here on, like a browser without BroadcastChannel
+        this.interests = {};
+        this.leader = true;
+        this.reschedule();
+    }
+}
+
+// Export the PollCoordinator class as default for ES6 modules
+export default PollCoordinator;
@@ -0,0 +1,286 @@
+/**
+ * PurgePanel Component for Ace Redis Cache
+ *
+ * Selective purge on the Keys tab: clear the cache for a list of URLs, a set
+ * of posts, whole cache groups, object-cache groups or a key glob instead of
+ * flushing everything. A preview counts the matching keys first; the purge
+ * then runs in short server-side steps so progress can be shown and stopped.
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+import { api, errorMessage } from './ApiClient.js';
+
+const $ = window.jQuery;
+
+const lines = (value) => String(value || '').split('\n').map((line) => line.trim()).filter(Boolean);
+
+class PurgePanel {
+    constructor(options = {}) {
+        this.options = {
+            panelSelector: '#ace-purge-panel',
+            // (message, type) => void
+            notify: null,
+            // ({ deleted, label }) => void, after a purge finishes or is stopped
+            onComplete: null,
+            ...options
+        };
+
+        this.$panel = $(this.options.panelSelector);
+        this.posts = new Map();
+        this.preview = null;
+        this.running = false;
+        this.stopRequested = false;
+        this.searchRequest = null;
+        this.searchTimer = null;
+
+        if (this.$panel.length) {
+            this.setupEventListeners();
+            this.showTarget();
+        }
+    }
+
+    setupEventListeners() {
+        this.$panel.on('change', 'input[name="ace-purge-target"]', () => {
+            this.showTarget();
+            this.resetPreview();
+        });
+        // Any edit invalidates the last preview
+        this.$panel.on('input change', '.purge-target-fields :input:not(#purge-post-search)', () => this.resetPreview());
+        this.$panel.on('keydown', 'input[type="text"], input[type="search"]', (e) => {
+            // The panel sits inside the settings form; Enter must not submit it
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                if ($(e.currentTarget).is('#purge-post-search')) this.searchPosts();
+            }
+        });
+        this.$panel.on('input', '#purge-post-search', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.searchPosts(), 300);
+        });
+        this.$panel.on('click', '.purge-post-result', (e) => {
+            e.preventDefault();
+            const $button = $(e.currentTarget);
+            this.addPost($button.data('id'), $button.data('title'));
+        });
+        this.$panel.on('click', '.purge-post-remove', (e) => {
+            e.preventDefault();
+            this.posts.delete($(e.currentTarget).data('id'));
+            this.renderPosts();
+            this.resetPreview();
+        });
+        this.$panel.on('click', '#purge-preview', (e) => {
+            e.preventDefault();
+            this.runPreview();
+        });
+        this.$panel.on('click', '#purge-run', (e) => {
+            e.preventDefault();
+            this.runPurge();
+        });
+        this.$panel.on('click', '#purge-stop', (e) => {
+            e.preventDefault();
+            this.stopRequested = true;
+            $(e.currentTarget).prop('disabled', true).text('Stopping…');
+        });
+    }
+
+    notify(message, type = 'info') {
+        if (typeof this.options.notify === 'function') {
+            this.options.notify(message, type);
+        }
+    }
+
+    target() {
+        return this.$panel.find('input[name="ace-purge-target"]:checked').val() || 'urls';
+    }
+
+    showTarget() {
+        const target = this.target();
+        this.$panel.find('.purge-target-fields').each((index, fields) => {
+            $(fields).prop('hidden', $(fields).data('target') !== target);
+        });
+    }
+
+    /**
+     * Values for the selected target, as sent to the purge routes.
+     *
+     * @return {string[]}
+     */
+    values() {
+        switch (this.target()) {
+        case 'posts':
+            return [...this.posts.keys()].map(String);
+        case 'group':
+            return this.$panel.find('.purge-group:checked').map((index, box) => box.value).get();
+        case 'object_group':
+            return lines(this.$panel.find('#purge-object-groups').val());
+        case 'pattern':
+            return lines(this.$panel.find('#purge-patterns').val());
+        default:
+            return lines(this.$panel.find('#purge-urls').val());
+        }
+    }
+
+    searchPosts() {
+        const term = String(this.$panel.find('#purge-post-search').val() || '').trim();
+        const $results = this.$panel.find('.purge-post-results').empty();
+        if (this.searchRequest) this.searchRequest.abort();
+        if (!term) return;
+
+        // A post ID can be added without searching
+        if (/^\d+$/.test(term)) {
+            $results.append(this.renderResult({ id: parseInt(term, 10), title: `Post #${term}`, url: '' }));
+        }
+
+        const request = api.searchContent(term, { type: 'post', per_page: 10, _fields: 'id,title,url,subtype' });
+        this.searchRequest = request;
+        request.then((response) => {
+            (Array.isArray(response) ? response : []).forEach((item) => $results.append(this.renderResult(item)));
+            if (!$results.children().length) {
+                $results.append($('<li class="description"></li>').text('No matching posts.'));
+            }
+        }).catch((error) => {
+            if (error.aborted) return;
+            $results.append($('<li class="description"></li>').text('Post search failed. You can still enter a post ID.'));
+        }).finally(() => {
+            if (this.searchRequest === request) this.searchRequest = null;
+        });
+    }
+
+    renderResult(item) {
+        const title = item.title || `Post #${item.id}`;
+        const $button = $('<button type="button" class="button-link purge-post-result"></button>')
+            .data({ id: item.id, title })
+            .text(title);
+        const $item = $('<li></li>').append($button);
+        if (item.url) {
+            $item.append(' ', $('<span class="purge-post-url"></span>').text(item.url));
+        }
+        return $item;
+    }
+
+    addPost(id, title) {
+        if (!id) return;
+        this.posts.set(id, title);
+        this.renderPosts();
+        this.resetPreview();
+        this.$panel.find('#purge-post-search').val('').trigger('focus');
+        this.$panel.find('.purge-post-results').empty();
+    }
+
+    renderPosts() {
+        const $list = this.$panel.find('.purge-post-list').empty();
+        this.posts.forEach((title, id) => {
+            const $chip = $('<li class="purge-post-chip"></li>').text(`${title} `);
+            $chip.append($('<span class="purge-post-id"></span>').text(`#${id}`));
+            $chip.append(
+                $('<button type="button" class="purge-post-remove"><span aria-hidden="true">×</span></button>')
+                    .attr('aria-label', `Remove ${title}`)
+                    .data('id', id)
+            );
+            $list.append($chip);
+        });
+    }
+
+    resetPreview() {
+        if (this.running) return;
+        this.preview = null;
+        this.$panel.find('#purge-run').prop('disabled', true).text('Purge');
+        this.$panel.find('.purge-sample').empty().prop('hidden', true);
+        this.setStatus('');
+    }
+
+    setStatus(message) {
+        this.$panel.find('.purge-status').text(message);
+    }
+
+    runPreview() {
+        const target = this.target();
+        const values = this.values();
+        if (!values.length) {
+            this.setStatus('Nothing to purge yet: add at least one value.');
+            return;
+        }
+
+        const $button = this.$panel.find('#purge-preview').prop('disabled', true);
+        this.setStatus('Counting matching keys…');
+        api.previewPurge(target, values).then((response) => {
+            const data = (response && response.data) || {};
+            this.preview = { target, values, total: data.total || 0, label: data.label || '' };
+            this.setStatus(response.message || `${this.preview.total} matching keys.`);
+
+            const $sample = this.$panel.find('.purge-sample').empty();
+            (data.sample || []).forEach((key) => $sample.append($('<li></li>').append($('<code></code>').text(key))));
+            if (this.preview.total > (data.sample || []).length) {
+                $sample.append($('<li class="description"></li>').text(`…and ${this.preview.total - data.sample.length} more`));
+            }
+            $sample.prop('hidden', !$sample.children().length);
+
+            this.$panel.find('#purge-run')
+                .prop('disabled', !this.preview.total)
+                .text(this.preview.total ? `Purge ${this.preview.total} key${this.preview.total === 1 ? '' : 's'}` : 'Purge');
+        }).catch((error) => {
+            this.setStatus(errorMessage(error, 'Could not preview the purge.'));
+        }).finally(() => {
+            $button.prop('disabled', false);
+        });
+    }
+
+    /**
+     * Run the previewed purge, one server-side step at a time.
+     */
+    async runPurge() {
+        if (!this.preview || this.running) return;
+
+        const { target, values, total, label } = this.preview;
+        const $progress = this.$panel.find('.purge-progress').prop('hidden', false);
+        const $bar = $progress.find('progress').attr({ max: total, value: 0 });
+        const $controls = this.$panel.find('#purge-preview, #purge-run, .purge-targets :input, .purge-target-fields :input');
+        this.running = true;
+        this.stopRequested = false;
+        $controls.prop('disabled', true);
+        this.$panel.find('#purge-stop').prop({ hidden: false, disabled: false }).text('Stop');
+
+        let cursor = '0';
+        let deleted = 0;
+        let failed = null;
+        try {
+            do {
+                const response = await api.purge(target, values, cursor);
+                const data = (response && response.data) || {};
+                deleted += data.deleted || 0;
+                cursor = data.cursor || null;
+                $bar.attr('value', Math.min(deleted, total));
+                this.setStatus(`Deleted ${deleted} of ${total} key${total === 1 ? '' : 's'}…`);
+            } while (cursor && !this.stopRequested);
+        } catch (error) {
+            failed = errorMessage(error, 'The purge request failed.');
+        }
+
+        this.running = false;
+        $controls.prop('disabled', false);
+        this.$panel.find('#purge-stop').prop('hidden', true);
+        $progress.prop('hidden', true);
+        this.resetPreview();
+
+        const summary = `${deleted} key${deleted === 1 ? '' : 's'} deleted for ${label}`;
+        if (failed) {
+            this.setStatus(`${failed} ${summary} before it stopped.`);
+            this.notify(`❌ ${failed}`, 'error');
+        } else if (cursor) {
+            this.setStatus(`Stopped: ${summary}.`);
+            this.notify(`Purge stopped: ${summary}.`, 'warning');
+        } else {
+            this.setStatus(`Done: ${summary}.`);
+            this.notify(`✅ Purged ${summary}.`, 'success');
+        }
+
+        if (typeof this.options.onComplete === 'function') {
+            this.options.onComplete({ deleted, label });
+        }
+    }
+}
+
+// Export the PurgePanel class as default for ES6 modules
+export default PurgePanel;
@@ -4,10 +4,19 @@
  * Inspired by GlossPress SaveBar - provides a fixed bottom save bar
  * with save status messages, unsaved changes tracking and immediate auto-save
  *
+ * Change tracking comes from a SettingsStore (pass the page's own in
+ * `store`, or one is created for the form): the bar renders the store's
+ * dirty fields and writes restored or merged values through it.
+ *
  * @package AceMedia\RedisCache
  * @since 0.5.0
  */
 
+import { diffSettings, mergeSettings, stripSecrets, findField } from './SettingsDiff.js';
+import MergeDialog from './MergeDialog.js';
+import SettingsStore from './SettingsStore.js';
+import { api, NONCE_ERRORS } from './ApiClient.js';
+
 // Ensure `$` refers to jQuery even when WordPress runs in noConflict mode
 // eslint-disable-next-line no-undef
 const $ = window.jQuery;
@@ -18,7 +27,21 @@ class SaveBar {
             containerSelector: '#ace-redis-settings-form',
             saveButtonSelector: '#ace-redis-save-btn',
             messageContainerSelector: '#ace-redis-messages',
+            // SettingsStore shared with the rest of the page; one is created when not given
+            store: null,
+            // (source) => Promise of the save result; source is 'manual', 'auto', 'undo', ...
             onSave: null,
+            // (source) => bool; saves are skipped while it returns false
+            validate: null,
+            // Number of persisted snapshots kept in the revision log
+            revisionLimit: 10,
+            revisionStorageKey: 'ace_redis_settings_revisions',
+            // Failed-save retry queue: exponential backoff between base and max delay
+            retryStorageKey: 'ace_redis_settings_retry',
+            retryBaseDelay: 2000,
+            retryMaxDelay: 300000,
+            // Queued payloads older than this are discarded on load
+            retryMaxAge: 86400000,
             ...options
         };
 
@@ -48,8 +71,17 @@ class SaveBar {
         this.message = '';
         this.elapsedTime = 0;
         this.intervalId = null;
-        this.originalFormData = null;
-        this.channel = null;
+        this.ownsStore = !this.options.store;
+        this.store = this.options.store || new SettingsStore({ containerSelector: this.options.containerSelector });
+        this.unsubscribe = null;
+        this.revisions = [];
+        this.pendingChanges = [];
+        this.pendingSaveSource = null;
+        this.undoTimer = null;
+        this.retryState = null;
+        this.retryTimer = null;
+        this.retryCountdown = null;
+        this.mergeDialog = new MergeDialog({ containerSelector: this.options.containerSelector });
 
         this.init();
     }
@@ -57,30 +89,16 @@ class SaveBar {
     init() {
         if (this.isInitialized) return;
         
+        this.loadRevisions();
         this.createSaveBar();
-        this.setupBroadcastChannel();
         this.setupEventListeners();
-        this.captureOriginalFormData();
+        this.unsubscribe = this.store.subscribe((store, event) => this.onStoreChange(event));
+        this.onStoreChange({ type: 'baseline' });
+        this.restoreRetryQueue();
         this.updateSaveButtonState();
         this.isInitialized = true;
     }
 
-    setupBroadcastChannel() {
-        try {
-            this.channel = new BroadcastChannel('ace_redis_settings');
-            this.channel.onmessage = (event) => {
-                const payload = event?.data;
-                if (!payload || payload.type !== 'settings_saved' || !payload.settings) {
-                    return;
-                }
-
-                this.applyServerSettings(payload.settings);
-            };
-        } catch (error) {
-            this.channel = null;
-        }
-    }
-
     createSaveBar() {
         // Check if SaveBar already exists
         if (document.querySelector('.ace-redis-save-bar')) {
@@ -93,9 +111,20 @@ class SaveBar {
             <div class="ace-redis-save-bar">
                 <div class="save-bar-content">
                     <div class="save-bar-left">
+                        <button type="button" id="save-bar-changes" class="button-link" aria-expanded="false" aria-controls="save-bar-changes-panel" hidden></button>
                         <span class="save-message"></span>
+                        <span class="save-bar-retry" hidden>
+                            <span class="save-bar-retry-status" role="status"></span>
+                            <button type="button" id="save-bar-retry" class="button button-small">Retry now</button>
+                            <button type="button" id="save-bar-refresh-nonce" class="button button-small" hidden>Refresh session</button>
+                        </span>
                     </div>
                     <div class="save-bar-right">
+                        <button type="button" id="save-bar-undo" class="button button-secondary" hidden>
+                            <span class="dashicons dashicons-undo"></span>
+                            <span class="button-text">Undo</span>
+                        </button>
+                        <button type="button" id="save-bar-history" class="button-link" aria-expanded="false" aria-controls="save-bar-revisions">History</button>
                         <div class="auto-save-toggle-wrapper">
                             <label class="ace-switch" for="auto-save-toggle">
                                 <input type="checkbox" id="auto-save-toggle" ${autoSaveToggle}>
@@ -109,6 +138,8 @@ class SaveBar {
                         </button>
                     </div>
                 </div>
+                <div id="save-bar-changes-panel" class="save-bar-drawer is-left" hidden></div>
+                <div id="save-bar-revisions" class="save-bar-drawer" hidden></div>
             </div>
         `;
 
@@ -118,11 +149,6 @@ class SaveBar {
     }
 
     setupEventListeners() {
-        // Watch for form changes
-        $(this.options.containerSelector).on('input change', 'input, select, textarea', () => {
-            setTimeout(() => this.checkForChanges(), 10);
-        });
-
         // SaveBar button click
         $(document).on('click', '#save-bar-button', (e) => {
             e.preventDefault();
@@ -134,6 +160,53 @@ class SaveBar {
             this.toggleAutoSave();
         });
 
+        // Revision log: undo last save, open drawer, restore a snapshot
+        $(document).on('click', '#save-bar-undo', (e) => {
+            e.preventDefault();
+            this.undoLastSave();
+        });
+        $(document).on('click', '#save-bar-history', (e) => {
+            e.preventDefault();
+            this.toggleRevisionDrawer();
+        });
+        $(document).on('click', '.save-bar-drawer-close', (e) => {
+            e.preventDefault();
+            this.toggleRevisionDrawer(false);
+            this.toggleChangesPanel(false);
+        });
+
+        // Pending-change diff panel and per-field revert
+        $(document).on('click', '#save-bar-changes', (e) => {
+            e.preventDefault();
+            this.toggleChangesPanel();
+        });
+        $(document).on('click', '.save-bar-revert-field', (e) => {
+            e.preventDefault();
+            this.revertField(String($(e.currentTarget).data('key')));
+        });
+        $(document).on('click', '.save-bar-restore', (e) => {
+            e.preventDefault();
+            this.restoreRevision(String($(e.currentTarget).data('revision-id')));
+        });
+
+        // Failed-save retry queue
+        $(document).on('click', '#save-bar-retry', (e) => {
+            e.preventDefault();
+            this.retryNow();
+        });
+        $(document).on('click', '#save-bar-refresh-nonce', (e) => {
+            e.preventDefault();
+            this.refreshNonces();
+        });
+        this.onOnline = () => {
+            if (this.retryState && !this.retryState.needsNonce) this.retryNow();
+        };
+        this.onOffline = () => {
+            if (this.retryState) this.scheduleRetry();
+        };
+        window.addEventListener('online', this.onOnline);
+        window.addEventListener('offline', this.onOffline);
+
         // Window events for positioning
         $(window).on('resize scroll load', () => this.updateFixedPosition());
 
@@ -146,12 +219,6 @@ class SaveBar {
             }
         });
 
-        document.addEventListener('visibilitychange', () => {
-            if (document.visibilityState === 'visible') {
-                this.syncFromServer();
-            }
-        });
-
         // WordPress admin menu resize handling
         if (window.wp && wp.hooks) {
             wp.hooks.addAction('wp-collapse-menu', 'ace-redis-cache', () => {
@@ -171,41 +238,92 @@ class SaveBar {
         }
     }
 
-    captureOriginalFormData() {
-        const $form = $(this.options.containerSelector);
-        this.originalFormData = this.getFormDataObject($form);
+    // Edits, saves and settings saved elsewhere all arrive here
+    onStoreChange(event) {
+        if (event.type === 'remote') {
+            this.showMessage('Settings were changed elsewhere. You will be asked to reconcile when saving.', 'info');
+            return;
+        }
+        // Auto-save was held back by invalid fields; go ahead once they are fixed
+        if (event.type === 'validation') {
+            if (!event.wasValid && this.store.validation.valid && this.hasUnsavedChanges && this.isAutoSaveEnabled && !this.isSaving) {
+                setTimeout(() => this.handleAutoSave(), 500);
+            }
+            return;
+        }
+        if (event.type !== 'values' && event.type !== 'baseline') return;
+
+        this.pendingChanges = this.store.dirty;
+        this.renderChangeSummary();
+        if (this.retryState) {
+            this.retryState = { ...this.retryState, ...this.retryEdits() };
+            this.persistRetryQueue();
+        }
+
+        this.setUnsavedChanges(this.store.isDirty());
     }
 
-    getFormDataObject($form) {
-        const formData = {};
-        
-        $form.serializeArray().forEach(field => {
-            if (field.name.startsWith('ace_redis_cache_settings[')) {
-                const key = field.name.replace('ace_redis_cache_settings[', '').replace(']', '');
-                formData[key] = field.value;
-            }
+    // Re-read the form now rather than after the input debounce
+    checkForChanges() {
+        this.store.refresh();
+    }
+
+    // Update the change count, diff panel and in-form highlights
+    renderChangeSummary() {
+        const $form = $(this.options.containerSelector);
+        const changes = this.pendingChanges;
+        const count = changes.length;
+
+        $form.find('.ace-field-changed').removeClass('ace-field-changed');
+        changes.forEach((change) => {
+            findField(change.key, $form).each(function highlight() {
+                const $field = $(this);
+                // Switches hide the actual input; highlight the visible wrapper instead
+                const $target = $field.is(':checkbox, :radio') ? $field.closest('.ace-switch, label').first() : $field;
+                ($target.length ? $target : $field).addClass('ace-field-changed');
+            });
         });
 
-        // Add checkbox values (unchecked boxes don't get serialized)
-        $form.find('input[type="checkbox"]').each(function() {
-            const name = $(this).attr('name');
-            if (name && name.startsWith('ace_redis_cache_settings[')) {
-                const key = name.replace('ace_redis_cache_settings[', '').replace(']', '');
-                formData[key] = $(this).is(':checked') ? '1' : '0';
-            }
+        const $toggle = $('#save-bar-changes');
+        $toggle.prop('hidden', count === 0).text(`${count} changed field${count === 1 ? '' : 's'}`);
+
+        const $panel = $('#save-bar-changes-panel');
+        if (!count) {
+            $panel.prop('hidden', true).empty();
+            $toggle.attr('aria-expanded', 'false');
+            return;
+        }
+
+        const $header = $('<div class="save-bar-drawer-header"><strong>Unsaved changes</strong><button type="button" class="button-link save-bar-drawer-close">Close</button></div>');
+        const $table = $('<table class="save-bar-diff"><thead><tr><th>Setting</th><th>Saved</th><th>New</th><th><span class="screen-reader-text">Actions</span></th></tr></thead><tbody></tbody></table>');
+        changes.forEach((change) => {
+            const label = this.store.label(change.key);
+            const $row = $('<tr></tr>');
+            $row.append($('<td></td>').text(label));
+            $row.append($('<td class="diff-before"></td>').text(this.store.format(change.key, change.before)));
+            $row.append($('<td class="diff-after"></td>').text(this.store.format(change.key, change.after)));
+            $row.append($('<td></td>').append(
+                $('<button type="button" class="button-link save-bar-revert-field">Revert</button>')
+                    .attr('data-key', change.key)
+                    .attr('aria-label', `Revert ${label}`)
+            ));
+            $table.find('tbody').append($row);
         });
-        
-        return formData;
+        $panel.empty().append($header, $table);
     }
 
-    checkForChanges() {
-        if (!this.originalFormData) return;
-        
-        const $form = $(this.options.containerSelector);
-        const currentData = this.getFormDataObject($form);
-        const hasChanges = JSON.stringify(this.originalFormData) !== JSON.stringify(currentData);
-        
-        this.setUnsavedChanges(hasChanges);
+    revertField(key) {
+        const baseline = this.store.baseline;
+        if (!Object.prototype.hasOwnProperty.call(baseline, key)) return;
+        this.store.apply({ [key]: baseline[key] }, { triggerChange: true });
+    }
+
+    toggleChangesPanel(force) {
+        const $panel = $('#save-bar-changes-panel');
+        const open = typeof force === 'boolean' ? force : $panel.prop('hidden');
+        if (open) this.toggleRevisionDrawer(false);
+        $panel.prop('hidden', !open || !this.pendingChanges.length);
+        $('#save-bar-changes').attr('aria-expanded', open ? 'true' : 'false');
     }
 
     setUnsavedChanges(hasChanges) {
@@ -214,6 +332,8 @@ class SaveBar {
             this.updateSaveButtonState();
             
             if (hasChanges) {
+                // Undo would discard the new edits as well; only offer it on a clean form
+                this.hideUndo();
                 this.startElapsedTimeTracking();
                 // Auto-save immediately when changes are detected (if enabled)
                 if (this.isAutoSaveEnabled && document.visibilityState === 'visible') {
@@ -221,6 +341,8 @@ class SaveBar {
                 }
             } else {
                 this.stopElapsedTimeTracking();
+                // Nothing left to save (saved elsewhere or reverted): drop any queued retry
+                this.clearRetryQueue();
             }
         }
     }
@@ -252,37 +374,40 @@ class SaveBar {
     async handleSave() {
         if (!this.hasUnsavedChanges || this.isSaving) return;
 
+        const source = this.pendingSaveSource || 'manual';
+        this.pendingSaveSource = null;
+        if (!this.passesValidation(source)) {
+            this.showMessage('Fix the highlighted fields before saving', 'error');
+            return;
+        }
+        const before = { ...this.store.baseline };
+        const sent = this.store.snapshot();
         this.setSaving(true);
         
         try {
             let saveResult = false;
             
             if (this.options.onSave && typeof this.options.onSave === 'function') {
-                saveResult = await this.options.onSave();
+                saveResult = await this.options.onSave(source);
             } else {
                 // Default save logic - trigger the original form save
                 saveResult = await this.defaultSave();
             }
 
-            const success = !!saveResult;
+            const success = !SaveBar.isFailure(saveResult);
             const persistedSettings = (saveResult && typeof saveResult === 'object' && saveResult.settings) ? saveResult.settings : null;
 
             if (success) {
+                this.clearRetryQueue();
                 this.showMessage('Settings saved successfully!', 'success');
                 this.setSuccess(true);
-                if (persistedSettings) {
-                    this.applyServerSettings(persistedSettings);
-                    this.notifySavedSettings(persistedSettings);
-                } else {
-                    this.captureOriginalFormData();
-                    this.setUnsavedChanges(false);
-                    this.notifySavedSettings(this.originalFormData);
-                }
+                this.storeSaved(persistedSettings, saveResult, sent);
+                this.recordRevision(before, source);
                 
                 // Clear success state after 3 seconds
                 setTimeout(() => this.setSuccess(false), 3000);
             } else {
-                this.showMessage('Save failed. Please try again.', 'error');
+                this.handleSaveFailure(saveResult, source);
             }
         } catch (error) {
             console.error('Save error:', error);
@@ -294,149 +419,515 @@ class SaveBar {
 
     async handleAutoSave() {
         if (!this.hasUnsavedChanges || this.isSaving || document.visibilityState !== 'visible') return;
+        if (!this.passesValidation('auto')) {
+            this.showMessage('Auto-save paused until the highlighted fields are fixed', 'error');
+            return;
+        }
 
-        console.log('[SaveBar] Auto-saving changes...');
         this.showMessage('Auto-saving...', 'info');
+        const before = { ...this.store.baseline };
+        const sent = this.store.snapshot();
+        // Set before the request so no other save starts while this one is in flight
+        this.setSaving(true);
 
         try {
             let saveResult = false;
             
             if (this.options.onSave && typeof this.options.onSave === 'function') {
-                saveResult = await this.options.onSave();
+                saveResult = await this.options.onSave('auto');
             } else {
                 saveResult = await this.defaultSave();
             }
 
-            const success = !!saveResult;
+            const success = !SaveBar.isFailure(saveResult);
             const persistedSettings = (saveResult && typeof saveResult === 'object' && saveResult.settings) ? saveResult.settings : null;
 
             if (success) {
+                this.clearRetryQueue();
                 this.showMessage('Changes auto-saved!', 'success');
-                if (persistedSettings) {
-                    this.applyServerSettings(persistedSettings);
-                    this.notifySavedSettings(persistedSettings);
-                } else {
-                    this.captureOriginalFormData();
-                    this.setUnsavedChanges(false);
-                    this.notifySavedSettings(this.originalFormData);
-                }
+                this.storeSaved(persistedSettings, saveResult, sent);
+                this.recordRevision(before, 'auto');
             } else {
-                this.showMessage('Auto-save failed', 'error');
+                this.handleSaveFailure(saveResult, 'auto');
             }
         } catch (error) {
             console.error('[SaveBar] Auto-save error:', error);
             this.showMessage('Auto-save error occurred', 'error');
+        } finally {
+            this.setSaving(false);
         }
     }
 
-    async defaultSave() {
-        return new Promise((resolve) => {
-            const $form = $(this.options.containerSelector);
-            const formData = this.getFormDataObject($form);
-
-            $.ajax({
-                url: ace_redis_admin.rest_url + 'ace-redis-cache/v1/settings',
-                type: 'POST',
-                beforeSend: function(xhr) {
-                    xhr.setRequestHeader('X-WP-Nonce', ace_redis_admin.rest_nonce);
-                },
-                data: {
-                    settings: formData,
-                    nonce: ace_redis_admin.nonce
-                },
-                success: (response) => {
-                    if (response && response.success === true) {
-                        resolve(response.data || true);
-                        return;
-                    }
-                    resolve(false);
-                },
-                error: () => {
-                    resolve(false);
-                }
-            });
-        });
+    /**
+     * Make a successful save the store's baseline and tell the other tabs.
+     *
+     * @param {Object|null} persisted Settings the server reports it saved
+     * @param {Object|true} result Save result ({ revision } when the server sent one)
+     * @param {Object} sent Values as they were when the save started
+     */
+    storeSaved(persisted, result, sent) {
+        if (persisted) {
+            this.store.applyServer(persisted, { revision: result.revision, sent });
+            this.store.publish(persisted);
+        } else {
+            this.store.markSaved();
+            this.store.publish(this.store.baseline);
+        }
     }
 
-    async syncFromServer() {
-        if (typeof ace_redis_admin === 'undefined' || !ace_redis_admin.rest_url) {
+    // Ask the host page's validator whether the form may be saved
+    passesValidation(source) {
+        if (typeof this.options.validate !== 'function') return true;
+        return this.options.validate(source) !== false;
+    }
+
+    /**
+     * Normalise a failed save into `{ ok: false, status, code, message }`.
+     *
+     * onSave callbacks may resolve this instead of plain `false` so the retry
+     * queue can tell transient failures from expired nonces or rejected input.
+     *
+     * @param {Object|null} xhr jqXHR from the error callback, or an ApiError
+     * @param {Object} response Parsed body of a `success: false` response
+     * @return {Object}
+     */
+    static describeFailure(xhr, response = null) {
+        // Already normalised by the API client
+        if (xhr && xhr.name === 'ApiError') {
+            return { ok: false, status: xhr.status, code: xhr.code, message: xhr.message, data: xhr.data };
+        }
+        const body = (xhr && xhr.responseJSON) || response || {};
+        return {
+            ok: false,
+            status: xhr ? (xhr.status || 0) : 200,
+            code: body.code || body.error || '',
+            message: body.message || '',
+            data: body.data || null
+        };
+    }
+
+    static isFailure(result) {
+        return !result || (typeof result === 'object' && result.ok === false);
+    }
+
+    // Network errors, timeouts, rate limits and 5xx are worth retrying; other 4xx are not
+    static isRetryable(failure) {
+        const status = failure.status || 0;
+        return status === 0 || status === 408 || status === 429 || status >= 500;
+    }
+
+    handleSaveFailure(result, source) {
+        // Legacy callbacks resolve plain `false`; treat it like a network failure
+        const failure = (result && typeof result === 'object') ? result : { ok: false, status: 0, code: '', message: '' };
+
+        if (failure.code === 'ace_settings_conflict' && failure.data) {
+            this.clearRetryQueue();
+            // Let the current save finish unwinding (isSaving) before the merge flow saves again
+            setTimeout(() => this.resolveConflict(failure.data, source), 0);
             return;
         }
 
-        const preserveLocalChanges = this.hasUnsavedChanges;
+        if (NONCE_ERRORS.includes(failure.code)) {
+            this.queueRetry(failure, source, { needsNonce: true });
+            return;
+        }
 
-        try {
-            const response = await fetch(`${ace_redis_admin.rest_url}ace-redis-cache/v1/settings`, {
-                method: 'GET',
-                headers: {
-                    'X-WP-Nonce': ace_redis_admin.rest_nonce,
-                },
-                credentials: 'same-origin',
-            });
+        if (!SaveBar.isRetryable(failure)) {
+            this.clearRetryQueue();
+            this.showMessage(failure.message ? `Save failed: ${failure.message}` : 'Save failed. Please try again.', 'error');
+            return;
+        }
 
-            if (!response.ok) {
-                return;
-            }
+        this.queueRetry(failure, source);
+    }
 
-            const payload = await response.json();
-            if (!payload || payload.success !== true || !payload.data || !payload.data.settings) {
-                return;
+    /**
+     * What the retry queue keeps: the edited keys only, with the values and
+     * the revision they were edited from, so a later retry can tell them
+     * apart from settings saved elsewhere in the meantime.
+     *
+     * @return {Object} { changes, base, revision }
+     */
+    retryEdits() {
+        const changes = {};
+        const base = {};
+        this.store.dirty.forEach(({ key }) => {
+            // A field that disappeared from the form has no value to re-apply
+            if (!Object.prototype.hasOwnProperty.call(this.store.values, key)) return;
+            changes[key] = this.store.values[key];
+            base[key] = this.store.baseline[key];
+        });
+        return { changes: stripSecrets(changes), base: stripSecrets(base), revision: SaveBar.currentRevision() };
+    }
+
+    queueRetry(failure, source, options = {}) {
+        const previous = this.retryState;
+        this.store.refresh();
+        this.retryState = {
+            ...this.retryEdits(),
+            source: previous ? previous.source : source,
+            attempts: (previous ? previous.attempts : 0) + 1,
+            queuedAt: previous ? previous.queuedAt : Date.now(),
+            needsNonce: !!options.needsNonce,
+            lastError: { status: failure.status, code: failure.code, message: failure.message }
+        };
+        this.persistRetryQueue();
+        this.scheduleRetry();
+    }
+
+    persistRetryQueue() {
+        try {
+            if (this.retryState) {
+                localStorage.setItem(this.options.retryStorageKey, JSON.stringify(this.retryState));
+            } else {
+                localStorage.removeItem(this.options.retryStorageKey);
             }
+        } catch (e) { /* ignore */ }
+    }
 
-            this.applyServerSettings(payload.data.settings, { preserveLocalChanges });
-        } catch (error) {
-            // Non-fatal sync failure.
-        }
+    clearRetryQueue() {
+        if (!this.retryState) return;
+        this.retryState = null;
+        this.persistRetryQueue();
+        this.stopRetryTimers();
+        this.renderRetryState();
     }
 
-    applyServerSettings(settings, options = {}) {
-        if (!settings || typeof settings !== 'object') {
+    /**
+     * Re-apply edits that failed to save before the page was reloaded.
+     *
+     * Only the edited keys are put back. When the settings were saved
+     * elsewhere since (the stored revision is behind), the edits are merged
+     * with what the server holds now, asking about fields both sides changed.
+     */
+    async restoreRetryQueue() {
+        let queued = null;
+        try {
+            queued = JSON.parse(localStorage.getItem(this.options.retryStorageKey) || 'null');
+        } catch (e) {
+            queued = null;
+        }
+        if (!queued || !queued.changes || typeof queued.changes !== 'object' || (Date.now() - (queued.queuedAt || 0)) > this.options.retryMaxAge) {
+            try {
+                localStorage.removeItem(this.options.retryStorageKey);
+            } catch (e) { /* ignore */ }
             return;
         }
 
-        const preserveLocalChanges = !!options.preserveLocalChanges;
-
-        if (!preserveLocalChanges) {
-            const $form = $(this.options.containerSelector);
-            Object.entries(settings).forEach(([key, value]) => {
-                const fieldName = `ace_redis_cache_settings[${key}]`;
-                const $fields = $form.find(`[name="${fieldName}"]`);
-                if (!$fields.length) {
+        let edits = queued.changes;
+        if (!queued.revision || queued.revision !== SaveBar.currentRevision()) {
+            const base = queued.base || {};
+            const theirs = {};
+            Object.keys(edits).forEach((key) => {
+                if (Object.prototype.hasOwnProperty.call(this.store.baseline, key)) theirs[key] = this.store.baseline[key];
+            });
+            const { merged, conflicts, theirsApplied } = mergeSettings(base, edits, theirs);
+            // mergeSettings leaves out `__` keys; keep those edits only where the server still holds their base value
+            Object.keys(edits).filter((key) => key.startsWith('__')).forEach((key) => {
+                if (!diffSettings({ [key]: base[key] }, { [key]: theirs[key] }, { includeInternal: true }).length) {
+                    merged[key] = edits[key];
+                }
+            });
+            edits = merged;
+            if (conflicts.length) {
+                const choices = await this.mergeDialog.open(conflicts, { theirsApplied });
+                if (!choices) {
+                    this.persistRetryQueue();
+                    this.showMessage('Unsaved changes from an earlier visit were discarded. Settings saved since were kept.', 'info');
                     return;
                 }
+                edits = { ...merged, ...choices };
+            }
+        }
 
-                $fields.each(function applyValue() {
-                    const $field = $(this);
-                    if ($field.is(':checkbox')) {
-                        $field.prop('checked', value === 1 || value === '1' || value === true);
-                    } else {
-                        $field.val(value ?? '');
-                    }
-                });
-            });
+        // The form now holds the current saved settings and revision; the edits go on top
+        this.retryState = { ...queued, attempts: 0 };
+        this.store.apply(edits, { triggerChange: true });
+        if (!this.hasUnsavedChanges) {
+            this.clearRetryQueue();
+            return;
         }
+        this.showMessage('Restored changes from a save that did not complete', 'info');
+        this.scheduleRetry();
+    }
+
+    retryDelay() {
+        const attempts = this.retryState ? this.retryState.attempts : 0;
+        return Math.min(this.options.retryMaxDelay, this.options.retryBaseDelay * (2 ** Math.max(0, attempts - 1)));
+    }
+
+    scheduleRetry() {
+        this.stopRetryTimers();
+        if (!this.retryState) return;
 
-        this.originalFormData = { ...settings };
+        // Expired nonces and offline browsers wait for the user / the `online` event
+        if (!this.retryState.needsNonce && navigator.onLine !== false) {
+            this.retryState.nextAt = Date.now() + this.retryDelay();
+            this.retryTimer = setTimeout(() => this.retryNow(), this.retryState.nextAt - Date.now());
+            this.retryCountdown = setInterval(() => this.renderRetryState(), 1000);
+        }
+        this.renderRetryState();
+    }
+
+    stopRetryTimers() {
+        clearTimeout(this.retryTimer);
+        clearInterval(this.retryCountdown);
+        this.retryTimer = null;
+        this.retryCountdown = null;
+    }
+
+    async retryNow() {
+        if (!this.retryState || this.isSaving) return;
+        this.stopRetryTimers();
         this.checkForChanges();
+        if (!this.hasUnsavedChanges) {
+            this.clearRetryQueue();
+            return;
+        }
+        this.pendingSaveSource = this.retryState.source;
+        await this.handleSave();
     }
 
-    notifySavedSettings(settings) {
-        if (!this.channel || !settings || typeof settings !== 'object') {
+    renderRetryState() {
+        const $wrap = $('.save-bar-retry');
+        const state = this.retryState;
+        if (!state) {
+            $wrap.prop('hidden', true);
             return;
         }
 
+        let text;
+        if (state.needsNonce) {
+            text = 'Save pending — your session expired. Refresh it to continue.';
+        } else if (navigator.onLine === false) {
+            text = 'Save pending — offline, will retry when the connection returns';
+        } else {
+            const seconds = Math.max(0, Math.ceil(((state.nextAt || Date.now()) - Date.now()) / 1000));
+            text = `Save pending — retrying in ${seconds}s`;
+        }
+        $wrap.prop('hidden', false);
+        $wrap.find('.save-bar-retry-status').text(text);
+        $('#save-bar-retry').prop('hidden', !!state.needsNonce);
+        $('#save-bar-refresh-nonce').prop('hidden', !state.needsNonce);
+    }
+
+    // Fetch fresh nonces via admin-ajax (works on cookie auth alone), then resume saving
+    async refreshNonces() {
+        if (!api.config().ajax_url) return;
+
+        const $button = $('#save-bar-refresh-nonce').prop('disabled', true);
         try {
-            this.channel.postMessage({
-                type: 'settings_saved',
-                settings,
-            });
+            // Updates the shared config: every later request picks up the new nonces
+            await api.refreshNonces();
+            if (this.retryState) {
+                this.retryState.needsNonce = false;
+                this.retryState.attempts = 0;
+                this.persistRetryQueue();
+            }
+            await this.retryNow();
         } catch (error) {
-            // Ignore BroadcastChannel failures.
+            this.showMessage(error.code === 'session_expired'
+                ? 'Could not refresh your session. Log in again in another tab, then retry.'
+                : 'Could not refresh your session. Check your connection and try again.', 'error');
+        } finally {
+            $button.prop('disabled', false);
+        }
+    }
+
+    async defaultSave() {
+        const formData = this.store.snapshot();
+        try {
+            const response = await api.saveSettings(formData, SaveBar.currentRevision());
+            return (response && response.data) || true;
+        } catch (error) {
+            return SaveBar.describeFailure(error);
+        }
+    }
+
+    // Re-read the saved settings (also done by the store whenever the page becomes visible)
+    async syncFromServer() {
+        await this.store.syncFromServer();
+    }
+
+    static currentRevision() {
+        return SettingsStore.currentRevision();
+    }
+
+    static setRevision(revision) {
+        SettingsStore.setRevision(revision);
+    }
+
+    /**
+     * Three-way merge after the server rejected a save with a newer revision.
+     *
+     * @param {Object} remote 409 payload data { settings, revision }
+     * @param {string} source Save source to record for the follow-up save
+     */
+    async resolveConflict(remote, source) {
+        const theirs = this.store.shape(remote.settings || {});
+        const mine = this.store.snapshot();
+        const { merged, conflicts, theirsApplied } = mergeSettings(this.store.baseline, mine, theirs);
+
+        let resolved = merged;
+        if (conflicts.length) {
+            const choices = await this.mergeDialog.open(conflicts, { theirsApplied });
+            if (!choices) {
+                this.showMessage('Save cancelled. Settings changed elsewhere were not overwritten.', 'info');
+                return;
+            }
+            resolved = { ...merged, ...choices };
+        }
+
+        // Rebase on their snapshot, then put the merged result in the form and save it
+        SaveBar.setRevision(remote.revision);
+        this.store.setBaseline(theirs);
+        this.store.apply(stripSecrets(resolved), { triggerChange: true });
+        if (!this.hasUnsavedChanges) {
+            this.showMessage('Your changes already match the latest saved settings', 'info');
+            return;
         }
+        if (!conflicts.length && theirsApplied.length) {
+            this.showMessage(`Merged ${theirsApplied.length} change${theirsApplied.length === 1 ? '' : 's'} saved by someone else`, 'info');
+        }
+        this.pendingSaveSource = source;
+        await this.handleSave();
+    }
+
+    loadRevisions() {
+        try {
+            const raw = localStorage.getItem(this.options.revisionStorageKey);
+            const parsed = raw ? JSON.parse(raw) : [];
+            this.revisions = Array.isArray(parsed) ? parsed : [];
+        } catch (e) {
+            this.revisions = [];
+        }
+    }
+
+    persistRevisions() {
+        try {
+            localStorage.setItem(this.options.revisionStorageKey, JSON.stringify(this.revisions));
+        } catch (e) { /* ignore */ }
+    }
+
+    /**
+     * Record a persisted snapshot in the revision log.
+     *
+     * @param {Object} before Baseline prior to the save
+     * @param {string} source manual|auto|undo|restore
+     */
+    recordRevision(before, source) {
+        const after = this.store.baseline;
+        const changes = diffSettings(stripSecrets(before), stripSecrets(after));
+        if (!changes.length) return;
+
+        this.revisions.unshift({
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            ts: Date.now(),
+            source,
+            settings: stripSecrets(after),
+            previous: stripSecrets(before),
+            changes
+        });
+        this.revisions = this.revisions.slice(0, this.options.revisionLimit);
+        this.persistRevisions();
+        this.renderRevisionDrawer();
+        this.showUndo();
+    }
+
+    showUndo() {
+        clearTimeout(this.undoTimer);
+        $('#save-bar-undo').prop('hidden', false);
+        this.undoTimer = setTimeout(() => this.hideUndo(), 60000);
+    }
+
+    hideUndo() {
+        clearTimeout(this.undoTimer);
+        this.undoTimer = null;
+        $('#save-bar-undo').prop('hidden', true);
+    }
+
+    async undoLastSave() {
+        const latest = this.revisions[0];
+        if (!latest) return;
+        this.hideUndo();
+        await this.restoreSnapshot(latest.previous, 'undo');
+    }
+
+    async restoreRevision(id) {
+        const revision = this.revisions.find((r) => r.id === id);
+        if (!revision) return;
+        await this.restoreSnapshot(revision.settings, 'restore');
+    }
+
+    /**
+     * Write a snapshot into the form and persist it through the regular save path.
+     *
+     * @param {Object} settings Settings values
+     * @param {string} source Revision source (undo|restore|import)
+     * @param {Object} options { includeSecrets } apply secret keys too (imports)
+     */
+    async restoreSnapshot(settings, source, options = {}) {
+        if (this.isSaving || !settings) return;
+        this.store.apply(options.includeSecrets ? settings : stripSecrets(settings), { triggerChange: true });
+        if (!this.hasUnsavedChanges) {
+            this.showMessage('Settings already match that version', 'info');
+            return;
+        }
+        this.pendingSaveSource = source;
+        await this.handleSave();
+    }
+
+    toggleRevisionDrawer(force) {
+        const $drawer = $('#save-bar-revisions');
+        const open = typeof force === 'boolean' ? force : $drawer.prop('hidden');
+        if (open) {
+            this.toggleChangesPanel(false);
+            this.renderRevisionDrawer();
+        }
+        $drawer.prop('hidden', !open);
+        $('#save-bar-history').attr('aria-expanded', open ? 'true' : 'false');
+    }
+
+    renderRevisionDrawer() {
+        const $drawer = $('#save-bar-revisions');
+        if (!$drawer.length) return;
+        const sourceLabels = { manual: 'Saved', auto: 'Auto-saved', undo: 'Undo', restore: 'Restored', import: 'Imported' };
+
+        const $header = $('<div class="save-bar-drawer-header"><strong>Recent saves</strong><button type="button" class="button-link save-bar-drawer-close">Close</button></div>');
+        $drawer.empty().append($header);
+
+        if (!this.revisions.length) {
+            $drawer.append('<p class="save-bar-drawer-empty">No saved revisions yet.</p>');
+            return;
+        }
+
+        const $list = $('<ol class="save-bar-revision-list"></ol>');
+        this.revisions.forEach((revision, index) => {
+            const $item = $('<li class="save-bar-revision"></li>');
+            const $details = $('<details></details>').prop('open', index === 0);
+            const when = new Date(revision.ts).toLocaleString();
+            const count = revision.changes.length;
+            $details.append($('<summary></summary>').text(`${when} · ${sourceLabels[revision.source] || revision.source} · ${count} field${count === 1 ? '' : 's'}`));
+
+            const $table = $('<table class="save-bar-diff"><thead><tr><th>Setting</th><th>Before</th><th>After</th></tr></thead><tbody></tbody></table>');
+            revision.changes.forEach((change) => {
+                const $row = $('<tr></tr>');
+                $row.append($('<td></td>').text(this.store.label(change.key)));
+                $row.append($('<td class="diff-before"></td>').text(this.store.format(change.key, change.before)));
+                $row.append($('<td class="diff-after"></td>').text(this.store.format(change.key, change.after)));
+                $table.find('tbody').append($row);
+            });
+            $details.append($table);
+            $details.append($('<button type="button" class="button button-small save-bar-restore">Restore this version</button>').attr('data-revision-id', revision.id));
+            $item.append($details);
+            $list.append($item);
+        });
+        $drawer.append($list);
     }
 
     setSaving(isSaving) {
         this.isSaving = isSaving;
+        this.store.setSaving(isSaving);
         this.updateSaveButtonState();
     }
 
@@ -529,36 +1020,32 @@ class SaveBar {
         } catch (e) { /* ignore */ }
 
         // Also persist per-user server-side so it survives devices/browsers
-        if (typeof ace_redis_admin !== 'undefined' && ace_redis_admin.ajax_url) {
-            try {
-                jQuery.post(ace_redis_admin.ajax_url, {
-                    action: 'ace_redis_toggle_autosave',
-                    nonce: ace_redis_admin.nonce,
-                    enabled: this.isAutoSaveEnabled ? 1 : 0
-                });
-            } catch (e) { /* ignore */ }
-        }
+        api.saveAutoSavePreference(this.isAutoSaveEnabled).catch(() => { /* the local copy still applies */ });
     }
 
     destroy() {
         this.stopElapsedTimeTracking();
         
         // Remove event listeners
-        $(this.options.containerSelector).off('input change');
+        if (this.unsubscribe) this.unsubscribe();
+        if (this.ownsStore) this.store.destroy();
         $(document).off('click', '#save-bar-button');
         $(document).off('change', '#auto-save-toggle');
+        $(document).off('click', '#save-bar-undo');
+        $(document).off('click', '#save-bar-history');
+        $(document).off('click', '.save-bar-drawer-close');
+        $(document).off('click', '.save-bar-restore');
+        $(document).off('click', '#save-bar-changes');
+        $(document).off('click', '#save-bar-retry');
+        $(document).off('click', '#save-bar-refresh-nonce');
+        window.removeEventListener('online', this.onOnline);
+        window.removeEventListener('offline', this.onOffline);
+        this.stopRetryTimers();
+        $(document).off('click', '.save-bar-revert-field');
+        clearTimeout(this.undoTimer);
         $(window).off('resize scroll load');
         $(window).off('beforeunload');
 
-        if (this.channel) {
-            try {
-                this.channel.close();
-            } catch (error) {
-                // ignore
-            }
-            this.channel = null;
-        }
-
         // Remove SaveBar from DOM
         $('.ace-redis-save-bar').remove();
         
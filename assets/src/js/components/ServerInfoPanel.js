@@ -0,0 +1,217 @@
+/**
+ * ServerInfoPanel Component for Ace Redis Cache
+ *
+ * "Redis Server" on the Diagnostics tab: loads /status and /metrics with
+ * scope=full and shows the server's INFO sections and cache-relevant CONFIG
+ * values as tables, with risky values highlighted and each check explained
+ * (linking to the plugin setting that helps, when there is one).
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+import { api, errorMessage } from './ApiClient.js';
+import { findField, fieldLabel } from './SettingsDiff.js';
+
+const $ = window.jQuery;
+
+const SECTION_LABELS = {
+    server: 'Server',
+    clients: 'Clients',
+    memory: 'Memory',
+    persistence: 'Persistence',
+    stats: 'Stats',
+    replication: 'Replication',
+    keyspace: 'Keyspace'
+};
+
+const LEVEL_LABELS = {
+    critical: 'Critical',
+    warning: 'Warning',
+    info: 'Note',
+    ok: 'OK'
+};
+
+const FORM_SELECTOR = '#ace-redis-settings-form';
+
+/**
+ * List of server checks, rendered as text (never HTML).
+ *
+ * Also used for the suggestions under "Test Connection". Older servers
+ * may still send plain strings; those are shown as notes.
+ *
+ * @param {Array<Object|string>} checks From ServerReport::assess()
+ * @return {jQuery} <ul>
+ */
+export const renderChecks = (checks = []) => {
+    const $list = $('<ul class="ace-server-checks"></ul>');
+    checks.forEach((check) => {
+        const item = typeof check === 'string' ? { level: 'info', title: check } : check;
+        const level = LEVEL_LABELS[item.level] ? item.level : 'info';
+        const $item = $('<li class="ace-server-check"></li>').addClass(`is-${level}`);
+        $item.append($('<span class="ace-server-check-level"></span>').text(LEVEL_LABELS[level]), ' ');
+        $item.append($('<strong></strong>').text(item.title || ''));
+        if (item.detail) {
+            $item.append($('<p class="ace-server-check-detail"></p>').text(item.detail));
+        }
+        if (item.setting && findField(item.setting, $(FORM_SELECTOR)).length) {
+            const label = fieldLabel(item.setting, $(FORM_SELECTOR));
+            $item.append($('<p></p>').append(
+                $('<a href="#" class="ace-setting-link"></a>').attr('data-setting', item.setting).text(`Go to the "${label}" setting`)
+            ));
+        }
+        $list.append($item);
+    });
+    return $list;
+};
+
+/**
+ * Switch to the tab holding a setting and focus it.
+ *
+ * @param {string} key Settings key, e.g. "enable_tls"
+ */
+export const revealSetting = (key) => {
+    const $field = findField(key, $(FORM_SELECTOR)).first();
+    if (!$field.length) return;
+    const tabId = $field.closest('.tab-content').attr('id');
+    if (tabId && !$field.closest('.tab-content').hasClass('active')) {
+        $(`.nav-tab[href="#${tabId}"]`).get(0)?.click();
+    }
+    // Tab switches fade in; wait for the field to be visible before focusing it
+    setTimeout(() => {
+        const $row = $field.closest('.setting-row');
+        ($row.length ? $row : $field).get(0).scrollIntoView({ block: 'center', behavior: 'smooth' });
+        $field.trigger('focus');
+    }, 200);
+};
+
+class ServerInfoPanel {
+    constructor(options = {}) {
+        this.options = {
+            panelSelector: '#ace-server-info-panel',
+            ...options
+        };
+
+        this.$panel = $(this.options.panelSelector);
+        this.loading = false;
+
+        // Setting links can appear outside the panel (connection test suggestions)
+        $(document).on('click', '.ace-setting-link', (e) => {
+            e.preventDefault();
+            revealSetting(String($(e.currentTarget).data('setting')));
+        });
+
+        if (this.$panel.length) {
+            this.setupEventListeners();
+        }
+    }
+
+    setupEventListeners() {
+        this.$panel.on('click', '#server-info-load', (e) => {
+            e.preventDefault();
+            this.load();
+        });
+    }
+
+    async load() {
+        if (this.loading) return;
+        this.loading = true;
+        const $button = this.$panel.find('#server-info-load').prop('disabled', true);
+        const $status = this.$panel.find('.server-info-status').text('Loading…');
+
+        try {
+            const [status, metrics] = await Promise.all([api.status(), api.metrics('full')]);
+            const data = (metrics && metrics.data) || {};
+            if (data.cache_enabled === false) {
+                $status.text('The cache is disabled, so there is no server to inspect.');
+                return;
+            }
+            const server = data.server || {};
+            if (!server.connected) {
+                $status.text(server.error || 'Could not read server details.');
+                return;
+            }
+            this.render(server, status || {});
+            $status.text(`Updated ${new Date().toLocaleTimeString()}`);
+            $button.text('Refresh');
+        } catch (error) {
+            $status.text(errorMessage(error, 'Could not load server details.'));
+        } finally {
+            this.loading = false;
+            $button.prop('disabled', false);
+        }
+    }
+
+    render(server, status) {
+        const sections = server.sections || {};
+        const checks = server.checks || [];
+        // INFO/CONFIG names a check is about => most severe level among them
+        const risky = {};
+        checks.forEach((check) => {
+            if (check.level !== 'critical' && check.level !== 'warning') return;
+            (check.keys || []).forEach((key) => {
+                if (risky[key] !== 'critical') risky[key] = check.level;
+            });
+        });
+
+        const serverInfo = sections.server || {};
+        const replication = sections.replication || {};
+        const summary = [
+            ['Server', server.server_type],
+            ['Version', serverInfo.valkey_version || serverInfo.redis_version],
+            ['Role', replication.role],
+            ['Connected', status.redis_connected ? 'Yes' : 'No'],
+            ['Plugin cache entries', status.cache_entries]
+        ];
+        const $summary = this.$panel.find('.server-info-summary').empty();
+        summary.forEach(([label, value]) => {
+            if (value === undefined || value === null || value === '') return;
+            $summary.append($('<dt></dt>').text(label), $('<dd></dd>').text(String(value)));
+        });
+
+        this.$panel.find('.server-info-checks').replaceWith(renderChecks(checks).addClass('server-info-checks'));
+
+        const $config = this.$panel.find('.server-info-config').empty();
+        if (server.config) {
+            $config.append(this.renderTable(server.config, risky));
+        } else {
+            $config.append($('<p class="description"></p>').text('This server does not allow CONFIG GET (common on managed providers). The memory limit and eviction policy are read from INFO memory instead.'));
+        }
+
+        const $sections = this.$panel.find('.server-info-sections').empty();
+        Object.keys(SECTION_LABELS).forEach((name) => {
+            const fields = sections[name];
+            const $details = $('<details class="server-info-section"></details>');
+            const hasRisk = fields && Object.keys(fields).some((key) => risky[key]);
+            $details.append($('<summary></summary>').text(SECTION_LABELS[name]).toggleClass('has-risk', !!hasRisk));
+            if (!fields) {
+                $details.append($('<p class="description"></p>').text('Not available: the server restricts this INFO section.'));
+            } else if (!Object.keys(fields).length) {
+                $details.append($('<p class="description"></p>').text('Empty.'));
+            } else {
+                $details.append(this.renderTable(fields, risky));
+            }
+            // Open sections that hold a risky value so it is seen without hunting
+            $details.prop('open', !!hasRisk);
+            $sections.append($details);
+        });
+
+        this.$panel.find('.server-info-body').prop('hidden', false);
+    }
+
+    renderTable(fields, risky) {
+        const $table = $('<table class="widefat striped server-info-table"></table>');
+        const $tbody = $('<tbody></tbody>');
+        Object.keys(fields).forEach((key) => {
+            const $row = $('<tr></tr>');
+            if (risky[key]) $row.addClass(`is-${risky[key]}`);
+            $row.append($('<th scope="row"></th>').append($('<code></code>').text(key)));
+            $row.append($('<td></td>').text(fields[key] === '' ? '(empty)' : fields[key]));
+            $tbody.append($row);
+        });
+        return $table.append($tbody);
+    }
+}
+
+// Export the ServerInfoPanel class as default for ES6 modules
+export default ServerInfoPanel;
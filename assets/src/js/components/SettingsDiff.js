@@ -0,0 +1,143 @@
+/**
+ * Settings diff helpers for Ace Redis Cache
+ *
+ * Shared by the SaveBar revision log and change preview: compares two
+ * settings snapshots key by key (a structured setting counts as one field)
+ * and formats values for display, masking secrets.
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+const $ = window.jQuery;
+
+export const SETTINGS_PREFIX = 'ace_redis_cache_settings';
+
+// Keys whose values must never be displayed or stored client-side
+export const SECRET_KEYS = ['password'];
+
+export const fieldName = (key) => `${SETTINGS_PREFIX}[${key}]`;
+
+// Every field of a setting, including nested (`key[a]`) and repeated (`key[]`) ones
+export const findField = (key, $form) => $form.find(`[name="${fieldName(key)}"], [name^="${fieldName(key)}["]`);
+
+// Whether a setting holds a list or object: nested or repeated fields, a multi-select or a JSON field
+export const isStructuredField = (key, $form) => findField(key, $form).is(`[name^="${fieldName(key)}["], select[multiple], [data-ace-json]`);
+
+const normalise = (value) => {
+    if (value === null || typeof value === 'undefined') return '';
+    if (typeof value === 'boolean') return value ? '1' : '0';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+/**
+ * List keys whose values differ between two snapshots.
+ *
+ * Keys missing from either side are ignored unless `includeMissing` is set,
+ * so server payloads with extra bookkeeping keys do not show up as changes.
+ * `__`-prefixed keys (values saved alongside the settings, such as
+ * `__managed_plugins`) are skipped unless `includeInternal` is set.
+ *
+ * @param {Object} before
+ * @param {Object} after
+ * @param {Object} options { includeMissing, includeInternal }
+ * @return {Array<{key: string, before: *, after: *}>}
+ */
+export const diffSettings = (before = {}, after = {}, options = {}) => {
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = [];
+    keys.forEach((key) => {
+        if (key.startsWith('__') && !options.includeInternal) return;
+        const inBefore = before && Object.prototype.hasOwnProperty.call(before, key);
+        const inAfter = after && Object.prototype.hasOwnProperty.call(after, key);
+        if ((!inBefore || !inAfter) && !options.includeMissing) return;
+        if (normalise(inBefore ? before[key] : undefined) !== normalise(inAfter ? after[key] : undefined)) {
+            changes.push({ key, before: inBefore ? before[key] : undefined, after: inAfter ? after[key] : undefined });
+        }
+    });
+    return changes.sort((a, b) => a.key.localeCompare(b.key));
+};
+
+// Copy of a snapshot that is safe to persist (no secrets)
+export const stripSecrets = (settings = {}) => {
+    const copy = { ...settings };
+    SECRET_KEYS.forEach((key) => { delete copy[key]; });
+    return copy;
+};
+
+/**
+ * Human label for a settings key, read from the form's <label> when present.
+ */
+export const fieldLabel = (key, $form) => {
+    const $field = $form ? findField(key, $form).first() : $();
+    if ($field.length) {
+        const id = $field.attr('id');
+        const $label = id ? $form.find(`label[for="${id}"]`).first() : $();
+        // Inline checkboxes are wrapped by their label text (switch wrappers are not)
+        const $wrap = $field.closest('label').not('.ace-switch');
+        let text = $label.length ? $label.text() : ($wrap.length ? $wrap.text() : '');
+        if (!text.trim()) {
+            text = $field.closest('.setting-row').find('.setting-label label, th label').first().text();
+        }
+        text = text.trim();
+        if (text) return text.replace(/\s+/g, ' ');
+    }
+    return key.replace(/_/g, ' ').replace(/\b\w/g, (c) => c.toUpperCase());
+};
+
+/**
+ * Display string for a value, aware of checkbox fields and secrets.
+ */
+export const formatValue = (key, value, $form) => {
+    if (SECRET_KEYS.includes(key)) {
+        return value ? '••••••••' : '(empty)';
+    }
+    const $field = $form ? findField(key, $form) : $();
+    if ($field.is(':checkbox') && $field.attr('name') === fieldName(key)) {
+        return (value === 1 || value === '1' || value === true) ? 'On' : 'Off';
+    }
+    // Lists of plain values (multi-selects, checkbox groups) read better joined
+    if (Array.isArray(value) && value.every((item) => item === null || typeof item !== 'object')) {
+        return value.length ? value.join(', ') : '(none)';
+    }
+    const text = normalise(value);
+    if (text === '') return '(empty)';
+    return text.length > 120 ? `${text.slice(0, 117)}…` : text;
+};
+
+/**
+ * Three-way merge of settings snapshots, key by key.
+ *
+ * Fields changed on only one side take that side's value; fields both sides
+ * changed to different values are reported as conflicts (merged keeps mine).
+ *
+ * @param {Object} base Snapshot both sides started from
+ * @param {Object} mine Local edits
+ * @param {Object} theirs Latest server state
+ * @return {{merged: Object, conflicts: Array, theirsApplied: Array<string>}}
+ */
+export const mergeSettings = (base = {}, mine = {}, theirs = {}) => {
+    const keys = new Set([...Object.keys(mine || {}), ...Object.keys(theirs || {})]);
+    const merged = {};
+    const conflicts = [];
+    const theirsApplied = [];
+    keys.forEach((key) => {
+        if (key.startsWith('__')) return;
+        const b = normalise(base[key]);
+        const m = normalise(mine[key]);
+        const t = normalise(theirs[key]);
+        const inMine = Object.prototype.hasOwnProperty.call(mine, key);
+        if (m === t || t === b || !Object.prototype.hasOwnProperty.call(theirs, key)) {
+            merged[key] = inMine ? mine[key] : theirs[key];
+        } else if (m === b) {
+            merged[key] = theirs[key];
+            theirsApplied.push(key);
+        } else {
+            merged[key] = mine[key];
+            conflicts.push({ key, base: base[key], mine: mine[key], theirs: theirs[key] });
+        }
+    });
+    conflicts.sort((a, b) => a.key.localeCompare(b.key));
+    return { merged, conflicts, theirsApplied };
+};
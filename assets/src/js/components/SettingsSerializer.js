@@ -0,0 +1,289 @@
+/**
+ * Settings form serializer for Ace Redis Cache
+ *
+ * Turns the settings form into the object sent to /settings and puts such
+ * an object back into the form, so values survive the round trip exactly.
+ * Field names follow PHP's conventions:
+ *
+ * - `ace_redis_cache_settings[a][b]` nests (`{ a: { b } }`); numeric keys
+ *   numbered from 0 become lists, as they do in PHP.
+ * - A trailing `[]` collects repeated fields into a list: text inputs in
+ *   order, checkboxes by value (an empty list when none are ticked).
+ * - `<select multiple>` gives a list of the selected values.
+ * - Radio groups give the checked radio's value.
+ * - A lone checkbox gives '1' or '0'.
+ * - Fields marked `data-ace-json` hold JSON: they are parsed on the way
+ *   out and pretty-printed on the way in. Text that is not valid JSON is
+ *   sent as typed, so the server can reject it.
+ *
+ * Disabled fields are left out (as a browser submit would), except lone
+ * checkboxes: their state is always sent.
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+import { SETTINGS_PREFIX } from './SettingsDiff.js';
+
+const $ = window.jQuery;
+
+const SKIPPED_TYPES = ['button', 'submit', 'reset', 'file', 'image'];
+
+const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+export const isOn = (value) => value === 1 || value === '1' || value === true;
+
+/**
+ * Path of a settings field name.
+ *
+ * @param {string} name e.g. "ace_redis_cache_settings[ttl_by_type][post]"
+ * @return {{path: Array<string>, push: boolean}|null} push: the name ends in []; null for other fields
+ */
+export const parseName = (name) => {
+    if (!name || !name.startsWith(`${SETTINGS_PREFIX}[`)) return null;
+    const rest = name.slice(SETTINGS_PREFIX.length);
+    const path = [];
+    const pattern = /\[([^[\]]*)\]/g;
+    let consumed = 0;
+    let match;
+    while ((match = pattern.exec(rest)) !== null) {
+        if (match.index !== consumed) return null;
+        path.push(match[1]);
+        consumed = pattern.lastIndex;
+    }
+    const push = path[path.length - 1] === '';
+    if (push) path.pop();
+    // `[]` is only understood at the end of a name
+    if (consumed !== rest.length || !path.length || path.includes('')) return null;
+    return { path, push };
+};
+
+// What the browser keeps of a value written into the field
+const asTyped = (element, text) => {
+    if (element.tagName === 'TEXTAREA') return text.replace(/\r\n?/g, '\n');
+    if (element.tagName === 'INPUT') return text.replace(/[\r\n]/g, '');
+    return text;
+};
+
+const parseJson = (text) => {
+    if (!text.trim()) return null;
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return text;
+    }
+};
+
+const jsonText = (value) => {
+    if (value === null || typeof value === 'undefined') return '';
+    return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+};
+
+const asList = (value) => {
+    if (Array.isArray(value)) return value;
+    if (value && typeof value === 'object') return Object.values(value);
+    return value === null || typeof value === 'undefined' || value === '' ? [] : [value];
+};
+
+const contains = (list, value) => asList(list).some((item) => String(item ?? '') === value);
+
+/**
+ * Every settings field in the form, with how its value is read.
+ *
+ * @param {jQuery} $form
+ * @return {Array<Object>} { element, path, push, kind, index }
+ */
+const describe = ($form) => {
+    const counts = {};
+    const fields = [];
+    $form.find('input, select, textarea').each(function() {
+        const parsed = parseName(this.name);
+        if (!parsed || SKIPPED_TYPES.includes(this.type)) return;
+
+        let kind = 'value';
+        if (this.type === 'checkbox') {
+            kind = parsed.push ? 'checkboxes' : 'checkbox';
+        } else if (this.type === 'radio') {
+            kind = 'radio';
+        } else if (this.tagName === 'SELECT' && this.multiple) {
+            kind = 'multiple';
+        } else if (this.hasAttribute('data-ace-json')) {
+            kind = 'json';
+        }
+        // Position among repeated text fields of the same name
+        const index = counts[this.name] || 0;
+        counts[this.name] = index + 1;
+        fields.push({ element: this, ...parsed, kind, index });
+    });
+    return fields;
+};
+
+// Whether a checkbox or radio is ticked once `value` has been written into it
+const isChecked = (field, value) => {
+    if (field.kind === 'checkbox') return isOn(value);
+    if (field.kind === 'checkboxes') return contains(value, field.element.value);
+    return String(value ?? '') === field.element.value;
+};
+
+// A field's contribution as it is in the form; undefined leaves it out
+const readField = (field) => {
+    const { element, kind } = field;
+    if (element.disabled && kind !== 'checkbox') return undefined;
+    switch (kind) {
+    case 'checkbox':
+        return element.checked ? '1' : '0';
+    case 'checkboxes':
+        return element.checked ? [element.value] : [];
+    case 'radio':
+        return element.checked ? element.value : undefined;
+    case 'multiple':
+        return Array.from(element.options).filter((option) => option.selected).map((option) => option.value);
+    case 'json':
+        return parseJson(element.value);
+    default:
+        return field.push ? [element.value] : element.value;
+    }
+};
+
+// The contribution the field would make once `value` has been written into it
+const readValue = (field, value) => {
+    const { element, kind } = field;
+    if (element.disabled && kind !== 'checkbox') return undefined;
+    switch (kind) {
+    case 'checkbox':
+        return isChecked(field, value) ? '1' : '0';
+    case 'checkboxes':
+        return isChecked(field, value) ? [element.value] : [];
+    case 'radio':
+        return isChecked(field, value) ? element.value : undefined;
+    case 'multiple':
+        return Array.from(element.options).filter((option) => contains(value, option.value)).map((option) => option.value);
+    case 'json':
+        return parseJson(asTyped(element, jsonText(value)));
+    default: {
+        const item = field.push ? asList(value)[field.index] : value;
+        const text = asTyped(element, String(item ?? ''));
+        return field.push ? [text] : text;
+    }
+    }
+};
+
+/**
+ * Build the settings object from field contributions.
+ *
+ * @param {Array<Object>} fields From describe()
+ * @param {Function} read (field) => contribution, or undefined to leave the field out
+ * @return {Object}
+ */
+const assemble = (fields, read) => {
+    const result = {};
+    // Objects made here for nested names; those keyed 0..n-1 become lists at the end (JSON values are left alone)
+    const branches = new Set();
+
+    fields.forEach((field) => {
+        const value = read(field);
+        if (typeof value === 'undefined') return;
+
+        let target = result;
+        field.path.slice(0, -1).forEach((key) => {
+            if (!target[key] || typeof target[key] !== 'object' || !branches.has(target[key])) {
+                target[key] = {};
+                branches.add(target[key]);
+            }
+            target = target[key];
+        });
+        const key = field.path[field.path.length - 1];
+        // Repeated [] fields add up
+        target[key] = field.push && Array.isArray(target[key]) ? target[key].concat(value) : value;
+    });
+
+    const lists = (node) => {
+        Object.keys(node).forEach((key) => {
+            if (branches.has(node[key])) node[key] = lists(node[key]);
+        });
+        const keys = Object.keys(node);
+        const sequential = branches.has(node) && keys.length > 0 && keys.every((key, i) => key === String(i));
+        return sequential ? keys.map((key) => node[key]) : node;
+    };
+    return lists(result);
+};
+
+const lookup = (settings, path) => {
+    let value = settings;
+    for (let i = 0; i < path.length; i++) {
+        if (!value || typeof value !== 'object' || !has(value, path[i])) return undefined;
+        value = value[path[i]];
+    }
+    return value;
+};
+
+/**
+ * Read the settings form.
+ *
+ * @param {jQuery} $form
+ * @return {Object} Settings keyed like the `ace_redis_cache_settings` option
+ */
+export const serializeForm = ($form) => assemble(describe($form), readField);
+
+/**
+ * Write settings into the form. Keys the object leaves out (at any depth)
+ * keep what the form holds.
+ *
+ * @param {jQuery} $form
+ * @param {Object} settings Settings as serializeForm() returns them, or as sent by /settings
+ * @param {Object} options { triggerChange } let dependent UI (visibility toggles etc.) react
+ */
+export const deserializeForm = ($form, settings, options = {}) => {
+    describe($form).forEach((field) => {
+        const value = lookup(settings, field.path);
+        if (typeof value === 'undefined') return;
+
+        const { element, kind } = field;
+        const $field = $(element);
+        let changed = false;
+        switch (kind) {
+        case 'checkbox':
+        case 'checkboxes':
+        case 'radio': {
+            const checked = isChecked(field, value);
+            changed = element.checked !== checked;
+            $field.prop('checked', checked);
+            break;
+        }
+        case 'multiple':
+            Array.from(element.options).forEach((option) => {
+                const selected = contains(value, option.value);
+                changed = changed || option.selected !== selected;
+                option.selected = selected;
+            });
+            break;
+        default: {
+            const item = kind === 'json' ? jsonText(value) : String((field.push ? asList(value)[field.index] : value) ?? '');
+            changed = element.value !== asTyped(element, item);
+            $field.val(item);
+        }
+        }
+        if (changed && options.triggerChange) {
+            $field.trigger('change');
+        }
+    });
+};
+
+/**
+ * What serializeForm() would return for these settings once written into
+ * the form, for the keys they contain. Server payloads (ints for switches,
+ * lists the form orders differently, line endings) compare cleanly with the
+ * form's own values this way.
+ *
+ * @param {jQuery} $form
+ * @param {Object} settings
+ * @return {Object} Only the top-level keys present in `settings` that the form has fields for
+ */
+export const normalizeSettings = ($form, settings) => {
+    const fields = describe($form).filter((field) => has(settings, field.path[0]));
+    return assemble(fields, (field) => {
+        const value = lookup(settings, field.path);
+        // Nested keys the payload leaves out keep what the form holds
+        return typeof value === 'undefined' ? readField(field) : readValue(field, value);
+    });
+};
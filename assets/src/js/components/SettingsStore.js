@@ -0,0 +1,359 @@
+/**
+ * SettingsStore Component for Ace Redis Cache
+ *
+ * The one place the settings page keeps track of its settings: the values
+ * as last saved (baseline), the values as currently entered, which fields
+ * differ, the form's validity and where saving/syncing stands. The form is
+ * read here and nowhere else; SaveBar, the legacy save button, the tabs and
+ * the import/export panel subscribe instead of comparing the DOM themselves.
+ *
+ * Settings saved elsewhere reach the store too: other open tabs announce
+ * their saves on the `ace_redis_settings` BroadcastChannel, and the page
+ * re-reads /settings whenever it becomes visible again.
+ *
+ * Values that do not live in a named settings field (such as the managed
+ * plugin selections sent as `__managed_plugins`) are added with register().
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+import { diffSettings, fieldLabel, formatValue } from './SettingsDiff.js';
+import { serializeForm, deserializeForm, normalizeSettings } from './SettingsSerializer.js';
+import { api } from './ApiClient.js';
+
+const $ = window.jQuery;
+
+// Same channel the poll coordinator uses; saves are announced as `settings_saved`
+const CHANNEL_NAME = 'ace_redis_settings';
+
+class SettingsStore {
+    constructor(options = {}) {
+        this.options = {
+            containerSelector: '#ace-redis-settings-form',
+            // Re-read the saved settings when the page becomes visible again
+            syncOnVisible: true,
+            ...options
+        };
+
+        this.$form = $(this.options.containerSelector);
+        // Values as last saved, and as currently entered (same shape, see SettingsSerializer)
+        this.baseline = {};
+        this.values = {};
+        // [{ key, before, after }] for every field that differs from the baseline
+        this.dirty = [];
+        // Last result reported by the form validator
+        this.validation = { valid: true, errors: [] };
+        // saving: a save is in flight; savedAt/syncedAt: when this page last saved/read the settings;
+        // behind: settings were saved elsewhere while this page had unsaved edits
+        this.sync = { saving: false, savedAt: 0, syncedAt: 0, behind: false };
+        // key => { read, write, label, format }
+        this.extras = {};
+        this.listeners = [];
+        this.channel = null;
+        this.refreshTimer = null;
+
+        this.init();
+    }
+
+    init() {
+        this.values = this.collect();
+        this.baseline = { ...this.values };
+
+        // Let the input's own handlers (and the browser) settle before reading the form
+        this.onInput = () => {
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = setTimeout(() => this.refresh(), 10);
+        };
+        this.$form.on('input change', 'input, select, textarea', this.onInput);
+
+        try {
+            this.channel = new BroadcastChannel(CHANNEL_NAME);
+            this.channel.onmessage = (event) => {
+                const payload = event?.data;
+                if (!payload || payload.type !== 'settings_saved' || !payload.settings) return;
+                this.receive(payload.settings, payload.revision);
+            };
+        } catch (error) {
+            this.channel = null;
+        }
+
+        this.onVisibilityChange = () => {
+            if (document.visibilityState === 'visible' && this.options.syncOnVisible) {
+                this.syncFromServer();
+            }
+        };
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+    }
+
+    /**
+     * Listen for store updates.
+     *
+     * The listener gets the store and an event: `{ type }` is one of
+     * values (the form was edited), baseline (the saved values moved),
+     * validation (with `wasValid`), sync, or remote (settings saved
+     * elsewhere were not applied because of unsaved local edits).
+     *
+     * @param {Function} listener (store, event) => void
+     * @return {Function} Unsubscribes the listener
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter((l) => l !== listener);
+        };
+    }
+
+    emit(type, detail = {}) {
+        this.listeners.slice().forEach((listener) => {
+            try {
+                listener(this, { type, ...detail });
+            } catch (error) {
+                // One broken listener must not stop the others
+            }
+        });
+    }
+
+    /**
+     * Track a value that has no named settings field of its own.
+     *
+     * @param {string} key Settings key it is saved under
+     * @param {Object} source { read: () => value, write: (value) => void, label, format: (value) => string }
+     */
+    register(key, source) {
+        this.extras[key] = source;
+        const value = source.read();
+        this.values[key] = value;
+        if (!Object.prototype.hasOwnProperty.call(this.baseline, key)) {
+            this.baseline[key] = value;
+        }
+        this.update('values');
+    }
+
+    // Read every settings field (and registered value) from the form
+    collect() {
+        const formData = serializeForm(this.$form);
+
+        Object.entries(this.extras || {}).forEach(([key, source]) => {
+            formData[key] = source.read();
+        });
+
+        return formData;
+    }
+
+    /**
+     * Re-read the form; subscribers hear about it only when something changed.
+     *
+     * @return {Object} The current values
+     */
+    refresh() {
+        clearTimeout(this.refreshTimer);
+        const values = this.collect();
+        if (JSON.stringify(values) !== JSON.stringify(this.values)) {
+            this.values = values;
+            this.update('values');
+        }
+        return this.values;
+    }
+
+    // Current values, read fresh from the form; a copy callers may change
+    snapshot() {
+        return { ...this.refresh() };
+    }
+
+    isDirty() {
+        return this.dirty.length > 0;
+    }
+
+    update(type) {
+        this.dirty = diffSettings(this.baseline, this.values, { includeMissing: true, includeInternal: true });
+        this.emit(type);
+    }
+
+    setBaseline(values) {
+        this.baseline = { ...values };
+        this.values = this.collect();
+        this.update('baseline');
+    }
+
+    // What is in the form now has been saved
+    markSaved() {
+        this.sync = { ...this.sync, behind: false, savedAt: Date.now() };
+        this.setBaseline(this.collect());
+    }
+
+    // Subscribers hear about it only when the result changed: every save re-runs the validator
+    setValidation(result) {
+        const validation = {
+            valid: !!(result && result.valid),
+            errors: (result && result.errors) || []
+        };
+        if (JSON.stringify(validation) === JSON.stringify(this.validation)) return;
+        const wasValid = this.validation.valid;
+        this.validation = validation;
+        this.emit('validation', { wasValid });
+    }
+
+    setSaving(saving) {
+        if (this.sync.saving === saving) return;
+        this.sync = { ...this.sync, saving };
+        this.emit('sync');
+    }
+
+    /**
+     * Write values into the form (and registered values).
+     *
+     * @param {Object} settings Settings values; keys without a field are ignored
+     * @param {Object} options { triggerChange } let dependent UI (visibility toggles etc.) react
+     */
+    apply(settings, options = {}) {
+        const fields = {};
+        Object.entries(settings).forEach(([key, value]) => {
+            if (!this.extras[key]) {
+                fields[key] = value;
+            } else if (typeof this.extras[key].write === 'function') {
+                this.extras[key].write(value);
+            }
+        });
+        deserializeForm(this.$form, fields, options);
+        this.refresh();
+    }
+
+    /**
+     * Map a server settings payload onto the shape collect() produces, so
+     * baseline comparisons are not thrown off by int/string or extra/missing keys.
+     *
+     * @param {Object} settings Settings as returned by /settings
+     * @param {Object} fallback Values for keys the server leaves out (secrets are never echoed back)
+     * @return {Object}
+     */
+    shape(settings, fallback = this.baseline) {
+        const normalized = normalizeSettings(this.$form, settings);
+        const shaped = {};
+        Object.keys(this.values).forEach((key) => {
+            if (Object.prototype.hasOwnProperty.call(normalized, key)) {
+                shaped[key] = normalized[key];
+            } else if (this.extras[key] && Object.prototype.hasOwnProperty.call(settings, key)) {
+                shaped[key] = settings[key];
+            } else if (fallback && Object.prototype.hasOwnProperty.call(fallback, key)) {
+                shaped[key] = fallback[key];
+            } else {
+                shaped[key] = this.values[key];
+            }
+        });
+        return shaped;
+    }
+
+    /**
+     * Settings the server now holds: make them the baseline and, unless
+     * local edits are to be kept, put them in the form.
+     *
+     * @param {Object} settings Settings as returned by /settings
+     * @param {Object} options { revision, preserveLocalChanges, sent } sent: what this page saved, for keys the server leaves out
+     */
+    applyServer(settings, options = {}) {
+        if (!settings || typeof settings !== 'object') {
+            return;
+        }
+
+        const baseline = this.shape(settings, options.sent || this.baseline);
+        if (!options.preserveLocalChanges) {
+            this.apply(settings);
+        }
+        if (options.revision) {
+            SettingsStore.setRevision(options.revision);
+        }
+        this.sync = { ...this.sync, behind: false, syncedAt: Date.now() };
+        this.setBaseline(baseline);
+    }
+
+    /**
+     * Settings saved elsewhere (another tab, or seen on a server sync).
+     *
+     * With unsaved local edits the baseline and revision are left alone so
+     * the next save is checked against what this page was edited from.
+     */
+    receive(settings, revision, options = {}) {
+        const moved = revision && revision !== SettingsStore.currentRevision();
+        if (this.isDirty() && moved) {
+            this.sync = { ...this.sync, behind: true };
+            this.emit('remote', { revision });
+            return;
+        }
+        this.applyServer(settings, { ...options, revision });
+    }
+
+    async syncFromServer() {
+        if (!api.config().rest_url) {
+            return;
+        }
+
+        const preserveLocalChanges = this.isDirty();
+
+        try {
+            const payload = await api.getSettings();
+            if (!payload || payload.success !== true || !payload.data || !payload.data.settings) {
+                return;
+            }
+
+            this.receive(payload.data.settings, payload.data.revision, { preserveLocalChanges });
+        } catch (error) {
+            // Non-fatal sync failure.
+        }
+    }
+
+    // Tell the other open settings tabs what was just saved
+    publish(settings, revision = SettingsStore.currentRevision()) {
+        if (!this.channel || !settings || typeof settings !== 'object') {
+            return;
+        }
+
+        try {
+            this.channel.postMessage({
+                type: 'settings_saved',
+                settings,
+                revision
+            });
+        } catch (error) {
+            // Ignore BroadcastChannel failures.
+        }
+    }
+
+    label(key) {
+        if (this.extras[key] && this.extras[key].label) return this.extras[key].label;
+        return fieldLabel(key, this.$form);
+    }
+
+    format(key, value) {
+        if (this.extras[key] && typeof this.extras[key].format === 'function') return this.extras[key].format(value);
+        return formatValue(key, value, this.$form);
+    }
+
+    static currentRevision() {
+        return (window.ace_redis_admin && window.ace_redis_admin.settings_revision) || '';
+    }
+
+    static setRevision(revision) {
+        if (window.ace_redis_admin && revision) {
+            window.ace_redis_admin.settings_revision = revision;
+        }
+    }
+
+    destroy() {
+        clearTimeout(this.refreshTimer);
+        this.$form.off('input change', 'input, select, textarea', this.onInput);
+        document.removeEventListener('visibilitychange', this.onVisibilityChange);
+        if (this.channel) {
+            try {
+                this.channel.close();
+            } catch (error) {
+                // ignore
+            }
+            this.channel = null;
+        }
+        this.listeners = [];
+    }
+}
+
+// Export the SettingsStore class as default for ES6 modules
+export default SettingsStore;
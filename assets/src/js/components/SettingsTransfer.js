@@ -0,0 +1,234 @@
+/**
+ * SettingsTransfer Component for Ace Redis Cache
+ *
+ * Export the settings form to a versioned JSON file and import such a file
+ * on another site. Imports are validated, previewed as a field-level diff
+ * against the current form and then applied through the regular save path.
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+import Modal from './Modal.js';
+import { SECRET_KEYS, diffSettings, fieldLabel, formatValue, isStructuredField } from './SettingsDiff.js';
+
+const $ = window.jQuery;
+
+export const EXPORT_FORMAT = 'ace-redis-cache-settings';
+export const EXPORT_VERSION = 1;
+
+// Refuse anything larger than this before parsing
+const MAX_IMPORT_BYTES = 1024 * 1024;
+
+/**
+ * Validate a parsed export file.
+ *
+ * @param {*} data Parsed JSON
+ * @param {Array<string>} knownKeys Setting keys present in the form
+ * @param {Function} isStructured (key) => whether the setting may hold a list or object
+ * @return {{errors: Array<string>, settings: Object, ignored: Array<string>}}
+ */
+export const validateExport = (data, knownKeys, isStructured = () => false) => {
+    const errors = [];
+    const settings = {};
+    const ignored = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { errors: ['File is not a settings export (expected a JSON object).'], settings, ignored };
+    }
+    if (data.format !== EXPORT_FORMAT) {
+        errors.push(`Unrecognised format "${data.format ?? ''}"; expected "${EXPORT_FORMAT}".`);
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        errors.push('Missing or invalid "version".');
+    } else if (data.version > EXPORT_VERSION) {
+        errors.push(`File version ${data.version} is newer than this plugin supports (${EXPORT_VERSION}). Update the plugin first.`);
+    }
+    if (!data.settings || typeof data.settings !== 'object' || Array.isArray(data.settings)) {
+        errors.push('Missing "settings" object.');
+    }
+    if (errors.length) {
+        return { errors, settings, ignored };
+    }
+
+    Object.entries(data.settings).forEach(([key, value]) => {
+        if (key.startsWith('__') || !knownKeys.includes(key)) {
+            ignored.push(key);
+            return;
+        }
+        // Structured settings (lists, nested tables) are written back into their fields as they are
+        if (value !== null && typeof value === 'object') {
+            if (isStructured(key)) {
+                settings[key] = value;
+            } else {
+                errors.push(`"${key}" must be a single value, not a list or object.`);
+            }
+            return;
+        }
+        settings[key] = typeof value === 'boolean' ? (value ? '1' : '0') : String(value ?? '');
+    });
+
+    return { errors, settings, ignored: ignored.sort() };
+};
+
+class SettingsTransfer {
+    constructor(options = {}) {
+        this.options = {
+            containerSelector: '#ace-redis-settings-form',
+            exportButtonSelector: '#ace-redis-export-settings',
+            importButtonSelector: '#ace-redis-import-settings',
+            fileInputSelector: '#ace-redis-import-file',
+            includePasswordSelector: '#ace-redis-export-include-password',
+            pluginVersion: '',
+            // () => settings object from the form
+            getFormData: null,
+            // () => bool, whether the form has unsaved edits
+            hasUnsavedChanges: null,
+            // async (settings) => void, write values to the form and save them
+            apply: null,
+            // (message, type) => void
+            notify: null,
+            ...options
+        };
+
+        this.modal = new Modal({ title: 'Import settings', className: 'ace-import-dialog' });
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        $(document).on('click', this.options.exportButtonSelector, (e) => {
+            e.preventDefault();
+            this.exportSettings();
+        });
+        $(document).on('click', this.options.importButtonSelector, (e) => {
+            e.preventDefault();
+            $(this.options.fileInputSelector).val('').trigger('click');
+        });
+        $(document).on('change', this.options.fileInputSelector, (e) => {
+            const file = e.currentTarget.files && e.currentTarget.files[0];
+            if (file) this.importFile(file);
+        });
+    }
+
+    notify(message, type = 'info') {
+        if (typeof this.options.notify === 'function') {
+            this.options.notify(message, type);
+        }
+    }
+
+    formData() {
+        const data = typeof this.options.getFormData === 'function' ? this.options.getFormData() : {};
+        Object.keys(data).forEach((key) => {
+            if (key.startsWith('__')) delete data[key];
+        });
+        return data;
+    }
+
+    exportSettings() {
+        const includePassword = $(this.options.includePasswordSelector).is(':checked');
+        const settings = this.formData();
+        if (!includePassword) {
+            SECRET_KEYS.forEach((key) => { delete settings[key]; });
+        }
+
+        const payload = {
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            plugin_version: this.options.pluginVersion || undefined,
+            exported_at: new Date().toISOString(),
+            site: window.location.host,
+            password_included: includePassword,
+            settings
+        };
+
+        const stamp = new Date().toISOString().slice(0, 10);
+        const host = window.location.host.replace(/[^a-z0-9.-]/gi, '_');
+        const url = URL.createObjectURL(new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `ace-redis-settings-${host}-${stamp}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        const unsaved = typeof this.options.hasUnsavedChanges === 'function' && this.options.hasUnsavedChanges();
+        this.notify(
+            unsaved ? 'Settings exported, including changes that are not saved yet.' : 'Settings exported.',
+            unsaved ? 'warning' : 'success'
+        );
+    }
+
+    async importFile(file) {
+        if (file.size > MAX_IMPORT_BYTES) {
+            this.notify('That file is too large to be a settings export.', 'error');
+            return;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (e) {
+            this.notify(`Could not read ${file.name}: not valid JSON.`, 'error');
+            return;
+        }
+
+        const current = this.formData();
+        const $form = $(this.options.containerSelector);
+        const { errors, settings, ignored } = validateExport(data, Object.keys(current), (key) => isStructuredField(key, $form));
+        if (errors.length) {
+            this.notify(`Import failed:\n${errors.join('\n')}`, 'error');
+            return;
+        }
+
+        const changes = diffSettings(current, settings);
+        if (!changes.length) {
+            this.notify('The imported settings already match this site.', 'info');
+            return;
+        }
+
+        const confirmed = await this.preview(data, changes, ignored);
+        if (!confirmed) return;
+
+        if (typeof this.options.apply === 'function') {
+            await this.options.apply(settings);
+        }
+    }
+
+    preview(data, changes, ignored) {
+        const $form = $(this.options.containerSelector);
+        const $body = $('<div></div>');
+
+        const source = [data.site, data.exported_at ? new Date(data.exported_at).toLocaleString() : ''].filter(Boolean).join(', ');
+        $body.append($('<p class="ace-modal-intro"></p>').text(
+            `${changes.length} setting${changes.length === 1 ? '' : 's'} will change${source ? ` (export from ${source})` : ''}. Review and apply to save them.`
+        ));
+
+        const $table = $('<table class="widefat striped ace-import-table"><thead><tr><th scope="col">Setting</th><th scope="col">Current</th><th scope="col">Imported</th></tr></thead><tbody></tbody></table>');
+        changes.forEach((change) => {
+            const $row = $('<tr></tr>');
+            $row.append($('<th scope="row"></th>').text(fieldLabel(change.key, $form)));
+            $row.append($('<td class="diff-before"></td>').text(formatValue(change.key, change.before, $form)));
+            $row.append($('<td class="diff-after"></td>').text(formatValue(change.key, change.after, $form)));
+            $table.find('tbody').append($row);
+        });
+        $body.append($table);
+
+        const notes = [];
+        if (!data.password_included) {
+            notes.push('The file has no Redis password; the current password is kept.');
+        }
+        if (ignored.length) {
+            notes.push(`Ignored unknown settings: ${ignored.join(', ')}`);
+        }
+        notes.forEach((note) => $body.append($('<p class="ace-import-note"></p>').text(note)));
+
+        return this.modal.open($body, [
+            { label: 'Cancel', value: false },
+            { label: 'Apply and save', primary: true, value: true }
+        ]);
+    }
+}
+
+// Export the SettingsTransfer class as default for ES6 modules
+export default SettingsTransfer;
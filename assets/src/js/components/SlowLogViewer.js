@@ -0,0 +1,365 @@
+/**
+ * SlowLogViewer Component for Ace Redis Cache
+ *
+ * "Slow Operations" on the Diagnostics tab: lists the Redis operations the
+ * object-cache drop-in logged as slow, with sorting, filtering, totals per
+ * key pattern or cache group (click one to see its operations), CSV export
+ * and clearing the log.
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+import { api, errorMessage } from './ApiClient.js';
+
+const $ = window.jQuery;
+
+// Columns per view: [field, label, numeric]
+const COLUMNS = {
+    entries: [
+        ['time', 'Time', true],
+        ['command', 'Command', false],
+        ['key', 'Key', false],
+        ['ms', 'Duration', true],
+        ['bytes', 'Size', true],
+        ['url', 'Request', false]
+    ],
+    grouped: [
+        ['label', 'Key pattern', false],
+        ['count', 'Operations', true],
+        ['total', 'Total', true],
+        ['avg', 'Average', true],
+        ['max', 'Slowest', true],
+        ['bytes', 'Largest', true],
+        ['last', 'Last seen', true]
+    ]
+};
+
+const formatBytes = (bytes) => {
+    if (bytes === null || bytes === undefined) return '';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1048576) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1048576).toFixed(1)} MB`;
+};
+
+const formatMs = (ms) => `${Number(ms).toFixed(1)} ms`;
+
+const formatTime = (time) => (time ? new Date(time * 1000).toLocaleString() : '');
+
+/**
+ * One CSV cell. Values a spreadsheet would run as a formula get a leading
+ * quote, since keys and URLs come from site traffic.
+ *
+ * @param {*} value
+ * @return {string}
+ */
+export const csvCell = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Totals per key pattern or cache group.
+ *
+ * @param {Array<Object>} entries From /slow-log
+ * @param {string} field 'pattern' or 'group'
+ * @return {Array<Object>} label, count, total, avg, max, bytes (largest), last (newest time)
+ */
+export const aggregate = (entries, field) => {
+    const groups = new Map();
+    entries.forEach((entry) => {
+        const label = entry[field] || '(none)';
+        const group = groups.get(label) || { label, count: 0, total: 0, max: 0, bytes: null, last: 0 };
+        group.count += 1;
+        group.total += entry.ms;
+        group.max = Math.max(group.max, entry.ms);
+        if (entry.bytes !== null) group.bytes = Math.max(group.bytes || 0, entry.bytes);
+        group.last = Math.max(group.last, entry.time);
+        groups.set(label, group);
+    });
+    return Array.from(groups.values()).map((group) => ({
+        ...group,
+        total: Math.round(group.total * 10) / 10,
+        avg: Math.round((group.total / group.count) * 10) / 10
+    }));
+};
+
+class SlowLogViewer {
+    constructor(options = {}) {
+        this.options = {
+            panelSelector: '#ace-slow-log',
+            // (message, type) => void
+            notify: null,
+            ...options
+        };
+
+        this.$panel = $(this.options.panelSelector);
+        this.entries = [];
+        this.threshold = 100;
+        this.maxEntries = 0;
+        this.sort = { field: 'time', dir: 'desc' };
+        // Set by clicking a grouped row: only that pattern/group's operations are listed
+        this.drill = null;
+        this.loading = false;
+
+        if (this.$panel.length) {
+            this.setupEventListeners();
+        }
+    }
+
+    setupEventListeners() {
+        this.$panel.on('click', '#slow-log-load', (e) => {
+            e.preventDefault();
+            this.load();
+        });
+        this.$panel.on('click', '#slow-log-export', (e) => {
+            e.preventDefault();
+            this.exportCsv();
+        });
+        this.$panel.on('click', '#slow-log-reset', (e) => {
+            e.preventDefault();
+            this.reset();
+        });
+        this.$panel.on('input', '#slow-log-filter', () => this.render());
+        this.$panel.on('keydown', '#slow-log-filter', (e) => {
+            // The panel sits inside the settings form; Enter must not submit it
+            if (e.key === 'Enter') e.preventDefault();
+        });
+        this.$panel.on('change', '#slow-log-view', () => {
+            this.drill = null;
+            this.sort = this.view() === 'entries' ? { field: 'time', dir: 'desc' } : { field: 'total', dir: 'desc' };
+            this.render();
+        });
+        this.$panel.on('click', '.slow-log-sort', (e) => {
+            e.preventDefault();
+            const field = String($(e.currentTarget).data('field'));
+            const numeric = !!$(e.currentTarget).data('numeric');
+            this.sort = this.sort.field === field
+                ? { field, dir: this.sort.dir === 'asc' ? 'desc' : 'asc' }
+                : { field, dir: numeric ? 'desc' : 'asc' };
+            this.render();
+        });
+        this.$panel.on('click', '.slow-log-drill', (e) => {
+            e.preventDefault();
+            this.drill = { field: this.view(), value: String($(e.currentTarget).data('value')) };
+            this.sort = { field: 'time', dir: 'desc' };
+            this.$panel.find('#slow-log-view').val('entries');
+            this.render();
+        });
+        this.$panel.on('click', '.slow-log-undrill', (e) => {
+            e.preventDefault();
+            const field = this.drill ? this.drill.field : 'entries';
+            this.drill = null;
+            this.sort = { field: 'total', dir: 'desc' };
+            this.$panel.find('#slow-log-view').val(field);
+            this.render();
+        });
+    }
+
+    notify(message, type = 'info') {
+        if (typeof this.options.notify === 'function') {
+            this.options.notify(message, type);
+        }
+    }
+
+    view() {
+        return String(this.$panel.find('#slow-log-view').val() || 'entries');
+    }
+
+    async load() {
+        if (this.loading) return;
+        this.loading = true;
+        const $button = this.$panel.find('#slow-log-load').prop('disabled', true);
+        const $status = this.$panel.find('.slow-log-status').text('Loading…');
+
+        try {
+            const response = await api.slowLog();
+            const data = (response && response.data) || {};
+            if (!data.supported) {
+                this.entries = [];
+                this.render();
+                $status.text(response.message || 'The object-cache drop-in does not keep a slow log.');
+                return;
+            }
+            this.entries = data.entries || [];
+            this.threshold = data.threshold;
+            this.maxEntries = data.max_entries;
+            $button.text('Refresh');
+            this.render();
+        } catch (error) {
+            $status.text(errorMessage(error, 'Could not load the slow log.'));
+        } finally {
+            this.loading = false;
+            $button.prop('disabled', false);
+        }
+    }
+
+    async reset() {
+        if (!window.confirm('Clear the slow operations log?')) return;
+
+        const $button = this.$panel.find('#slow-log-reset').prop('disabled', true);
+        try {
+            const response = await api.resetSlowLog();
+            this.entries = [];
+            this.drill = null;
+            this.render();
+            this.notify(response.message || 'Slow log cleared.', 'success');
+        } catch (error) {
+            $button.prop('disabled', false);
+            this.notify(errorMessage(error, 'Could not clear the slow log.'), 'error');
+        }
+    }
+
+    /**
+     * Entries matching the filter box and any drill-down.
+     *
+     * @return {Array<Object>}
+     */
+    filtered() {
+        const needle = String(this.$panel.find('#slow-log-filter').val() || '').trim().toLowerCase();
+        return this.entries.filter((entry) => {
+            if (this.drill && entry[this.drill.field] !== this.drill.value) return false;
+            if (!needle) return true;
+            return [entry.command, entry.group, entry.key, entry.pattern, entry.url]
+                .some((value) => String(value || '').toLowerCase().includes(needle));
+        });
+    }
+
+    /**
+     * Rows for the current view, filtered and sorted.
+     *
+     * @return {Array<Object>}
+     */
+    rows() {
+        const view = this.view();
+        const rows = view === 'entries' ? this.filtered() : aggregate(this.filtered(), view);
+        const { field, dir } = this.sort;
+        const factor = dir === 'asc' ? 1 : -1;
+        return rows.slice().sort((a, b) => {
+            const x = a[field];
+            const y = b[field];
+            if (x === y) return 0;
+            // Unknown sizes sort last either way
+            if (x === null || x === undefined) return 1;
+            if (y === null || y === undefined) return -1;
+            return (typeof x === 'number' ? x - y : String(x).localeCompare(String(y))) * factor;
+        });
+    }
+
+    columns() {
+        if (this.view() === 'entries') return COLUMNS.entries;
+        return COLUMNS.grouped.map((column) => (column[0] === 'label'
+            ? ['label', this.view() === 'group' ? 'Cache group' : 'Key pattern', false]
+            : column));
+    }
+
+    render() {
+        const view = this.view();
+        const rows = this.rows();
+        const columns = this.columns();
+        const $table = this.$panel.find('.slow-log-table');
+
+        const $head = $('<tr></tr>');
+        columns.forEach(([field, label, numeric]) => {
+            const sorted = this.sort.field === field;
+            const $button = $('<button type="button" class="button-link slow-log-sort"></button>')
+                .attr({ 'data-field': field, 'data-numeric': numeric ? 1 : 0 })
+                .text(label + (sorted ? (this.sort.dir === 'asc' ? ' ▲' : ' ▼') : ''));
+            $head.append($('<th scope="col"></th>')
+                .attr('aria-sort', sorted ? (this.sort.dir === 'asc' ? 'ascending' : 'descending') : 'none')
+                .toggleClass('is-numeric', numeric)
+                .append($button));
+        });
+        $table.find('thead').empty().append($head);
+
+        const $tbody = $table.find('tbody').empty();
+        rows.forEach((row) => {
+            $tbody.append(view === 'entries' ? this.renderEntry(row) : this.renderGroup(row));
+        });
+        $table.prop('hidden', !rows.length);
+
+        this.$panel.find('#slow-log-export').prop('disabled', !rows.length);
+        this.$panel.find('#slow-log-reset').prop('disabled', !this.entries.length);
+        this.renderStatus(rows.length);
+    }
+
+    renderEntry(entry) {
+        const $key = $('<td class="slow-log-key"></td>')
+            .append($('<code></code>').text(entry.key).attr('title', entry.key));
+        if (entry.pattern !== `${entry.group}:${entry.key}`) {
+            $key.append($('<span class="slow-log-pattern"></span>').text(entry.pattern));
+        } else {
+            $key.prepend($('<span class="slow-log-group"></span>').text(`${entry.group}: `));
+        }
+        return $('<tr></tr>').toggleClass('is-very-slow', entry.ms >= this.threshold * 5).append(
+            $('<td></td>').text(formatTime(entry.time)),
+            $('<td></td>').append($('<code></code>').text(entry.command)),
+            $key,
+            $('<td class="is-numeric"></td>').text(formatMs(entry.ms)),
+            $('<td class="is-numeric"></td>').text(formatBytes(entry.bytes)),
+            $('<td class="slow-log-url"></td>').append($('<code></code>').text(entry.url).attr('title', entry.url))
+        );
+    }
+
+    renderGroup(group) {
+        return $('<tr></tr>').append(
+            $('<td></td>').append(
+                $('<button type="button" class="button-link slow-log-drill"></button>')
+                    .attr({ 'data-value': group.label, title: 'Show these operations' })
+                    .append($('<code></code>').text(group.label))
+            ),
+            $('<td class="is-numeric"></td>').text(group.count),
+            $('<td class="is-numeric"></td>').text(formatMs(group.total)),
+            $('<td class="is-numeric"></td>').text(formatMs(group.avg)),
+            $('<td class="is-numeric"></td>').text(formatMs(group.max)),
+            $('<td class="is-numeric"></td>').text(formatBytes(group.bytes)),
+            $('<td></td>').text(formatTime(group.last))
+        );
+    }
+
+    renderStatus(shown) {
+        const $status = this.$panel.find('.slow-log-status').empty();
+        if (!this.entries.length) {
+            $status.text(`No operations at or above ${this.threshold}ms have been logged.`);
+            return;
+        }
+        const parts = [`${this.entries.length} operations at or above ${this.threshold}ms`];
+        if (this.maxEntries && this.entries.length >= this.maxEntries) parts.push(`only the newest ${this.maxEntries} are kept`);
+        if (shown !== this.entries.length && this.view() === 'entries') parts.push(`${shown} shown`);
+        $status.text(parts.join(', ') + '.');
+        if (this.drill) {
+            $status.append(' ', $('<span class="slow-log-drilled"></span>').text(`Only ${this.drill.value}.`), ' ',
+                $('<button type="button" class="button-link slow-log-undrill"></button>').text('Back to totals'));
+        }
+    }
+
+    exportCsv() {
+        const view = this.view();
+        const rows = this.rows();
+        if (!rows.length) return;
+
+        const lines = view === 'entries'
+            ? [['time', 'command', 'group', 'key', 'pattern', 'duration_ms', 'bytes', 'url']].concat(rows.map((entry) => [
+                new Date(entry.time * 1000).toISOString(), entry.command, entry.group, entry.key, entry.pattern, entry.ms, entry.bytes, entry.url
+            ]))
+            : [[view === 'group' ? 'group' : 'pattern', 'operations', 'total_ms', 'avg_ms', 'max_ms', 'max_bytes', 'last_seen']].concat(rows.map((group) => [
+                group.label, group.count, group.total, group.avg, group.max, group.bytes, new Date(group.last * 1000).toISOString()
+            ]));
+        const csv = lines.map((line) => line.map(csvCell).join(',')).join('\r\n');
+
+        const stamp = new Date().toISOString().slice(0, 10);
+        const host = window.location.host.replace(/[^a-z0-9.-]/gi, '_');
+        const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `ace-redis-slow-log-${host}-${stamp}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Export the SlowLogViewer class as default for ES6 modules
+export default SlowLogViewer;
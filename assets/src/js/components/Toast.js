@@ -0,0 +1,265 @@
+/**
+ * Toast Component for Ace Redis Cache
+ *
+ * Non-blocking, stackable toast notifications for the admin page. Toasts
+ * auto-dismiss based on their type (errors stay until dismissed), offer a
+ * copy-to-clipboard action for multi-line results and announce themselves
+ * through ARIA live regions for screen reader users.
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+const $ = window.jQuery;
+
+// Ids are unique across instances: they share one container, and each instance's handlers act only on its own toasts
+let nextId = 1;
+
+class Toast {
+    constructor(options = {}) {
+        this.options = {
+            containerClass: 'ace-redis-toasts',
+            maxVisible: 5,
+            // Auto-dismiss delay per type in ms; 0 keeps the toast until dismissed
+            durations: {
+                success: 4000,
+                info: 5000,
+                warning: 8000,
+                error: 0
+            },
+            ...options
+        };
+
+        this.toasts = new Map();
+        this.$container = null;
+        this.$politeRegion = null;
+        this.$assertiveRegion = null;
+
+        this.init();
+    }
+
+    init() {
+        this.createContainer();
+        this.setupEventListeners();
+    }
+
+    createContainer() {
+        const existing = document.querySelector(`.${this.options.containerClass}`);
+        if (existing) {
+            this.$container = $(existing);
+        } else {
+            this.$container = $(`<div class="${this.options.containerClass}" role="region" aria-label="Notifications"></div>`);
+            $('body').append(this.$container);
+        }
+
+        // Visually hidden live regions, shared by every Toast on the page; assertive is reserved for errors
+        this.$politeRegion = this.liveRegion('polite');
+        this.$assertiveRegion = this.liveRegion('assertive');
+    }
+
+    liveRegion(politeness) {
+        const existing = document.querySelector(`.ace-redis-toast-live[aria-live="${politeness}"]`);
+        if (existing) return $(existing);
+        const $region = $(`<div class="screen-reader-text ace-redis-toast-live" aria-live="${politeness}" aria-atomic="true"></div>`);
+        $('body').append($region);
+        return $region;
+    }
+
+    setupEventListeners() {
+        this.$container.on('click', '.ace-redis-toast-dismiss', (e) => {
+            e.preventDefault();
+            this.dismiss($(e.currentTarget).closest('.ace-redis-toast').data('toast-id'));
+        });
+
+        this.$container.on('click', '.ace-redis-toast-copy', (e) => {
+            e.preventDefault();
+            const id = $(e.currentTarget).closest('.ace-redis-toast').data('toast-id');
+            this.copy(id, $(e.currentTarget));
+        });
+
+        // Pause auto-dismiss while the pointer or keyboard focus is on a toast
+        this.$container.on('mouseenter focusin', '.ace-redis-toast', (e) => {
+            this.pauseTimer($(e.currentTarget).data('toast-id'));
+        });
+        this.$container.on('mouseleave focusout', '.ace-redis-toast', (e) => {
+            this.resumeTimer($(e.currentTarget).data('toast-id'));
+        });
+
+        // Escape dismisses the focused toast
+        this.$container.on('keydown', '.ace-redis-toast', (e) => {
+            if (e.key === 'Escape') {
+                this.dismiss($(e.currentTarget).data('toast-id'));
+            }
+        });
+    }
+
+    /**
+     * Show a toast.
+     *
+     * @param {string} message Plain text message; newlines are preserved
+     * @param {string} type success|info|warning|error
+     * @param {Object} options { persistent, duration, copyable, title }
+     * @return {number} Toast id, usable with dismiss()
+     */
+    show(message, type = 'info', options = {}) {
+        const text = String(message ?? '');
+        const kind = ['success', 'info', 'warning', 'error'].includes(type) ? type : 'info';
+        const id = nextId++;
+
+        let duration = typeof options.duration === 'number' ? options.duration : this.options.durations[kind];
+        if (options.persistent) {
+            duration = 0;
+        }
+        const copyable = typeof options.copyable === 'boolean' ? options.copyable : text.includes('\n');
+
+        const $toast = $(`
+            <div class="ace-redis-toast ${kind}" tabindex="-1">
+                <div class="ace-redis-toast-body">
+                    <strong class="ace-redis-toast-title"></strong>
+                    <div class="ace-redis-toast-message"></div>
+                </div>
+                <div class="ace-redis-toast-actions">
+                    <button type="button" class="button-link ace-redis-toast-copy" hidden>Copy</button>
+                    <button type="button" class="ace-redis-toast-dismiss" aria-label="Dismiss notification">
+                        <span class="dashicons dashicons-no-alt" aria-hidden="true"></span>
+                    </button>
+                </div>
+            </div>
+        `).data('toast-id', id);
+
+        if (options.title) {
+            $toast.find('.ace-redis-toast-title').text(options.title);
+        } else {
+            $toast.find('.ace-redis-toast-title').remove();
+        }
+        $toast.find('.ace-redis-toast-message').text(text);
+        if (copyable) {
+            $toast.find('.ace-redis-toast-copy').prop('hidden', false);
+        }
+
+        this.$container.append($toast);
+        // Next frame so the enter transition runs
+        requestAnimationFrame(() => $toast.addClass('visible'));
+
+        this.toasts.set(id, { $el: $toast, text, duration, remaining: duration, timer: null, startedAt: 0 });
+        this.startTimer(id);
+        // Announced through the live regions only; the toast itself has no role, so it is not read twice
+        this.announce(options.title ? `${options.title}: ${text}` : text, kind);
+        this.enforceLimit();
+
+        return id;
+    }
+
+    success(message, options = {}) {
+        return this.show(message, 'success', options);
+    }
+
+    info(message, options = {}) {
+        return this.show(message, 'info', options);
+    }
+
+    warning(message, options = {}) {
+        return this.show(message, 'warning', options);
+    }
+
+    error(message, options = {}) {
+        return this.show(message, 'error', options);
+    }
+
+    /**
+     * Replace the text of an existing toast (e.g. progress updates).
+     */
+    update(id, message) {
+        const toast = this.toasts.get(id);
+        if (!toast) return;
+        toast.text = String(message ?? '');
+        toast.$el.find('.ace-redis-toast-message').text(toast.text);
+    }
+
+    dismiss(id) {
+        const toast = this.toasts.get(id);
+        if (!toast) return;
+        clearTimeout(toast.timer);
+        this.toasts.delete(id);
+        toast.$el.removeClass('visible').addClass('leaving');
+        setTimeout(() => toast.$el.remove(), 200);
+    }
+
+    clear() {
+        Array.from(this.toasts.keys()).forEach((id) => this.dismiss(id));
+    }
+
+    startTimer(id) {
+        const toast = this.toasts.get(id);
+        if (!toast || toast.duration <= 0) return;
+        toast.startedAt = Date.now();
+        toast.timer = setTimeout(() => this.dismiss(id), toast.remaining);
+    }
+
+    pauseTimer(id) {
+        const toast = this.toasts.get(id);
+        if (!toast || !toast.timer) return;
+        clearTimeout(toast.timer);
+        toast.timer = null;
+        toast.remaining = Math.max(1000, toast.remaining - (Date.now() - toast.startedAt));
+    }
+
+    resumeTimer(id) {
+        const toast = this.toasts.get(id);
+        if (!toast || toast.timer) return;
+        this.startTimer(id);
+    }
+
+    // Drop the oldest non-error toasts first once the stack grows too tall
+    enforceLimit() {
+        if (this.toasts.size <= this.options.maxVisible) return;
+        const ids = Array.from(this.toasts.keys());
+        const transient = ids.filter((id) => !this.toasts.get(id).$el.hasClass('error'));
+        const victims = (transient.length ? transient : ids).slice(0, this.toasts.size - this.options.maxVisible);
+        victims.forEach((id) => this.dismiss(id));
+    }
+
+    announce(text, type) {
+        const $region = type === 'error' ? this.$assertiveRegion : this.$politeRegion;
+        // Clear first so repeated identical messages are still announced
+        $region.text('');
+        setTimeout(() => $region.text(text), 100);
+    }
+
+    async copy(id, $button) {
+        const toast = this.toasts.get(id);
+        if (!toast) return;
+        const ok = await Toast.copyToClipboard(toast.text);
+        $button.text(ok ? 'Copied' : 'Copy failed');
+        setTimeout(() => $button.text('Copy'), 2000);
+    }
+
+    static async copyToClipboard(text) {
+        try {
+            if (navigator.clipboard && window.isSecureContext) {
+                await navigator.clipboard.writeText(text);
+                return true;
+            }
+        } catch (e) { /* fall through to legacy path */ }
+
+        // Legacy fallback for non-secure admin origins
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        let ok = false;
+        try {
+            ok = document.execCommand('copy');
+        } catch (e) {
+            ok = false;
+        }
+        document.body.removeChild(textarea);
+        return ok;
+    }
+}
+
+// Export the Toast class as default for ES6 modules
+export default Toast;
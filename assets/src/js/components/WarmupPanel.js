@@ -0,0 +1,139 @@
+/**
+ * WarmupPanel Component for Ace Redis Cache
+ *
+ * "Warm-up" tab: starts a warm-up job with the sources and limits currently
+ * in the form (saved or not) and lists each crawled URL as results arrive,
+ * with its cache outcome, HTTP status and response time. Progress and
+ * Cancel are handled by JobMonitor, which feeds job updates to render().
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+const $ = window.jQuery;
+
+const SOURCES = ['sitemap', 'recent', 'woocommerce', 'custom'];
+
+const CACHE_LABELS = {
+    hit: 'Already cached',
+    miss: 'Cached now',
+    bypass: 'Bypassed',
+    none: 'Not cached',
+    failed: 'Failed'
+};
+
+class WarmupPanel {
+    constructor(options = {}) {
+        this.options = {
+            panelSelector: '#ace-warmup-panel',
+            // (message, type) => void
+            notify: null,
+            // (params) => void, starts the warm-up job
+            start: null,
+            ...options
+        };
+
+        this.$panel = $(this.options.panelSelector);
+        this.jobId = null;
+        this.rendered = 0;
+
+        if (this.$panel.length) {
+            this.setupEventListeners();
+        }
+    }
+
+    setupEventListeners() {
+        this.$panel.on('click', '#warmup-start', (e) => {
+            e.preventDefault();
+            this.start();
+        });
+    }
+
+    notify(message, type = 'info') {
+        if (typeof this.options.notify === 'function') {
+            this.options.notify(message, type);
+        }
+    }
+
+    /**
+     * Warm-up options as sent to the jobs route, read from the tab's fields.
+     *
+     * @return {Object}
+     */
+    params() {
+        return {
+            sources: SOURCES.filter((source) => $(`#warmup_source_${source}`).is(':checked')),
+            recent_count: parseInt($('#warmup_recent_count').val(), 10) || 20,
+            custom_urls: String($('#warmup_custom_urls').val() || ''),
+            concurrency: parseInt($('#warmup_concurrency').val(), 10) || 3,
+            rate: parseInt($('#warmup_rate').val(), 10) || 5
+        };
+    }
+
+    start() {
+        const params = this.params();
+        if (!params.sources.length) {
+            this.notify('Choose at least one source of URLs to warm.', 'warning');
+            return;
+        }
+        if (typeof this.options.start === 'function') {
+            this.options.start(params);
+        }
+    }
+
+    /**
+     * Show a warm-up job's new results and running totals.
+     *
+     * @param {Object} job Job from the jobs routes
+     */
+    render(job) {
+        const $table = this.$panel.find('.warmup-results');
+        const $tbody = $table.find('tbody');
+        if (job.id !== this.jobId) {
+            this.jobId = job.id;
+            this.rendered = 0;
+            $tbody.empty();
+        }
+
+        // Polls can overlap what is already shown; skip results we have
+        const from = job.results_from || 0;
+        const results = (job.results || []).slice(Math.max(0, this.rendered - from));
+        results.forEach((result) => $tbody.append(this.renderRow(result)));
+        this.rendered = Math.max(this.rendered, from + (job.results || []).length);
+        $table.prop('hidden', !this.rendered);
+
+        this.$panel.find('.warmup-summary').prop('hidden', false).text(this.summary(job));
+    }
+
+    summary(job) {
+        if (job.total === null) return 'Collecting URLs…';
+        const counts = job.counts || {};
+        const parts = [
+            `${counts.hit || 0} already cached`,
+            `${counts.miss || 0} cached now`,
+            `${(counts.bypass || 0) + (counts.none || 0)} not cacheable`,
+            `${counts.failed || 0} failed`
+        ];
+        return `${job.processed} of ${job.total} URLs: ${parts.join(', ')}.`;
+    }
+
+    renderRow(result) {
+        const $row = $('<tr></tr>').addClass(`warmup-result-${result.cache}`);
+        $row.append($('<td class="warmup-url"></td>').append(
+            $('<a target="_blank" rel="noopener noreferrer"></a>').attr('href', result.url).text(result.url)
+        ));
+        const $cache = $('<td></td>').append($('<span class="warmup-cache"></span>').text(CACHE_LABELS[result.cache] || result.cache));
+        if (result.error) {
+            $cache.append(' ', $('<span class="description"></span>').text(result.error));
+        } else if (result.header) {
+            $cache.attr('title', result.header);
+        }
+        $row.append($cache);
+        $row.append($('<td></td>').text(result.code || '—'));
+        $row.append($('<td></td>').text(`${result.ms} ms`));
+        return $row;
+    }
+}
+
+// Export the WarmupPanel class as default for ES6 modules
+export default WarmupPanel;
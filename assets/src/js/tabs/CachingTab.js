@@ -0,0 +1,211 @@
+/**
+ * Caching tab for Ace Redis Cache
+ *
+ * Loaded the first time the Caching tab is shown: shows and hides the
+ * options that depend on the page/object cache and compression switches,
+ * and keeps the transient cache health badge up to date (the /health poll
+ * is shared with the other open settings tabs).
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+import { api, errorMessage } from '../components/ApiClient.js';
+
+const $ = window.jQuery;
+
+class CachingTab {
+    constructor(options = {}) {
+        this.options = {
+            // AceRedisCacheAdmin
+            admin: null,
+            ...options
+        };
+        this.admin = this.options.admin;
+        this.polls = this.admin.polling();
+        // Timestamp when transient cache was (re)enabled to allow warm-up grace
+        this.transientEnableTs = null;
+
+        this.initCacheMode();
+        this.initCompressionToggle();
+        this.initTransientHealth();
+        this.initHealthActions();
+    }
+
+    // After a save: re-check transient cache health, with a grace period if it was just enabled
+    saved() {
+        if ($('#enable_transient_cache').is(':checked')) {
+            this.transientEnableTs = Date.now();
+        } else {
+            this.transientEnableTs = null;
+        }
+        setTimeout(() => this.refreshTransientHealth(), 300);
+    }
+
+    // Initialize cache controls (dual toggles)
+    initCacheMode() {
+        const toggleObjectRelatedOptions = () => {
+            const enabled = $('#enable_object_cache').is(':checked');
+            const $blockCachingRow = $('#block-caching-row');
+            const $transientRow = $('#transient-cache-row');
+            $blockCachingRow.toggle(!!enabled);
+            $transientRow.toggle(!!enabled);
+        };
+
+        const toggleTTLVisibility = () => {
+            const pageOn = $('#enable_page_cache').is(':checked');
+            const objOn = $('#enable_object_cache').is(':checked');
+            const $ttlPageWrap = $('#ttl_page').closest('.cache-type-options');
+            const $ttlObjWrap = $('#ttl_object').closest('.cache-type-options');
+            if ($ttlPageWrap.length) { $ttlPageWrap.toggle(!!pageOn); }
+            if ($ttlObjWrap.length) { $ttlObjWrap.toggle(!!objOn); }
+        };
+
+        // Initialize
+        toggleObjectRelatedOptions();
+        toggleTTLVisibility();
+
+        $('#enable_object_cache').on('change', function() {
+            toggleObjectRelatedOptions();
+            toggleTTLVisibility();
+        });
+        $('#enable_page_cache').on('change', function() {
+            toggleTTLVisibility();
+        });
+    }
+
+    // Hide/show compression sub-options when compression is disabled/enabled
+    initCompressionToggle() {
+        const updateCompressionUI = () => {
+            const enabled = $('#enable_compression').is(':checked');
+            const $field = $('#enable_compression').closest('.setting-field');
+            if ($field.length) {
+                // Show/hide available methods
+                $field.find('.compression-methods').toggle(!!enabled);
+                // Show/hide the description immediately following the methods block
+                $field.find('.compression-methods').next('p.description').toggle(!!enabled);
+            }
+        };
+        // Initial state
+        updateCompressionUI();
+        // React to changes
+        $(document).on('change', '#enable_compression', updateCompressionUI);
+    }
+
+    // --- Transient Cache Health ---
+    initTransientHealth() {
+        const $toggle = $('#enable_transient_cache');
+        if (!$toggle.length) return;
+        this.polls.subscribe('health', (result) => this.applyTransientHealth(result));
+        // Initial fetch only (no toggle-triggered re-ping per request); another tab's recent result will do
+        setTimeout(() => this.refreshTransientHealth({ maxAge: 10000 }), 500);
+    }
+
+    refreshTransientHealth(options = {}) {
+        const $badge = $('#ace-rc-transient-status');
+        const $tips = $('#ace-rc-transient-tips');
+        if (!$badge.length) return;
+        const enabled = $('#enable_transient_cache').is(':checked');
+        if (!enabled) {
+            this.setTransientStatus('Off', 'pending');
+            if ($tips.length) { $tips.html('<em>Transient cache disabled.</em>').data('populated', true); }
+            this.polls.poll('health', 0);
+            return; // Skip network call when disabled
+        }
+        $badge.text('checking').css({ background: '#ddd', color: '#333' });
+        if ($tips.length && !$tips.data('populated')) { $tips.html('Loading cache health…'); }
+        // Rendered by applyTransientHealth() through the subscription
+        this.polls.refresh('health', options);
+    }
+
+    // Render a /health result, fetched here or by another settings tab
+    applyTransientHealth(result) {
+        const $badge = $('#ace-rc-transient-status');
+        const $tips = $('#ace-rc-transient-tips');
+        if (!$badge.length) return;
+        if (!$('#enable_transient_cache').is(':checked')) {
+            this.setTransientStatus('Off', 'pending');
+            this.polls.poll('health', 0);
+            return;
+        }
+        if (!result.ok) {
+            this.setTransientStatus('error', 'error');
+            if ($tips.length) { $tips.html('<span style="color:#c00;">Health request failed.</span>'); }
+            return;
+        }
+        const resp = result.body;
+        if (!resp || !resp.data) {
+            this.setTransientStatus('error', 'error');
+            if ($tips.length) { $tips.html('<span style="color:#c00;">Unable to load cache health.</span>'); }
+            return;
+        }
+        const d = resp.data;
+        const guestMode = d.guest_effective_mode || d.request_mode;
+        let state = 'ok'; let label = 'OK';
+        if (!d.using_dropin || guestMode === 'missing_dropin') { state = 'warn'; label = 'Missing'; } else if (guestMode === 'fail_open' || guestMode === 'forced_bypass') { state = 'warn'; label = 'Bypassed'; } else if (guestMode === 'disconnected') { state = 'error'; label = 'Down'; } else if (d.bypass) { state = 'warn'; label = 'Bypassed'; }
+        // Grace period: if recently enabled and not yet fully connected treat as initializing
+        const now = Date.now();
+        if (this.transientEnableTs && (now - this.transientEnableTs) < 15000) {
+            if (state !== 'ok') { state = 'init'; label = 'Init'; }
+        }
+        this.setTransientStatus(label, state);
+        // While initializing, keep polling (shared with other tabs) until it settles
+        this.polls.poll('health', label === 'Init' ? 10000 : 0);
+        if ($tips.length) {
+            const parts = [];
+            let dropinText;
+            if (!d.using_dropin || guestMode === 'missing_dropin') dropinText = '<span style="color:#c00;">missing</span>';
+            else if (guestMode === 'active') dropinText = '<span style="color:green;">guest-active</span>';
+            else if (guestMode === 'disconnected') dropinText = '<span style="color:#c00;">not connected</span>';
+            else dropinText = '<span style="color:#dba617;">connected (bypassed)</span>';
+            parts.push('<strong>Drop-in:</strong> ' + dropinText);
+            if (d.request_mode === 'runtime_only') {
+                parts.push('<span style="color:#dba617;">admin request is runtime-only</span>');
+            }
+            if (d.bypass) {
+                const br = d.bypass_reason || 'unknown';
+                let label = 'bypass';
+                if (br === 'editor_admin') label = 'bypass (admin/editor)';
+                else if (br === 'fail_open') label = 'bypass (fail-open)';
+                else if (br === 'constant') label = 'bypass (constant)';
+                parts.push('<span style="color:' + (br === 'editor_admin' ? '#dba617' : '#c00') + ';">' + label + '</span>');
+            }
+            parts.push('Autoload ' + this.humanApproxBytes(d.autoload_size));
+            if (d.slow_ops) parts.push(d.slow_ops + ' slow ops');
+            if (d.error) parts.push('Error: <code>' + this.admin.escapeHtml(d.error) + '</code>');
+            let html = parts.join(' | ');
+            if (Array.isArray(d.tips) && d.tips.length) {
+                html += '<ul style="margin:6px 0 0 18px; list-style:disc;">' + d.tips.map(t => '<li>' + this.admin.escapeHtml(t) + '</li>').join('') + '</ul>';
+            }
+            if (state === 'init') {
+                html = '<strong>Initializing:</strong> Deploying drop-in / establishing Redis connection. This can take a few seconds on first enable.<br>' + html;
+            }
+            $tips.html(html).data('populated', true);
+        }
+    }
+
+    setTransientStatus(text, state) {
+        const $badge = $('#ace-rc-transient-status'); if (!$badge.length) return;
+        const colors = { ok: { bg: '#46b450', fg: '#fff' }, warn: { bg: '#dba617', fg: '#1d2327' }, error: { bg: '#d63638', fg: '#fff' }, pending: { bg: '#888', fg: '#fff' }, init: { bg: '#2271b1', fg: '#fff' } };
+        const c = colors[state] || colors.pending;
+        $badge.text(text).css({ background: c.bg, color: c.fg });
+    }
+
+    humanApproxBytes(bytes) { if (!bytes) return '0B'; const u = ['B', 'KB', 'MB', 'GB', 'TB']; let i = 0; let v = bytes; while (v >= 1024 && i < u.length - 1) { v /= 1024; i++; } return (v >= 10 ? Math.round(v) : v.toFixed(1)) + u[i]; }
+
+    initHealthActions() {
+        const $reset = $('#ace-rc-reset-slow-ops');
+        if ($reset.length) {
+            $reset.on('click', () => {
+                api.resetSlowLog().then(() => {
+                    $('#ace-rc-slow-ops-val').text('0');
+                }).catch((error) => {
+                    this.admin.showNotification(errorMessage(error, 'Could not clear the slow log.'), 'error');
+                });
+            });
+        }
+    }
+}
+
+// Export the CachingTab class as default for ES6 modules
+export default CachingTab;
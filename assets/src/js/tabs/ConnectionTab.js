@@ -0,0 +1,41 @@
+/**
+ * Connection tab for Ace Redis Cache
+ *
+ * Loaded the first time the Connection tab is shown, or when a save needs
+ * the connection guard: named connection profiles and testing unsaved
+ * connection fields before they are saved.
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+import ConnectionProfiles from '../components/ConnectionProfiles.js';
+
+class ConnectionTab {
+    constructor(options = {}) {
+        this.options = {
+            // AceRedisCacheAdmin
+            admin: null,
+            ...options
+        };
+        this.admin = this.options.admin;
+
+        this.connectionProfiles = new ConnectionProfiles({
+            notify: (message, type) => this.admin.showNotification(message, type),
+            // The form may have been edited (or imported into) before this tab loaded
+            saved: this.admin.store.baseline
+        });
+    }
+
+    // Changed connection fields must pass a test first (or be overridden)
+    guardSave(source) {
+        return this.connectionProfiles.guardSave(source);
+    }
+
+    saved() {
+        this.connectionProfiles.markSaved();
+    }
+}
+
+// Export the ConnectionTab class as default for ES6 modules
+export default ConnectionTab;
@@ -0,0 +1,609 @@
+/**
+ * Diagnostics tab for Ace Redis Cache
+ *
+ * Loaded the first time the Diagnostics tab is shown: connection and
+ * write/read tests, the diagnostics report, Redis server details, the page
+ * cache status checker, the slow operations log, OPcache helpers and the
+ * performance metric cards with their auto-refresh. Nothing here polls
+ * until the tab has been opened.
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+import MetricsHistory from '../components/MetricsHistory.js';
+import DiagnosticsViewer from '../components/DiagnosticsViewer.js';
+import CacheStatusChecker from '../components/CacheStatusChecker.js';
+import ServerInfoPanel, { renderChecks } from '../components/ServerInfoPanel.js';
+import SlowLogViewer from '../components/SlowLogViewer.js';
+import { api, errorMessage } from '../components/ApiClient.js';
+
+const $ = window.jQuery;
+
+class DiagnosticsTab {
+    constructor(options = {}) {
+        this.options = {
+            // AceRedisCacheAdmin
+            admin: null,
+            ...options
+        };
+        this.admin = this.options.admin;
+        this.polls = this.admin.polling();
+        this.metricsTransport = this.admin.metricsTransport;
+        // State for Plugin Memory auto-fetch toggle and fetch in-flight guard
+        this.pluginMemoryAuto = false;
+        this.pluginMemoryFetching = false;
+
+        this.initConnectionTest();
+        this.initDiagnostics();
+        this.initCacheStatusChecker();
+        this.initSlowLog();
+        this.initOpcacheHelpers();
+        this.initPerformanceMetrics();
+    }
+
+    // Shown: redraw stored trends straight away and load (or reuse) a sample
+    activate() {
+        if (this.metricsHistory) this.metricsHistory.render();
+        setTimeout(() => {
+            // A sample another tab took moments ago will do
+            this.loadPerformanceMetrics({ scope: 'basic', maxAge: 5000 });
+        }, 100);
+        // Resume timer countdown if auto-refresh is enabled
+        this.resumeAutoRefreshTimer();
+    }
+
+    // Pause timer countdown when leaving diagnostics tab
+    deactivate() {
+        this.pauseAutoRefreshTimer();
+    }
+
+    // Refresh connection status after a successful save
+    saved() {
+        setTimeout(() => this.testConnection(), 1000);
+    }
+
+    // Fetch one URL and explain its page cache status
+    initCacheStatusChecker() {
+        if (!$('#ace-cache-status-check').length) return;
+
+        this.cacheStatusChecker = new CacheStatusChecker();
+    }
+
+    // Slow Redis operations logged by the object-cache drop-in
+    initSlowLog() {
+        if (!$('#ace-slow-log').length) return;
+
+        this.slowLogViewer = new SlowLogViewer({
+            notify: (message, type) => this.admin.showNotification(message, type)
+        });
+    }
+
+    // OPcache helper buttons (reset / prime + status)
+    initOpcacheHelpers() {
+        if (!$('#enable_opcache_helpers').length) return; // feature not present
+        const $wrapper = $('#opcache-helper-buttons');
+        const $checkbox = $('#enable_opcache_helpers');
+        const updateVisibility = () => {
+            const on = $checkbox.is(':checked');
+            $wrapper.toggle(on);
+            if (on) {
+                this.fetchOpcacheStatus();
+            }
+        };
+        $checkbox.on('change', updateVisibility);
+        updateVisibility();
+
+        $('#ace-redis-opcache-reset').on('click', (e) => {
+            e.preventDefault();
+            this.resetOpcache(e.currentTarget);
+        });
+        $('#ace-redis-opcache-prime').on('click', (e) => {
+            e.preventDefault();
+            this.admin.jobMonitor.start('opcache_prime');
+        });
+    }
+
+    resetOpcache(btn) {
+        const $btn = $(btn);
+        const original = $btn.text();
+        $btn.prop('disabled', true).text('Working...');
+        api.opcacheReset().then((resp) => {
+            let message = '✅ ' + (resp.message || 'Success');
+            if (resp.files && resp.files.length) {
+                message += '\nFiles: ' + resp.files.join(', ');
+            }
+            this.admin.showNotification(message, 'success');
+            this.fetchOpcacheStatus();
+        }).catch((error) => {
+            this.admin.showNotification('❌ ' + errorMessage(error, 'Request failed'), 'error');
+        }).finally(() => {
+            $btn.prop('disabled', false).text(original);
+        });
+    }
+
+    fetchOpcacheStatus() {
+        api.opcacheStatus().then((resp) => {
+            if (resp && resp.data) {
+                const d = resp.data;
+                let text = 'OPcache: ' + (d.enabled ? 'Enabled' : 'Disabled');
+                if (d.cached_scripts !== null) {
+                    text += ' | Scripts: ' + d.cached_scripts;
+                }
+                if (d.hit_rate !== null) {
+                    const hr = parseFloat(d.hit_rate);
+                    if (!isNaN(hr)) text += ' | HitRate: ' + hr.toFixed(1) + '%';
+                }
+                let $inline = $('.opcache-status-inline');
+                if (!$inline.length) {
+                    $inline = $('<span class="opcache-status-inline" style="margin-left:8px; font-size:11px; opacity:0.8;"></span>');
+                    $('#opcache-helper-buttons').append($inline);
+                }
+                $inline.text(text);
+            }
+        }).catch(() => {
+            // Status line is optional; leave it as it was
+        });
+    }
+
+    // Initialize connection testing
+    initConnectionTest() {
+        $('#ace-redis-cache-test-btn').on('click', (e) => {
+            e.preventDefault();
+            this.testConnection();
+        });
+
+        $('#ace-redis-cache-test-write-btn').on('click', (e) => {
+            e.preventDefault();
+            this.testWriteRead();
+        });
+    }
+
+    // Test Redis connection
+    testConnection() {
+        const $btn = $('#ace-redis-cache-test-btn');
+        const originalText = $btn.text();
+
+        $btn.text('Testing...').prop('disabled', true);
+
+        api.testConnection()
+            .then((response) => {
+                this.updateConnectionStatus(response.data);
+            })
+            .catch((error) => {
+                this.showConnectionError(errorMessage(error, 'Connection failed'));
+            })
+            .finally(() => {
+                $btn.text(originalText).prop('disabled', false);
+            });
+    }
+
+    // Test write/read operations
+    testWriteRead() {
+        const $btn = $('#ace-redis-cache-test-write-btn');
+        const originalText = $btn.text();
+
+        $btn.text('Testing...').prop('disabled', true);
+
+        api.testWriteRead()
+            .then((response) => {
+                this.admin.showNotification(
+                    `Write: ${response.data.write}\n` +
+                    `Read: ${response.data.read}\n` +
+                    `Value: ${response.data.value}`,
+                    'success',
+                    { title: '✅ Write/Read Test Successful', copyable: true }
+                );
+            })
+            .catch((error) => {
+                this.admin.showNotification(`❌ ${errorMessage(error, 'Test failed')}`, 'error');
+            })
+            .finally(() => {
+                $btn.text(originalText).prop('disabled', false);
+            });
+    }
+
+    // Update connection status display
+    updateConnectionStatus(data) {
+        const $status = $('#ace-redis-cache-connection');
+        const $size = $('#ace-redis-cache-size');
+        const $serverInfo = $('#redis-server-info');
+        const $serverType = $('#redis-server-type');
+        const $suggestions = $('#redis-suggestions');
+
+        $status.text(data.status)
+            .removeClass('status-unknown status-error')
+            .addClass('status-success');
+
+        let sizeText = `${data.size} keys (${data.size_kb} KB)`;
+        if (data.debug_info) {
+            sizeText += ` - ${data.debug_info}`;
+        }
+        $size.text(sizeText);
+
+        // Show server information if available
+        if (data.server_type || data.suggestions) {
+            $serverType.text(data.server_type || 'Unknown');
+
+            // Display suggestions (as text: they include server-reported values)
+            $suggestions.empty().append($('<p></p>').append($('<strong></strong>').text('Recommendations:')));
+            if (data.suggestions && data.suggestions.length > 0) {
+                $suggestions.append(renderChecks(data.suggestions));
+            } else {
+                $suggestions.append(renderChecks([{ level: 'ok', title: 'Configuration looks good' }]));
+            }
+
+            $serverInfo.slideDown(300);
+        }
+    }
+
+    // Show connection error
+    showConnectionError(message) {
+        const $status = $('#ace-redis-cache-connection');
+        const $size = $('#ace-redis-cache-size');
+        const $serverInfo = $('#redis-server-info');
+
+        $status.text(message)
+            .removeClass('status-unknown status-success')
+            .addClass('status-error');
+
+        $size.text('0 keys (0 KB)');
+        $serverInfo.slideUp(300);
+    }
+
+    // Initialize diagnostics
+    initDiagnostics() {
+        this.diagnosticsViewer = new DiagnosticsViewer({
+            containerSelector: '#diagnostics-results',
+            notify: (message, type) => this.admin.showNotification(message, type)
+        });
+        this.serverInfoPanel = new ServerInfoPanel();
+
+        $('#ace-redis-cache-diagnostics-btn').on('click', (e) => {
+            e.preventDefault();
+            this.runDiagnostics();
+        });
+    }
+
+    // Run system diagnostics
+    runDiagnostics() {
+        const $btn = $('#ace-redis-cache-diagnostics-btn');
+        const $results = $('#diagnostics-results');
+        const originalText = $btn.text();
+
+        $btn.text('Running...').prop('disabled', true);
+        $results.html('<p>⏳ Running comprehensive diagnostics...</p>');
+
+        api.diagnostics('structured')
+            .then((response) => {
+                if (response.data) {
+                    // Structured report, or legacy string lines rendered as plain text
+                    this.diagnosticsViewer.render(response.data);
+                } else {
+                    $results.html('<p class="error">❌ Failed to load diagnostics: Unknown error</p>');
+                }
+            })
+            .catch((error) => {
+                $results.html(`<p class="error">❌ ${this.admin.escapeHtml(errorMessage(error, 'Diagnostics REST API request failed'))}</p>`);
+            })
+            .finally(() => {
+                $btn.text(originalText).prop('disabled', false);
+            });
+    }
+
+    // Initialize performance metrics
+    initPerformanceMetrics() {
+        // Rolling per-metric history rendered as sparklines inside each card
+        this.metricsHistory = new MetricsHistory();
+
+        // Results arrive here whichever settings tab fetched them; activate() loads the first one
+        ['basic', 'full'].forEach((scope) => {
+            this.polls.subscribe(`metrics:${scope}`, (result) => this.applyPerformanceMetrics(result, scope));
+        });
+
+        // Initialize auto-refresh functionality
+        this.initAutoRefresh();
+
+        // Manual refresh button (light metrics only)
+        $('#refresh-metrics-btn').on('click', () => {
+            this.loadPerformanceMetrics({ scope: 'basic' });
+            // Visual feedback for manual refresh
+            const $btn = $('#refresh-metrics-btn');
+            $btn.prop('disabled', true).html('⏳');
+            setTimeout(() => {
+                $btn.prop('disabled', false).html('🔄');
+            }, 1000);
+        });
+
+        // Make Plugin Memory button a toggle for auto-fetch
+        $('#performance-metrics').on('click', '.fetch-plugin-memory', (e) => {
+            e.preventDefault();
+            // If cache disabled, ignore (annotateCacheDisabled handles disabling UI)
+            const isDisabled = $(e.currentTarget).is(':disabled');
+            if (isDisabled) return;
+
+            this.pluginMemoryAuto = !this.pluginMemoryAuto;
+            this.updatePluginMemoryToggleUI();
+
+            // On enable, immediately compute once
+            if (this.pluginMemoryAuto) {
+                this.fetchPluginMemory(true);
+            }
+        });
+    }
+
+    // Initialize auto-refresh functionality
+    initAutoRefresh() {
+        // Handle dropdown change
+        $('#auto-refresh-select').on('change', () => {
+            const seconds = parseInt($('#auto-refresh-select').val());
+            this.startAutoRefresh(seconds);
+        });
+
+        // Start with default value (30 seconds)
+        this.startAutoRefresh(30);
+    }
+
+    // Refresh every `seconds` (0 for off) while the diagnostics tab is shown
+    startAutoRefresh(seconds) {
+        this.metricsTransport.select(seconds);
+        this.metricsTransport.setActive($('#diagnostics').hasClass('active'));
+    }
+
+    // Pause auto-refresh timer (when leaving diagnostics tab)
+    pauseAutoRefreshTimer() {
+        this.metricsTransport.setActive(false);
+    }
+
+    // Resume auto-refresh timer (when entering diagnostics tab)
+    resumeAutoRefreshTimer() {
+        const selectedSeconds = parseInt($('#auto-refresh-select').val());
+        if (selectedSeconds > 0) {
+            this.startAutoRefresh(selectedSeconds);
+        }
+    }
+
+    // Load performance metrics via REST API
+    loadPerformanceMetrics(options = {}) {
+        // Safety check - only load if diagnostics tab is active
+        if (!$('#diagnostics').hasClass('active')) {
+            return;
+        }
+        // Rendered by applyPerformanceMetrics() through the subscription; a
+        // newer load for the same scope supersedes this one
+        this.polls.refresh(`metrics:${options.scope || 'basic'}`, { maxAge: options.maxAge || 0 });
+    }
+
+    // Render a /metrics result, fetched here or by another settings tab
+    applyPerformanceMetrics(result, scope) {
+        // Opening the diagnostics tab loads (or reuses) the latest sample
+        if (!$('#diagnostics').hasClass('active')) {
+            return;
+        }
+
+        if (!result.ok) {
+            // Use the fallback metrics the server sent, else placeholders
+            this.updateMetricsDisplay(result.error.data || {
+                cache_hit_rate: '--',
+                total_keys: '--',
+                memory_usage: '--',
+                response_time: '--',
+                uptime: '--',
+                connected_clients: '--',
+                ops_per_sec: '--'
+            }, scope);
+            if (this.pluginMemoryAuto) {
+                this.fetchPluginMemory(false);
+            }
+            return;
+        }
+
+        const response = result.body;
+        if (response && response.data) {
+            const data = response.data;
+            this.updateMetricsDisplay(data, scope);
+            // If cache is disabled, annotate notes and disable per-card fetch
+            if (data.cache_enabled === false || response.message === 'Cache is disabled') {
+                this.annotateCacheDisabled();
+            } else {
+                this.metricsHistory.record(data);
+                // If auto mode is on, also fetch plugin memory without wiping existing values
+                if (this.pluginMemoryAuto) {
+                    this.fetchPluginMemory(false);
+                }
+            }
+        }
+    }
+
+    // Update metrics display
+    updateMetricsDisplay(metrics, scope = 'basic') {
+        // Show scope label (light/basic vs full)
+        const $scopeLabel = $('#metrics-scope-label');
+        if ($scopeLabel.length) {
+            $scopeLabel.text(`(${scope === 'full' ? 'full' : 'light'})`);
+        }
+
+        $('#performance-metrics .metric-card').each(function() {
+            const $card = $(this);
+            const $value = $card.find('.metric-value');
+            const title = $card.find('h4').text();
+            const metricKey = $card.data('metric');
+            let newValue = '--';
+
+            switch (title) {
+            case 'Cache Hit Rate':
+                newValue = metrics.cache_hit_rate || '--';
+                break;
+            case 'Total Keys':
+                newValue = metrics.total_keys || '--';
+                break;
+            case 'Memory Usage':
+                newValue = metrics.memory_usage || '--';
+                break;
+            case 'Plugin Memory': {
+                // Do not overwrite existing value if the payload doesn't include plugin memory data
+                if (typeof metrics.plugin_memory_total !== 'undefined' && metrics.plugin_memory_total !== null && metrics.plugin_memory_total !== '') {
+                    newValue = metrics.plugin_memory_total;
+                } else {
+                    newValue = $value.text() || '--';
+                }
+                // Also update breakdown if available, without overwriting the base description
+                const $breakdown = $card.find('.metric-breakdown');
+                if (typeof metrics.plugin_memory_total !== 'undefined') {
+                    const parts = [];
+                    if (metrics.plugin_memory_page) parts.push(`Page ${metrics.plugin_memory_page}`);
+                    if (metrics.plugin_memory_minified) parts.push(`Minified ${metrics.plugin_memory_minified}`);
+                    if (metrics.plugin_memory_blocks) parts.push(`Blocks ${metrics.plugin_memory_blocks}`);
+                    if (metrics.plugin_memory_transients) parts.push(`Transients ${metrics.plugin_memory_transients}`);
+                    if ($breakdown.length) {
+                        $breakdown.text(parts.length ? ` | ${parts.join(' | ')}` : '');
+                    }
+                }
+                break;
+            }
+            case 'Response Time':
+                newValue = metrics.response_time || '--';
+                break;
+            case 'Uptime':
+                newValue = metrics.uptime || '--';
+                break;
+            case 'Connected Clients':
+                newValue = metrics.connected_clients || '--';
+                break;
+            case 'Operations/sec':
+            case 'Ops/sec':
+                newValue = (metrics.ops_per_sec === 0) ? '0' : (metrics.ops_per_sec != null ? metrics.ops_per_sec : '--');
+                break;
+            case 'Connection Time':
+                newValue = metrics.connection_time || '--';
+                break;
+            }
+
+            // Add visual feedback when value changes
+            const oldValue = $value.text();
+            if (oldValue !== newValue) {
+                $value.fadeOut(100, function() {
+                    $(this).text(newValue).fadeIn(100);
+                });
+            } else {
+                $value.text(newValue);
+            }
+
+            // Annotate missing values with reasons where possible
+            const $note = $card.find('.metric-note');
+            if ($note.length) {
+                if (newValue === '--') {
+                    let reason = '';
+                    // Always light mode now
+                    reason = 'light mode';
+                    // Special instruction for plugin memory card
+                    if (metricKey === 'plugin_memory') {
+                        // If auto mode is enabled, annotate accordingly; otherwise prompt for fetch
+                        if (this.pluginMemoryAuto) {
+                            $note.text('auto mode (updated periodically)').show();
+                        } else {
+                            $note.text('Click Fetch to compute plugin memory').show();
+                        }
+                        return; // Skip generic reason
+                    }
+                    // For known restricted providers, indicate a possible restriction
+                    // We can heuristically show this if memory/uptime/clients are missing
+                    if (metricKey === 'memory_usage' || metricKey === 'uptime' || metricKey === 'connected_clients') {
+                        reason = reason ? `${reason}; provider restrictions` : 'provider restrictions';
+                    }
+                    $note.text(reason).show();
+                } else {
+                    $note.text('').hide();
+                }
+            }
+        });
+
+        // Update last updated timestamp
+        const now = new Date().toLocaleTimeString();
+        $('.metrics-last-updated').text(`Last updated: ${now}`);
+    }
+
+    // When cache is disabled, reflect that in the UI and prevent heavy fetch actions
+    annotateCacheDisabled() {
+        // Note on all metric cards
+        $('#performance-metrics .metric-card').each(function() {
+            const $card = $(this);
+            const $note = $card.find('.metric-note');
+            if ($note.length) {
+                $note.text('cache disabled').show();
+            }
+        });
+        // Disable per-card plugin memory fetch
+        const $fetchBtn = $('#performance-metrics .fetch-plugin-memory');
+        if ($fetchBtn.length) {
+            $fetchBtn.prop('disabled', true).attr('title', 'Enable cache to compute plugin memory');
+        }
+        // Turn off auto mode since cache is off
+        this.pluginMemoryAuto = false;
+        this.updatePluginMemoryToggleUI();
+    }
+
+    // Update the Plugin Memory toggle button UI to reflect auto mode
+    updatePluginMemoryToggleUI() {
+        const $btn = $('#performance-metrics .fetch-plugin-memory');
+        if (!$btn.length) return;
+        if ($btn.is(':disabled')) return;
+        if (this.pluginMemoryAuto) {
+            $btn.text('Auto: On').addClass('is-on').attr('title', 'Disable auto plugin memory refresh');
+        } else {
+            $btn.text('Fetch').removeClass('is-on').attr('title', 'Fetch plugin memory and enable auto refresh');
+        }
+    }
+
+    // Fetch plugin memory metrics (manual or auto), without wiping existing values
+    fetchPluginMemory(showSpinner = true) {
+        if (this.pluginMemoryFetching) return;
+        const $card = $('#performance-metrics .metric-card[data-metric="plugin_memory"]');
+        if (!$card.length) return;
+        const $spinner = $card.find('.plugin-memory-spinner');
+        const $value = $card.find('[data-field="plugin_memory_total"]');
+        const $breakdown = $card.find('.metric-breakdown');
+        const $note = $card.find('.metric-note');
+
+        if (showSpinner) {
+            $spinner.css('visibility', 'visible');
+            $note.text(this.pluginMemoryAuto ? 'Auto computing…' : 'Computing…').show();
+        }
+        // Do not clear existing value/breakdown; we will update in place
+
+        this.pluginMemoryFetching = true;
+        api.pluginMemory()
+            .then((resp) => {
+                const d = resp.data || {};
+                if (d.plugin_memory_total) {
+                    $value.text(d.plugin_memory_total);
+                }
+                const keyParts = [];
+                if (d.plugin_page_keys != null) keyParts.push(`pages: ${d.plugin_page_keys}`);
+                if (d.plugin_block_keys != null) keyParts.push(`blocks: ${d.plugin_block_keys}`);
+                if (d.plugin_total_keys != null) keyParts.push(`total keys: ${d.plugin_total_keys}`);
+
+                const memParts = [];
+                if (d.plugin_memory_page) memParts.push(`pages ${d.plugin_memory_page}`);
+                if (d.plugin_memory_minified) memParts.push(`minified ${d.plugin_memory_minified}`);
+                if (d.plugin_memory_blocks) memParts.push(`blocks ${d.plugin_memory_blocks}`);
+                if (d.plugin_memory_transients) memParts.push(`transients ${d.plugin_memory_transients}`);
+
+                const text = [keyParts.join(', '), memParts.join(', ')].filter(Boolean).join(' | ');
+                if (text) $breakdown.text(text);
+                const now = new Date().toLocaleTimeString();
+                $note.text(this.pluginMemoryAuto ? `auto updated ${now}` : 'Computed just now').show();
+            })
+            .catch((error) => {
+            // "Cache is disabled" arrives as a success: false body
+                $note.text(errorMessage(error, 'Failed to fetch')).show();
+            })
+            .finally(() => {
+                this.pluginMemoryFetching = false;
+                if (showSpinner) $spinner.css('visibility', 'hidden');
+            });
+    }
+}
+
+// Export the DiagnosticsTab class as default for ES6 modules
+export default DiagnosticsTab;
@@ -0,0 +1,40 @@
+/**
+ * Exclusions tab for Ace Redis Cache
+ *
+ * Loaded the first time the Exclusions tab is shown: the live rule tester
+ * and the block picker for the excluded blocks list.
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+import ExclusionTester from '../components/ExclusionTester.js';
+import BlockPicker from '../components/BlockPicker.js';
+
+const $ = window.jQuery;
+
+class ExclusionsTab {
+    constructor(options = {}) {
+        this.options = {
+            // AceRedisCacheAdmin
+            admin: null,
+            ...options
+        };
+        this.admin = this.options.admin;
+
+        // Live tester for the Exclusions tab rules
+        if ($('#ace-exclusion-tester').length) {
+            this.exclusionTester = new ExclusionTester({
+                getFormData: () => this.admin.getFormDataObject()
+            });
+        }
+
+        // Autocomplete picker that edits the excluded_blocks textarea
+        if ($('#excluded_blocks').length) {
+            this.blockPicker = new BlockPicker();
+        }
+    }
+}
+
+// Export the ExclusionsTab class as default for ES6 modules
+export default ExclusionsTab;
@@ -0,0 +1,49 @@
+/**
+ * Keys tab for Ace Redis Cache
+ *
+ * Loaded the first time the Keys tab is shown: browse, preview and delete
+ * plugin-managed Redis keys, and purge selectively by URL, post, group or
+ * key pattern.
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+import KeyBrowser from '../components/KeyBrowser.js';
+import PurgePanel from '../components/PurgePanel.js';
+
+const $ = window.jQuery;
+
+class KeysTab {
+    constructor(options = {}) {
+        this.options = {
+            // AceRedisCacheAdmin
+            admin: null,
+            ...options
+        };
+        this.admin = this.options.admin;
+        const notify = (message, type) => this.admin.showNotification(message, type);
+
+        if ($('#ace-key-browser').length) {
+            this.keyBrowser = new KeyBrowser({ notify });
+        }
+
+        if ($('#ace-purge-panel').length) {
+            this.purgePanel = new PurgePanel({
+                notify,
+                onComplete: () => {
+                    // Drop purged rows from an already-loaded key list
+                    if (this.keyBrowser && this.keyBrowser.loaded) this.keyBrowser.load();
+                }
+            });
+        }
+    }
+
+    // Keys are listed on first visit only; the tab has its own refresh
+    activate() {
+        if (this.keyBrowser) this.keyBrowser.activate();
+    }
+}
+
+// Export the KeysTab class as default for ES6 modules
+export default KeysTab;
@@ -0,0 +1,40 @@
+/**
+ * Warm-up tab for Ace Redis Cache
+ *
+ * Loaded the first time the Warm-up tab is shown: starts a crawl with the
+ * current options and lists each URL's outcome. The crawl itself runs as a
+ * background job watched by the shared JobMonitor.
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+import WarmupPanel from '../components/WarmupPanel.js';
+
+const $ = window.jQuery;
+
+class WarmupTab {
+    constructor(options = {}) {
+        this.options = {
+            // AceRedisCacheAdmin
+            admin: null,
+            ...options
+        };
+        this.admin = this.options.admin;
+
+        if ($('#ace-warmup-panel').length) {
+            this.warmupPanel = new WarmupPanel({
+                notify: (message, type) => this.admin.showNotification(message, type),
+                start: (params) => this.admin.jobMonitor.start('warmup', params)
+            });
+        }
+    }
+
+    // Progress of a warm-up job, from the JobMonitor
+    render(job) {
+        if (this.warmupPanel) this.warmupPanel.render(job);
+    }
+}
+
+// Export the WarmupTab class as default for ES6 modules
+export default WarmupTab;
@@ -61,6 +61,9 @@ class AceRedisCache {
     private $opcache_runtime_enabled = false;
     // Request-local memoized site version for cache key generation.
     private $site_cache_version = null;
+    // Admin cache status check (CacheStatusChecker): explain the cache decision in response headers
+    private $status_check = null;
+    private $page_cache_bypass_reason = null; // [code, detail] set by should_cache_request()
     
     /**
      * Constructor
@@ -138,6 +141,16 @@ class AceRedisCache {
             'wc_warm_count' => 20,      // how many best-selling products to background-warm
             'page_cache_grace' => 3600, // stale-while-revalidate grace window (seconds past ttl_page)
             'optimize_lazy_images' => 1, // add loading="lazy" to <img> at page-cache store time
+            // Cache warm-up crawler (Warm-up tab)
+            'warmup_source_sitemap' => 1,
+            'warmup_source_recent' => 1,
+            'warmup_source_woocommerce' => 0,
+            'warmup_source_custom' => 0,
+            'warmup_recent_count' => 20,
+            'warmup_custom_urls' => '',
+            'warmup_concurrency' => 3,
+            'warmup_rate' => 5,       // requests per second
+            'warmup_after_flush' => 0,
             'enable_browser_cache_headers' => 0,
             'browser_cache_max_age' => 3600,
             'send_cache_meta_headers' => 0,
@@ -211,6 +224,16 @@ class AceRedisCache {
             'wc_warm_count' => 20,      // how many best-selling products to background-warm
             'page_cache_grace' => 3600, // stale-while-revalidate grace window (seconds past ttl_page)
             'optimize_lazy_images' => 1, // add loading="lazy" to <img> at page-cache store time
+            // Cache warm-up crawler (Warm-up tab)
+            'warmup_source_sitemap' => 1,
+            'warmup_source_recent' => 1,
+            'warmup_source_woocommerce' => 0,
+            'warmup_source_custom' => 0,
+            'warmup_recent_count' => 20,
+            'warmup_custom_urls' => '',
+            'warmup_concurrency' => 3,
+            'warmup_rate' => 5,       // requests per second
+            'warmup_after_flush' => 0,
             'dynamic_excluded_blocks' => 1,
             'enable_browser_cache_headers' => 0,
             'browser_cache_max_age' => 3600,
@@ -423,6 +446,8 @@ class AceRedisCache {
         // Full page cache (if enabled)
         if (!$request_dev_mode && !empty($this->settings['enable_page_cache'])) {
             $this->setup_full_page_cache();
+        } elseif ($request_dev_mode && !empty($this->settings['enable_page_cache'])) {
+            $this->explain_page_cache_bypass(is_user_logged_in() ? 'logged_in' : (is_admin() || wp_doing_ajax() || (defined('REST_REQUEST') && REST_REQUEST) ? 'system' : 'woocommerce'));
         }
 
         // Object-level caching (transients) if enabled
@@ -470,6 +495,50 @@ class AceRedisCache {
             
             // Post-save hooks for priming coherent option state & setting no-cache warm window.
             add_action('save_post', [$this, 'post_save_prime_schedule'], 10, 3);
+        } else {
+            $reason = $this->page_cache_bypass_reason ?: ['system', ''];
+            $this->explain_page_cache_bypass($reason[0], $reason[1]);
+        }
+    }
+
+    /**
+     * True for a request from the admin's cache status checker, identified by
+     * the short-lived token it stores before fetching the page.
+     */
+    private function is_status_check_request() {
+        if ($this->status_check === null) {
+            $token = (string) ($_SERVER['HTTP_X_ACEREDIS_CHECK'] ?? '');
+            $stored = $token !== '' ? get_option(CacheStatusChecker::TOKEN_OPTION) : null;
+            $this->status_check = is_array($stored)
+                && !empty($stored['token'])
+                && (int) ($stored['expires'] ?? 0) >= time()
+                && hash_equals((string) $stored['token'], $token);
+        }
+        return $this->status_check;
+    }
+
+    /**
+     * Tell the cache status checker why this request skips the page cache.
+     * Ordinary visitors never see these headers.
+     *
+     * @param string $reason Reason code, see CacheStatusChecker::REASONS
+     * @param string $detail Matching rule or value, if any
+     */
+    private function explain_page_cache_bypass($reason, $detail = '') {
+        if (!$this->is_status_check_request()) {
+            return;
+        }
+        $send = function () use ($reason, $detail) {
+            if (headers_sent()) {
+                return;
+            }
+            header('X-AceRedisCache: BYPASS');
+            header('X-AceRedisCache-Reason: ' . $reason . ($detail !== '' ? '; ' . preg_replace('/[\x00-\x1f]+/', ' ', $detail) : ''));
+        };
+        if (did_action('send_headers')) {
+            $send();
+        } else {
+            add_action('send_headers', $send);
         }
     }
     
@@ -568,41 +637,49 @@ class AceRedisCache {
 
         // Never cache core auth/admin/system endpoints.
         if ($request_uri !== '' && preg_match('#/(wp-login\.php|wp-admin(?:/|$)|xmlrpc\.php|wp-cron\.php)#i', $request_uri)) {
+            $this->page_cache_bypass_reason = ['system_url', ''];
             return false;
         }
 
         // Never cache WooCommerce cart/session sensitive requests.
         if ($this->is_woocommerce_uncacheable_request($request_uri, $path)) {
+            $this->page_cache_bypass_reason = ['woocommerce', ''];
             return false;
         }
 
         // Don't cache admin pages
         if (is_admin()) {
+            $this->page_cache_bypass_reason = ['system', ''];
             return false;
         }
         
         // Don't cache AJAX requests
         if (wp_doing_ajax()) {
+            $this->page_cache_bypass_reason = ['system', ''];
             return false;
         }
         
         // Don't cache REST API requests
         if (defined('REST_REQUEST') && REST_REQUEST) {
+            $this->page_cache_bypass_reason = ['system', ''];
             return false;
         }
         
         // Don't cache if user is logged in (optional - can be configured)
         if (is_user_logged_in()) {
+            $this->page_cache_bypass_reason = ['logged_in', ''];
             return false;
         }
         
         // Don't cache POST requests. Guard the superglobal: under CLI (the flock'd wp-cron.php) there is no
         // REQUEST_METHOD, and the unguarded access threw a PHP Warning every run — enough to bloat error_log.
         if (($_SERVER['REQUEST_METHOD'] ?? '') !== 'GET') {
+            $this->page_cache_bypass_reason = ['method', (string) ($_SERVER['REQUEST_METHOD'] ?? '')];
             return false;
         }
 
         if (!empty($this->settings['exclude_sitemaps']) && $this->is_sitemap_request()) {
+            $this->page_cache_bypass_reason = ['sitemap', ''];
             return false;
         }
 
@@ -615,6 +692,7 @@ class AceRedisCache {
                     continue;
                 }
                 if (stripos($request_uri, $pattern) !== false) {
+                    $this->page_cache_bypass_reason = ['excluded_url', $pattern];
                     return false;
                 }
             }
@@ -897,6 +975,7 @@ class AceRedisCache {
             if (defined('WP_DEBUG') && WP_DEBUG) {
                 error_log('AceRedisCache: skip start_full_page_cache due to no_cache_window');
             }
+            $this->explain_page_cache_bypass('no_cache_window');
             return;
         }
         // Allow explicit bypass for benchmarking: ?ace_nocache=1
@@ -1087,6 +1166,20 @@ class AceRedisCache {
                 }
             }
             if (!headers_sent()) { header('X-AceRedisCache: MISS'); $this->emit_browser_cache_headers('miss', $cache_key); }
+            if ($this->is_status_check_request() && !headers_sent()) {
+                if ($skip_cache) {
+                    $store_skip = 'host_mismatch; ' . $req_host;
+                } elseif ($is_first_pass) {
+                    $store_skip = 'first_pass';
+                } elseif ($has_local_dev_refs) {
+                    $store_skip = 'local_dev_assets';
+                } elseif (empty($content)) {
+                    $store_skip = 'empty';
+                } else {
+                    $store_skip = null;
+                }
+                header('X-AceRedisCache-Store: ' . ($store_skip === null ? 'stored' : 'skipped; ' . $store_skip));
+            }
             // Compress final output if enabled before sending to client
             $content = $this->maybe_recompress_for_output($content);
             return $content;
@@ -1144,7 +1237,7 @@ class AceRedisCache {
      * Emit browser cache + diagnostic meta headers.
      */
     private function emit_browser_cache_headers($state, $cache_key) {
-        $send_meta = !empty($this->settings['send_cache_meta_headers']);
+        $send_meta = !empty($this->settings['send_cache_meta_headers']) || $this->is_status_check_request();
         $browser_cache = !empty($this->settings['enable_browser_cache_headers']);
         $now = time();
         // Browser cache headers only on HITs (MISS sends no-cache to avoid double-store) unless explicitly allowed
@@ -1206,6 +1299,9 @@ class AceRedisCache {
             header('X-AceRedisCache-Orig-TTL: ' . $orig_ttl);
             $comp = (!empty($this->settings['enable_compression'])) ? ($this->settings['compression_method'] ?? 'brotli') : 'off';
             header('X-AceRedisCache-Compression: ' . $comp);
+            if ($this->is_status_check_request()) {
+                header('X-AceRedisCache-Key: ' . $cache_key);
+            }
             if ($this->dynamic_placeholders_enabled) {
                 header('X-AceRedisCache-Dynamic: on');
                 header('X-AceRedisCache-Dynamic-Count: ' . $this->dynamic_placeholder_stats['count']);
@@ -2526,50 +2622,7 @@ class AceRedisCache {
      * @return array Absolute URLs.
      */
     private function get_woocommerce_warm_urls() {
-        $urls = [ home_url('/') ];
-
-        if (function_exists('wc_get_page_permalink')) {
-            $shop = wc_get_page_permalink('shop');
-            if ($shop) {
-                $urls[] = $shop;
-            }
-        }
-
-        $count = max(1, (int) ($this->settings['wc_warm_count'] ?? 20));
-
-        $terms = get_terms([
-            'taxonomy'   => 'product_cat',
-            'orderby'    => 'count',
-            'order'      => 'DESC',
-            'number'     => min(10, $count),
-            'hide_empty' => true,
-        ]);
-        if (is_array($terms)) {
-            foreach ($terms as $term) {
-                $link = get_term_link($term);
-                if (!is_wp_error($link)) {
-                    $urls[] = $link;
-                }
-            }
-        }
-
-        if (function_exists('wc_get_products')) {
-            $product_ids = wc_get_products([
-                'status'  => 'publish',
-                'limit'   => $count,
-                'orderby' => 'popularity',
-                'order'   => 'DESC',
-                'return'  => 'ids',
-            ]);
-            foreach ((array) $product_ids as $pid) {
-                $link = get_permalink($pid);
-                if ($link) {
-                    $urls[] = $link;
-                }
-            }
-        }
-
-        return array_values(array_unique(array_filter($urls)));
+        return WarmupCrawler::woocommerce_urls((int) ($this->settings['wc_warm_count'] ?? 20));
     }
 
     /**
@@ -45,6 +45,7 @@ class AdminInterface {
         add_action('admin_enqueue_scripts', [$this, 'enqueue_admin_scripts']);
         add_action('network_admin_notices', [$this, 'show_version_notice']);
         add_action('admin_notices', [$this, 'show_version_notice']);
+        add_action('wp_ajax_ace_redis_refresh_nonces', [$this, 'handle_refresh_nonces']);
 
         // Note: Removed update_option hook - now using AJAX save
     }
@@ -140,7 +141,11 @@ class AdminInterface {
                 'rest_url' => rest_url(),
                 'nonce' => wp_create_nonce('ace_redis_admin_nonce'),
                 'rest_nonce' => wp_create_nonce('wp_rest'),
-                'user_auto_save' => ($user_auto === '' ? null : (int) (bool) $user_auto)
+                'settings_revision' => SettingsStore::settings_revision(),
+                'plugin_version' => $this->plugin_version,
+                'user_auto_save' => ($user_auto === '' ? null : (int) (bool) $user_auto),
+                // Empty: the Diagnostics metrics are polled instead of streamed
+                'metrics_stream_url' => MetricsStream::enabled() ? rest_url('ace-redis-cache/v1/metrics/stream') : ''
             ]);
             wp_add_inline_script('ace-redis-cache-admin', $this->get_compression_autoselect_script());
         } else {
@@ -154,6 +159,8 @@ class AdminInterface {
                 'rest_url' => rest_url(),
                 'nonce' => wp_create_nonce('ace_redis_admin_nonce'),
                 'rest_nonce' => wp_create_nonce('wp_rest'),
+                'settings_revision' => SettingsStore::settings_revision(),
+                'plugin_version' => $this->plugin_version,
                 'user_auto_save' => ($user_auto === '' ? null : (int) (bool) $user_auto)
             ]);
             wp_add_inline_script('jquery', $this->get_compression_autoselect_script());
@@ -574,6 +581,24 @@ class AdminInterface {
         <?php
     }
     
+    /**
+     * Issue fresh admin/REST nonces for a long-open settings page.
+     *
+     * Deliberately not nonce-protected: it is called after the page's nonces
+     * expired, and relies on the logged-in cookie plus capability instead
+     * (same approach as core's `rest-nonce` AJAX action).
+     */
+    public function handle_refresh_nonces() {
+        if (!$this->current_user_can_manage()) {
+            wp_send_json_error(['message' => 'Unauthorized'], 403);
+        }
+
+        wp_send_json_success([
+            'nonce' => wp_create_nonce('ace_redis_admin_nonce'),
+            'rest_nonce' => wp_create_nonce('wp_rest'),
+        ]);
+    }
+
     /**
      * Sanitize settings input
      *
@@ -655,6 +680,21 @@ class AdminInterface {
         $sanitized['wc_warm_count'] = max(0, min(100, (int) ($input['wc_warm_count'] ?? 20)));
         $sanitized['page_cache_grace'] = max(0, min(86400, (int) ($input['page_cache_grace'] ?? 3600)));
         $sanitized['optimize_lazy_images'] = !empty($input['optimize_lazy_images']) ? 1 : 0;
+        // Cache warm-up crawler
+        foreach (WarmupCrawler::SOURCES as $source) {
+            $sanitized['warmup_source_' . $source] = !empty($input['warmup_source_' . $source]) ? 1 : 0;
+        }
+        $warmup = WarmupCrawler::normalize_params([
+            'recent_count' => $input['warmup_recent_count'] ?? 20,
+            'custom_urls' => $input['warmup_custom_urls'] ?? '',
+            'concurrency' => $input['warmup_concurrency'] ?? 3,
+            'rate' => $input['warmup_rate'] ?? 5,
+        ]);
+        $sanitized['warmup_recent_count'] = $warmup['recent_count'];
+        $sanitized['warmup_custom_urls'] = $warmup['custom_urls'];
+        $sanitized['warmup_concurrency'] = $warmup['concurrency'];
+        $sanitized['warmup_rate'] = $warmup['rate'];
+        $sanitized['warmup_after_flush'] = !empty($input['warmup_after_flush']) ? 1 : 0;
         $sanitized['wc_variation_threshold'] = max(1, min(100, (int) ($input['wc_variation_threshold'] ?? 15)));
         $sanitized['wc_action_scheduler_time_limit'] = max(5, min(120, (int) ($input['wc_action_scheduler_time_limit'] ?? 15)));
         $sanitized['wc_action_scheduler_batch_size'] = max(1, min(100, (int) ($input['wc_action_scheduler_batch_size'] ?? 10)));
@@ -662,7 +702,7 @@ class AdminInterface {
         if (defined('WP_DEBUG') && WP_DEBUG) {
             error_log('Ace-Redis-Cache: admin sanitize outgoing enable_transient_cache=' . ($sanitized['enable_transient_cache'] ?? 'NA') . ' dropin=' . ($sanitized['enable_object_cache_dropin'] ?? 'NA'));
         }
-        return $sanitized;
+        return SettingsStore::sanitize_extra_settings($sanitized, $input);
     }
     
     /**
@@ -806,8 +846,7 @@ class AdminInterface {
         if (!$this->current_user_can_manage()) { wp_die('Insufficient permissions'); }
         $health = [ 'connected' => null, 'status' => 'unknown' ];
         $stats = [];
-        $slow_ops = get_transient('ace_rc_slow_op_count');
-        $slow_ops = $slow_ops !== false ? (int)$slow_ops : 0;
+        $slow_ops = SlowLog::count(SlowLog::client($this->cache_manager), SlowLog::key());
     $runtime_bypass = (isset($wp_object_cache) && method_exists($wp_object_cache,'is_bypassed') && $wp_object_cache->is_bypassed());
     $bypass = (defined('ACE_OC_BYPASS') && ACE_OC_BYPASS) || $runtime_bypass;
         $prof = defined('ACE_OC_PROF') && ACE_OC_PROF;
@@ -861,7 +900,7 @@ class AdminInterface {
                     <tr><th>Connection Via</th><td><?php echo esc_html($cd['via']); ?></td></tr>
                     <?php } } ?>
                     <tr><th>Profiling</th><td><?php echo $prof ? 'enabled' : 'disabled'; ?></td></tr>
-                    <tr><th>Slow Ops (>=100ms)</th><td><?php echo (int)$slow_ops; ?></td></tr>
+                    <tr><th>Slow Ops (>=<?php echo (int) SlowLog::threshold(); ?>ms)</th><td><?php echo (int)$slow_ops; ?></td></tr>
                     <tr><th>Runtime Hits (local / redis)</th><td><?php echo esc_html(number_format_i18n($stat($runtime_stats, 'local_hits')) . ' / ' . number_format_i18n($stat($runtime_stats, 'redis_hits'))); ?></td></tr>
                     <tr><th>Runtime Misses</th><td><?php echo esc_html(number_format_i18n($stat($runtime_stats, 'redis_misses'))); ?></td></tr>
                     <tr><th>Runtime Writes / Deletes</th><td><?php echo esc_html(number_format_i18n($stat($runtime_stats, 'persist_writes')) . ' / ' . number_format_i18n($stat($runtime_stats, 'persist_deletes'))); ?></td></tr>
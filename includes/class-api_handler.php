@@ -30,6 +30,7 @@ class API_Handler {
     private $cache_manager;
     private $redis_connection;
     private $settings;
+    private $jobs;
     private $saving_settings = false; // in-flight save guard
     private $last_saved_settings = null; // holds intended new settings during request
     private $after_update_option = false; // only begin overriding reads after update_option has executed
@@ -47,6 +48,7 @@ class API_Handler {
         $this->cache_manager = $cache_manager;
         $this->redis_connection = $redis_connection;
         $this->settings = $settings;
+        $this->jobs = new JobRunner($cache_manager);
         $this->init();
     }
     
@@ -84,6 +86,9 @@ class API_Handler {
      */
     private function init() {
         add_action('rest_api_init', [$this, 'register_routes']);
+        // Background steps for flush / OPcache prime / warm-up jobs
+        add_action(JobRunner::CRON_HOOK, [$this->jobs, 'run_scheduled']);
+        add_action('ace_rc_cache_cleared', [$this->jobs, 'warm_after_flush'], 20, 0);
         // Early option filters to provide freshly saved settings during the same request.
         add_filter('option_ace_redis_cache_settings', [$this, 'override_option_during_save'], 1, 1);
         add_filter('site_option_ace_redis_cache_settings', [$this, 'override_option_during_save'], 1, 1);
@@ -114,6 +119,11 @@ class API_Handler {
                     'required' => true,
                     'type' => 'string',
                     'description' => 'Security nonce'
+                ],
+                'revision' => [
+                    'required' => false,
+                    'type' => 'string',
+                    'description' => 'Settings revision the client edited; a mismatch returns 409'
                 ]
             ]
         ]);
@@ -124,6 +134,11 @@ class API_Handler {
             'callback' => [$this, 'test_connection'],
             'permission_callback' => [$this, 'check_permissions'],
             'args' => [
+                'connection' => [
+                    'required' => false,
+                    'type' => 'object',
+                    'description' => 'Unsaved host, port, password and enable_tls to test instead of the saved settings'
+                ],
                 'nonce' => [
                     'required' => true,
                     'type' => 'string',
@@ -131,6 +146,32 @@ class API_Handler {
                 ]
             ]
         ]);
+
+        // Named connection profiles (load into the form, test side by side)
+        register_rest_route($this->namespace, '/connection-profiles', [
+            'methods' => 'GET',
+            'callback' => [$this, 'connection_profiles_route'],
+            'permission_callback' => [$this, 'check_permissions'],
+        ]);
+        register_rest_route($this->namespace, '/connection-profiles', [
+            'methods' => 'POST',
+            'callback' => [$this, 'save_connection_profile_route'],
+            'permission_callback' => [$this, 'check_permissions'],
+            'args' => [
+                'name' => [ 'required' => true, 'type' => 'string' ],
+                'connection' => [ 'required' => true, 'type' => 'object' ],
+                'nonce' => [ 'required' => true, 'type' => 'string' ]
+            ]
+        ]);
+        register_rest_route($this->namespace, '/connection-profiles/delete', [
+            'methods' => 'POST',
+            'callback' => [$this, 'delete_connection_profile_route'],
+            'permission_callback' => [$this, 'check_permissions'],
+            'args' => [
+                'id' => [ 'required' => true, 'type' => 'string' ],
+                'nonce' => [ 'required' => true, 'type' => 'string' ]
+            ]
+        ]);
         
         // Test write/read endpoint
         register_rest_route($this->namespace, '/test-write-read', [
@@ -184,10 +225,40 @@ class API_Handler {
                     'required' => true,
                     'type' => 'string',
                     'description' => 'Security nonce'
+                ],
+                'format' => [
+                    'required' => false,
+                    'type' => 'string',
+                    'default' => 'text',
+                    'enum' => ['text', 'structured'],
+                    'description' => 'Plain-text lines (legacy) or sections of individual checks'
                 ]
             ]
         ]);
         
+        // Per-URL cache status check (fetches the page and explains HIT/MISS/BYPASS)
+        register_rest_route($this->namespace, '/cache-status', [
+            'methods' => 'POST',
+            'callback' => [$this, 'cache_status_route'],
+            'permission_callback' => [$this, 'check_permissions'],
+            'args' => [
+                'url' => [
+                    'required' => true,
+                    'type' => 'string',
+                    'description' => 'URL or path on this site'
+                ],
+                'as' => [
+                    'type' => 'string',
+                    'enum' => ['guest', 'logged_in'],
+                    'default' => 'guest',
+                    'description' => 'Fetch as a guest or with the current user\'s login cookie'
+                ],
+                'cookies' => [ 'type' => 'string', 'default' => '', 'description' => 'Extra cookies, "name=value; name2=value2"' ],
+                'query' => [ 'type' => 'string', 'default' => '', 'description' => 'Query string to append' ],
+                'nonce' => [ 'required' => true, 'type' => 'string' ]
+            ]
+        ]);
+
         // Simple flush route (as requested in requirements)
         register_rest_route($this->namespace, '/flush', [
             'methods' => 'POST',
@@ -209,6 +280,13 @@ class API_Handler {
             'permission_callback' => [$this, 'check_simple_permissions']
         ]);
 
+        // Light metrics pushed as Server-Sent Events (when enabled)
+        register_rest_route($this->namespace, '/metrics/stream', [
+            'methods' => 'GET',
+            'callback' => [$this, 'stream_metrics'],
+            'permission_callback' => [$this, 'check_simple_permissions']
+        ]);
+
         // Plugin memory (on-demand heavy metric)
         register_rest_route($this->namespace, '/plugin-memory', [
             'methods' => 'GET',
@@ -216,6 +294,143 @@ class API_Handler {
             'permission_callback' => [$this, 'check_simple_permissions']
         ]);
 
+        // Key browser: SCAN-backed listing, value preview and single-key delete
+        register_rest_route($this->namespace, '/keys', [
+            'methods' => 'GET',
+            'callback' => [$this, 'list_keys_route'],
+            'permission_callback' => [$this, 'check_permissions'],
+            'args' => [
+                'type' => [
+                    'required' => false,
+                    'type' => 'string',
+                    'default' => 'all',
+                    'enum' => ['all', 'page', 'minified', 'blocks', 'transients'],
+                    'description' => 'Key type to list'
+                ],
+                'search' => [
+                    'required' => false,
+                    'type' => 'string',
+                    'default' => '',
+                    'description' => 'Key prefix, after the type prefix'
+                ],
+                'cursor' => [
+                    'required' => false,
+                    'type' => 'string',
+                    'default' => '0',
+                    'description' => 'Cursor returned by the previous page'
+                ],
+                'per_page' => [
+                    'required' => false,
+                    'type' => 'integer',
+                    'default' => 50,
+                    'minimum' => 1,
+                    'maximum' => 200
+                ]
+            ]
+        ]);
+        register_rest_route($this->namespace, '/keys/inspect', [
+            'methods' => 'GET',
+            'callback' => [$this, 'inspect_key_route'],
+            'permission_callback' => [$this, 'check_permissions'],
+            'args' => [ 'key' => [ 'required' => true, 'type' => 'string' ] ]
+        ]);
+        register_rest_route($this->namespace, '/keys/delete', [
+            'methods' => 'POST',
+            'callback' => [$this, 'delete_key_route'],
+            'permission_callback' => [$this, 'check_permissions'],
+            'args' => [
+                'key' => [ 'required' => true, 'type' => 'string' ],
+                'nonce' => [ 'required' => true, 'type' => 'string' ]
+            ]
+        ]);
+
+        // Selective purge: preview the matching key count, then delete in cursor-driven steps
+        $purge_args = [
+            'target' => [
+                'required' => true,
+                'type' => 'string',
+                'enum' => ['urls', 'posts', 'group', 'object_group', 'pattern'],
+                'description' => 'What the values identify'
+            ],
+            'values' => [
+                'required' => true,
+                'type' => 'array',
+                'items' => [ 'type' => 'string' ],
+                'description' => 'URLs, post IDs, group names or key globs'
+            ],
+            'nonce' => [ 'required' => true, 'type' => 'string' ]
+        ];
+        register_rest_route($this->namespace, '/purge/preview', [
+            'methods' => 'POST',
+            'callback' => [$this, 'purge_preview_route'],
+            'permission_callback' => [$this, 'check_permissions'],
+            'args' => $purge_args
+        ]);
+        register_rest_route($this->namespace, '/purge', [
+            'methods' => 'POST',
+            'callback' => [$this, 'purge_route'],
+            'permission_callback' => [$this, 'check_permissions'],
+            'args' => array_merge($purge_args, [
+                'cursor' => [
+                    'required' => false,
+                    'type' => 'string',
+                    'default' => '0',
+                    'description' => 'Cursor returned by the previous step'
+                ]
+            ])
+        ]);
+
+        // Long-running actions as jobs: start, poll (each poll advances the job), cancel
+        register_rest_route($this->namespace, '/jobs', [
+            [
+                'methods' => 'GET',
+                'callback' => [$this, 'list_jobs_route'],
+                'permission_callback' => [$this, 'check_permissions']
+            ],
+            [
+                'methods' => 'POST',
+                'callback' => [$this, 'start_job_route'],
+                'permission_callback' => [$this, 'check_permissions'],
+                'args' => [
+                    'type' => [
+                        'required' => true,
+                        'type' => 'string',
+                        'enum' => JobRunner::TYPES,
+                        'description' => 'Job to start'
+                    ],
+                    // Warm-up options; see WarmupCrawler::normalize_params()
+                    'sources' => [
+                        'type' => 'array',
+                        'items' => [ 'type' => 'string', 'enum' => WarmupCrawler::SOURCES ],
+                        'default' => []
+                    ],
+                    'recent_count' => [ 'type' => 'integer', 'default' => 20 ],
+                    'custom_urls' => [ 'type' => 'string', 'default' => '' ],
+                    'concurrency' => [ 'type' => 'integer', 'default' => 3 ],
+                    'rate' => [ 'type' => 'integer', 'default' => 5, 'description' => 'Requests per second' ],
+                    'nonce' => [ 'required' => true, 'type' => 'string' ]
+                ]
+            ]
+        ]);
+        register_rest_route($this->namespace, '/jobs/(?P<id>[a-f0-9]+)', [
+            'methods' => 'GET',
+            'callback' => [$this, 'job_status_route'],
+            'permission_callback' => [$this, 'check_permissions'],
+            'args' => [
+                'since' => [
+                    'type' => 'integer',
+                    'default' => 0,
+                    'description' => 'Warm-up results already received'
+                ]
+            ]
+        ]);
+        register_rest_route($this->namespace, '/jobs/(?P<id>[a-f0-9]+)/cancel', [
+            'methods' => 'POST',
+            'callback' => [$this, 'cancel_job_route'],
+            'permission_callback' => [$this, 'check_permissions'],
+            'args' => [ 'nonce' => [ 'required' => true, 'type' => 'string' ] ]
+        ]);
+
         // OPcache reset
         register_rest_route($this->namespace, '/opcache-reset', [
             'methods' => 'POST',
@@ -244,6 +459,19 @@ class API_Handler {
             'permission_callback' => [$this, 'check_permissions']
         ]);
 
+        // Slow Redis operations recorded by the object-cache drop-in
+        register_rest_route($this->namespace, '/slow-log', [
+            'methods' => 'GET',
+            'callback' => [$this, 'slow_log_route'],
+            'permission_callback' => [$this, 'check_permissions']
+        ]);
+        register_rest_route($this->namespace, '/slow-log/reset', [
+            'methods' => 'POST',
+            'callback' => [$this, 'reset_slow_log_route'],
+            'permission_callback' => [$this, 'check_permissions'],
+            'args' => [ 'nonce' => [ 'required' => true, 'type' => 'string' ] ]
+        ]);
+
         register_rest_route($this->namespace, '/dropins-status', [
             'methods' => 'GET',
             'callback' => [$this, 'dropins_status_route'],
@@ -463,6 +691,7 @@ class API_Handler {
             'success' => true,
             'data' => [
                 'settings' => $this->sanitize_settings_for_response($settings),
+                'revision' => SettingsStore::settings_revision($settings),
             ],
         ], 200);
     }
@@ -492,7 +721,7 @@ class API_Handler {
         if (!function_exists('opcache_compile_file')) {
             return new \WP_REST_Response(['success' => false, 'message' => 'opcache_compile_file unavailable'], 500);
         }
-        $files = apply_filters('ace_rc_opcache_prime_files', [ ABSPATH . 'index.php', get_stylesheet_directory() . '/functions.php', get_template_directory() . '/functions.php' ]);
+        $files = JobRunner::opcache_prime_files();
         $compiled = [];
         foreach ($files as $f) {
             if (is_string($f) && file_exists($f)) {
@@ -619,7 +848,7 @@ class API_Handler {
         $display_active = $dropin_active || ($using_dropin && $guest_effective_mode === 'active');
         $display_bypass = !$probe_guest_context && $bypass && $bypass_reason !== 'editor_admin';
         $display_bypass_reason = $display_bypass ? $bypass_reason : null;
-        $slow_ops = get_transient('ace_rc_slow_op_count'); $slow_ops = $slow_ops!==false ? (int)$slow_ops : 0;
+        $slow_ops = SlowLog::count(SlowLog::client($this->cache_manager), SlowLog::key());
         $autoload_size = 0; if (isset($wpdb)) { $row = $wpdb->get_row("SELECT SUM(LENGTH(option_value)) AS sz FROM {$wpdb->options} WHERE autoload='yes'"); if ($row && isset($row->sz)) { $autoload_size = (int)$row->sz; } }
         $tips = [];
         if (!$using_dropin) {
@@ -633,7 +862,7 @@ class API_Handler {
         } elseif ($bypass && $bypass_reason === 'constant') {
             $tips[] = 'ACE_OC_BYPASS constant forces bypass.';
         }
-        if ($profiling && $slow_ops>0) { $tips[] = 'Detected ' . $slow_ops . ' slow ops (>=100ms). Consider inspecting heavy queries or raising threshold.'; }
+        if ($slow_ops>0) { $tips[] = 'Logged ' . $slow_ops . ' slow ops (>=' . SlowLog::threshold() . 'ms). See Slow Operations on the Diagnostics tab for the keys and URLs involved.'; }
         if ($autoload_size > 50*1024*1024) { $tips[] = 'Autoloaded options exceed 50MB (' . size_format($autoload_size) . '). This can hurt performance.'; }
         if (!empty($runtime_stats) && is_array($runtime_stats)) {
             $local_hits = isset($runtime_stats['local_hits']) ? (int)$runtime_stats['local_hits'] : 0;
@@ -676,6 +905,66 @@ class API_Handler {
         ], 200);
     }
     
+    /**
+     * Slow operations the drop-in logged, newest first
+     *
+     * @param \WP_REST_Request $request
+     * @return \WP_REST_Response
+     */
+    public function slow_log_route($request) {
+        $key = SlowLog::key();
+        $data = [
+            'supported' => $key !== null,
+            'threshold' => SlowLog::threshold(),
+            'max_entries' => SlowLog::MAX_ENTRIES,
+            'entries' => [],
+        ];
+        if ($key === null) {
+            return new \WP_REST_Response([
+                'success' => true,
+                'message' => 'The installed object-cache drop-in does not keep a slow log. Update the drop-ins to start recording.',
+                'data' => $data
+            ], 200);
+        }
+        try {
+            $redis = SlowLog::client($this->cache_manager);
+            if (!$redis) {
+                throw new \RuntimeException('No Redis connection');
+            }
+            $data['entries'] = SlowLog::entries($redis, $key);
+            return new \WP_REST_Response(['success' => true, 'data' => $data], 200);
+        } catch (\Throwable $t) {
+            return new \WP_REST_Response([
+                'success' => false,
+                'message' => 'Could not read the slow log: ' . $t->getMessage(),
+                'error' => 'SLOW_LOG_FAILED'
+            ], 500);
+        }
+    }
+
+    /**
+     * Empty the slow log
+     *
+     * @param \WP_REST_Request $request
+     * @return \WP_REST_Response
+     */
+    public function reset_slow_log_route($request) {
+        try {
+            $removed = SlowLog::reset(SlowLog::client($this->cache_manager), SlowLog::key());
+            return new \WP_REST_Response([
+                'success' => true,
+                'message' => $removed ? sprintf('Cleared %d slow operations.', $removed) : 'The slow log was already empty.',
+                'data' => [ 'removed' => $removed ]
+            ], 200);
+        } catch (\Throwable $t) {
+            return new \WP_REST_Response([
+                'success' => false,
+                'message' => 'Could not clear the slow log: ' . $t->getMessage(),
+                'error' => 'SLOW_LOG_FAILED'
+            ], 500);
+        }
+    }
+
     /**
      * Resolve capability required for admin actions.
      */
@@ -687,7 +976,7 @@ class API_Handler {
      * Check user permissions for API access
      *
      * @param \WP_REST_Request $request
-     * @return bool
+     * @return bool|\WP_Error
      */
     public function check_permissions($request) {
         // Check if user can manage options
@@ -695,11 +984,11 @@ class API_Handler {
             return false;
         }
         
-        // For POST requests, verify nonce
+        // For POST requests, verify nonce; its own code lets the client refresh it instead of giving up
         if ($request->get_method() === 'POST') {
             $nonce = $request->get_param('nonce');
             if (!wp_verify_nonce($nonce, 'ace_redis_admin_nonce')) {
-                return false;
+                return new \WP_Error('ace_rc_invalid_nonce', 'Your session has expired. Refresh it and try again.', ['status' => 403]);
             }
         }
         
@@ -728,9 +1017,29 @@ class API_Handler {
             // Clear potential negative cache (poison map) before any reads this request
             if (function_exists('wp_cache_delete')) { @wp_cache_delete('notoptions', 'options'); }
             $settings = $request->get_param('settings');
-            // Optional flags outside settings for auxiliary actions
-            $reset_slow = $request->get_param('reset_slow_ops');
-            if ($reset_slow) { delete_transient('ace_rc_slow_op_count'); }
+
+            // One read serves the revision check and the no-op detection, so the compared revision
+            // hashes a stored snapshot, as the revisions in the responses below do
+            $old_settings = SettingsStore::get_settings([]);
+
+            // Optimistic concurrency: refuse to overwrite settings someone else saved since the client loaded them
+            $client_revision = $request->get_param('revision');
+            if (is_string($client_revision) && $client_revision !== '') {
+                $current_revision = SettingsStore::settings_revision($old_settings);
+                if (!hash_equals($current_revision, $client_revision)) {
+                    return new \WP_REST_Response([
+                        'success' => false,
+                        'message' => 'Settings were changed by someone else since this page loaded.',
+                        'error' => 'SETTINGS_CONFLICT',
+                        'code' => 'ace_settings_conflict',
+                        'data' => [
+                            'settings' => $this->sanitize_settings_for_response($old_settings),
+                            'revision' => $current_revision,
+                        ],
+                    ], 409);
+                }
+            }
+
             // Managed plugins payload (comes in via __managed_plugins)
             if (isset($settings['__managed_plugins']) && is_array($settings['__managed_plugins'])) {
                 $mp_store = ['plugins' => []];
@@ -758,10 +1067,8 @@ class API_Handler {
                 }
             }
             
-            // Fetch current settings to detect no-op saves & diff
             // Mark in-flight save so any get_option during this request reflects new intent
             $this->saving_settings = true;
-            $old_settings = SettingsStore::get_settings([]);
             if (defined('WP_DEBUG') && WP_DEBUG) {
                 $old_flag_dbg = is_array($old_settings) ? ($old_settings['enable_transient_cache'] ?? 'MISS') : 'NA';
                 $new_flag_dbg = $sanitized_settings['enable_transient_cache'] ?? 'MISS';
@@ -800,6 +1107,7 @@ class API_Handler {
                         'message' => $changed ? 'Network settings saved.' : 'No changes to save (or unchanged after write).',
                         'settings_changed' => $changed,
                         'settings' => $this->sanitize_settings_for_response($final_stored),
+                        'revision' => SettingsStore::settings_revision($final_stored),
                         'dropins' => $this->get_all_dropin_statuses(),
                         'update_result' => $result,
                     ],
@@ -850,10 +1158,13 @@ class API_Handler {
                 $final_flag_check = is_array($final_check) ? ($final_check['enable_transient_cache'] ?? 0) : 0;
                 if ((int)$final_flag_check !== 1) {
                     if (defined('WP_DEBUG') && WP_DEBUG) error_log('Ace-Redis-Cache: final mismatch after all corrections – reporting soft success with warning');
+                    // The read above is stale; report (and hash) what was written instead
+                    $persisted = array_merge($sanitized_settings, ['enable_transient_cache' => 1]);
                     $response_data = [
                         'message' => 'Saved with warning: transient flag may appear off until next request.',
                         'settings_changed' => true,
-                        'settings' => $this->sanitize_settings_for_response(array_merge($sanitized_settings, ['enable_transient_cache' => 1])),
+                        'settings' => $this->sanitize_settings_for_response($persisted),
+                        'revision' => SettingsStore::settings_revision($persisted),
                         'dropins' => $this->get_all_dropin_statuses(),
                         'stored_flag' => $final_flag_check,
                         'raw_flag' => $raw2_flag,
@@ -885,6 +1196,7 @@ class API_Handler {
                 'message' => $msg,
                 'settings_changed' => $changed,
                 'settings' => $this->sanitize_settings_for_response($final_stored),
+                'revision' => SettingsStore::settings_revision($final_stored),
                 'dropins' => $this->get_all_dropin_statuses(),
                 'transient_final' => $final_flag,
                 'update_result' => $result,
@@ -997,6 +1309,16 @@ class API_Handler {
      * @return \WP_REST_Response
      */
     public function test_connection($request) {
+        $connection = $request->get_param('connection');
+        if (is_array($connection)) {
+            // Unsaved values from the form or a profile: test them without touching the live connection
+            $probe = new RedisConnection(ConnectionProfiles::sanitize_connection($connection));
+            return new \WP_REST_Response([
+                'success' => true,
+                'data' => $probe->probe()
+            ], 200);
+        }
+
         try {
             $start_time = microtime(true);
             $connection = $this->cache_manager->get_redis_connection();
@@ -1061,6 +1383,73 @@ class API_Handler {
         }
     }
     
+    /**
+     * List connection profiles, flagging the one the saved settings use.
+     *
+     * Profiles include their passwords: the admin script loads them into the
+     * connection fields, which already hold the saved password on this page.
+     *
+     * @param \WP_REST_Request $request
+     * @return \WP_REST_Response
+     */
+    public function connection_profiles_route($request) {
+        return new \WP_REST_Response([
+            'success' => true,
+            'data' => $this->connection_profiles_payload()
+        ], 200);
+    }
+
+    /**
+     * Save the given connection fields under a profile name.
+     *
+     * @param \WP_REST_Request $request
+     * @return \WP_REST_Response
+     */
+    public function save_connection_profile_route($request) {
+        try {
+            $profile = ConnectionProfiles::save($request->get_param('name'), (array) $request->get_param('connection'));
+        } catch (\InvalidArgumentException $e) {
+            return new \WP_REST_Response([
+                'success' => false,
+                'message' => $e->getMessage(),
+                'error' => 'INVALID_PROFILE'
+            ], 400);
+        }
+        return new \WP_REST_Response([
+            'success' => true,
+            'message' => sprintf('Profile "%s" saved.', $profile['name']),
+            'data' => $this->connection_profiles_payload()
+        ], 200);
+    }
+
+    /**
+     * Delete a connection profile.
+     *
+     * @param \WP_REST_Request $request
+     * @return \WP_REST_Response
+     */
+    public function delete_connection_profile_route($request) {
+        $deleted = ConnectionProfiles::delete((string) $request->get_param('id'));
+        return new \WP_REST_Response([
+            'success' => true,
+            'message' => $deleted ? 'Profile deleted.' : 'Profile was already gone.',
+            'data' => $this->connection_profiles_payload()
+        ], 200);
+    }
+
+    private function connection_profiles_payload() {
+        $settings = SettingsStore::get_settings([]);
+        $active = null;
+        $profiles = ConnectionProfiles::all();
+        foreach ($profiles as $profile) {
+            if (ConnectionProfiles::matches($profile, is_array($settings) ? $settings : [])) {
+                $active = $profile['id'];
+                break;
+            }
+        }
+        return [ 'profiles' => $profiles, 'active' => $active ];
+    }
+
     /**
      * Test Redis write/read operations
      *
@@ -1213,7 +1602,9 @@ class API_Handler {
         try {
             $settings_now = SettingsStore::get_settings([]);
             $diagnostics = new Diagnostics($this->redis_connection, $this->cache_manager, $settings_now);
-            $result = $diagnostics->get_full_diagnostics();
+            $result = $request->get_param('format') === 'structured'
+                ? $diagnostics->get_structured_diagnostics()
+                : $diagnostics->get_full_diagnostics();
             $this->clear_stats_snapshot();
             
             return new \WP_REST_Response([
@@ -1230,6 +1621,40 @@ class API_Handler {
         }
     }
 
+    /**
+     * Fetch one URL and explain its page cache status
+     *
+     * @param \WP_REST_Request $request
+     * @return \WP_REST_Response
+     */
+    public function cache_status_route($request) {
+        $checker = new CacheStatusChecker(SettingsStore::get_settings([]));
+        try {
+            $report = $checker->check((string) $request->get_param('url'), [
+                'as' => (string) $request->get_param('as'),
+                'cookies' => (string) $request->get_param('cookies'),
+                'query' => (string) $request->get_param('query'),
+            ]);
+        } catch (\InvalidArgumentException $e) {
+            return new \WP_REST_Response([
+                'success' => false,
+                'message' => $e->getMessage(),
+                'error' => 'INVALID_URL'
+            ], 400);
+        } catch (\RuntimeException $e) {
+            return new \WP_REST_Response([
+                'success' => false,
+                'message' => 'Could not fetch the page: ' . $e->getMessage(),
+                'error' => 'FETCH_FAILED'
+            ], 502);
+        }
+
+        return new \WP_REST_Response([
+            'success' => true,
+            'data' => $report
+        ], 200);
+    }
+
     private function clear_stats_snapshot() {
         delete_transient($this->stats_cache_key);
     }
@@ -1314,6 +1739,29 @@ class API_Handler {
         }
     }
     
+    /**
+     * Stream the light metrics as Server-Sent Events. Does not return:
+     * MetricsStream::run() writes the response itself and exits.
+     *
+     * @param \WP_REST_Request $request
+     * @return \WP_REST_Response Only when streaming is disabled
+     */
+    public function stream_metrics($request) {
+        if (!MetricsStream::enabled()) {
+            return new \WP_REST_Response([
+                'success' => false,
+                'message' => 'Metrics streaming is not enabled on this site.',
+                'error' => 'STREAM_DISABLED'
+            ], 404);
+        }
+
+        $sample_request = new \WP_REST_Request('GET', '/' . $this->namespace . '/metrics');
+        $sample_request->set_param('scope', 'basic');
+        MetricsStream::run(function () use ($sample_request) {
+            return $this->get_simple_metrics($sample_request)->get_data();
+        }, MetricsStream::interval($request->get_param('interval')));
+    }
+
     /**
      * Simple metrics endpoint handler for admin dashboard
      *
@@ -1340,9 +1788,11 @@ class API_Handler {
             
             // Optional lightweight mode to avoid heavy scans during auto-refresh
             $light = false;
+            $full = false; // scope=full adds the INFO/CONFIG server report
             $scope = $request->get_param('scope');
             if ($scope && is_string($scope)) {
                 $light = strtolower($scope) === 'basic' || strtolower($scope) === 'light';
+                $full = strtolower($scope) === 'full';
             } else {
                 $light = filter_var($request->get_param('light'), FILTER_VALIDATE_BOOLEAN);
             }
@@ -1406,6 +1856,10 @@ class API_Handler {
                             $metrics['ops_per_sec'] = $ops;
                             $metrics['response_time'] = $response_time . 'ms';
 
+                            if ($full) {
+                                $metrics['server'] = $connection->get_server_report();
+                            }
+
                             // Heavy plugin metrics only when not in lightweight mode
                             if (!$light) {
                                 try {
@@ -1535,6 +1989,312 @@ class API_Handler {
         }
     }
 
+    /**
+     * Common guard for key browser and purge routes.
+     *
+     * @return \WP_REST_Response|null Error response, or null when the cache is usable
+     */
+    private function key_browser_unavailable() {
+        $settings_now = SettingsStore::get_settings([]);
+        if (empty($settings_now['enabled']) || !$this->cache_manager) {
+            return new \WP_REST_Response([
+                'success' => false,
+                'message' => 'Cache is disabled',
+                'error' => 'CACHE_DISABLED'
+            ], 400);
+        }
+        return null;
+    }
+
+    /**
+     * List one page of plugin-managed keys
+     *
+     * @param \WP_REST_Request $request
+     * @return \WP_REST_Response
+     */
+    public function list_keys_route($request) {
+        $unavailable = $this->key_browser_unavailable();
+        if ($unavailable) {
+            return $unavailable;
+        }
+        try {
+            $page = $this->cache_manager->browse_keys(
+                (string) $request->get_param('type'),
+                (string) $request->get_param('search'),
+                (string) $request->get_param('cursor'),
+                (int) $request->get_param('per_page')
+            );
+            return new \WP_REST_Response([
+                'success' => true,
+                'data' => $page,
+            ], 200);
+        } catch (\Exception $e) {
+            return new \WP_REST_Response([
+                'success' => false,
+                'message' => 'Could not list keys: ' . $e->getMessage(),
+                'error' => 'EXCEPTION'
+            ], 500);
+        }
+    }
+
+    /**
+     * Decoded preview of one plugin-managed key
+     *
+     * @param \WP_REST_Request $request
+     * @return \WP_REST_Response
+     */
+    public function inspect_key_route($request) {
+        $unavailable = $this->key_browser_unavailable();
+        if ($unavailable) {
+            return $unavailable;
+        }
+        try {
+            $key = (string) $request->get_param('key');
+            $details = $this->cache_manager->inspect_key($key);
+            if ($details === null) {
+                return new \WP_REST_Response([
+                    'success' => false,
+                    'message' => $this->cache_manager->classify_key($key) === null
+                        ? 'That key is not managed by this plugin on this site.'
+                        : 'Key not found; it may have expired.',
+                    'error' => 'KEY_NOT_FOUND'
+                ], 404);
+            }
+            return new \WP_REST_Response([
+                'success' => true,
+                'data' => $details,
+            ], 200);
+        } catch (\Exception $e) {
+            return new \WP_REST_Response([
+                'success' => false,
+                'message' => 'Could not read key: ' . $e->getMessage(),
+                'error' => 'EXCEPTION'
+            ], 500);
+        }
+    }
+
+    /**
+     * Delete one plugin-managed key
+     *
+     * @param \WP_REST_Request $request
+     * @return \WP_REST_Response
+     */
+    public function delete_key_route($request) {
+        $unavailable = $this->key_browser_unavailable();
+        if ($unavailable) {
+            return $unavailable;
+        }
+        try {
+            $key = (string) $request->get_param('key');
+            if ($this->cache_manager->classify_key($key) === null) {
+                return new \WP_REST_Response([
+                    'success' => false,
+                    'message' => 'That key is not managed by this plugin on this site.',
+                    'error' => 'KEY_NOT_MANAGED'
+                ], 400);
+            }
+            $deleted = $this->cache_manager->delete_managed_key($key);
+            $this->clear_stats_snapshot();
+            return new \WP_REST_Response([
+                'success' => true,
+                'message' => $deleted ? 'Key deleted.' : 'Key was already gone.',
+                'data' => [ 'key' => $key, 'deleted' => $deleted ],
+            ], 200);
+        } catch (\Exception $e) {
+            return new \WP_REST_Response([
+                'success' => false,
+                'message' => 'Could not delete key: ' . $e->getMessage(),
+                'error' => 'EXCEPTION'
+            ], 500);
+        }
+    }
+
+    /**
+     * Count the keys a selective purge would delete
+     *
+     * @param \WP_REST_Request $request
+     * @return \WP_REST_Response
+     */
+    public function purge_preview_route($request) {
+        $unavailable = $this->key_browser_unavailable();
+        if ($unavailable) {
+            return $unavailable;
+        }
+        try {
+            $spec = $this->cache_manager->resolve_purge((string) $request->get_param('target'), (array) $request->get_param('values'));
+            $preview = $this->cache_manager->preview_purge($spec);
+            return new \WP_REST_Response([
+                'success' => true,
+                'message' => sprintf('%d key%s match %s.', $preview['total'], $preview['total'] === 1 ? '' : 's', $spec['label']),
+                'data' => array_merge($preview, [ 'label' => $spec['label'] ]),
+            ], 200);
+        } catch (\InvalidArgumentException $e) {
+            return new \WP_REST_Response([
+                'success' => false,
+                'message' => $e->getMessage(),
+                'error' => 'INVALID_PURGE_TARGET'
+            ], 400);
+        } catch (\Exception $e) {
+            return new \WP_REST_Response([
+                'success' => false,
+                'message' => 'Could not preview purge: ' . $e->getMessage(),
+                'error' => 'EXCEPTION'
+            ], 500);
+        }
+    }
+
+    /**
+     * Run one step of a selective purge; the client repeats with the returned cursor
+     *
+     * @param \WP_REST_Request $request
+     * @return \WP_REST_Response
+     */
+    public function purge_route($request) {
+        $unavailable = $this->key_browser_unavailable();
+        if ($unavailable) {
+            return $unavailable;
+        }
+        try {
+            $spec = $this->cache_manager->resolve_purge((string) $request->get_param('target'), (array) $request->get_param('values'));
+            $step = $this->cache_manager->purge_step($spec, (string) $request->get_param('cursor'));
+            if ($step === null) {
+                return new \WP_REST_Response([
+                    'success' => false,
+                    'message' => 'Purge failed: Redis is unavailable.',
+                    'error' => 'PURGE_FAILED'
+                ], 500);
+            }
+            if ($step['cursor'] === null) {
+                $this->clear_stats_snapshot();
+            }
+            return new \WP_REST_Response([
+                'success' => true,
+                'data' => $step,
+            ], 200);
+        } catch (\InvalidArgumentException $e) {
+            return new \WP_REST_Response([
+                'success' => false,
+                'message' => $e->getMessage(),
+                'error' => 'INVALID_PURGE_TARGET'
+            ], 400);
+        } catch (\Exception $e) {
+            return new \WP_REST_Response([
+                'success' => false,
+                'message' => 'Purge failed: ' . $e->getMessage(),
+                'error' => 'EXCEPTION'
+            ], 500);
+        }
+    }
+
+    /**
+     * Latest job of each type, so the admin can resume or report on jobs
+     * started before the page was (re)loaded
+     *
+     * @param \WP_REST_Request $request
+     * @return \WP_REST_Response
+     */
+    public function list_jobs_route($request) {
+        return new \WP_REST_Response([
+            'success' => true,
+            'data' => array_map([JobRunner::class, 'to_response'], $this->jobs->all()),
+        ], 200);
+    }
+
+    /**
+     * Start a flush, OPcache prime or warm-up job
+     *
+     * @param \WP_REST_Request $request
+     * @return \WP_REST_Response
+     */
+    public function start_job_route($request) {
+        $type = (string) $request->get_param('type');
+        $settings_now = SettingsStore::get_settings([]);
+        if ($type === 'flush' && (empty($settings_now['enabled']) || !$this->cache_manager)) {
+            return new \WP_REST_Response([
+                'success' => false,
+                'message' => 'Cache is disabled, nothing to flush',
+                'error' => 'CACHE_DISABLED'
+            ], 400);
+        }
+        if ($type === 'opcache_prime' && (empty($settings_now['enable_opcache_helpers']) || !function_exists('opcache_compile_file'))) {
+            return new \WP_REST_Response([
+                'success' => false,
+                'message' => empty($settings_now['enable_opcache_helpers']) ? 'OPcache helpers disabled' : 'opcache_compile_file unavailable',
+                'error' => 'OPCACHE_UNAVAILABLE'
+            ], 400);
+        }
+
+        $params = [];
+        if ($type === 'warmup') {
+            if (empty($settings_now['enabled']) || empty($settings_now['enable_page_cache'])) {
+                return new \WP_REST_Response([
+                    'success' => false,
+                    'message' => 'Page cache is disabled, nothing to warm',
+                    'error' => 'CACHE_DISABLED'
+                ], 400);
+            }
+            $params = WarmupCrawler::normalize_params($request->get_params());
+            if (!$params['sources']) {
+                return new \WP_REST_Response([
+                    'success' => false,
+                    'message' => 'Choose at least one source of URLs to warm',
+                    'error' => 'NO_WARMUP_SOURCES'
+                ], 400);
+            }
+        }
+
+        $job = $this->jobs->start($type, $params);
+        return new \WP_REST_Response([
+            'success' => true,
+            'data' => JobRunner::to_response($job),
+        ], 202);
+    }
+
+    /**
+     * Job status; a running job is advanced by one short step first
+     *
+     * @param \WP_REST_Request $request
+     * @return \WP_REST_Response
+     */
+    public function job_status_route($request) {
+        $job = $this->jobs->advance((string) $request->get_param('id'));
+        if (!$job) {
+            return new \WP_REST_Response([
+                'success' => false,
+                'message' => 'Job not found; a newer job of the same type may have replaced it.',
+                'error' => 'JOB_NOT_FOUND'
+            ], 404);
+        }
+        if ($job['type'] === 'flush' && $job['status'] !== 'running') {
+            $this->clear_stats_snapshot();
+        }
+        return new \WP_REST_Response([
+            'success' => true,
+            'data' => JobRunner::to_response($job, (int) $request->get_param('since')),
+        ], 200);
+    }
+
+    /**
+     * Cancel a running job
+     *
+     * @param \WP_REST_Request $request
+     * @return \WP_REST_Response
+     */
+    public function cancel_job_route($request) {
+        $job = $this->jobs->cancel((string) $request->get_param('id'));
+        if (!$job) {
+            return new \WP_REST_Response([
+                'success' => false,
+                'message' => 'Job not found.',
+                'error' => 'JOB_NOT_FOUND'
+            ], 404);
+        }
+        return new \WP_REST_Response([
+            'success' => true,
+            'data' => JobRunner::to_response($job),
+        ], 200);
+    }
+
     /**
      * Heavy plugin memory metrics computed on-demand via separate endpoint
      *
@@ -1709,6 +2469,21 @@ class API_Handler {
     $sanitized['wc_warm_count'] = max(0, min(100, (int) ($input['wc_warm_count'] ?? 20)));
     $sanitized['page_cache_grace'] = max(0, min(86400, (int) ($input['page_cache_grace'] ?? 3600)));
     $sanitized['optimize_lazy_images'] = !empty($input['optimize_lazy_images']) ? 1 : 0;
+    // Cache warm-up crawler
+    foreach (WarmupCrawler::SOURCES as $source) {
+        $sanitized['warmup_source_' . $source] = !empty($input['warmup_source_' . $source]) ? 1 : 0;
+    }
+    $warmup = WarmupCrawler::normalize_params([
+        'recent_count' => $input['warmup_recent_count'] ?? 20,
+        'custom_urls' => $input['warmup_custom_urls'] ?? '',
+        'concurrency' => $input['warmup_concurrency'] ?? 3,
+        'rate' => $input['warmup_rate'] ?? 5,
+    ]);
+    $sanitized['warmup_recent_count'] = $warmup['recent_count'];
+    $sanitized['warmup_custom_urls'] = $warmup['custom_urls'];
+    $sanitized['warmup_concurrency'] = $warmup['concurrency'];
+    $sanitized['warmup_rate'] = $warmup['rate'];
+    $sanitized['warmup_after_flush'] = !empty($input['warmup_after_flush']) ? 1 : 0;
 
         // Optional compression level overrides
         if (isset($input['brotli_level_object'])) $sanitized['brotli_level_object'] = intval($input['brotli_level_object']);
@@ -1716,8 +2491,8 @@ class API_Handler {
         if (isset($input['gzip_level_object'])) $sanitized['gzip_level_object'] = intval($input['gzip_level_object']);
         if (isset($input['gzip_level_page'])) $sanitized['gzip_level_page'] = intval($input['gzip_level_page']);
         if (isset($input['min_compress_size'])) $sanitized['min_compress_size'] = max(0, intval($input['min_compress_size']));
-        
-        return $sanitized;
+
+        return SettingsStore::sanitize_extra_settings($sanitized, $input);
     }
 
     /**
@@ -253,6 +253,516 @@ class CacheManager {
         }) ?: [];
     }
     
+    /**
+     * SCAN patterns for the key browser, grouped by key type.
+     *
+     * Page and minified patterns are scoped to this site's host like the
+     * stats/purge prefixes. `$search` narrows each pattern to keys whose part
+     * after the type prefix starts with it; glob characters are escaped and a
+     * leading type prefix (a pasted full key) is stripped.
+     *
+     * @param string $type all|page|minified|blocks|transients
+     * @param string $search Optional key prefix
+     * @return array List of [type, pattern] pairs, in browse order
+     */
+    public function get_browse_patterns($type = 'all', $search = '') {
+        $bases = [
+            'page' => [$this->cache_prefix],
+            'minified' => [$this->minified_cache_prefix],
+            'blocks' => ['block_cache:'],
+            'transients' => ['transient:', 'site_transient:'],
+        ];
+        $host = $this->site_page_host();
+        $search = (string) $search;
+        $patterns = [];
+
+        foreach ($bases as $label => $prefixes) {
+            if ($type !== 'all' && $type !== $label) {
+                continue;
+            }
+            foreach ($prefixes as $prefix) {
+                $rest = ($search !== '' && str_starts_with($search, $prefix)) ? substr($search, strlen($prefix)) : $search;
+                $pattern = $prefix . $this->escape_glob($rest) . '*';
+                if (($label === 'page' || $label === 'minified') && $host !== '') {
+                    $pattern .= ':' . $host . ':v*';
+                }
+                $patterns[] = [$label, $pattern];
+            }
+        }
+
+        return $patterns;
+    }
+
+    /**
+     * Escape SCAN/fnmatch glob characters so text matches literally.
+     *
+     * @param string $text Literal text
+     * @return string
+     */
+    private function escape_glob($text) {
+        return preg_replace('/([*?\[\]\\\\])/', '\\\\$1', (string) $text);
+    }
+
+    /**
+     * Key browser type of a plugin-managed key on this site.
+     *
+     * @param string $key Redis key
+     * @return string|null Type label, or null when the key is not ours to show
+     */
+    public function classify_key($key) {
+        foreach ($this->get_browse_patterns() as [$label, $pattern]) {
+            if (fnmatch($pattern, (string) $key)) {
+                return $label;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Compression marker at the start of a stored value (see maybe_compress()).
+     *
+     * @param string $bytes First bytes of the stored value
+     * @return array [method, level] where method is brotli|gzip|raw|none and level may be null
+     */
+    public function detect_compression($bytes) {
+        if (!is_string($bytes) || $bytes === '') {
+            return ['none', null];
+        }
+        // Unwrap the s:N:"..." serializer wrapper maybe_decompress() also accepts
+        if (preg_match('/^s:\d+:"/', $bytes, $m) === 1) {
+            $bytes = substr($bytes, strlen($m[0]));
+        }
+        if (preg_match('/^(br|gz)(\d{0,2}):/', $bytes, $m) === 1) {
+            return [$m[1] === 'br' ? 'brotli' : 'gzip', $m[2] !== '' ? (int) $m[2] : null];
+        }
+        if (str_starts_with($bytes, 'raw:')) {
+            return ['raw', null];
+        }
+        return ['none', null];
+    }
+
+    /**
+     * TTL, size and compression of one key, for the key browser.
+     *
+     * @param \Redis $redis Connected client
+     * @param string $key Redis key
+     * @param string $type Type label
+     * @return array
+     */
+    private function describe_key($redis, $key, $type) {
+        $ttl = $redis->ttl($key);
+        $size = null;
+        $estimated = false;
+        try {
+            $bytes = $redis->rawCommand('MEMORY', 'USAGE', $key);
+            if (is_int($bytes)) {
+                $size = $bytes;
+            }
+        } catch (\Exception $e) {
+            // Provider may restrict MEMORY USAGE; fall back to STRLEN below
+        }
+        if ($size === null) {
+            $len = $redis->strlen($key);
+            $size = is_int($len) ? $len : null;
+            $estimated = true;
+        }
+        [$method, $level] = $this->detect_compression($redis->getRange($key, 0, 31));
+
+        return [
+            'key' => $key,
+            'type' => $type,
+            'ttl' => is_int($ttl) ? $ttl : null,
+            'size' => $size,
+            'size_human' => $size === null ? '--' : $this->format_bytes($size),
+            'size_estimated' => $estimated,
+            'compression' => $method,
+            'compression_level' => $level,
+        ];
+    }
+
+    /**
+     * One page of plugin-managed keys using incremental SCAN.
+     *
+     * The cursor is "<pattern index>:<scan cursor>" so paging can continue
+     * across the patterns of a type. A page may hold slightly more than
+     * `$count` keys because SCAN batches are never split.
+     *
+     * @param string $type all|page|minified|blocks|transients
+     * @param string $search Optional key prefix
+     * @param string $cursor Cursor from the previous page, '0' to start
+     * @param int $count Keys wanted per page
+     * @return array { keys: array, cursor: string|null }
+     */
+    public function browse_keys($type = 'all', $search = '', $cursor = '0', $count = 50) {
+        $patterns = $this->get_browse_patterns($type, $search);
+        $count = max(1, min(200, (int) $count));
+        [$index, $iterator] = array_map('intval', array_pad(explode(':', (string) $cursor, 2), 2, 0));
+
+        $result = $this->redis_connection->retry_operation(function($redis) use ($patterns, $count, $index, $iterator) {
+            $items = [];
+            // Bound the work per request on large databases; the client asks for the next page
+            $rounds = 0;
+            while ($index < count($patterns) && count($items) < $count && $rounds < 50) {
+                $rounds++;
+                [$label, $pattern] = $patterns[$index];
+                $it = $iterator > 0 ? $iterator : null;
+                $keys = $redis->scan($it, $pattern, 200);
+                foreach (is_array($keys) ? $keys : [] as $key) {
+                    $items[] = $this->describe_key($redis, $key, $label);
+                }
+                if (empty($it)) {
+                    $index++;
+                    $iterator = 0;
+                } else {
+                    $iterator = (int) $it;
+                }
+            }
+
+            return [
+                'keys' => $items,
+                'cursor' => $index < count($patterns) ? $index . ':' . $iterator : null,
+            ];
+        });
+
+        return $result ?: ['keys' => [], 'cursor' => null];
+    }
+
+    /**
+     * Decoded value of a plugin-managed key for the key browser preview.
+     *
+     * Serialized values are unserialized without instantiating classes and
+     * shown with print_r(); binary values are shown as a hex dump.
+     *
+     * @param string $key Redis key
+     * @param int $max_bytes Preview length limit
+     * @return array|null Null when the key is not plugin-managed or does not exist
+     */
+    public function inspect_key($key, $max_bytes = 65536) {
+        $type = $this->classify_key($key);
+        if ($type === null) {
+            return null;
+        }
+
+        $result = $this->redis_connection->retry_operation(function($redis) use ($key, $type) {
+            $raw = $redis->get($key);
+            if ($raw === false || $raw === null) {
+                return null;
+            }
+            return ['raw' => $raw, 'meta' => $this->describe_key($redis, $key, $type)];
+        });
+        if (!$result) {
+            return null;
+        }
+
+        $raw = $result['raw'];
+        $decoded = is_string($raw) ? $this->maybe_decompress($raw) : $raw;
+        if ($decoded === null) {
+            // No marker: written by another serializer, show the stored bytes
+            $decoded = $raw;
+        }
+
+        $format = 'text';
+        $preview = is_string($decoded) ? $decoded : print_r($decoded, true);
+        if (is_string($decoded) && preg_match('/^(?:[aObisd]:|N;)/', $decoded) === 1) {
+            $value = @unserialize($decoded, ['allowed_classes' => false]);
+            if ($value !== false || $decoded === 'b:0;') {
+                $format = 'serialized';
+                $preview = print_r($value, true);
+            }
+        }
+        if ($format === 'text' && function_exists('mb_check_encoding') && !mb_check_encoding($preview, 'UTF-8')) {
+            $format = 'binary';
+            $preview = trim(chunk_split(bin2hex(substr($preview, 0, 512)), 2, ' '));
+        } elseif ($format === 'text' && preg_match('/^\s*(?:<!DOCTYPE|<html)/i', $preview) === 1) {
+            $format = 'html';
+        }
+
+        $length = strlen($preview);
+        if ($length > $max_bytes) {
+            $preview = function_exists('mb_strcut') ? mb_strcut($preview, 0, $max_bytes, 'UTF-8') : substr($preview, 0, $max_bytes);
+        }
+
+        return array_merge($result['meta'], [
+            'format' => $format,
+            'length' => is_string($decoded) ? strlen($decoded) : $length,
+            'preview' => $preview,
+            'truncated' => $length > $max_bytes,
+        ]);
+    }
+
+    /**
+     * Delete one key, refusing anything outside the plugin's key space.
+     *
+     * @param string $key Redis key
+     * @return bool True when deleted
+     */
+    public function delete_managed_key($key) {
+        if ($this->classify_key($key) === null) {
+            return false;
+        }
+        return $this->delete_key($key);
+    }
+
+    /**
+     * Request paths a URL purge targets: the path, its trailing-slash twin and
+     * (unless the URL names a query string) every query-string variant.
+     *
+     * @param string $url Absolute URL on this site or a site-relative path
+     * @return array fnmatch patterns for the request-URI part of a page key
+     * @throws \InvalidArgumentException When the URL belongs to another host
+     */
+    private function url_purge_uris($url) {
+        $parts = parse_url(trim((string) $url));
+        if ($parts === false) {
+            throw new \InvalidArgumentException(sprintf('"%s" is not a valid URL.', $url));
+        }
+        if (!empty($parts['host'])) {
+            $host = preg_replace('/:\d+$/', '', strtolower($parts['host']));
+            if ($host !== $this->site_page_host()) {
+                throw new \InvalidArgumentException(sprintf('"%s" is not on this site.', $url));
+            }
+        }
+
+        $path = (string) ($parts['path'] ?? '');
+        if ($path === '' || $path[0] !== '/') {
+            $path = '/' . $path;
+        }
+        if (isset($parts['query']) && $parts['query'] !== '') {
+            return [$this->escape_glob($path . '?' . $parts['query'])];
+        }
+
+        $paths = [$path];
+        if ($path !== '/') {
+            $paths[] = substr($path, -1) === '/' ? rtrim($path, '/') : $path . '/';
+        }
+        $uris = [];
+        foreach ($paths as $variant) {
+            $uris[] = $this->escape_glob($variant);
+            $uris[] = $this->escape_glob($variant) . '\?*';
+        }
+        return $uris;
+    }
+
+    /**
+     * Resolve a selective purge request into a key spec.
+     *
+     * - urls: page, minified and meta keys for each URL (see url_purge_uris()).
+     * - posts: the same for each post's permalink, including paths added via
+     *   the `ace_rc_post_invalidation_paths` filter used on save_post.
+     * - group: page|minified|blocks|transients, scoped like clear_all_cache().
+     * - object_group: object-cache drop-in groups (needs the drop-in loaded).
+     * - pattern: key globs, limited to keys classify_key() accepts.
+     *
+     * @param string $target urls|posts|group|object_group|pattern
+     * @param array $values Target values
+     * @return array { scan: string[], match: string[]|null, managed_only: bool, label: string }
+     * @throws \InvalidArgumentException When a value cannot be resolved
+     */
+    public function resolve_purge($target, $values) {
+        $values = array_values(array_filter(array_map('trim', array_map('strval', (array) $values)), 'strlen'));
+        if (empty($values)) {
+            throw new \InvalidArgumentException('Nothing to purge: add at least one value.');
+        }
+
+        $host = $this->site_page_host();
+        $page_suffix = $host === '' ? ':*' : ':*:' . $host . ':v*';
+        $spec = ['scan' => [], 'match' => null, 'managed_only' => false, 'label' => ''];
+
+        switch ($target) {
+            case 'urls':
+            case 'posts':
+                $uris = [];
+                if ($target === 'urls') {
+                    foreach ($values as $url) {
+                        $uris = array_merge($uris, $this->url_purge_uris($url));
+                    }
+                } else {
+                    foreach ($values as $post_id) {
+                        $permalink = ctype_digit($post_id) ? get_permalink((int) $post_id) : false;
+                        if (!$permalink) {
+                            throw new \InvalidArgumentException(sprintf('Post %s was not found.', $post_id));
+                        }
+                        $paths = apply_filters('ace_rc_post_invalidation_paths', [parse_url($permalink, PHP_URL_PATH) ?: '/'], (int) $post_id, $permalink, $this->settings);
+                        foreach ((array) $paths as $path) {
+                            $uris = array_merge($uris, $this->url_purge_uris($path));
+                        }
+                    }
+                }
+                // One SCAN over this site's page keys, filtered per URI in PHP
+                $spec['scan'] = [$this->scoped_page_prefix('page_cache') . '*'];
+                $spec['match'] = [];
+                // Pages are stored under their own key, or prefixed again when minified copies exist
+                $page_prefixes = [
+                    $this->cache_prefix,
+                    $this->cache_prefix . $this->cache_prefix,
+                    $this->minified_cache_prefix,
+                    $this->minified_cache_prefix . $this->cache_prefix,
+                    'page_cache_meta:' . $this->cache_prefix,
+                ];
+                foreach (array_unique($uris) as $uri) {
+                    foreach ($page_prefixes as $prefix) {
+                        $spec['match'][] = $prefix . $uri . $page_suffix;
+                    }
+                }
+                $spec['label'] = sprintf('%d %s', count($values), $target === 'urls' ? (count($values) === 1 ? 'URL' : 'URLs') : (count($values) === 1 ? 'post' : 'posts'));
+                break;
+
+            case 'group':
+                $groups = [
+                    'page' => [$this->scoped_page_prefix($this->cache_prefix), $this->scoped_page_prefix('page_cache_meta:' . $this->cache_prefix)],
+                    'minified' => [$this->scoped_page_prefix($this->minified_cache_prefix)],
+                    'blocks' => ['block_cache:'],
+                    'transients' => ['transient:', 'site_transient:'],
+                ];
+                foreach ($values as $group) {
+                    if (!isset($groups[$group])) {
+                        throw new \InvalidArgumentException(sprintf('Unknown cache group "%s".', $group));
+                    }
+                    foreach ($groups[$group] as $prefix) {
+                        $spec['scan'][] = $prefix . '*';
+                    }
+                }
+                $spec['label'] = implode(', ', $values) . ' cache';
+                break;
+
+            case 'object_group':
+                $object_cache = $GLOBALS['wp_object_cache'] ?? null;
+                if (!is_object($object_cache) || !method_exists($object_cache, 'group_key_prefix')) {
+                    throw new \InvalidArgumentException('Object groups can only be purged while the Ace Redis Cache object-cache drop-in is installed and up to date.');
+                }
+                foreach ($values as $group) {
+                    $spec['scan'][] = $this->escape_glob($object_cache->group_key_prefix($group)) . '*';
+                }
+                $spec['label'] = sprintf('object group%s %s', count($values) === 1 ? '' : 's', implode(', ', $values));
+                break;
+
+            case 'pattern':
+                foreach ($values as $pattern) {
+                    if (preg_match('/\s/', $pattern) === 1) {
+                        throw new \InvalidArgumentException(sprintf('Key pattern "%s" must not contain spaces.', $pattern));
+                    }
+                    $spec['scan'][] = $pattern;
+                }
+                // Arbitrary globs could reach other sites or other applications' keys
+                $spec['managed_only'] = true;
+                $spec['label'] = implode(', ', $values);
+                break;
+
+            default:
+                throw new \InvalidArgumentException(sprintf('Unknown purge target "%s".', $target));
+        }
+
+        $spec['scan'] = array_values(array_unique($spec['scan']));
+        return $spec;
+    }
+
+    /**
+     * Purge spec covering every key clear_all_cache() removes, so a full
+     * flush can run in steps through purge_step().
+     *
+     * @return array Spec in the resolve_purge() format
+     */
+    public function flush_spec() {
+        $scan = [];
+        foreach ($this->get_reporting_prefixes() as $prefix) {
+            foreach ((array) $prefix as $pfx) {
+                $scan[] = $pfx . '*';
+            }
+        }
+        return ['scan' => array_values(array_unique($scan)), 'match' => null, 'managed_only' => false, 'label' => 'all plugin cache'];
+    }
+
+    /**
+     * Whether a scanned key belongs to a purge spec.
+     *
+     * @param array $spec From resolve_purge()
+     * @param string $key Redis key
+     * @return bool
+     */
+    private function purge_spec_matches($spec, $key) {
+        if ($spec['managed_only'] && $this->classify_key($key) === null) {
+            return false;
+        }
+        if ($spec['match'] === null) {
+            return true;
+        }
+        foreach ($spec['match'] as $pattern) {
+            if (fnmatch($pattern, $key)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Count the keys a purge would delete.
+     *
+     * @param array $spec From resolve_purge()
+     * @param int $sample_size Number of example keys to return
+     * @return array { total: int, sample: string[] }
+     */
+    public function preview_purge($spec, $sample_size = 10) {
+        $keys = [];
+        foreach ($spec['scan'] as $pattern) {
+            foreach ($this->scan_keys($pattern) as $key) {
+                if ($this->purge_spec_matches($spec, $key)) {
+                    $keys[$key] = true;
+                }
+            }
+        }
+
+        return [
+            'total' => count($keys),
+            'sample' => array_slice(array_keys($keys), 0, $sample_size),
+        ];
+    }
+
+    /**
+     * Run a bounded slice of a purge so the admin can report progress.
+     *
+     * Uses the same "<pattern index>:<scan cursor>" cursor as browse_keys();
+     * call again with the returned cursor until it is null. Deleting keys
+     * SCAN has already returned does not make it skip the rest.
+     *
+     * @param array $spec From resolve_purge()
+     * @param string $cursor Cursor from the previous step, '0' to start
+     * @param int $max_rounds SCAN calls per step
+     * @return array|null { deleted: int, cursor: string|null }, null when Redis is unavailable
+     */
+    public function purge_step($spec, $cursor = '0', $max_rounds = 20) {
+        $patterns = $spec['scan'];
+        [$index, $iterator] = array_map('intval', array_pad(explode(':', (string) $cursor, 2), 2, 0));
+
+        $result = $this->redis_connection->retry_operation(function($redis) use ($spec, $patterns, $index, $iterator, $max_rounds) {
+            $deleted = 0;
+            $rounds = 0;
+            while ($index < count($patterns) && $rounds < $max_rounds) {
+                $rounds++;
+                $it = $iterator > 0 ? $iterator : null;
+                $keys = $redis->scan($it, $patterns[$index], 500);
+                $batch = array_values(array_filter(is_array($keys) ? $keys : [], function($key) use ($spec) {
+                    return $this->purge_spec_matches($spec, $key);
+                }));
+                if (!empty($batch)) {
+                    $deleted += (int) $redis->del($batch);
+                }
+                if (empty($it)) {
+                    $index++;
+                    $iterator = 0;
+                } else {
+                    $iterator = (int) $it;
+                }
+            }
+
+            return [
+                'deleted' => $deleted,
+                'cursor' => $index < count($patterns) ? $index . ':' . $iterator : null,
+            ];
+        });
+
+        return $result ?: null;
+    }
+
     /**
      * Delete keys in chunks to avoid blocking Redis
      *
@@ -0,0 +1,221 @@
+<?php
+/**
+ * Per-URL cache status check
+ *
+ * Fetches one page of this site as a guest or as the current user, with
+ * optional extra cookies and query string, and explains the outcome: HIT,
+ * MISS or BYPASS, why, and the cache meta (age, TTL left, compression).
+ * The request carries a short-lived token so the page cache adds its
+ * decision headers (X-AceRedisCache-Reason / -Store / -Key) for this
+ * request only, whatever send_cache_meta_headers is set to.
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+namespace AceMedia\RedisCache;
+
+if (!defined('ABSPATH')) exit;
+
+class CacheStatusChecker {
+
+    const TOKEN_OPTION = 'ace_redis_cache_status_check';
+    const USER_AGENT = 'AceRedisCache-StatusCheck/1.0';
+
+    // Reason codes sent by the page cache (and a few found here) => explanation
+    const REASONS = [
+        'hit' => 'Served from the Redis page cache.',
+        'stored' => 'Not cached yet: this request rendered the page and stored it, so the next guest request should be a HIT.',
+        'page_cache_disabled' => 'The page cache is turned off in the settings.',
+        'redirect' => 'The URL redirects. Only the page it redirects to is cached.',
+        'bypass_param' => 'The ace_nocache=1 query parameter bypasses the cache.',
+        'system_url' => 'WordPress login, admin, XML-RPC and cron URLs are never cached.',
+        'system' => 'Admin, AJAX and REST requests are never cached.',
+        'woocommerce' => 'WooCommerce cart, checkout and account pages, cart actions and visitors with a cart session are never cached.',
+        'logged_in' => 'Logged-in visitors are never served from or stored in the page cache.',
+        'method' => 'Only GET requests are cached.',
+        'sitemap' => 'Sitemaps are excluded by the Exclude Sitemaps setting.',
+        'excluded_url' => 'The URL matches an excluded URL pattern.',
+        'no_cache_window' => 'Caching pauses for a few seconds after a post is saved so the next render is complete.',
+        'host_mismatch' => 'The request host differs from the site address, so the page was not stored.',
+        'first_pass' => 'The first render after a change is not stored so late-loading styles can settle. The next request stores it.',
+        'local_dev_assets' => 'The page references local development assets, so it was not stored.',
+        'empty' => 'The page rendered no output, so nothing was stored.',
+        'no_headers' => 'The response has no Ace Redis Cache headers. Another cache or CDN may have answered, or the page cache did not run for this request.',
+    ];
+
+    private $settings;
+    private $timeout = 15;
+
+    /**
+     * @param array $settings Plugin settings
+     */
+    public function __construct($settings) {
+        $this->settings = is_array($settings) ? $settings : [];
+    }
+
+    /**
+     * Fetch a URL and explain its cache status.
+     *
+     * @param string $url Absolute URL or path on this site
+     * @param array $args as (guest|logged_in), cookies ("name=value; ..."), query ("a=1&b=2")
+     * @return array Report
+     * @throws \InvalidArgumentException For URLs on other hosts
+     * @throws \RuntimeException When the page cannot be fetched
+     */
+    public function check($url, $args = []) {
+        $url = $this->build_url($url, (string) ($args['query'] ?? ''));
+
+        $cookies = $this->parse_cookies((string) ($args['cookies'] ?? ''));
+        if (($args['as'] ?? 'guest') === 'logged_in' && defined('LOGGED_IN_COOKIE')) {
+            $cookies[LOGGED_IN_COOKIE] = wp_generate_auth_cookie(get_current_user_id(), time() + 300, 'logged_in', wp_get_session_token());
+        }
+
+        $token = wp_generate_password(32, false);
+        update_option(self::TOKEN_OPTION, ['token' => $token, 'expires' => time() + 60], false);
+
+        $started = microtime(true);
+        try {
+            $response = wp_remote_get($url, [
+                'timeout' => $this->timeout,
+                'redirection' => 0,
+                'user-agent' => self::USER_AGENT,
+                'headers' => [ 'X-AceRedis-Check' => $token ],
+                'cookies' => $cookies,
+                'sslverify' => apply_filters('https_local_ssl_verify', false),
+            ]);
+        } finally {
+            delete_option(self::TOKEN_OPTION);
+        }
+        $time_ms = (int) round((microtime(true) - $started) * 1000);
+
+        if (is_wp_error($response)) {
+            throw new \RuntimeException($response->get_error_message());
+        }
+
+        $header = function ($name) use ($response) {
+            $value = wp_remote_retrieve_header($response, $name);
+            return is_array($value) ? implode(', ', $value) : (string) $value;
+        };
+        $int_header = function ($name) use ($header) {
+            $value = $header($name);
+            return is_numeric($value) ? (int) $value : null;
+        };
+
+        $code = (int) wp_remote_retrieve_response_code($response);
+        $report = [
+            'url' => $url,
+            'as' => ($args['as'] ?? 'guest') === 'logged_in' ? 'logged_in' : 'guest',
+            'code' => $code,
+            'location' => $header('location'),
+            'time_ms' => $time_ms,
+            'status' => strtoupper(WarmupCrawler::cache_status($header('x-acerediscache'), $header('x-ace-early'))),
+            'age' => $int_header('x-acerediscache-age'),
+            'ttl_remaining' => $int_header('x-acerediscache-ttl-remaining'),
+            'orig_ttl' => $int_header('x-acerediscache-orig-ttl'),
+            'compression' => $header('x-acerediscache-compression'),
+            'content_encoding' => $header('content-encoding'),
+            'cache_key' => $header('x-acerediscache-key'),
+            'headers' => $this->interesting_headers(wp_remote_retrieve_headers($response)),
+        ];
+        list($report['reason'], $report['detail']) = $this->reason($report, $header('x-acerediscache'), $header('x-acerediscache-reason'), $header('x-acerediscache-store'));
+        $report['reason_text'] = self::REASONS[$report['reason']] ?? $report['reason'];
+        if ($report['status'] === 'NONE') {
+            $report['status'] = $report['reason'] === 'no_headers' || $report['reason'] === 'redirect' ? 'UNKNOWN' : 'BYPASS';
+        }
+        return $report;
+    }
+
+    /**
+     * Reason code and detail for a response.
+     *
+     * @return array [code, detail]
+     */
+    private function reason($report, $cache_header, $reason_header, $store_header) {
+        if (empty($this->settings['enable_page_cache'])) {
+            return ['page_cache_disabled', ''];
+        }
+        if ($report['code'] >= 300 && $report['code'] < 400) {
+            return ['redirect', $report['location']];
+        }
+        if ($reason_header !== '') {
+            $parts = array_map('trim', explode(';', $reason_header, 2));
+            return [$parts[0], $parts[1] ?? ''];
+        }
+        if (stripos($cache_header, 'BYPASS param') === 0) {
+            return ['bypass_param', ''];
+        }
+        if ($report['status'] === 'HIT') {
+            return ['hit', ''];
+        }
+        if ($report['status'] === 'MISS') {
+            if ($store_header === '' || strpos($store_header, 'stored') === 0) {
+                return ['stored', ''];
+            }
+            // "skipped; <code>[; <detail>]"
+            $parts = array_map('trim', explode(';', $store_header, 3));
+            return [$parts[1] ?? 'empty', $parts[2] ?? ''];
+        }
+        return ['no_headers', ''];
+    }
+
+    /**
+     * Absolute URL on this site, with the extra query string appended.
+     */
+    private function build_url($url, $query) {
+        $url = trim((string) $url);
+        if ($url === '') {
+            throw new \InvalidArgumentException('Enter a URL or path to check.');
+        }
+        if (strpos($url, '/') === 0) {
+            $url = home_url($url);
+        }
+        $parts = wp_parse_url($url);
+        if (empty($parts['host']) || !in_array(strtolower($parts['scheme'] ?? ''), ['http', 'https'], true)) {
+            throw new \InvalidArgumentException('Enter a full URL on this site or a path starting with /.');
+        }
+        if (strtolower($parts['host']) !== strtolower((string) wp_parse_url(home_url(), PHP_URL_HOST))) {
+            throw new \InvalidArgumentException('Only URLs on this site can be checked.');
+        }
+
+        $url = strtok($url, '#');
+        $query = ltrim(trim($query), '?&');
+        if ($query !== '') {
+            $url .= (strpos($url, '?') === false ? '?' : '&') . $query;
+        }
+        return $url;
+    }
+
+    /**
+     * "name=value; other=value" (as copied from a Cookie header) to name => value.
+     */
+    private function parse_cookies($text) {
+        $cookies = [];
+        foreach (preg_split('/[;\r\n]+/', $text) as $pair) {
+            $pair = trim($pair);
+            if ($pair === '' || strpos($pair, '=') === false) {
+                continue;
+            }
+            list($name, $value) = array_map('trim', explode('=', $pair, 2));
+            if ($name !== '') {
+                $cookies[$name] = $value;
+            }
+        }
+        return $cookies;
+    }
+
+    /**
+     * Cache-related response headers, for the raw view.
+     */
+    private function interesting_headers($headers) {
+        $out = [];
+        foreach ($headers as $name => $value) {
+            $name = strtolower((string) $name);
+            if (strpos($name, 'x-ace') === 0 || in_array($name, ['age', 'cache-control', 'expires', 'content-encoding', 'vary', 'location', 'x-cache', 'cf-cache-status'], true)) {
+                $out[$name] = is_array($value) ? implode(', ', $value) : (string) $value;
+            }
+        }
+        ksort($out);
+        return $out;
+    }
+}
@@ -0,0 +1,130 @@
+<?php
+/**
+ * Named Redis connection profiles
+ *
+ * Saved sets of connection fields (host, port, password, TLS) such as
+ * "Local", "Staging" or a managed provider, so the Connection tab can load
+ * one into the form or test several side by side. Profiles are stored in
+ * their own option; the active connection is still whatever the plugin
+ * settings hold.
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+namespace AceMedia\RedisCache;
+
+if (!defined('ABSPATH')) exit;
+
+class ConnectionProfiles {
+
+    const OPTION = 'ace_redis_cache_connection_profiles';
+    const FIELDS = ['host', 'port', 'password', 'enable_tls'];
+    const MAX_PROFILES = 20;
+
+    /**
+     * Connection fields from a form, request or profile, sanitized the way
+     * the settings sanitizers treat them.
+     *
+     * @param array $input
+     * @return array host, port, password, enable_tls
+     */
+    public static function sanitize_connection($input) {
+        $input = is_array($input) ? $input : [];
+        $host = trim(sanitize_text_field((string) ($input['host'] ?? '')));
+        return [
+            'host' => $host !== '' ? $host : '127.0.0.1',
+            'port' => max(1, min(65535, (int) ($input['port'] ?? 6379))),
+            'password' => sanitize_text_field((string) ($input['password'] ?? '')),
+            'enable_tls' => !empty($input['enable_tls']) ? 1 : 0,
+        ];
+    }
+
+    /**
+     * Stable id for a profile name ("Managed provider" => "managed-provider").
+     *
+     * @param string $name
+     * @return string Empty when the name has no usable characters
+     */
+    public static function id_for($name) {
+        return trim(sanitize_key(preg_replace('/\s+/', '-', strtolower(trim((string) $name)))), '-');
+    }
+
+    /**
+     * True when a profile points at the same server with the same credentials
+     * as the given settings.
+     *
+     * @param array $profile
+     * @param array $settings Plugin settings or connection fields
+     * @return bool
+     */
+    public static function matches($profile, $settings) {
+        $a = self::sanitize_connection($profile);
+        $b = self::sanitize_connection($settings);
+        return strtolower($a['host']) === strtolower($b['host'])
+            && $a['port'] === $b['port']
+            && $a['password'] === $b['password']
+            && $a['enable_tls'] === $b['enable_tls'];
+    }
+
+    /**
+     * All profiles, sorted by name.
+     *
+     * @return array List of id, name, host, port, password, enable_tls
+     */
+    public static function all() {
+        $stored = SettingsStore::get(self::OPTION, []);
+        $profiles = [];
+        foreach (is_array($stored) ? $stored : [] as $id => $profile) {
+            if (!is_array($profile)) {
+                continue;
+            }
+            $profiles[] = ['id' => (string) $id, 'name' => (string) ($profile['name'] ?? $id)] + self::sanitize_connection($profile);
+        }
+        usort($profiles, function ($a, $b) {
+            return strcasecmp($a['name'], $b['name']);
+        });
+        return $profiles;
+    }
+
+    /**
+     * Create or replace the profile with this name.
+     *
+     * @param string $name Display name
+     * @param array $connection Connection fields
+     * @return array The saved profile
+     * @throws \InvalidArgumentException For an empty name or too many profiles
+     */
+    public static function save($name, $connection) {
+        $name = trim(sanitize_text_field((string) $name));
+        $id = self::id_for($name);
+        if ($id === '') {
+            throw new \InvalidArgumentException('Enter a profile name using letters or numbers.');
+        }
+
+        $stored = SettingsStore::get(self::OPTION, []);
+        $stored = is_array($stored) ? $stored : [];
+        if (!isset($stored[$id]) && count($stored) >= self::MAX_PROFILES) {
+            throw new \InvalidArgumentException(sprintf('You can keep up to %d connection profiles. Delete one first.', self::MAX_PROFILES));
+        }
+
+        $stored[$id] = ['name' => mb_substr($name, 0, 60)] + self::sanitize_connection($connection);
+        SettingsStore::update(self::OPTION, $stored);
+        return ['id' => $id] + $stored[$id];
+    }
+
+    /**
+     * Remove a profile.
+     *
+     * @param string $id
+     * @return bool False when there was no such profile
+     */
+    public static function delete($id) {
+        $stored = SettingsStore::get(self::OPTION, []);
+        if (!is_array($stored) || !isset($stored[$id])) {
+            return false;
+        }
+        unset($stored[$id]);
+        return $stored ? SettingsStore::update(self::OPTION, $stored) : SettingsStore::delete(self::OPTION);
+    }
+}
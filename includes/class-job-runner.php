@@ -0,0 +1,383 @@
+<?php
+/**
+ * Background jobs for long-running admin actions
+ *
+ * A full cache flush, an OPcache prime or a cache warm-up can outlast a
+ * gateway timeout on large sites, so the admin starts them as jobs instead
+ * of one request.
+ * Job state lives in a non-autoloaded option (a transient could be deleted
+ * by the flush itself). Work advances in time-boxed steps, driven both by
+ * the admin's status polls and by WP-Cron, so a job finishes and its result
+ * can be read back even after the admin page is closed.
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+namespace AceMedia\RedisCache;
+
+if (!defined('ABSPATH')) exit;
+
+class JobRunner {
+
+    const OPTION_PREFIX = 'ace_redis_cache_job_';
+    const CRON_HOOK = 'ace_rc_run_job';
+    const TYPES = ['flush', 'opcache_prime', 'warmup'];
+
+    private $cache_manager;
+    private $crawler;
+    private $step_seconds = 2.0; // work per poll, well below typical gateway timeouts
+    private $lock_seconds = 30;
+    private $busy = false; // last advance() found another step holding the lock
+
+    /**
+     * Constructor
+     *
+     * @param CacheManager|null $cache_manager Cache manager instance (null when the cache is disabled)
+     */
+    public function __construct($cache_manager) {
+        $this->cache_manager = $cache_manager;
+        $this->crawler = new WarmupCrawler();
+    }
+
+    /**
+     * Files compiled by an OPcache prime.
+     *
+     * @return array Absolute paths
+     */
+    public static function opcache_prime_files() {
+        return (array) apply_filters('ace_rc_opcache_prime_files', [
+            ABSPATH . 'index.php',
+            get_stylesheet_directory() . '/functions.php',
+            get_template_directory() . '/functions.php',
+        ]);
+    }
+
+    /**
+     * Latest job of a type, running or finished.
+     *
+     * @param string $type Job type
+     * @return array|null
+     */
+    public function get($type) {
+        $job = get_option(self::OPTION_PREFIX . $type, null);
+        return is_array($job) ? $job : null;
+    }
+
+    /**
+     * @param string $id Job ID
+     * @return array|null
+     */
+    public function find($id) {
+        foreach (self::TYPES as $type) {
+            $job = $this->get($type);
+            if ($job && $job['id'] === $id) {
+                return $job;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Latest job of every type.
+     *
+     * @return array
+     */
+    public function all() {
+        return array_values(array_filter(array_map([$this, 'get'], self::TYPES)));
+    }
+
+    private function save($job) {
+        $job['updated_at'] = time();
+        update_option(self::OPTION_PREFIX . $job['type'], $job, false);
+        return $job;
+    }
+
+    /**
+     * Start a job, or return the one of that type already running.
+     *
+     * @param string $type flush|opcache_prime|warmup
+     * @param array $params Warm-up options, see WarmupCrawler::normalize_params()
+     * @return array Job
+     */
+    public function start($type, $params = []) {
+        $current = $this->get($type);
+        if ($current && $current['status'] === 'running') {
+            return $current;
+        }
+
+        $job = [
+            'id' => str_replace('-', '', wp_generate_uuid4()),
+            'type' => $type,
+            'status' => 'running',
+            'unit' => ['flush' => 'keys', 'opcache_prime' => 'files', 'warmup' => 'URLs'][$type],
+            'processed' => 0,
+            'total' => null,
+            'progress' => 0,
+            'skipped' => 0,
+            'message' => '',
+            'cursor' => '0',
+            'queue' => [],
+            'started_at' => time(),
+            'updated_at' => time(),
+            'finished_at' => null,
+        ];
+        if ($type === 'opcache_prime') {
+            $job['queue'] = array_values(array_filter(self::opcache_prime_files(), 'is_string'));
+            $job['total'] = count($job['queue']);
+        }
+        if ($type === 'warmup') {
+            // URLs are collected by the first step, fetching sitemaps can take a while
+            $job['params'] = WarmupCrawler::normalize_params($params);
+            $job['results'] = [];
+            $job['counts'] = ['hit' => 0, 'miss' => 0, 'bypass' => 0, 'none' => 0, 'failed' => 0];
+            $job['next_at'] = 0;
+        }
+
+        $job = $this->save($job);
+        $this->schedule($job['id']);
+        return $job;
+    }
+
+    /**
+     * Run steps of a job for up to a couple of seconds.
+     *
+     * Status polls and the cron runner both call this; a lock keeps them
+     * from working on the same job at once.
+     *
+     * @param string $id Job ID
+     * @return array|null Job after the work, null when unknown
+     */
+    public function advance($id) {
+        $job = $this->find($id);
+        $this->busy = false;
+        if (!$job || $job['status'] !== 'running') {
+            return $job;
+        }
+        if (!$this->lock($job['type'])) {
+            // The step holding the lock reschedules the job when it ends
+            $this->busy = true;
+            return $job;
+        }
+
+        try {
+            $deadline = microtime(true) + $this->step_seconds;
+            do {
+                $job = $this->step($job);
+            } while ($job['status'] === 'running' && microtime(true) < $deadline);
+        } catch (\Throwable $e) {
+            $job = $this->finish($job, 'failed', $e->getMessage());
+        }
+
+        // A cancel may have been stored while this step was working
+        $latest = $this->get($job['type']);
+        if ($job['status'] === 'running' && $latest && $latest['id'] === $job['id'] && $latest['status'] === 'cancelled') {
+            $job = $this->finish($job, 'cancelled', $this->cancelled_message($job));
+        }
+
+        $job = $this->save($job);
+        $this->unlock($job['type']);
+
+        if ($job['status'] === 'running') {
+            $this->schedule($job['id']);
+        } elseif ($job['status'] === 'done' && $job['type'] === 'flush') {
+            // Same signal as clear_all_cache() so WooCommerce warming still follows a full clear
+            do_action('ace_rc_cache_cleared', 'clear_all_cache', $job['processed']);
+        }
+        return $job;
+    }
+
+    /**
+     * Stop a running job after its current step.
+     *
+     * @param string $id Job ID
+     * @return array|null
+     */
+    public function cancel($id) {
+        $job = $this->find($id);
+        if (!$job || $job['status'] !== 'running') {
+            return $job;
+        }
+        return $this->save($this->finish($job, 'cancelled', $this->cancelled_message($job)));
+    }
+
+    /**
+     * WP-Cron runner: keeps a job moving when nobody is polling.
+     *
+     * @param string $id Job ID
+     */
+    public function run_scheduled($id) {
+        $deadline = microtime(true) + 20;
+        do {
+            $job = $this->advance($id);
+        } while ($job && $job['status'] === 'running' && !$this->busy && microtime(true) < $deadline);
+    }
+
+    /**
+     * Warm the cache after a full clear when the warmup_after_flush setting
+     * is on. A warm-up already running carries on. Fired by ace_rc_cache_cleared.
+     */
+    public function warm_after_flush() {
+        $settings = SettingsStore::get_settings([]);
+        if (empty($settings['warmup_after_flush']) || empty($settings['enabled']) || empty($settings['enable_page_cache'])) {
+            return;
+        }
+        $params = WarmupCrawler::params_from_settings($settings);
+        if ($params['sources']) {
+            $this->start('warmup', $params);
+        }
+    }
+
+    /**
+     * Job as returned over REST, without internal state.
+     *
+     * @param array|null $job
+     * @param int $results_from Skip warm-up results the client already has
+     * @return array|null
+     */
+    public static function to_response($job, $results_from = 0) {
+        if (!$job) {
+            return null;
+        }
+        unset($job['cursor'], $job['queue'], $job['next_at']);
+        if (isset($job['results'])) {
+            $job['results_from'] = min(max(0, (int) $results_from), count($job['results']));
+            $job['results'] = array_slice($job['results'], $job['results_from']);
+        }
+        return $job;
+    }
+
+    private function step($job) {
+        if ($job['type'] === 'flush') {
+            return $this->step_flush($job);
+        }
+        if ($job['type'] === 'warmup') {
+            return $this->step_warmup($job);
+        }
+        return $this->step_opcache_prime($job);
+    }
+
+    private function step_flush($job) {
+        if (!$this->cache_manager) {
+            throw new \RuntimeException('Cache is disabled.');
+        }
+        $spec = $this->cache_manager->flush_spec();
+        $result = $this->cache_manager->purge_step($spec, $job['cursor'], 5);
+        if ($result === null) {
+            throw new \RuntimeException('Redis is unavailable.');
+        }
+
+        $job['processed'] += $result['deleted'];
+        if ($result['cursor'] === null) {
+            return $this->finish($job, 'done', sprintf('Cleared %d plugin cache keys', $job['processed']));
+        }
+        // Key totals are unknown up front; report how far through the prefixes the scan is
+        $job['cursor'] = $result['cursor'];
+        $job['progress'] = round((int) explode(':', $result['cursor'])[0] / max(1, count($spec['scan'])), 3);
+        return $job;
+    }
+
+    private function step_opcache_prime($job) {
+        if (!function_exists('opcache_compile_file')) {
+            throw new \RuntimeException('opcache_compile_file unavailable');
+        }
+        $file = $job['queue'][$job['processed']] ?? null;
+        if ($file !== null) {
+            $compiled = false;
+            if (file_exists($file)) {
+                try { $compiled = (bool) @opcache_compile_file($file); } catch (\Throwable $t) {}
+            }
+            if (!$compiled) {
+                $job['skipped']++;
+            }
+            $job['processed']++;
+            $job['progress'] = round($job['processed'] / max(1, $job['total']), 3);
+        }
+
+        if ($job['processed'] >= $job['total']) {
+            $compiled_count = $job['processed'] - $job['skipped'];
+            return $this->finish($job, 'done', sprintf('Compiled %d of %d files', $compiled_count, $job['total']) . ($job['skipped'] ? sprintf(' (%d skipped)', $job['skipped']) : ''));
+        }
+        return $job;
+    }
+
+    private function step_warmup($job) {
+        if ($job['total'] === null) {
+            $job['queue'] = $this->crawler->collect_urls($job['params']);
+            $job['total'] = count($job['queue']);
+            if (!$job['total']) {
+                return $this->finish($job, 'done', 'No URLs found to warm for the selected sources');
+            }
+            return $job;
+        }
+
+        // Rate limit: each batch of `concurrency` requests uses up concurrency/rate seconds
+        $wait = $job['next_at'] - microtime(true);
+        if ($wait > 0) {
+            usleep((int) (min(1, $wait) * 1000000));
+            return $job;
+        }
+
+        $params = $job['params'];
+        $batch = array_slice($job['queue'], $job['processed'], $params['concurrency']);
+        $job['next_at'] = microtime(true) + count($batch) / $params['rate'];
+        foreach ($this->crawler->fetch($batch) as $result) {
+            $job['results'][] = $result;
+            $job['counts'][$result['cache']]++;
+        }
+        $job['processed'] += count($batch);
+        $job['skipped'] = $job['counts']['failed'];
+        $job['progress'] = round($job['processed'] / $job['total'], 3);
+
+        if ($job['processed'] >= $job['total']) {
+            $counts = $job['counts'];
+            return $this->finish($job, 'done', sprintf(
+                'Warmed %d URLs: %d already cached, %d cached now, %d not cacheable, %d failed',
+                $job['total'],
+                $counts['hit'],
+                $counts['miss'],
+                $counts['bypass'] + $counts['none'],
+                $counts['failed']
+            ));
+        }
+        return $job;
+    }
+
+    private function finish($job, $status, $message) {
+        $job['status'] = $status;
+        $job['message'] = $message;
+        $job['finished_at'] = time();
+        if ($status === 'done') {
+            $job['progress'] = 1;
+        }
+        return $job;
+    }
+
+    private function cancelled_message($job) {
+        return sprintf('Cancelled after %d %s', $job['processed'], $job['unit']);
+    }
+
+    private function schedule($id) {
+        if (function_exists('wp_next_scheduled') && !wp_next_scheduled(self::CRON_HOOK, [$id])) {
+            wp_schedule_single_event(time(), self::CRON_HOOK, [$id]);
+        }
+    }
+
+    private function lock($type) {
+        $key = self::OPTION_PREFIX . $type . '_lock';
+        $now = time();
+        if (add_option($key, $now, '', 'no')) {
+            return true;
+        }
+        // Take over a lock left behind by a step that died mid-way
+        if ((int) get_option($key, 0) < $now - $this->lock_seconds) {
+            update_option($key, $now, false);
+            return true;
+        }
+        return false;
+    }
+
+    private function unlock($type) {
+        delete_option(self::OPTION_PREFIX . $type . '_lock');
+    }
+}
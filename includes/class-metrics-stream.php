@@ -0,0 +1,131 @@
+<?php
+/**
+ * Metrics event stream
+ *
+ * Server-Sent Events for the Diagnostics metric cards: one connection pushes
+ * the light metrics whenever they change, instead of the browser polling
+ * /metrics. Off by default, since each open stream holds a PHP worker; turn
+ * it on with the ace_rc_metrics_stream filter.
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+namespace AceMedia\RedisCache;
+
+if (!defined('ABSPATH')) exit;
+
+class MetricsStream {
+
+    // Seconds between samples: clamped so a client cannot hammer Redis INFO
+    const MIN_INTERVAL = 2;
+    const MAX_INTERVAL = 60;
+    const DEFAULT_INTERVAL = 5;
+
+    // Seconds a stream stays open; the browser reconnects on its own after
+    const DEFAULT_DURATION = 55;
+
+    // Change on every sample without meaning anything changed
+    const VOLATILE_FIELDS = ['response_time', 'uptime'];
+
+    /**
+     * Whether the server offers the stream.
+     *
+     * @return bool
+     */
+    public static function enabled() {
+        return (bool) apply_filters('ace_rc_metrics_stream', false);
+    }
+
+    /**
+     * Sampling interval from the request, in seconds.
+     *
+     * @param mixed $raw
+     * @return int
+     */
+    public static function interval($raw) {
+        $seconds = is_numeric($raw) ? (int) $raw : 0;
+        if ($seconds <= 0) {
+            return self::DEFAULT_INTERVAL;
+        }
+        return max(self::MIN_INTERVAL, min(self::MAX_INTERVAL, $seconds));
+    }
+
+    /**
+     * One SSE event.
+     *
+     * @param string $name Event name
+     * @param mixed $data JSON-encoded into a single data line
+     * @return string
+     */
+    public static function event($name, $data) {
+        return 'event: ' . $name . "\n" . 'data: ' . json_encode($data) . "\n\n";
+    }
+
+    /**
+     * Hash of a metrics payload without the fields that change on every
+     * sample, so unchanged metrics are not sent again.
+     *
+     * @param array $metrics
+     * @return string
+     */
+    public static function fingerprint($metrics) {
+        if (!is_array($metrics)) {
+            return '';
+        }
+        foreach (self::VOLATILE_FIELDS as $field) {
+            unset($metrics[$field]);
+        }
+        ksort($metrics);
+        return md5(json_encode($metrics));
+    }
+
+    /**
+     * Stream samples until the duration is up or the client goes away, then exit.
+     *
+     * @param callable $sample () => array Body of a /metrics response
+     * @param int $interval Seconds between samples
+     * @return void
+     */
+    public static function run(callable $sample, $interval) {
+        $duration = max($interval, (int) apply_filters('ace_rc_metrics_stream_duration', self::DEFAULT_DURATION));
+
+        ignore_user_abort(false);
+        if (function_exists('set_time_limit')) {
+            @set_time_limit($duration + 15);
+        }
+        while (ob_get_level() > 0) {
+            @ob_end_flush();
+        }
+
+        header('Content-Type: text/event-stream; charset=utf-8');
+        header('Cache-Control: no-cache, no-transform');
+        // nginx would otherwise buffer the whole response
+        header('X-Accel-Buffering: no');
+
+        // Reconnect delay after the server ends the stream
+        echo 'retry: ' . ($interval * 1000) . "\n\n";
+        flush();
+
+        $started = time();
+        $last = null;
+        do {
+            $body = $sample();
+            $fingerprint = self::fingerprint($body['data'] ?? null);
+            if ($fingerprint !== $last) {
+                echo self::event('metrics', $body);
+                $last = $fingerprint;
+            } else {
+                // Comment line: keeps proxies from closing an idle connection
+                echo ": unchanged\n\n";
+            }
+            flush();
+            if (connection_aborted()) {
+                break;
+            }
+            sleep($interval);
+        } while (time() - $started + $interval <= $duration);
+
+        exit;
+    }
+}
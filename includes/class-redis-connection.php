@@ -197,6 +197,75 @@ class RedisConnection {
             $this->redis = null;
         }
     }
+
+    /**
+     * Test these connection settings on a private connection.
+     *
+     * For trying values before they are saved: the shared page-cache
+     * connection, the circuit breaker and the issue log are left alone, and
+     * the connection is closed again afterwards.
+     *
+     * @return array connected, status, error, server, tls, redis_version, response_time
+     */
+    public function probe() {
+        $host = (string) ($this->settings['host'] ?? '');
+        $port = (int) ($this->settings['port'] ?? 6379);
+        $result = [
+            'connected' => false,
+            'status' => 'Connection failed',
+            'error' => '',
+            'server' => $host . ':' . $port,
+            'tls' => !empty($this->settings['enable_tls']),
+            'redis_version' => '',
+        ];
+        if (!class_exists('\Redis')) {
+            $result['error'] = 'The PHP Redis extension is not installed';
+            $result['response_time'] = '0ms';
+            return $result;
+        }
+
+        // A little more patience than the front-end timeouts: this is an admin asking on purpose
+        $timeout = max(1.0, defined('ACE_REDIS_TIMEOUT') ? (float) ACE_REDIS_TIMEOUT : 0.5);
+        $start_time = microtime(true);
+        $redis = new \Redis();
+        try {
+            $connect_params = [$host, $port, $timeout, null, 0, $timeout];
+            if (!empty($this->settings['enable_tls'])) {
+                $connect_params[] = [ 'stream' => [ 'verify_peer' => false, 'verify_peer_name' => false ] ];
+            }
+            if (!call_user_func_array([$redis, 'connect'], $connect_params)) {
+                throw new \RedisException('Unable to connect to ' . $result['server']);
+            }
+            if (!empty($this->settings['password']) && !$redis->auth($this->settings['password'])) {
+                throw new \RedisException('Authentication failed');
+            }
+            $ace_db = defined('ACE_REDIS_DB') ? (int) ACE_REDIS_DB : (int) ($this->settings['database'] ?? 0);
+            if ($ace_db > 0 && !$redis->select($ace_db)) {
+                throw new \RedisException('Could not select database ' . $ace_db);
+            }
+            if (!$redis->ping()) {
+                throw new \RedisException('PING failed');
+            }
+            try {
+                $info = $redis->info('server');
+                $result['redis_version'] = (string) ($info['valkey_version'] ?? $info['redis_version'] ?? '');
+            } catch (\Throwable $t) {
+                // INFO may be restricted by managed providers; the connection still works
+            }
+            $result['connected'] = true;
+            $result['status'] = 'Connected';
+        } catch (\Throwable $t) {
+            $result['error'] = $t->getMessage() ?: 'Unable to connect to ' . $result['server'];
+        } finally {
+            try {
+                $redis->close();
+            } catch (\Throwable $t) {
+                // Never opened
+            }
+        }
+        $result['response_time'] = round((microtime(true) - $start_time) * 1000, 2) . 'ms';
+        return $result;
+    }
     
     /**
      * Execute Redis operation with retry logic
@@ -613,88 +682,52 @@ class RedisConnection {
      * Detect Redis server type and provide suggestions
      *
      * @param array $info Redis INFO output
-     * @return array Server type and suggestions
+     * @return array Server type and suggestions (ServerReport::assess() checks)
      */
     private function get_server_suggestions($info) {
-        $suggestions = [];
-        $type = 'Unknown';
-        
-        // Detect server type based on info
-        if (isset($info['redis_mode'])) {
-            $type = ucfirst($info['redis_mode']);
-        } elseif (isset($info['server_type'])) {
-            $type = $info['server_type'];
-        } elseif (isset($info['redis_version'])) {
-            $type = 'Redis ' . $info['redis_version'];
-        }
-        
-        // Check for common cloud providers
-        if (isset($info['os']) && $info['os']) {
-            if (strpos($info['os'], 'Amazon') !== false) {
-                $type = 'AWS ElastiCache';
-                $suggestions[] = 'Consider enabling cluster mode for better scalability';
-            } elseif (strpos($info['os'], 'Azure') !== false) {
-                $type = 'Azure Cache for Redis';
-                $suggestions[] = 'Monitor premium tier features for better performance';
-            } elseif (strpos($info['os'], 'Google') !== false) {
-                $type = 'Google Cloud Memorystore';
-                $suggestions[] = 'Enable high availability for production workloads';
-            }
-        }
-        
-        // Memory usage suggestions
-        if (isset($info['used_memory']) && isset($info['maxmemory'])) {
-            $used = (int)$info['used_memory'];
-            $max = (int)$info['maxmemory'];
-            
-            if ($max > 0) {
-                $usage_percent = ($used / $max) * 100;
-                
-                if ($usage_percent > 90) {
-                    $suggestions[] = '⚠️ Memory usage is high (' . round($usage_percent) . '%) - consider increasing memory limit';
-                } elseif ($usage_percent > 75) {
-                    $suggestions[] = '📊 Memory usage is moderate (' . round($usage_percent) . '%) - monitor closely';
-                }
-            }
-        }
-        
-        // Performance suggestions based on connected clients
-        if (isset($info['connected_clients'])) {
-            $clients = (int)$info['connected_clients'];
-            if ($clients > 100) {
-                $suggestions[] = '🔗 High client connections (' . $clients . ') - consider connection pooling';
-            }
-        }
-        
-        // Persistence suggestions
-        if (isset($info['rdb_last_save_time']) && isset($info['aof_enabled'])) {
-            if ($info['aof_enabled'] == 0 && $info['rdb_last_save_time'] == 0) {
-                $suggestions[] = '💾 No persistence configured - enable RDB or AOF for data safety';
-            }
-        }
-        
-        // TLS suggestions based on connection settings
-        $host = $this->settings['host'] ?? '127.0.0.1';
-        if (!$this->is_local_ip_connection() && empty($this->settings['enable_tls'])) {
-            $suggestions[] = '🔒 Consider enabling TLS for remote connections';
-        }
-        
-        // Local development suggestions
-        if ($this->is_local_ip_connection()) {
-            $suggestions[] = '🏠 Local development detected - TLS not required';
-            if (empty($this->settings['password'])) {
-                $suggestions[] = '🔓 No password set - okay for local development';
+        return [
+            'type' => ServerReport::server_type($info),
+            'suggestions' => ServerReport::assess($info, null, $this->connection_context())
+        ];
+    }
+
+    /**
+     * Full server breakdown for the Diagnostics server panel: every INFO
+     * section the server allows, the cache-relevant CONFIG values and checks.
+     *
+     * @return array connected, error, server_type, sections, config, checks
+     */
+    public function get_server_report() {
+        try {
+            $redis = $this->get_connection(false, true);
+            if (!$redis) {
+                return [ 'connected' => false, 'error' => 'Unable to connect to Redis server' ];
             }
+            $report = ServerReport::collect($redis);
+        } catch (\Exception $e) {
+            return [ 'connected' => false, 'error' => $e->getMessage() ];
         }
-        
-        // Default suggestions if none found
-        if (empty($suggestions)) {
-            $suggestions[] = '✅ Configuration looks good';
+
+        $info = [];
+        foreach ($report['sections'] as $fields) {
+            $info = array_merge($info, (array) $fields);
         }
-        
         return [
-            'type' => $type,
-            'suggestions' => $suggestions
+            'connected' => true,
+            'error' => '',
+            'server_type' => ServerReport::server_type($info),
+            'sections' => $report['sections'],
+            'config' => $report['config'],
+            'checks' => ServerReport::assess($info, $report['config'], $this->connection_context()),
+        ];
+    }
+
+    // How the plugin connects, for ServerReport checks
+    private function connection_context() {
+        return [
+            'local' => $this->is_local_ip_connection(),
+            'tls' => !empty($this->settings['enable_tls']),
+            'password' => !empty($this->settings['password']),
         ];
     }
 
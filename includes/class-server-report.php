@@ -0,0 +1,223 @@
+<?php
+/**
+ * Redis server report
+ *
+ * Reads the INFO sections and the CONFIG values that matter for a cache and
+ * turns them into checks: risky settings (noeviction, no maxmemory, a
+ * read-only replica, ...) with an explanation and, where one of this
+ * plugin's settings helps, the settings key to link to.
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+namespace AceMedia\RedisCache;
+
+if (!defined('ABSPATH')) exit;
+
+class ServerReport {
+
+    const SECTIONS = ['server', 'clients', 'memory', 'persistence', 'stats', 'replication', 'keyspace'];
+    const CONFIG_KEYS = ['maxmemory', 'maxmemory-policy', 'maxclients', 'timeout', 'tcp-keepalive', 'appendonly', 'save', 'databases'];
+
+    // Check levels, most severe first
+    const LEVELS = ['critical', 'warning', 'info', 'ok'];
+
+    /**
+     * INFO sections and CONFIG values from a live connection.
+     *
+     * @param \Redis $redis
+     * @return array sections (name => fields, or null when restricted), config (name => value, or null when CONFIG GET is not allowed)
+     */
+    public static function collect($redis) {
+        $sections = [];
+        foreach (self::SECTIONS as $section) {
+            try {
+                $data = $redis->info($section);
+            } catch (\Throwable $t) {
+                $data = false;
+            }
+            $sections[$section] = is_array($data) ? self::flatten($data) : null;
+        }
+
+        // Managed providers often rename or disable CONFIG; INFO still covers maxmemory and its policy
+        $config = [];
+        foreach (self::CONFIG_KEYS as $name) {
+            try {
+                $value = $redis->config('GET', $name);
+            } catch (\Throwable $t) {
+                $value = false;
+            }
+            if (is_array($value) && array_key_exists($name, $value)) {
+                $config[$name] = (string) $value[$name];
+            }
+        }
+
+        return [ 'sections' => $sections, 'config' => $config ?: null ];
+    }
+
+    /**
+     * Human name for the server, e.g. "Standalone" or "AWS ElastiCache".
+     *
+     * @param array $info Flat INFO fields
+     * @return string
+     */
+    public static function server_type($info) {
+        $type = 'Unknown';
+        if (isset($info['redis_mode'])) {
+            $type = ucfirst($info['redis_mode']);
+        } elseif (isset($info['server_type'])) {
+            $type = $info['server_type'];
+        } elseif (isset($info['redis_version'])) {
+            $type = 'Redis ' . $info['redis_version'];
+        }
+
+        $os = (string) ($info['os'] ?? '');
+        if (strpos($os, 'Amazon') !== false) {
+            $type = 'AWS ElastiCache';
+        } elseif (strpos($os, 'Azure') !== false) {
+            $type = 'Azure Cache for Redis';
+        } elseif (strpos($os, 'Google') !== false) {
+            $type = 'Google Cloud Memorystore';
+        }
+        return $type;
+    }
+
+    /**
+     * Checks for a server, most severe first.
+     *
+     * @param array $info Flat INFO fields (any sections)
+     * @param array|null $config CONFIG GET values, when available
+     * @param array $context local (bool), tls (bool), password (bool) for the plugin's connection
+     * @return array Each: id, level, title, detail, setting (plugin settings key or null), keys (INFO/CONFIG names involved)
+     */
+    public static function assess($info, $config = null, $context = []) {
+        $info = is_array($info) ? $info : [];
+        $config = is_array($config) ? $config : [];
+        $checks = [];
+        $add = function ($id, $level, $title, $detail, $setting = null, $keys = []) use (&$checks) {
+            $checks[] = compact('id', 'level', 'title', 'detail', 'setting', 'keys');
+        };
+
+        // Memory limit and eviction
+        $maxmemory = isset($config['maxmemory']) ? (int) $config['maxmemory'] : (isset($info['maxmemory']) ? (int) $info['maxmemory'] : null);
+        $policy = (string) ($config['maxmemory-policy'] ?? $info['maxmemory_policy'] ?? '');
+        $used = isset($info['used_memory']) ? (int) $info['used_memory'] : null;
+
+        if ($policy === 'noeviction') {
+            $add('noeviction', 'critical', 'Eviction policy is noeviction',
+                'When memory is full Redis rejects writes with OOM errors instead of evicting old entries, so new pages stop being cached. Use allkeys-lru for a dedicated cache, or volatile-lru if other applications keep keys without a TTL on this server.',
+                null, ['maxmemory-policy', 'maxmemory_policy']);
+        }
+        if ($maxmemory === 0) {
+            $add('maxmemory_unset', 'warning', 'No memory limit (maxmemory is 0)',
+                'Redis grows until the host runs out of memory, then it is killed or starts swapping. Set maxmemory to what the host can spare so the eviction policy can do its job.',
+                null, ['maxmemory']);
+        } elseif ($maxmemory > 0 && $used !== null) {
+            $percent = round($used / $maxmemory * 100);
+            if ($percent > 90) {
+                $add('memory_high', 'warning', sprintf('Memory usage is high (%d%% of maxmemory)', $percent),
+                    'Entries will soon be evicted before their TTL. Turning on compression stores cached pages in a fraction of the space; otherwise raise maxmemory.',
+                    'enable_compression', ['used_memory', 'maxmemory']);
+            } elseif ($percent > 75) {
+                $add('memory_moderate', 'info', sprintf('Memory usage is %d%% of maxmemory', $percent),
+                    'Keep an eye on it. Compression or a shorter page cache TTL lowers the footprint.',
+                    'enable_compression', ['used_memory', 'maxmemory']);
+            }
+        }
+        $evicted = (int) ($info['evicted_keys'] ?? 0);
+        if ($evicted > 0 && $policy !== 'noeviction') {
+            $add('evictions', 'info', sprintf('%s keys evicted since the server started', number_format($evicted)),
+                'Redis removed entries to stay under maxmemory, so some pages were cached for less than their TTL. Compression fits more pages in the same memory.',
+                'enable_compression', ['evicted_keys']);
+        }
+        $fragmentation = isset($info['mem_fragmentation_ratio']) ? (float) $info['mem_fragmentation_ratio'] : 0.0;
+        if ($fragmentation > 1.5 && $used !== null && $used > 64 * 1024 * 1024) {
+            $add('fragmentation', 'info', sprintf('Memory fragmentation ratio is %.2f', $fragmentation),
+                'Redis holds noticeably more memory from the OS than its data needs. activedefrag yes (Redis 4+ with jemalloc) or a restart in a quiet period reclaims it.',
+                null, ['mem_fragmentation_ratio']);
+        }
+
+        // Replication: writes to a replica fail, so nothing gets cached
+        $role = (string) ($info['role'] ?? '');
+        if ($role === 'slave' || $role === 'replica') {
+            $add('replica', 'critical', 'Connected to a read-only replica',
+                'Every cache write fails on a replica. Point Redis Host at the primary (writer) endpoint.',
+                'host', ['role']);
+        }
+
+        // Clients
+        $rejected = (int) ($info['rejected_connections'] ?? 0);
+        if ($rejected > 0) {
+            $add('rejected_connections', 'warning', sprintf('%s connections rejected', number_format($rejected)),
+                'Redis turned clients away because maxclients was reached; those requests ran without the cache. Raise maxclients or find what holds connections open.',
+                null, ['rejected_connections', 'maxclients']);
+        }
+        if ((int) ($info['connected_clients'] ?? 0) > 100) {
+            $add('clients_high', 'info', sprintf('%d clients connected', (int) $info['connected_clients']),
+                'Each PHP worker holds its own connection. If this keeps climbing, check for other applications or a proxy sharing this server.',
+                null, ['connected_clients']);
+        }
+
+        // Persistence
+        if (isset($info['rdb_last_bgsave_status']) && $info['rdb_last_bgsave_status'] !== 'ok') {
+            $add('rdb_failed', 'warning', 'The last RDB snapshot failed',
+                'With stop-writes-on-bgsave-error (the default) Redis refuses writes until a snapshot succeeds. Check disk space and permissions on the Redis host.',
+                null, ['rdb_last_bgsave_status']);
+        }
+        if (isset($info['rdb_last_save_time'], $info['aof_enabled']) && (int) $info['aof_enabled'] === 0 && (int) $info['rdb_last_save_time'] === 0) {
+            $add('no_persistence', 'info', 'No persistence configured',
+                'The cache starts empty after a Redis restart. That is fine for a cache-only server; enable RDB or AOF if other data lives here.',
+                null, ['aof_enabled', 'rdb_last_save_time', 'appendonly', 'save']);
+        }
+
+        // Connection security
+        if (empty($context['local']) && empty($context['tls'])) {
+            $add('tls_off', 'warning', 'Connection is not encrypted',
+                'This server is not on a local or private address, so cached pages and the password cross the network in plain text. Turn on TLS if the server supports it.',
+                'enable_tls');
+        }
+        if (!empty($context['local']) && empty($context['password'])) {
+            $add('no_password', 'info', 'No password set',
+                'Fine for local development. Set one if anything else on the network can reach this server.',
+                'password');
+        }
+
+        // Provider notes
+        $type = self::server_type($info);
+        if ($type === 'AWS ElastiCache') {
+            $add('provider_aws', 'info', 'AWS ElastiCache', 'Consider cluster mode for better scalability.');
+        } elseif ($type === 'Azure Cache for Redis') {
+            $add('provider_azure', 'info', 'Azure Cache for Redis', 'Premium tier features help performance under load.');
+        } elseif ($type === 'Google Cloud Memorystore') {
+            $add('provider_google', 'info', 'Google Cloud Memorystore', 'Enable high availability for production workloads.');
+        }
+
+        if (!$checks) {
+            $add('ok', 'ok', 'Configuration looks good', 'No risky settings found.');
+        }
+
+        usort($checks, function ($a, $b) {
+            return array_search($a['level'], self::LEVELS, true) - array_search($b['level'], self::LEVELS, true);
+        });
+        return $checks;
+    }
+
+    /**
+     * INFO values as strings (phpredis may return nested arrays for keyspace lines).
+     */
+    private static function flatten($data) {
+        $out = [];
+        foreach ($data as $key => $value) {
+            if (is_array($value)) {
+                $pairs = [];
+                foreach ($value as $k => $v) {
+                    $pairs[] = $k . '=' . (is_scalar($v) ? $v : json_encode($v));
+                }
+                $value = implode(',', $pairs);
+            }
+            $out[(string) $key] = is_bool($value) ? ($value ? '1' : '0') : (string) $value;
+        }
+        return $out;
+    }
+}
@@ -54,6 +54,75 @@ class SettingsStore {
         return get_option(self::SETTINGS_OPTION, $default);
     }
 
+    /**
+     * Opaque revision token for a settings snapshot.
+     *
+     * Keyed hash, so it changes with any stored value (password included)
+     * without exposing those values to the admin UI.
+     *
+     * @param array|null $settings Snapshot to hash; current settings when null
+     * @return string
+     */
+    public static function settings_revision($settings = null) {
+        if ($settings === null) {
+            $settings = self::get_settings([]);
+        }
+        if (!is_array($settings)) {
+            $settings = [];
+        }
+        ksort($settings);
+        return substr(wp_hash(serialize($settings)), 0, 16);
+    }
+
+    /**
+     * Last step of both settings sanitizers (options.php and REST).
+     *
+     * Keys the sanitizer did not handle, such as the nested tables and lists
+     * the settings form serializes, are kept with their text sanitized so
+     * they read back unchanged through GET /settings. Callbacks on
+     * `ace_rc_sanitize_settings` can then validate or drop them.
+     *
+     * @param array $sanitized Values the caller has already sanitized
+     * @param mixed $input Raw input
+     * @return array
+     */
+    public static function sanitize_extra_settings($sanitized, $input) {
+        if (is_array($input)) {
+            foreach ($input as $key => $value) {
+                // Internal payloads (e.g. __managed_plugins) are not settings
+                if (!is_string($key) || array_key_exists($key, $sanitized) || !preg_match('/^[a-z][a-z0-9_]*$/', $key)) {
+                    continue;
+                }
+                $sanitized[$key] = self::sanitize_extra_value($value);
+            }
+        }
+        return apply_filters('ace_rc_sanitize_settings', $sanitized, $input);
+    }
+
+    /**
+     * Sanitize the text in a setting value, keeping its shape and scalar types.
+     *
+     * @param mixed $value
+     * @param int $depth
+     * @return mixed
+     */
+    private static function sanitize_extra_value($value, $depth = 0) {
+        if (is_array($value)) {
+            if ($depth >= 5) {
+                return [];
+            }
+            $clean = [];
+            foreach ($value as $key => $item) {
+                $clean[is_int($key) ? $key : sanitize_text_field($key)] = self::sanitize_extra_value($item, $depth + 1);
+            }
+            return $clean;
+        }
+        if ($value === null || is_bool($value) || is_int($value) || is_float($value)) {
+            return $value;
+        }
+        return sanitize_textarea_field((string) $value);
+    }
+
     /**
      * Write plugin settings to the correct option scope.
      *
@@ -0,0 +1,159 @@
+<?php
+/**
+ * Slow operations log
+ *
+ * Reads the list the object-cache drop-in fills with Redis operations that
+ * took longer than ACE_OC_SLOW_MS (default 100ms): when, which command and
+ * key, how long, payload size and the request URL that triggered it.
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+namespace AceMedia\RedisCache;
+
+if (!defined('ABSPATH')) exit;
+
+class SlowLog {
+
+    // Counter from before the drop-in kept a log; cleared on reset
+    const LEGACY_TRANSIENT = 'ace_rc_slow_op_count';
+
+    // Matches the drop-in's SLOW_LOG_MAX
+    const MAX_ENTRIES = 500;
+
+    /**
+     * Redis list the drop-in writes to, or null when the installed drop-in
+     * predates the slow log.
+     *
+     * @return string|null
+     */
+    public static function key() {
+        $object_cache = $GLOBALS['wp_object_cache'] ?? null;
+        if (!is_object($object_cache) || !method_exists($object_cache, 'slow_log_key')) {
+            return null;
+        }
+        return (string) $object_cache->slow_log_key();
+    }
+
+    /**
+     * Threshold the drop-in records at, in milliseconds (0 = off).
+     *
+     * @return int
+     */
+    public static function threshold() {
+        return defined('ACE_OC_SLOW_MS') ? max(0, (int) ACE_OC_SLOW_MS) : 100;
+    }
+
+    /**
+     * Connection to the object cache's keyspace: the drop-in's shared
+     * connection when there is one, else the plugin's.
+     *
+     * @param CacheManager|null $cache_manager
+     * @return \Redis|null
+     */
+    public static function client($cache_manager) {
+        global $ace_redis_shared_connection;
+        if ($ace_redis_shared_connection instanceof \Redis) {
+            return $ace_redis_shared_connection;
+        }
+        return $cache_manager ? $cache_manager->get_raw_client() : null;
+    }
+
+    /**
+     * Number of logged operations.
+     *
+     * @param \Redis|null $redis
+     * @param string|null $key
+     * @return int
+     */
+    public static function count($redis, $key) {
+        if (!$redis || !$key) {
+            return 0;
+        }
+        try {
+            return (int) $redis->rawCommand('LLEN', $key);
+        } catch (\Throwable $t) {
+            return 0;
+        }
+    }
+
+    /**
+     * Logged operations, newest first.
+     *
+     * rawCommand keeps the connection's serializer away from the JSON entries.
+     *
+     * @param \Redis $redis
+     * @param string $key
+     * @return array Entries from parse_entry()
+     */
+    public static function entries($redis, $key) {
+        $raw = $redis->rawCommand('LRANGE', $key, 0, self::MAX_ENTRIES - 1);
+        $entries = [];
+        foreach (is_array($raw) ? $raw : [] as $item) {
+            $entry = self::parse_entry($item);
+            if ($entry) {
+                $entries[] = $entry;
+            }
+        }
+        return $entries;
+    }
+
+    /**
+     * Empty the log (and the legacy counter).
+     *
+     * @param \Redis|null $redis
+     * @param string|null $key
+     * @return int Entries removed
+     */
+    public static function reset($redis, $key) {
+        delete_transient(self::LEGACY_TRANSIENT);
+        $removed = self::count($redis, $key);
+        if ($removed) {
+            $redis->rawCommand('DEL', $key);
+        }
+        return $removed;
+    }
+
+    /**
+     * One stored entry, normalized; null when it is not a slow log entry.
+     *
+     * @param mixed $raw JSON written by the drop-in
+     * @return array|null time, command, group, key, pattern, ms, bytes (null when unknown), url
+     */
+    public static function parse_entry($raw) {
+        $data = is_string($raw) ? json_decode($raw, true) : null;
+        if (!is_array($data) || empty($data['cmd']) || !isset($data['key'])) {
+            return null;
+        }
+        $group = (string) ($data['group'] ?? '');
+        $key = (string) $data['key'];
+        return [
+            'time' => (int) ($data['t'] ?? 0),
+            'command' => (string) $data['cmd'],
+            'group' => $group,
+            'key' => $key,
+            'pattern' => self::key_pattern($group, $key),
+            'ms' => round((float) ($data['ms'] ?? 0), 1),
+            'bytes' => isset($data['bytes']) && is_numeric($data['bytes']) ? (int) $data['bytes'] : null,
+            'url' => (string) ($data['url'] ?? ''),
+        ];
+    }
+
+    /**
+     * Group and key with the variable parts (IDs, hashes, timestamps) as "*",
+     * so operations on the same kind of key aggregate together.
+     *
+     * @param string $group Cache group
+     * @param string $key Cache key
+     * @return string e.g. "post_meta:*" or "transient:wc_product_children_*"
+     */
+    public static function key_pattern($group, $key) {
+        // Hashes first (8+ hex chars with a digit), so their letters do not survive around the digits
+        $pattern = preg_replace('/(?<![0-9a-z])(?=[a-f]*\d)[0-9a-f]{8,}(?![0-9a-z])/i', '*', (string) $key);
+        $pattern = preg_replace('/\d+/', '*', $pattern);
+        // "0.123 456" (microtime) and the like become a single "*"
+        $pattern = preg_replace('/\*(?:[\s.\-]*\*)+/', '*', $pattern);
+        return ($group !== '' ? $group : 'default') . ':' . $pattern;
+    }
+}
@@ -0,0 +1,374 @@
+<?php
+/**
+ * Cache warm-up crawler
+ *
+ * Collects URLs to preload (sitemaps, recent posts, WooCommerce storefront
+ * pages, a custom list) and fetches them in small parallel batches the way
+ * an anonymous visitor would, reporting whether each one was already cached.
+ * Scheduling, rate limiting and progress belong to the JobRunner 'warmup' job.
+ *
+ * @package AceMedia\RedisCache
+ * @since 0.7.15
+ */
+
+namespace AceMedia\RedisCache;
+
+if (!defined('ABSPATH')) exit;
+
+class WarmupCrawler {
+
+    const SOURCES = ['sitemap', 'recent', 'woocommerce', 'custom'];
+    const USER_AGENT = 'AceRedisCache-Warmup/1.0';
+
+    private $timeout = 10;
+
+    /**
+     * Clamp warm-up options from settings or a REST request.
+     *
+     * @param array $input sources, recent_count, custom_urls, concurrency, rate
+     * @return array
+     */
+    public static function normalize_params($input) {
+        $input = is_array($input) ? $input : [];
+        $sources = array_values(array_intersect(self::SOURCES, array_map('strval', (array) ($input['sources'] ?? []))));
+        return [
+            'sources' => $sources,
+            'recent_count' => max(1, min(200, (int) ($input['recent_count'] ?? 20))),
+            'custom_urls' => sanitize_textarea_field((string) ($input['custom_urls'] ?? '')),
+            'concurrency' => max(1, min(10, (int) ($input['concurrency'] ?? 3))),
+            'rate' => max(1, min(50, (int) ($input['rate'] ?? 5))),
+        ];
+    }
+
+    /**
+     * Warm-up options as stored in the plugin settings.
+     *
+     * @param array $settings Plugin settings
+     * @return array Normalized params
+     */
+    public static function params_from_settings($settings) {
+        $sources = [];
+        foreach (self::SOURCES as $source) {
+            if (!empty($settings['warmup_source_' . $source])) {
+                $sources[] = $source;
+            }
+        }
+        return self::normalize_params([
+            'sources' => $sources,
+            'recent_count' => $settings['warmup_recent_count'] ?? 20,
+            'custom_urls' => $settings['warmup_custom_urls'] ?? '',
+            'concurrency' => $settings['warmup_concurrency'] ?? 3,
+            'rate' => $settings['warmup_rate'] ?? 5,
+        ]);
+    }
+
+    /**
+     * High-value WooCommerce URLs: home, shop, the busiest product categories
+     * and the best-selling products (WooCommerce popularity = total_sales).
+     *
+     * @param int $count Products to include
+     * @return array Absolute URLs
+     */
+    public static function woocommerce_urls($count) {
+        $urls = [ home_url('/') ];
+
+        if (function_exists('wc_get_page_permalink')) {
+            $shop = wc_get_page_permalink('shop');
+            if ($shop) {
+                $urls[] = $shop;
+            }
+        }
+
+        $count = max(1, (int) $count);
+
+        $terms = get_terms([
+            'taxonomy'   => 'product_cat',
+            'orderby'    => 'count',
+            'order'      => 'DESC',
+            'number'     => min(10, $count),
+            'hide_empty' => true,
+        ]);
+        if (is_array($terms)) {
+            foreach ($terms as $term) {
+                $link = get_term_link($term);
+                if (!is_wp_error($link)) {
+                    $urls[] = $link;
+                }
+            }
+        }
+
+        if (function_exists('wc_get_products')) {
+            $product_ids = wc_get_products([
+                'status'  => 'publish',
+                'limit'   => $count,
+                'orderby' => 'popularity',
+                'order'   => 'DESC',
+                'return'  => 'ids',
+            ]);
+            foreach ((array) $product_ids as $pid) {
+                $link = get_permalink($pid);
+                if ($link) {
+                    $urls[] = $link;
+                }
+            }
+        }
+
+        return array_values(array_unique(array_filter($urls)));
+    }
+
+    /**
+     * URLs to warm for the chosen sources: same-site only, de-duplicated
+     * and capped by the ace_rc_warmup_max_urls filter.
+     *
+     * @param array $params Normalized params
+     * @return array Absolute URLs
+     */
+    public function collect_urls($params) {
+        $max = max(1, (int) apply_filters('ace_rc_warmup_max_urls', 500, $params));
+        $urls = [];
+        foreach ($params['sources'] as $source) {
+            switch ($source) {
+                case 'sitemap':
+                    $found = $this->sitemap_urls($max);
+                    break;
+                case 'recent':
+                    $found = $this->recent_urls($params['recent_count']);
+                    break;
+                case 'woocommerce':
+                    $found = class_exists('WooCommerce') ? self::woocommerce_urls($params['recent_count']) : [];
+                    break;
+                default:
+                    $found = $this->custom_urls($params['custom_urls']);
+            }
+            $urls = array_merge($urls, $found);
+        }
+
+        $urls = apply_filters('ace_rc_warmup_urls', $urls, $params);
+        $urls = array_values(array_unique(array_filter(array_map([$this, 'normalize_url'], (array) $urls))));
+        return array_slice($urls, 0, $max);
+    }
+
+    /**
+     * Fetch a batch of URLs in parallel.
+     *
+     * @param array $urls Absolute URLs
+     * @return array One result per URL: url, code, cache (hit|miss|bypass|none|failed), header, ms, error
+     */
+    public function fetch($urls) {
+        $requests_class = class_exists('\WpOrg\Requests\Requests') ? '\WpOrg\Requests\Requests' : (class_exists('\Requests') ? '\Requests' : null);
+        if (!$requests_class || count($urls) === 1) {
+            return array_map([$this, 'fetch_one'], $urls);
+        }
+
+        $requests = [];
+        foreach ($urls as $url) {
+            $requests[] = [
+                'url' => $url,
+                'type' => 'GET',
+                'headers' => [ 'X-AceRedis-Warmup' => '1' ],
+            ];
+        }
+        $options = [
+            'timeout' => $this->timeout,
+            'connect_timeout' => $this->timeout,
+            'useragent' => self::USER_AGENT,
+            'redirects' => 2,
+            'verify' => (bool) apply_filters('https_local_ssl_verify', false),
+        ];
+        // Per-URL timings: the batch runs in parallel, so time each response as it completes
+        $started = microtime(true);
+        $completed = [];
+        $options['complete'] = function (&$response, $id) use (&$completed) {
+            $completed[$id] = microtime(true);
+        };
+
+        try {
+            $responses = $requests_class::request_multiple($requests, $options);
+        } catch (\Throwable $t) {
+            // Transport could not run the batch at all; fall back to one at a time
+            return array_map([$this, 'fetch_one'], $urls);
+        }
+
+        $results = [];
+        foreach ($urls as $index => $url) {
+            $response = $responses[$index] ?? null;
+            $ms = (int) round((($completed[$index] ?? microtime(true)) - $started) * 1000);
+            if (!is_object($response) || !isset($response->status_code)) {
+                $message = $response instanceof \Throwable ? $response->getMessage() : 'No response';
+                $results[] = $this->result($url, 0, '', '', $ms, $message);
+                continue;
+            }
+            $results[] = $this->result(
+                $url,
+                (int) $response->status_code,
+                (string) ($response->headers['x-acerediscache'] ?? ''),
+                (string) ($response->headers['x-ace-early'] ?? ''),
+                $ms
+            );
+        }
+        return $results;
+    }
+
+    /**
+     * Cache outcome from the response headers. The page-cache header wins;
+     * the advanced-cache drop-in's X-Ace-Early is used when it is the only one.
+     *
+     * @param string $header X-AceRedisCache value
+     * @param string $early X-Ace-Early value
+     * @return string hit|miss|bypass|none
+     */
+    public static function cache_status($header, $early = '') {
+        $value = strtoupper(trim($header !== '' ? $header : strtok($early, ';')));
+        if (strpos($value, 'HIT') === 0) return 'hit';
+        if (strpos($value, 'MISS') === 0) return 'miss';
+        if (strpos($value, 'BYPASS') === 0) return 'bypass';
+        return 'none';
+    }
+
+    private function fetch_one($url) {
+        $started = microtime(true);
+        $response = wp_remote_get($url, [
+            'timeout' => $this->timeout,
+            'redirection' => 2,
+            'user-agent' => self::USER_AGENT,
+            'headers' => [ 'X-AceRedis-Warmup' => '1' ],
+            'cookies' => [],
+            'sslverify' => apply_filters('https_local_ssl_verify', false),
+        ]);
+        $ms = (int) round((microtime(true) - $started) * 1000);
+        if (is_wp_error($response)) {
+            return $this->result($url, 0, '', '', $ms, $response->get_error_message());
+        }
+        return $this->result(
+            $url,
+            (int) wp_remote_retrieve_response_code($response),
+            (string) wp_remote_retrieve_header($response, 'x-acerediscache'),
+            (string) wp_remote_retrieve_header($response, 'x-ace-early'),
+            $ms
+        );
+    }
+
+    private function result($url, $code, $header, $early, $ms, $error = '') {
+        if ($error === '' && ($code < 200 || $code >= 400)) {
+            $error = 'HTTP ' . $code;
+        }
+        return [
+            'url' => $url,
+            'code' => $code,
+            'cache' => $error !== '' ? 'failed' : self::cache_status($header, $early),
+            'header' => $header !== '' ? $header : $early,
+            'ms' => $ms,
+            'error' => $error,
+        ];
+    }
+
+    /**
+     * Page URLs from the site's sitemap, following one level of sitemap index.
+     */
+    private function sitemap_urls($max) {
+        $candidates = (array) apply_filters('ace_rc_warmup_sitemaps', [
+            home_url('/wp-sitemap.xml'),
+            home_url('/sitemap_index.xml'),
+            home_url('/sitemap.xml'),
+        ]);
+
+        $urls = [];
+        foreach ($candidates as $sitemap) {
+            $locs = $this->sitemap_locs($sitemap, $is_index);
+            if ($locs === null) {
+                continue; // not there; try the next conventional location
+            }
+            if (!$is_index) {
+                return array_slice($locs, 0, $max);
+            }
+            foreach (array_slice($locs, 0, 20) as $child) {
+                $child_locs = $this->sitemap_locs($child, $child_is_index);
+                if ($child_locs && !$child_is_index) {
+                    $urls = array_merge($urls, $child_locs);
+                }
+                if (count($urls) >= $max) {
+                    break;
+                }
+            }
+            return array_slice($urls, 0, $max);
+        }
+        return $urls;
+    }
+
+    /**
+     * <loc> entries of one sitemap, or null when it cannot be fetched.
+     */
+    private function sitemap_locs($url, &$is_index) {
+        $is_index = false;
+        $response = wp_remote_get($url, [
+            'timeout' => $this->timeout,
+            'redirection' => 2,
+            'user-agent' => self::USER_AGENT,
+            'sslverify' => apply_filters('https_local_ssl_verify', false),
+        ]);
+        if (is_wp_error($response) || (int) wp_remote_retrieve_response_code($response) !== 200) {
+            return null;
+        }
+        $body = (string) wp_remote_retrieve_body($response);
+        if (stripos($body, '<urlset') === false && stripos($body, '<sitemapindex') === false) {
+            return null;
+        }
+        $is_index = stripos($body, '<sitemapindex') !== false;
+        preg_match_all('#<loc>\s*(?:<!\[CDATA\[)?\s*(.*?)\s*(?:\]\]>)?\s*</loc>#is', $body, $matches);
+        return array_map(function ($loc) {
+            return html_entity_decode($loc, ENT_QUOTES | ENT_XML1, 'UTF-8');
+        }, $matches[1]);
+    }
+
+    private function recent_urls($count) {
+        $types = array_values(array_diff(get_post_types(['public' => true]), ['attachment']));
+        $ids = get_posts([
+            'post_type' => $types,
+            'post_status' => 'publish',
+            'numberposts' => $count,
+            'orderby' => 'date',
+            'order' => 'DESC',
+            'fields' => 'ids',
+            'has_password' => false,
+            'suppress_filters' => false,
+        ]);
+        $urls = [ home_url('/') ];
+        foreach ((array) $ids as $id) {
+            $link = get_permalink($id);
+            if ($link) {
+                $urls[] = $link;
+            }
+        }
+        return $urls;
+    }
+
+    private function custom_urls($text) {
+        $urls = [];
+        foreach (preg_split('/\R/', (string) $text) as $line) {
+            $line = trim($line);
+            if ($line === '') {
+                continue;
+            }
+            $urls[] = strpos($line, '/') === 0 ? home_url($line) : $line;
+        }
+        return $urls;
+    }
+
+    /**
+     * Absolute http(s) URL on this site without a fragment, or '' to drop it.
+     */
+    private function normalize_url($url) {
+        if (!is_string($url)) {
+            return '';
+        }
+        $url = trim($url);
+        $parts = wp_parse_url($url);
+        if (empty($parts['host']) || !in_array(strtolower($parts['scheme'] ?? ''), ['http', 'https'], true)) {
+            return '';
+        }
+        if (strtolower($parts['host']) !== strtolower((string) wp_parse_url(home_url(), PHP_URL_HOST))) {
+            return '';
+        }
+        return strtok($url, '#');
+    }
+}
@@ -0,0 +1,66 @@
+<?php
+/**
+ * Cache status checker tests (URL building, cookie parsing, reason decoding)
+ *
+ * @package AceMedia\RedisCache
+ */
+
+use PHPUnit\Framework\TestCase;
+use AceMedia\RedisCache\CacheStatusChecker;
+
+if (!function_exists('home_url')) {
+    function home_url($path = '') {
+        return 'https://example.com' . $path;
+    }
+}
+
+if (!function_exists('wp_parse_url')) {
+    function wp_parse_url($url, $component = -1) {
+        return parse_url($url, $component);
+    }
+}
+
+class CacheStatusCheckerTest extends TestCase {
+
+    private function call($checker, $method, ...$args) {
+        $reflection = new ReflectionMethod(CacheStatusChecker::class, $method);
+        $reflection->setAccessible(true);
+        return $reflection->invoke($checker, ...$args);
+    }
+
+    public function testPathsResolveOnThisSiteWithQueryAppended() {
+        $checker = new CacheStatusChecker(['enable_page_cache' => 1]);
+
+        $this->assertSame('https://example.com/shop/?utm_source=x', $this->call($checker, 'build_url', '/shop/', '?utm_source=x'));
+        $this->assertSame('https://example.com/?p=1&ref=2', $this->call($checker, 'build_url', 'https://example.com/?p=1#top', 'ref=2'));
+    }
+
+    public function testForeignHostsAreRejected() {
+        $this->expectException(InvalidArgumentException::class);
+        $this->call(new CacheStatusChecker([]), 'build_url', 'https://other.test/', '');
+    }
+
+    public function testCookiesParseFromHeaderText() {
+        $cookies = $this->call(new CacheStatusChecker([]), 'parse_cookies', "a=1; b = two=2\nbroken; =nameless");
+
+        $this->assertSame(['a' => '1', 'b' => 'two=2'], $cookies);
+    }
+
+    public function testReasonPrefersPageCacheHeaders() {
+        $checker = new CacheStatusChecker(['enable_page_cache' => 1]);
+        $report = ['code' => 200, 'location' => '', 'status' => 'NONE'];
+
+        $this->assertSame(['excluded_url', '/cart'], $this->call($checker, 'reason', $report, 'BYPASS', 'excluded_url; /cart', ''));
+        $this->assertSame(['no_headers', ''], $this->call($checker, 'reason', $report, '', '', ''));
+        $this->assertSame(['redirect', '/new/'], $this->call($checker, 'reason', ['code' => 301, 'location' => '/new/', 'status' => 'NONE'], '', '', ''));
+
+        $miss = ['code' => 200, 'location' => '', 'status' => 'MISS'];
+        $this->assertSame(['stored', ''], $this->call($checker, 'reason', $miss, 'MISS', '', 'stored'));
+        $this->assertSame(['host_mismatch', 'www.example.com'], $this->call($checker, 'reason', $miss, 'MISS', '', 'skipped; host_mismatch; www.example.com'));
+    }
+
+    public function testDisabledPageCacheIsReportedFirst() {
+        $report = ['code' => 200, 'location' => '', 'status' => 'NONE'];
+        $this->assertSame(['page_cache_disabled', ''], $this->call(new CacheStatusChecker([]), 'reason', $report, '', '', ''));
+    }
+}
@@ -0,0 +1,54 @@
+<?php
+/**
+ * Connection profile tests (field sanitizing, profile ids, matching the
+ * saved connection)
+ *
+ * @package AceMedia\RedisCache
+ */
+
+use PHPUnit\Framework\TestCase;
+use AceMedia\RedisCache\ConnectionProfiles;
+
+if (!function_exists('sanitize_text_field')) {
+    function sanitize_text_field($text) {
+        return trim(preg_replace('/[\r\n\t ]+/', ' ', strip_tags((string) $text)));
+    }
+}
+
+if (!function_exists('sanitize_key')) {
+    function sanitize_key($key) {
+        return preg_replace('/[^a-z0-9_\-]/', '', strtolower((string) $key));
+    }
+}
+
+class ConnectionProfilesTest extends TestCase {
+
+    public function testConnectionFieldsAreSanitized() {
+        $connection = ConnectionProfiles::sanitize_connection([
+            'host' => ' redis.internal ',
+            'port' => '70000',
+            'password' => 'secret',
+            'enable_tls' => '1',
+            'ttl' => 60,
+        ]);
+
+        $this->assertSame(['host' => 'redis.internal', 'port' => 65535, 'password' => 'secret', 'enable_tls' => 1], $connection);
+        $this->assertSame('127.0.0.1', ConnectionProfiles::sanitize_connection(['host' => ''])['host']);
+        $this->assertSame(6379, ConnectionProfiles::sanitize_connection([])['port']);
+    }
+
+    public function testProfileIdsComeFromNames() {
+        $this->assertSame('managed-provider', ConnectionProfiles::id_for('  Managed   Provider '));
+        $this->assertSame('staging_2', ConnectionProfiles::id_for('Staging_2'));
+        $this->assertSame('', ConnectionProfiles::id_for('!!!'));
+    }
+
+    public function testMatchesComparesServerAndCredentials() {
+        $profile = ['name' => 'Local', 'host' => 'LOCALHOST', 'port' => 6379, 'password' => '', 'enable_tls' => 0];
+        $settings = ['host' => 'localhost', 'port' => '6379', 'password' => '', 'enable_tls' => 0, 'ttl' => 3600];
+
+        $this->assertTrue(ConnectionProfiles::matches($profile, $settings));
+        $this->assertFalse(ConnectionProfiles::matches($profile, ['enable_tls' => 1] + $settings));
+        $this->assertFalse(ConnectionProfiles::matches($profile, ['password' => 'x'] + $settings));
+    }
+}
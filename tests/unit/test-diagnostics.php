@@ -0,0 +1,48 @@
+<?php
+/**
+ * Diagnostics report structure tests
+ *
+ * @package AceMedia\RedisCache
+ */
+
+use PHPUnit\Framework\TestCase;
+use AceMedia\RedisCache\Diagnostics;
+
+class DiagnosticsTest extends TestCase {
+
+    private function invoke($method, array $args) {
+        $reflection = new ReflectionClass(Diagnostics::class);
+        $instance = $reflection->newInstanceWithoutConstructor();
+        $m = $reflection->getMethod($method);
+        $m->setAccessible(true);
+        return $m->invokeArgs($instance, $args);
+    }
+
+    public function testSectionStatusIsWorstCheckStatus() {
+        $checks = [
+            $this->invoke('make_check', ['Connected', 'YES', 'pass']),
+            $this->invoke('make_check', ['WP_CACHE', 'NO', 'warn']),
+            $this->invoke('make_check', ['Host', '127.0.0.1']),
+        ];
+
+        $section = $this->invoke('make_section', ['connection', 'Connection Status', $checks]);
+
+        $this->assertSame('warn', $section['status']);
+        $this->assertSame('connection', $section['id']);
+        $this->assertCount(3, $section['checks']);
+    }
+
+    public function testInfoOnlySectionStaysInfo() {
+        $section = $this->invoke('make_section', ['system', 'System', [
+            $this->invoke('make_check', ['Server', 'nginx']),
+        ]]);
+
+        $this->assertSame('info', $section['status']);
+    }
+
+    public function testCheckValuesAreStringified() {
+        $check = $this->invoke('make_check', ['Port', 6379, 'pass']);
+
+        $this->assertSame(['label' => 'Port', 'value' => '6379', 'status' => 'pass'], $check);
+    }
+}
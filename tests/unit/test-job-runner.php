@@ -0,0 +1,216 @@
+<?php
+/**
+ * Background job tests (step resume, lock contention, cancel)
+ *
+ * @package AceMedia\RedisCache
+ */
+
+use PHPUnit\Framework\TestCase;
+use AceMedia\RedisCache\JobRunner;
+
+if (!function_exists('get_option')) {
+    function get_option($name, $default = false) {
+        return array_key_exists($name, $GLOBALS['ace_test_options']) ? $GLOBALS['ace_test_options'][$name] : $default;
+    }
+}
+
+if (!function_exists('update_option')) {
+    function update_option($name, $value) {
+        $GLOBALS['ace_test_options'][$name] = $value;
+        return true;
+    }
+}
+
+if (!function_exists('add_option')) {
+    function add_option($name, $value, $deprecated = '', $autoload = 'yes') {
+        if (array_key_exists($name, $GLOBALS['ace_test_options'])) {
+            return false;
+        }
+        $GLOBALS['ace_test_options'][$name] = $value;
+        return true;
+    }
+}
+
+if (!function_exists('delete_option')) {
+    function delete_option($name) {
+        unset($GLOBALS['ace_test_options'][$name]);
+        return true;
+    }
+}
+
+if (!function_exists('wp_generate_uuid4')) {
+    function wp_generate_uuid4() {
+        return sprintf('%08x-0000-4000-8000-%012x', mt_rand(), mt_rand());
+    }
+}
+
+if (!function_exists('wp_next_scheduled')) {
+    function wp_next_scheduled($hook, $args = []) {
+        return false;
+    }
+}
+
+if (!function_exists('wp_schedule_single_event')) {
+    function wp_schedule_single_event($timestamp, $hook, $args = []) {
+        $GLOBALS['ace_test_scheduled'][] = $args;
+        return true;
+    }
+}
+
+if (!function_exists('do_action')) {
+    function do_action($hook_name, ...$args) {
+        $GLOBALS['ace_test_actions'][] = $hook_name;
+    }
+}
+
+/**
+ * Stand-in for the two CacheManager calls a flush job makes. Each
+ * purge_step() hands back the next scripted result and records the cursor
+ * it was asked to resume from.
+ */
+class JobRunnerFakeCacheManager {
+    public $steps = [];
+    public $cursors = [];
+    public $on_step = null;
+
+    public function flush_spec() {
+        return ['scan' => ['page_cache:*', 'block_cache:*'], 'match' => null, 'managed_only' => false, 'label' => 'all plugin cache'];
+    }
+
+    public function purge_step($spec, $cursor = '0', $max_rounds = 20) {
+        $this->cursors[] = $cursor;
+        if ($this->on_step) {
+            call_user_func($this->on_step);
+        }
+        return array_shift($this->steps);
+    }
+}
+
+class JobRunnerTest extends TestCase {
+
+    private $manager;
+
+    protected function setUp(): void {
+        $GLOBALS['ace_test_options'] = [];
+        $GLOBALS['ace_test_scheduled'] = [];
+        $GLOBALS['ace_test_actions'] = [];
+        $this->manager = new JobRunnerFakeCacheManager();
+    }
+
+    // One step per advance(), so each call can be checked on its own
+    private function runner() {
+        $runner = new JobRunner($this->manager);
+        $step_seconds = new \ReflectionProperty(JobRunner::class, 'step_seconds');
+        $step_seconds->setAccessible(true);
+        $step_seconds->setValue($runner, 0.0);
+        return $runner;
+    }
+
+    public function testFlushResumesFromStoredCursor() {
+        $this->manager->steps = [
+            ['deleted' => 3, 'cursor' => '0:17'],
+            ['deleted' => 2, 'cursor' => '1:0'],
+            ['deleted' => 4, 'cursor' => null],
+        ];
+        $job = $this->runner()->start('flush');
+
+        $job = $this->runner()->advance($job['id']);
+        $this->assertSame('running', $job['status']);
+        $this->assertSame('0:17', $job['cursor']);
+        $this->assertSame(3, $job['processed']);
+
+        // A fresh runner (the next poll, or cron) picks up where the stored job left off
+        $job = $this->runner()->advance($job['id']);
+        $this->assertSame(0.5, $job['progress']);
+        $job = $this->runner()->advance($job['id']);
+
+        $this->assertSame(['0', '0:17', '1:0'], $this->manager->cursors);
+        $this->assertSame('done', $job['status']);
+        $this->assertSame(9, $job['processed']);
+        $this->assertSame('Cleared 9 plugin cache keys', $job['message']);
+        $this->assertSame(['ace_rc_cache_cleared'], $GLOBALS['ace_test_actions']);
+        $this->assertArrayNotHasKey(JobRunner::OPTION_PREFIX . 'flush_lock', $GLOBALS['ace_test_options']);
+    }
+
+    public function testStartReturnsTheJobAlreadyRunning() {
+        $runner = $this->runner();
+        $first = $runner->start('flush');
+
+        $this->assertSame($first['id'], $runner->start('flush')['id']);
+    }
+
+    public function testAdvanceLeavesJobAloneWhileAnotherStepHoldsTheLock() {
+        $this->manager->steps = [['deleted' => 1, 'cursor' => null]];
+        $job = $this->runner()->start('flush');
+        $GLOBALS['ace_test_options'][JobRunner::OPTION_PREFIX . 'flush_lock'] = time();
+
+        $job = $this->runner()->advance($job['id']);
+
+        $this->assertSame('running', $job['status']);
+        $this->assertSame([], $this->manager->cursors);
+        // The lock holder's own step still owns the lock
+        $this->assertArrayHasKey(JobRunner::OPTION_PREFIX . 'flush_lock', $GLOBALS['ace_test_options']);
+    }
+
+    public function testAdvanceTakesOverAnAbandonedLock() {
+        $this->manager->steps = [['deleted' => 1, 'cursor' => null]];
+        $job = $this->runner()->start('flush');
+        $GLOBALS['ace_test_options'][JobRunner::OPTION_PREFIX . 'flush_lock'] = time() - 60;
+
+        $job = $this->runner()->advance($job['id']);
+
+        $this->assertSame('done', $job['status']);
+        $this->assertArrayNotHasKey(JobRunner::OPTION_PREFIX . 'flush_lock', $GLOBALS['ace_test_options']);
+    }
+
+    public function testCancelStopsAJobBeforeItsNextStep() {
+        $this->manager->steps = [['deleted' => 1, 'cursor' => '0:5']];
+        $runner = $this->runner();
+        $job = $runner->start('flush');
+
+        $cancelled = $runner->cancel($job['id']);
+        $after = $runner->advance($job['id']);
+
+        $this->assertSame('cancelled', $cancelled['status']);
+        $this->assertSame('Cancelled after 0 keys', $cancelled['message']);
+        $this->assertSame('cancelled', $after['status']);
+        $this->assertSame([], $this->manager->cursors);
+    }
+
+    public function testCancelStoredDuringAStepWins() {
+        $this->manager->steps = [['deleted' => 4, 'cursor' => '0:9']];
+        $runner = $this->runner();
+        $job = $runner->start('flush');
+        // Another request cancels while this step is working
+        $this->manager->on_step = function () use ($job) {
+            (new JobRunner(null))->cancel($job['id']);
+        };
+
+        $job = $runner->advance($job['id']);
+
+        $this->assertSame('cancelled', $job['status']);
+        $this->assertSame('Cancelled after 4 keys', $job['message']);
+        $this->assertSame('cancelled', $runner->get('flush')['status']);
+        $this->assertSame([], $GLOBALS['ace_test_actions']);
+    }
+
+    public function testFailedStepEndsTheJob() {
+        $this->manager->steps = [null];
+        $job = $this->runner()->start('flush');
+
+        $job = $this->runner()->advance($job['id']);
+
+        $this->assertSame('failed', $job['status']);
+        $this->assertSame('Redis is unavailable.', $job['message']);
+    }
+
+    public function testResponseLeavesOutInternalState() {
+        $job = $this->runner()->start('flush');
+
+        $response = JobRunner::to_response($job);
+
+        $this->assertArrayNotHasKey('cursor', $response);
+        $this->assertArrayNotHasKey('queue', $response);
+        $this->assertSame('keys', $response['unit']);
+    }
+}
@@ -0,0 +1,236 @@
+<?php
+/**
+ * Key browser and selective purge tests (CacheManager SCAN listing,
+ * classification, preview, purge resolution)
+ *
+ * @package AceMedia\RedisCache
+ */
+
+use PHPUnit\Framework\TestCase;
+use AceMedia\RedisCache\CacheManager;
+
+if (!function_exists('home_url')) {
+    function home_url($path = '') {
+        return 'https://example.com' . $path;
+    }
+}
+
+if (!function_exists('get_permalink')) {
+    function get_permalink($post_id) {
+        return $post_id === 42 ? 'https://example.com/shop/' : false;
+    }
+}
+
+if (!function_exists('apply_filters')) {
+    function apply_filters($hook_name, $value) {
+        return $value;
+    }
+}
+
+/**
+ * In-memory stand-in for the phpredis calls the key browser makes.
+ * SCAN returns one key per call so cursor handling is exercised, and walks
+ * a snapshot taken on the first call so deletes mid-scan skip nothing (as
+ * with real SCAN).
+ */
+class KeyBrowserFakeRedis {
+    public $data = [];
+    private $snapshots = [];
+
+    public function scan(&$iterator, $pattern, $count) {
+        if (!$iterator) {
+            $this->snapshots[$pattern] = array_values(array_filter(array_keys($this->data), function ($key) use ($pattern) {
+                return fnmatch($pattern, $key);
+            }));
+        }
+        $matches = $this->snapshots[$pattern];
+        $position = (int) $iterator;
+        if ($position >= count($matches)) {
+            $iterator = 0;
+            return false;
+        }
+        $iterator = $position + 1 < count($matches) ? $position + 1 : 0;
+        return [$matches[$position]];
+    }
+
+    public function ttl($key) {
+        return isset($this->data[$key]) ? 300 : -2;
+    }
+
+    public function rawCommand(...$args) {
+        return strlen($this->data[$args[2]] ?? '') + 50;
+    }
+
+    public function strlen($key) {
+        return strlen($this->data[$key] ?? '');
+    }
+
+    public function getRange($key, $start, $end) {
+        return substr($this->data[$key] ?? '', $start, $end - $start + 1);
+    }
+
+    public function get($key) {
+        return $this->data[$key] ?? false;
+    }
+
+    public function del($keys) {
+        $deleted = 0;
+        foreach ((array) $keys as $key) {
+            $deleted += isset($this->data[$key]) ? 1 : 0;
+            unset($this->data[$key]);
+        }
+        return $deleted;
+    }
+}
+
+class KeyBrowserFakeConnection {
+    public $redis;
+
+    public function __construct($redis) {
+        $this->redis = $redis;
+    }
+
+    public function retry_operation(callable $fn) {
+        return $fn($this->redis);
+    }
+
+    public function get_connection() {
+        return $this->redis;
+    }
+}
+
+class KeyBrowserTest extends TestCase {
+
+    private $redis;
+    private $manager;
+
+    protected function setUp(): void {
+        $this->redis = new KeyBrowserFakeRedis();
+        $this->redis->data = [
+            'page_cache:/shop/:https:desktop:example.com:v3' => 'raw:<!DOCTYPE html><p>shop</p>',
+            'page_cache:/about/:https:desktop:example.com:v3' => 'gz6:' . gzencode('<html>about</html>'),
+            'page_cache:/shop/:https:desktop:other.test:v1' => 'raw:<p>other site</p>',
+            'page_cache_min:/shop/:https:desktop:example.com:v3' => 'raw:<p>min</p>',
+            'block_cache:core/latest-posts:abc' => 'raw:' . serialize(['html' => '<ul></ul>']),
+            'transient:feed_1' => 'raw:' . serialize('feed'),
+            'wp:options:alloptions' => 'not ours',
+        ];
+        $this->manager = new CacheManager(new KeyBrowserFakeConnection($this->redis), []);
+    }
+
+    public function testBrowsePatternsAreScopedToHostAndEscapeSearch() {
+        $patterns = $this->manager->get_browse_patterns('page', '/sh*p');
+        $this->assertSame([['page', 'page_cache:/sh\\*p*:example.com:v*']], $patterns);
+
+        // A pasted full key loses its type prefix instead of doubling it
+        $patterns = $this->manager->get_browse_patterns('transients', 'transient:feed');
+        $this->assertSame(['transients', 'transient:feed*'], $patterns[0]);
+        $this->assertSame('transients', $patterns[1][0]);
+    }
+
+    public function testClassifyKeyOnlyAcceptsThisSitesPluginKeys() {
+        $this->assertSame('page', $this->manager->classify_key('page_cache:/shop/:https:desktop:example.com:v3'));
+        $this->assertSame('minified', $this->manager->classify_key('page_cache_min:/shop/:https:desktop:example.com:v3'));
+        $this->assertSame('blocks', $this->manager->classify_key('block_cache:core/latest-posts:abc'));
+        $this->assertNull($this->manager->classify_key('page_cache:/shop/:https:desktop:other.test:v1'));
+        $this->assertNull($this->manager->classify_key('wp:options:alloptions'));
+    }
+
+    public function testDetectCompressionReadsMarkers() {
+        $this->assertSame(['brotli', 9], $this->manager->detect_compression('br9:xyz'));
+        $this->assertSame(['gzip', null], $this->manager->detect_compression('gz:xyz'));
+        $this->assertSame(['raw', null], $this->manager->detect_compression('s:12:"raw:abc'));
+        $this->assertSame(['none', null], $this->manager->detect_compression('a:1:{}'));
+    }
+
+    public function testBrowseKeysPagesThroughCursor() {
+        $first = $this->manager->browse_keys('page', '', '0', 1);
+        $this->assertCount(1, $first['keys']);
+        $this->assertNotNull($first['cursor']);
+
+        $second = $this->manager->browse_keys('page', '', $first['cursor'], 10);
+        $this->assertNull($second['cursor']);
+
+        $keys = array_column(array_merge($first['keys'], $second['keys']), 'key');
+        sort($keys);
+        $this->assertSame([
+            'page_cache:/about/:https:desktop:example.com:v3',
+            'page_cache:/shop/:https:desktop:example.com:v3',
+        ], $keys);
+        $this->assertSame('page', $first['keys'][0]['type']);
+        $this->assertSame(300, $first['keys'][0]['ttl']);
+    }
+
+    public function testInspectKeyDecodesCompressedAndSerializedValues() {
+        $page = $this->manager->inspect_key('page_cache:/about/:https:desktop:example.com:v3');
+        $this->assertSame('gzip', $page['compression']);
+        $this->assertSame(6, $page['compression_level']);
+        $this->assertSame('html', $page['format']);
+        $this->assertSame('<html>about</html>', $page['preview']);
+
+        $block = $this->manager->inspect_key('block_cache:core/latest-posts:abc');
+        $this->assertSame('serialized', $block['format']);
+        $this->assertStringContainsString('[html] => <ul></ul>', $block['preview']);
+
+        $this->assertNull($this->manager->inspect_key('wp:options:alloptions'));
+    }
+
+    public function testDeleteManagedKeyRefusesForeignKeys() {
+        $this->assertFalse($this->manager->delete_managed_key('wp:options:alloptions'));
+        $this->assertArrayHasKey('wp:options:alloptions', $this->redis->data);
+
+        $this->assertTrue($this->manager->delete_managed_key('transient:feed_1'));
+        $this->assertArrayNotHasKey('transient:feed_1', $this->redis->data);
+    }
+
+    public function testUrlPurgeCoversSlashQueryAndMinifiedVariants() {
+        $this->redis->data['page_cache:/shop?utm_source=mail:https:mobile:example.com:v3'] = 'raw:<p>utm</p>';
+        $this->redis->data['page_cache_min:page_cache:/shop/:https:desktop:example.com:v3'] = 'raw:<p>min</p>';
+        $this->redis->data['page_cache:/shop/extra/:https:desktop:example.com:v3'] = 'raw:<p>extra</p>';
+
+        $spec = $this->manager->resolve_purge('urls', ['https://example.com/shop']);
+        $preview = $this->manager->preview_purge($spec);
+        $this->assertSame(4, $preview['total']);
+
+        $deleted = 0;
+        $cursor = '0';
+        do {
+            $step = $this->manager->purge_step($spec, $cursor, 2);
+            $deleted += $step['deleted'];
+            $cursor = $step['cursor'];
+        } while ($cursor !== null);
+
+        $this->assertSame(4, $deleted);
+        $this->assertArrayHasKey('page_cache:/shop/extra/:https:desktop:example.com:v3', $this->redis->data);
+        $this->assertArrayHasKey('page_cache:/shop/:https:desktop:other.test:v1', $this->redis->data);
+        $this->assertArrayHasKey('page_cache:/about/:https:desktop:example.com:v3', $this->redis->data);
+    }
+
+    public function testPostPurgeUsesPermalink() {
+        $spec = $this->manager->resolve_purge('posts', ['42']);
+        $this->assertSame(2, $this->manager->preview_purge($spec)['total']);
+
+        $this->expectException(\InvalidArgumentException::class);
+        $this->manager->resolve_purge('posts', ['7']);
+    }
+
+    public function testPatternPurgeOnlyCountsThisSitesPluginKeys() {
+        $preview = $this->manager->preview_purge($this->manager->resolve_purge('pattern', ['*']));
+        $this->assertSame(5, $preview['total']);
+        $this->assertNotContains('wp:options:alloptions', $preview['sample']);
+
+        $groups = $this->manager->preview_purge($this->manager->resolve_purge('group', ['blocks', 'transients']));
+        $this->assertSame(2, $groups['total']);
+    }
+
+    public function testPurgeRejectsForeignUrlsAndUnknownGroups() {
+        foreach ([['urls', ['https://other.test/shop/']], ['group', ['everything']], ['pattern', []]] as [$target, $values]) {
+            try {
+                $this->manager->resolve_purge($target, $values);
+                $this->fail("Expected $target to be rejected");
+            } catch (\InvalidArgumentException $e) {
+                $this->assertNotEmpty($e->getMessage());
+            }
+        }
+    }
+}
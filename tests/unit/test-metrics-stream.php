@@ -0,0 +1,42 @@
+<?php
+/**
+ * Metrics stream tests (event framing, interval clamping, change detection)
+ *
+ * @package AceMedia\RedisCache
+ */
+
+use PHPUnit\Framework\TestCase;
+use AceMedia\RedisCache\MetricsStream;
+
+class MetricsStreamTest extends TestCase {
+
+    public function testEventIsOneNamedDataLine() {
+        $event = MetricsStream::event('metrics', ['success' => true, 'data' => ['total_keys' => 12, 'note' => "two\nlines"]]);
+
+        $this->assertSame("event: metrics\ndata: {\"success\":true,\"data\":{\"total_keys\":12,\"note\":\"two\\nlines\"}}\n\n", $event);
+    }
+
+    public function testIntervalIsClamped() {
+        $this->assertSame(MetricsStream::DEFAULT_INTERVAL, MetricsStream::interval(null));
+        $this->assertSame(MetricsStream::DEFAULT_INTERVAL, MetricsStream::interval('abc'));
+        $this->assertSame(MetricsStream::DEFAULT_INTERVAL, MetricsStream::interval(0));
+        $this->assertSame(MetricsStream::MIN_INTERVAL, MetricsStream::interval(1));
+        $this->assertSame(15, MetricsStream::interval('15'));
+        $this->assertSame(MetricsStream::MAX_INTERVAL, MetricsStream::interval(3600));
+    }
+
+    public function testFingerprintIgnoresVolatileFieldsAndKeyOrder() {
+        $a = MetricsStream::fingerprint(['total_keys' => 5, 'memory_usage' => '1M', 'response_time' => 0.4, 'uptime' => '1 day']);
+        $b = MetricsStream::fingerprint(['memory_usage' => '1M', 'total_keys' => 5, 'response_time' => 0.9, 'uptime' => '2 days']);
+
+        $this->assertSame($a, $b);
+    }
+
+    public function testFingerprintChangesWithMetrics() {
+        $a = MetricsStream::fingerprint(['total_keys' => 5]);
+        $b = MetricsStream::fingerprint(['total_keys' => 6]);
+
+        $this->assertNotSame($a, $b);
+        $this->assertSame('', MetricsStream::fingerprint(null));
+    }
+}
@@ -0,0 +1,63 @@
+<?php
+/**
+ * Redis server report tests (risky setting checks, server type detection)
+ *
+ * @package AceMedia\RedisCache
+ */
+
+use PHPUnit\Framework\TestCase;
+use AceMedia\RedisCache\ServerReport;
+
+class ServerReportTest extends TestCase {
+
+    private function ids($checks) {
+        return array_column($checks, 'id');
+    }
+
+    public function testNoevictionAndMissingMaxmemoryAreFlagged() {
+        $checks = ServerReport::assess(
+            ['used_memory' => 1024, 'maxmemory' => 0, 'maxmemory_policy' => 'noeviction'],
+            null,
+            ['local' => true, 'password' => true]
+        );
+
+        $this->assertSame(['noeviction', 'maxmemory_unset'], $this->ids($checks));
+        $this->assertSame('critical', $checks[0]['level']);
+        $this->assertContains('maxmemory_policy', $checks[0]['keys']);
+    }
+
+    public function testConfigValuesWinOverInfo() {
+        $checks = ServerReport::assess(
+            ['used_memory' => 95, 'maxmemory' => 0, 'maxmemory_policy' => 'noeviction'],
+            ['maxmemory' => '100', 'maxmemory-policy' => 'allkeys-lru'],
+            ['local' => true, 'password' => true]
+        );
+
+        $this->assertSame(['memory_high'], $this->ids($checks));
+        $this->assertSame('enable_compression', $checks[0]['setting']);
+    }
+
+    public function testReplicaAndPlainTextRemoteConnectionLinkToSettings() {
+        $checks = ServerReport::assess(['role' => 'slave'], null, ['local' => false, 'tls' => false]);
+
+        $this->assertSame(['replica', 'tls_off'], $this->ids($checks));
+        $this->assertSame('host', $checks[0]['setting']);
+        $this->assertSame('enable_tls', $checks[1]['setting']);
+    }
+
+    public function testHealthyServerReportsOk() {
+        $checks = ServerReport::assess(
+            ['used_memory' => 10, 'maxmemory' => 100, 'maxmemory_policy' => 'allkeys-lru', 'role' => 'master'],
+            null,
+            ['local' => true, 'password' => true]
+        );
+
+        $this->assertSame(['ok'], $this->ids($checks));
+    }
+
+    public function testServerTypeDetectsProviders() {
+        $this->assertSame('Standalone', ServerReport::server_type(['redis_mode' => 'standalone']));
+        $this->assertSame('AWS ElastiCache', ServerReport::server_type(['redis_mode' => 'cluster', 'os' => 'Amazon ElastiCache']));
+        $this->assertSame('Unknown', ServerReport::server_type([]));
+    }
+}
@@ -0,0 +1,140 @@
+<?php
+/**
+ * Settings round-trip tests (structured values saved through either
+ * sanitizer read back unchanged through GET /settings)
+ *
+ * @package AceMedia\RedisCache
+ */
+
+use PHPUnit\Framework\TestCase;
+use AceMedia\RedisCache\AdminInterface;
+use AceMedia\RedisCache\API_Handler;
+use AceMedia\RedisCache\SettingsStore;
+
+if (!function_exists('is_multisite')) {
+    function is_multisite() {
+        return false;
+    }
+}
+
+if (!function_exists('get_option')) {
+    function get_option($name, $default = false) {
+        return array_key_exists($name, $GLOBALS['ace_test_options']) ? $GLOBALS['ace_test_options'][$name] : $default;
+    }
+}
+
+if (!function_exists('update_option')) {
+    function update_option($name, $value) {
+        $GLOBALS['ace_test_options'][$name] = $value;
+        return true;
+    }
+}
+
+if (!function_exists('sanitize_text_field')) {
+    function sanitize_text_field($text) {
+        return trim(preg_replace('/[\r\n\t ]+/', ' ', strip_tags((string) $text)));
+    }
+}
+
+if (!function_exists('sanitize_textarea_field')) {
+    function sanitize_textarea_field($text) {
+        return trim((string) $text);
+    }
+}
+
+if (!function_exists('apply_filters')) {
+    function apply_filters($hook_name, $value) {
+        return $value;
+    }
+}
+
+if (!function_exists('wp_hash')) {
+    function wp_hash($data, $scheme = 'auth') {
+        return hash_hmac('md5', $data, 'ace-test-salt');
+    }
+}
+
+if (!class_exists('WP_REST_Response')) {
+    class WP_REST_Response {
+        public $data;
+        public $status;
+
+        public function __construct($data = null, $status = 200) {
+            $this->data = $data;
+            $this->status = $status;
+        }
+
+        public function get_data() {
+            return $this->data;
+        }
+    }
+}
+
+class SettingsRoundTripTest extends TestCase {
+
+    // A nested table, a multi-select and a JSON-valued field, as the settings form serializes them
+    private $structured = [
+        'rules' => [
+            ['pattern' => '/shop/*', 'ttl' => 600, 'enabled' => true],
+            ['pattern' => '/blog/*', 'ttl' => 3600, 'enabled' => false],
+        ],
+        'post_types' => ['post', 'page', 'product'],
+        'headers_json' => '{"X-Cache":"HIT"}',
+    ];
+
+    protected function setUp(): void {
+        $GLOBALS['ace_test_options'] = [];
+    }
+
+    // Skips the constructors: they only register hooks, which these tests don't need
+    private function instance($class) {
+        return (new \ReflectionClass($class))->newInstanceWithoutConstructor();
+    }
+
+    private function settings_from_get_route() {
+        $response = $this->instance(API_Handler::class)->get_settings(null);
+        return $response->get_data()['data']['settings'];
+    }
+
+    private function form_input() {
+        return array_merge([
+            'enabled' => 1,
+            'host' => '127.0.0.1',
+            'port' => 6379,
+            'password' => '',
+            'ttl' => 3600,
+        ], $this->structured);
+    }
+
+    public function testRestSaveKeepsStructuredSettings() {
+        $sanitize = new \ReflectionMethod(API_Handler::class, 'sanitize_settings');
+        $sanitize->setAccessible(true);
+
+        SettingsStore::update_settings($sanitize->invoke($this->instance(API_Handler::class), $this->form_input()));
+        $settings = $this->settings_from_get_route();
+
+        foreach ($this->structured as $key => $value) {
+            $this->assertSame($value, $settings[$key], $key);
+        }
+    }
+
+    public function testOptionsSaveKeepsStructuredSettings() {
+        $admin = $this->instance(AdminInterface::class);
+
+        SettingsStore::update_settings($admin->sanitize_settings($this->form_input()));
+        $settings = $this->settings_from_get_route();
+
+        foreach ($this->structured as $key => $value) {
+            $this->assertSame($value, $settings[$key], $key);
+        }
+    }
+
+    public function testInternalPayloadsAreNotStored() {
+        $input = array_merge($this->form_input(), ['__managed_plugins' => ['a/a.php' => ['enabled_on_init' => 1]]]);
+
+        $sanitized = SettingsStore::sanitize_extra_settings([], $input);
+
+        $this->assertArrayNotHasKey('__managed_plugins', $sanitized);
+        $this->assertSame($this->structured['rules'], $sanitized['rules']);
+    }
+}
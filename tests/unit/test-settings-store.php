@@ -91,6 +91,12 @@ if (!function_exists('get_blog_option')) {
     }
 }
 
+if (!function_exists('wp_hash')) {
+    function wp_hash($data, $scheme = 'auth') {
+        return hash_hmac('md5', $data, 'ace-test-salt');
+    }
+}
+
 class SettingsStoreTest extends TestCase {
 
     protected function setUp(): void {
@@ -129,4 +135,25 @@ class SettingsStoreTest extends TestCase {
 
         $this->assertSame(['enabled' => 1, 'port' => 6379], $GLOBALS['ace_test_site_options'][SettingsStore::SETTINGS_OPTION]);
     }
+
+    public function testSettingsRevisionIgnoresKeyOrder() {
+        $a = SettingsStore::settings_revision(['host' => '127.0.0.1', 'port' => 6379]);
+        $b = SettingsStore::settings_revision(['port' => 6379, 'host' => '127.0.0.1']);
+
+        $this->assertSame($a, $b);
+        $this->assertSame(16, strlen($a));
+    }
+
+    public function testSettingsRevisionChangesWithAnyValue() {
+        $base = SettingsStore::settings_revision(['host' => '127.0.0.1', 'password' => 'a']);
+
+        $this->assertNotSame($base, SettingsStore::settings_revision(['host' => '127.0.0.1', 'password' => 'b']));
+        $this->assertNotSame($base, SettingsStore::settings_revision(['host' => '10.0.0.1', 'password' => 'a']));
+    }
+
+    public function testSettingsRevisionDefaultsToStoredSettings() {
+        SettingsStore::update_settings(['enabled' => 1]);
+
+        $this->assertSame(SettingsStore::settings_revision(['enabled' => 1]), SettingsStore::settings_revision());
+    }
 }
@@ -0,0 +1,53 @@
+<?php
+/**
+ * Settings page tab wiring tests (every tab with a script is loaded when
+ * the sidebar switches to it)
+ *
+ * @package AceMedia\RedisCache
+ */
+
+use PHPUnit\Framework\TestCase;
+
+class SettingsTabsTest extends TestCase {
+
+    private $page;
+    private $admin_js;
+
+    protected function setUp(): void {
+        $root = dirname(__DIR__, 2);
+        $this->page = file_get_contents($root . '/admin/views/settings-page.php');
+        $this->admin_js = file_get_contents($root . '/assets/src/js/admin.js');
+    }
+
+    // Tab ids with a lazily loaded script, from TAB_MODULES in admin.js
+    private function tab_modules() {
+        $this->assertSame(1, preg_match('/const TAB_MODULES = \{(.*?)\n\};/s', $this->admin_js, $block));
+        preg_match_all("/'(#[a-z-]+)':\s*\(\)\s*=>\s*import\(/", $block[1], $matches);
+        return $matches[1];
+    }
+
+    public function testEveryTabModuleHasASidebarTab() {
+        $modules = $this->tab_modules();
+        preg_match_all('/<a href="(#[a-z-]+)" class="nav-tab/', $this->page, $tabs);
+
+        $this->assertContains('#diagnostics', $modules);
+        foreach ($modules as $id) {
+            $this->assertContains($id, $tabs[1], $id . ' has a script but no sidebar tab');
+        }
+    }
+
+    public function testSidebarAnnouncesShownTabsToTheAdminScript() {
+        // The sidebar script swallows tab clicks, so the admin script must hear about them from it
+        $this->assertStringContainsString("stopImmediatePropagation()", $this->page);
+        $this->assertStringContainsString("new CustomEvent('ace-redis-tab-shown', { detail: { target: target } })", $this->page);
+        $this->assertSame(1, preg_match("/on\('ace-redis-tab-shown'.*?this\.showTab\(target\)/s", $this->admin_js));
+        $this->assertSame(1, preg_match('/showTab\(target\) \{.*?this\.loadTab\(target\)/s', $this->admin_js));
+    }
+
+    public function testTabsAreOpenedWithNativeClicks() {
+        // jQuery's trigger('click') skips native listeners on links, so the sidebar script would never see it
+        foreach (glob(dirname(__DIR__, 2) . '/assets/src/js/{,components/,tabs/}*.js', GLOB_BRACE) as $file) {
+            $this->assertSame(0, preg_match('/nav-tab\[href=[^)]*\)\.trigger\(\'click\'\)/', file_get_contents($file)), basename($file));
+        }
+    }
+}
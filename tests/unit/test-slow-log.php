@@ -0,0 +1,60 @@
+<?php
+/**
+ * Slow log tests (entry parsing, key patterns)
+ *
+ * @package AceMedia\RedisCache
+ */
+
+use PHPUnit\Framework\TestCase;
+use AceMedia\RedisCache\SlowLog;
+
+class SlowLogTest extends TestCase {
+
+    public function testParsesDropinEntry() {
+        $entry = SlowLog::parse_entry(json_encode([
+            't' => 1700000000,
+            'cmd' => 'GET',
+            'group' => 'post_meta',
+            'key' => '42',
+            'ms' => 123.45,
+            'bytes' => 2048,
+            'url' => '/shop/?orderby=price',
+        ]));
+
+        $this->assertSame(1700000000, $entry['time']);
+        $this->assertSame('GET', $entry['command']);
+        $this->assertSame('post_meta:*', $entry['pattern']);
+        $this->assertSame(123.5, $entry['ms']);
+        $this->assertSame(2048, $entry['bytes']);
+        $this->assertSame('/shop/?orderby=price', $entry['url']);
+    }
+
+    public function testUnknownSizeStaysNull() {
+        $entry = SlowLog::parse_entry(json_encode(['t' => 1, 'cmd' => 'DEL', 'group' => 'posts', 'key' => '7', 'ms' => 150, 'bytes' => null, 'url' => 'cli']));
+
+        $this->assertNull($entry['bytes']);
+    }
+
+    public function testRejectsForeignListItems() {
+        $this->assertNull(SlowLog::parse_entry('not json'));
+        $this->assertNull(SlowLog::parse_entry(json_encode(['foo' => 'bar'])));
+        $this->assertNull(SlowLog::parse_entry(null));
+    }
+
+    public function testKeyPatternReplacesIdsHashesAndTimestamps() {
+        $this->assertSame('transient:wc_product_children_*', SlowLog::key_pattern('transient', 'wc_product_children_45'));
+        $this->assertSame('ace_te:ctx_*', SlowLog::key_pattern('ace_te', 'ctx_5f2a9c0e1b7d4e3f5f2a9c0e1b7d4e3f'));
+        $this->assertSame('posts:get_posts:*:*', SlowLog::key_pattern('posts', 'get_posts:abc123def456:0.12345 1700000000'));
+        $this->assertSame('users:user_*_meta', SlowLog::key_pattern('users', 'user_42_meta'));
+    }
+
+    public function testKeyPatternKeepsPlainKeys() {
+        $this->assertSame('options:alloptions', SlowLog::key_pattern('options', 'alloptions'));
+        $this->assertSame('default:last_changed', SlowLog::key_pattern('', 'last_changed'));
+    }
+
+    public function testCountWithoutConnectionOrKeyIsZero() {
+        $this->assertSame(0, SlowLog::count(null, 'ace_slowlog:ace:1'));
+        $this->assertSame(0, SlowLog::count(new \stdClass(), null));
+    }
+}
@@ -0,0 +1,84 @@
+<?php
+/**
+ * Cache warm-up crawler tests (option clamping, cache header decoding,
+ * custom URL collection)
+ *
+ * @package AceMedia\RedisCache
+ */
+
+use PHPUnit\Framework\TestCase;
+use AceMedia\RedisCache\WarmupCrawler;
+
+if (!function_exists('home_url')) {
+    function home_url($path = '') {
+        return 'https://example.com' . $path;
+    }
+}
+
+if (!function_exists('apply_filters')) {
+    function apply_filters($hook_name, $value) {
+        return $value;
+    }
+}
+
+if (!function_exists('sanitize_textarea_field')) {
+    function sanitize_textarea_field($text) {
+        return trim((string) $text);
+    }
+}
+
+if (!function_exists('wp_parse_url')) {
+    function wp_parse_url($url, $component = -1) {
+        return parse_url($url, $component);
+    }
+}
+
+class WarmupCrawlerTest extends TestCase {
+
+    public function testParamsAreClampedAndUnknownSourcesDropped() {
+        $params = WarmupCrawler::normalize_params([
+            'sources' => ['sitemap', 'everything', 'custom'],
+            'recent_count' => 5000,
+            'concurrency' => 0,
+            'rate' => 999,
+        ]);
+
+        $this->assertSame(['sitemap', 'custom'], $params['sources']);
+        $this->assertSame(200, $params['recent_count']);
+        $this->assertSame(1, $params['concurrency']);
+        $this->assertSame(50, $params['rate']);
+    }
+
+    public function testParamsFromSettingsUseSourceToggles() {
+        $params = WarmupCrawler::params_from_settings([
+            'warmup_source_sitemap' => 0,
+            'warmup_source_recent' => 1,
+            'warmup_source_woocommerce' => 1,
+            'warmup_concurrency' => 4,
+        ]);
+
+        $this->assertSame(['recent', 'woocommerce'], $params['sources']);
+        $this->assertSame(4, $params['concurrency']);
+        $this->assertSame(5, $params['rate']);
+    }
+
+    public function testCacheStatusDecodesPageCacheAndEarlyHeaders() {
+        $this->assertSame('hit', WarmupCrawler::cache_status('HIT-COMPRESSED'));
+        $this->assertSame('hit', WarmupCrawler::cache_status('HIT (advcache)'));
+        $this->assertSame('miss', WarmupCrawler::cache_status('MISS'));
+        $this->assertSame('bypass', WarmupCrawler::cache_status('BYPASS param'));
+        $this->assertSame('hit', WarmupCrawler::cache_status('', 'HIT; dark-launch'));
+        $this->assertSame('miss', WarmupCrawler::cache_status('MISS', 'HIT; dark-launch'));
+        $this->assertSame('none', WarmupCrawler::cache_status(''));
+    }
+
+    public function testCustomUrlsStayOnThisSite() {
+        $crawler = new WarmupCrawler();
+        $urls = $crawler->collect_urls(WarmupCrawler::normalize_params([
+            'sources' => ['custom'],
+            'custom_urls' => "/shop/\nhttps://example.com/about/#team\nhttps://other.test/\nftp://example.com/file\nhttps://example.com/shop/",
+        ]));
+
+        $this->assertSame(['https://example.com/shop/', 'https://example.com/about/'], $urls);
+    }
+}
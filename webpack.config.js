@@ -14,6 +14,10 @@ module.exports = (env, argv) => {
     output: {
       path: path.resolve(__dirname, 'assets/dist'),
       filename: isProduction ? '[name].min.js' : '[name].js',
+      // Per-tab admin scripts loaded with import(); hashed so browsers never mix versions
+      chunkFilename: isProduction ? 'chunks/[name].[contenthash:8].min.js' : 'chunks/[name].js',
+      // Chunks load from wherever admin.min.js was served
+      publicPath: 'auto',
       clean: true
     },
     